@@ -0,0 +1,398 @@
+/**
+ * Budget Package — Spark credit allowances for Sogni generations
+ *
+ * Estimates what a job will cost before it runs and charges it against
+ * daily / monthly allowances set per user, per role and per guild.
+ * Uses SQLite for limits and a spend ledger.
+ * @module packages/budget
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+import { checkBalance } from '../sogni-wrapper/index.js';
+import { enqueueGeneration } from '../sogni-wrapper/queue.js';
+
+let db = null;
+let balanceTimer = null;
+let lowBalanceAlerted = false;
+
+/**
+ * @typedef {Object} BudgetRow
+ * @property {string} guild_id
+ * @property {string} scope — 'user' | 'role' | 'guild'
+ * @property {string} scope_id — user id, role id, or guild id
+ * @property {string} period — 'daily' | 'monthly'
+ * @property {number} limit_spark
+ */
+
+/**
+ * @typedef {Object} BudgetCheck
+ * @property {boolean} allowed — true if no allowance would be exceeded
+ * @property {number} estimate — estimated cost in Spark
+ * @property {{scope: string, scopeId: string, period: string, limit: number, spent: number}[]} exceeded
+ * @property {'refuse'|'confirm'} onExceed — what the guild wants done when exceeded
+ */
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.budget.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS budgets (
+      guild_id    TEXT NOT NULL,
+      scope       TEXT NOT NULL,
+      scope_id    TEXT NOT NULL,
+      period      TEXT NOT NULL,
+      limit_spark REAL NOT NULL,
+      updated_at  TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (guild_id, scope, scope_id, period)
+    );
+    CREATE TABLE IF NOT EXISTS budget_settings (
+      guild_id  TEXT PRIMARY KEY,
+      on_exceed TEXT DEFAULT 'refuse'
+    );
+    CREATE TABLE IF NOT EXISTS spend_ledger (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id   TEXT DEFAULT '',
+      user_id    TEXT NOT NULL,
+      kind       TEXT NOT NULL,
+      spark      REAL NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_spend_ledger_guild ON spend_ledger(guild_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_spend_ledger_user ON spend_ledger(guild_id, user_id, created_at);
+  `);
+
+    return db;
+}
+
+/** SQLite modifier for the start of each budget period */
+const PERIOD_START = {
+    daily: 'start of day',
+    monthly: 'start of month',
+};
+
+// ── Cost estimation ──────────────────────────────────────────────
+
+/**
+ * Estimate the Spark cost of a generation before it runs.
+ * Image costs scale with pixel count relative to 1024x1024; video costs
+ * scale with duration; a 360 run is one edit per angle plus the optional loop.
+ * @param {'image'|'edit'|'video'|'angles360'} kind
+ * @param {object} [params]
+ * @param {number} [params.width]
+ * @param {number} [params.height]
+ * @param {number} [params.count]
+ * @param {number} [params.duration] — seconds (video)
+ * @param {number} [params.angles] — number of angles (360)
+ * @param {boolean} [params.makeVideo] — 360 loop video
+ * @returns {number} — Spark, rounded to 2 decimals
+ */
+export function estimateCost(kind, params = {}) {
+    const costs = sharedConfig.budget.costs;
+    const width = params.width || sharedConfig.sogniGen.defaultWidth;
+    const height = params.height || sharedConfig.sogniGen.defaultHeight;
+    const megapixels = (width * height) / (1024 * 1024);
+
+    let cost;
+    switch (kind) {
+        case 'image':
+            cost = costs.image * Math.max(megapixels, 0.25) * (params.count || 1);
+            break;
+        case 'edit':
+            cost = costs.edit;
+            break;
+        case 'video':
+            cost = costs.videoPerSecond * (params.duration || sharedConfig.sogniGen.defaultDurationSec);
+            break;
+        case 'angles360':
+            cost = costs.edit * (params.angles || 8) + (params.makeVideo ? costs.angles360Video : 0);
+            break;
+        default:
+            throw new Error(`Unknown workflow for cost estimate: ${kind}`);
+    }
+    return Math.round(cost * 100) / 100;
+}
+
+// ── Limits ───────────────────────────────────────────────────────
+
+/**
+ * Set (or replace) an allowance.
+ * @param {object} params
+ * @param {string} params.guildId
+ * @param {'user'|'role'|'guild'} params.scope
+ * @param {string} params.scopeId
+ * @param {'daily'|'monthly'} params.period
+ * @param {number} params.limit — Spark
+ */
+export function setBudget({ guildId, scope, scopeId, period, limit }) {
+    getDb().prepare(`
+    INSERT INTO budgets (guild_id, scope, scope_id, period, limit_spark)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(guild_id, scope, scope_id, period)
+    DO UPDATE SET limit_spark = excluded.limit_spark, updated_at = datetime('now')
+  `).run(guildId, scope, scopeId, period, limit);
+}
+
+/**
+ * Remove allowances for a scope (all periods).
+ * @param {string} guildId
+ * @param {'user'|'role'|'guild'} scope
+ * @param {string} scopeId
+ * @returns {number} — rows removed
+ */
+export function removeBudget(guildId, scope, scopeId) {
+    return getDb().prepare('DELETE FROM budgets WHERE guild_id = ? AND scope = ? AND scope_id = ?')
+        .run(guildId, scope, scopeId).changes;
+}
+
+/**
+ * List all allowances configured for a guild.
+ * @param {string} guildId
+ * @returns {BudgetRow[]}
+ */
+export function listBudgets(guildId) {
+    return getDb().prepare('SELECT * FROM budgets WHERE guild_id = ? ORDER BY scope, scope_id, period').all(guildId);
+}
+
+/**
+ * What to do when a job would exceed an allowance.
+ * @param {string} guildId
+ * @returns {'refuse'|'confirm'}
+ */
+export function getExceedPolicy(guildId) {
+    const row = getDb().prepare('SELECT on_exceed FROM budget_settings WHERE guild_id = ?').get(guildId);
+    return row?.on_exceed || 'refuse';
+}
+
+/**
+ * @param {string} guildId
+ * @param {'refuse'|'confirm'} policy
+ */
+export function setExceedPolicy(guildId, policy) {
+    getDb().prepare(`
+    INSERT INTO budget_settings (guild_id, on_exceed) VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET on_exceed = excluded.on_exceed
+  `).run(guildId, policy);
+}
+
+// ── Spend ────────────────────────────────────────────────────────
+
+/**
+ * Spark spent in the current period.
+ * @param {string} guildId
+ * @param {'daily'|'monthly'} period
+ * @param {string} [userId] — omit for the whole guild
+ * @returns {number}
+ */
+export function getSpent(guildId, period, userId) {
+    const d = getDb();
+    const modifier = PERIOD_START[period];
+    const row = userId
+        ? d.prepare(`SELECT COALESCE(SUM(spark), 0) AS total FROM spend_ledger WHERE guild_id = ? AND user_id = ? AND created_at >= datetime('now', ?)`).get(guildId, userId, modifier)
+        : d.prepare(`SELECT COALESCE(SUM(spark), 0) AS total FROM spend_ledger WHERE guild_id = ? AND created_at >= datetime('now', ?)`).get(guildId, modifier);
+    return Math.round(row.total * 100) / 100;
+}
+
+/**
+ * Record a charge. Returns the ledger id so it can be refunded if the job fails.
+ * @param {object} params
+ * @param {string} params.guildId
+ * @param {string} params.userId
+ * @param {string} params.kind
+ * @param {number} params.spark
+ * @returns {number}
+ */
+export function chargeSpend({ guildId, userId, kind, spark }) {
+    const info = getDb().prepare('INSERT INTO spend_ledger (guild_id, user_id, kind, spark) VALUES (?, ?, ?, ?)')
+        .run(guildId || '', userId, kind, spark);
+    return Number(info.lastInsertRowid);
+}
+
+/**
+ * Refund a charge (failed or cancelled job).
+ * @param {number} chargeId
+ */
+export function refundSpend(chargeId) {
+    getDb().prepare('DELETE FROM spend_ledger WHERE id = ?').run(chargeId);
+}
+
+/**
+ * Clear recorded spend for a user, or the whole guild.
+ * @param {string} guildId
+ * @param {string} [userId]
+ * @returns {number} — ledger rows removed
+ */
+export function resetSpend(guildId, userId) {
+    const d = getDb();
+    return userId
+        ? d.prepare('DELETE FROM spend_ledger WHERE guild_id = ? AND user_id = ?').run(guildId, userId).changes
+        : d.prepare('DELETE FROM spend_ledger WHERE guild_id = ?').run(guildId).changes;
+}
+
+// ── Enforcement ──────────────────────────────────────────────────
+
+/**
+ * Pick the allowance that governs one member for one period.
+ * A user-specific allowance wins; otherwise the most generous of
+ * their roles' allowances applies.
+ * @param {BudgetRow[]} budgets — the guild's allowances
+ * @param {string} userId
+ * @param {string[]} roleIds
+ * @param {'daily'|'monthly'} period
+ * @returns {BudgetRow|null}
+ */
+export function resolveMemberBudget(budgets, userId, roleIds, period) {
+    const inPeriod = budgets.filter(b => b.period === period);
+    const own = inPeriod.find(b => b.scope === 'user' && b.scope_id === userId);
+    if (own) return own;
+
+    const roleBudgets = inPeriod.filter(b => b.scope === 'role' && roleIds.includes(b.scope_id));
+    if (roleBudgets.length === 0) return null;
+    return roleBudgets.reduce((best, b) => (b.limit_spark > best.limit_spark ? b : best));
+}
+
+/**
+ * Check whether a job fits within every allowance that applies to it.
+ * @param {object} params
+ * @param {string} params.guildId
+ * @param {string} params.userId
+ * @param {string[]} [params.roleIds]
+ * @param {number} params.estimate — Spark
+ * @returns {BudgetCheck}
+ */
+export function checkBudget({ guildId, userId, roleIds = [], estimate }) {
+    const budgets = listBudgets(guildId);
+    const exceeded = [];
+
+    for (const period of Object.keys(PERIOD_START)) {
+        const member = resolveMemberBudget(budgets, userId, roleIds, period);
+        if (member) {
+            const spent = getSpent(guildId, period, userId);
+            if (spent + estimate > member.limit_spark) {
+                exceeded.push({ scope: member.scope, scopeId: member.scope_id, period, limit: member.limit_spark, spent });
+            }
+        }
+
+        const guild = budgets.find(b => b.scope === 'guild' && b.period === period);
+        if (guild) {
+            const spent = getSpent(guildId, period);
+            if (spent + estimate > guild.limit_spark) {
+                exceeded.push({ scope: 'guild', scopeId: guildId, period, limit: guild.limit_spark, spent });
+            }
+        }
+    }
+
+    return {
+        allowed: exceeded.length === 0,
+        estimate,
+        exceeded,
+        onExceed: getExceedPolicy(guildId),
+    };
+}
+
+/**
+ * Check a job against every allowance and charge it in one transaction, so
+ * concurrent requests can't all pass the check and then overspend together.
+ * @param {object} params
+ * @param {string} params.guildId
+ * @param {string} params.userId
+ * @param {string[]} [params.roleIds]
+ * @param {string} params.kind
+ * @param {number} params.estimate — Spark
+ * @param {boolean} [params.force] — charge even when over budget (a confirmed over-budget run)
+ * @returns {BudgetCheck & {chargeId: number|null}} — chargeId is null when nothing was charged
+ */
+export function reserveSpend({ guildId, userId, roleIds = [], kind, estimate, force = false }) {
+    const reserve = getDb().transaction(() => {
+        const check = checkBudget({ guildId, userId, roleIds, estimate });
+        const chargeId = check.allowed || force ? chargeSpend({ guildId, userId, kind, spark: estimate }) : null;
+        return { ...check, chargeId };
+    });
+    // IMMEDIATE takes the write lock before reading, so other processes wait too
+    return reserve.immediate();
+}
+
+/**
+ * Charge a job to its requester's allowance, then put it in the generation
+ * queue. The charge is refunded if the job fails or is cancelled.
+ * @param {object} job — see enqueueGeneration(); `guildId` and `userId` are who pays
+ * @param {object} hooks — see enqueueGeneration()
+ * @param {object} spend
+ * @param {number} spend.estimate — Spark
+ * @param {string[]} [spend.roleIds]
+ * @param {boolean} [spend.force] — charge even when over budget
+ * @param {(check: BudgetCheck) => string} spend.describeRefusal — the error message when refused
+ * @returns {Promise<object>} — the job's result
+ * @throws {Error} with code 'BUDGET_EXCEEDED' when the allowance can't cover it
+ */
+export async function enqueueCharged(job, hooks, { estimate, roleIds = [], force = false, describeRefusal }) {
+    const { chargeId, ...check } = reserveSpend({
+        guildId: job.guildId,
+        userId: job.userId,
+        roleIds,
+        kind: job.kind,
+        estimate,
+        force,
+    });
+    if (chargeId === null) {
+        throw Object.assign(new Error(describeRefusal(check)), { code: 'BUDGET_EXCEEDED' });
+    }
+
+    try {
+        return await enqueueGeneration(job, hooks);
+    } catch (err) {
+        refundSpend(chargeId);
+        throw err;
+    }
+}
+
+// ── Balance monitor ──────────────────────────────────────────────
+
+/**
+ * Poll the Sogni wallet and call back once when the Spark balance drops
+ * below the configured threshold. Re-arms after the balance recovers.
+ * @param {(balance: {spark: number, sogni: number}) => Promise<void>} callback
+ */
+export function startBalanceMonitor(callback) {
+    const poll = async () => {
+        try {
+            const bal = await checkBalance();
+            if (!bal.success) return;
+
+            const spark = parseFloat(bal.spark);
+            if (isNaN(spark)) return;
+
+            if (spark < sharedConfig.budget.lowBalanceSpark) {
+                if (lowBalanceAlerted) return;
+                lowBalanceAlerted = true;
+                await callback({ spark, sogni: parseFloat(bal.sogni) });
+            } else {
+                lowBalanceAlerted = false;
+            }
+        } catch (err) {
+            console.error('[Budget] Balance check error:', err.message);
+        }
+    };
+
+    poll();
+    balanceTimer = setInterval(poll, sharedConfig.budget.balanceCheckIntervalMs);
+    console.log(`✅ [Budget] Balance monitor started (alert below ${sharedConfig.budget.lowBalanceSpark} Spark)`);
+}
+
+/**
+ * Stop the balance monitor.
+ */
+export function stopBalanceMonitor() {
+    if (balanceTimer) {
+        clearInterval(balanceTimer);
+        balanceTimer = null;
+    }
+}
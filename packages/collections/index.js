@@ -0,0 +1,497 @@
+/**
+ * Collections Package — trait-based PFP sets
+ *
+ * A collection is a shared base (the PFP wizard's avatar type, style and
+ * mood, written into one base prompt) plus trait layers whose values carry
+ * rarity weights. Each token draws one value per layer, seeded from the
+ * collection so a set can be re-planned exactly, and gets its own image,
+ * ERC-721 style metadata file and a place in the rarity table. Everything
+ * is written to local files; nothing touches a chain.
+ * @module packages/collections
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+import { MAX_SEED } from '../config/models.js';
+import { createRng, pickWeighted } from '../utils/dynamic-prompts.js';
+
+let db = null;
+
+/** Trait layers, in the order they are drawn and listed */
+export const TRAIT_LAYERS = ['background', 'outfit', 'accessory', 'expression'];
+
+/**
+ * How token seeds are chosen: one seed for the whole set (the most
+ * uniform look), counting up from the base seed, or drawn per token.
+ */
+export const SEED_STRATEGIES = ['fixed', 'sequential', 'random'];
+
+/** Draws per token before a repeated trait combination is accepted */
+const UNIQUE_ATTEMPTS = 25;
+
+/**
+ * @typedef {Object} Collection
+ * @property {number} id
+ * @property {string} guildId
+ * @property {string} name — slug, unique per guild
+ * @property {string} avatarType — PFP wizard avatar type shared by every token
+ * @property {string} style — style preset name or free text
+ * @property {string} mood
+ * @property {string} details — extra instructions, '' for none
+ * @property {'fixed'|'sequential'|'random'} seedStrategy
+ * @property {number} baseSeed
+ * @property {string|null} basePrompt — written by Gemini on the first run, then reused
+ * @property {string} createdBy
+ */
+
+/**
+ * @typedef {Object} CollectionTrait
+ * @property {string} layer — one of TRAIT_LAYERS
+ * @property {string} value
+ * @property {number} weight — relative odds within the layer
+ */
+
+/**
+ * @typedef {Object} CollectionToken
+ * @property {number} tokenId — 1-based
+ * @property {number} seed
+ * @property {Object<string, string>} traits — layer → value
+ * @property {string} [prompt]
+ * @property {string} [model]
+ * @property {string} [fileName] — image file in the collection's images folder
+ */
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.collections.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS collections (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id      TEXT NOT NULL,
+      name          TEXT NOT NULL,
+      avatar_type   TEXT NOT NULL,
+      style         TEXT NOT NULL,
+      mood          TEXT NOT NULL,
+      details       TEXT NOT NULL DEFAULT '',
+      seed_strategy TEXT NOT NULL DEFAULT 'fixed',
+      base_seed     INTEGER NOT NULL,
+      base_prompt   TEXT,
+      created_by    TEXT NOT NULL,
+      created_at    TEXT DEFAULT (datetime('now')),
+      UNIQUE (guild_id, name)
+    );
+    CREATE TABLE IF NOT EXISTS collection_traits (
+      collection_id INTEGER NOT NULL,
+      layer         TEXT NOT NULL,
+      value         TEXT NOT NULL,
+      weight        INTEGER NOT NULL,
+      PRIMARY KEY (collection_id, layer, value)
+    );
+    CREATE TABLE IF NOT EXISTS collection_tokens (
+      collection_id INTEGER NOT NULL,
+      token_id      INTEGER NOT NULL,
+      seed          INTEGER NOT NULL,
+      traits_json   TEXT NOT NULL,
+      prompt        TEXT NOT NULL DEFAULT '',
+      model         TEXT,
+      file_name     TEXT,
+      created_at    TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (collection_id, token_id)
+    );
+  `);
+    return db;
+}
+
+/**
+ * @param {object} row
+ * @returns {Collection}
+ */
+function fromRow(row) {
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        name: row.name,
+        avatarType: row.avatar_type,
+        style: row.style,
+        mood: row.mood,
+        details: row.details || '',
+        seedStrategy: row.seed_strategy,
+        baseSeed: row.base_seed,
+        basePrompt: row.base_prompt || null,
+        createdBy: row.created_by,
+    };
+}
+
+/**
+ * @param {object} row
+ * @returns {CollectionToken}
+ */
+function tokenFromRow(row) {
+    return {
+        tokenId: row.token_id,
+        seed: row.seed,
+        traits: JSON.parse(row.traits_json),
+        prompt: row.prompt,
+        model: row.model || null,
+        fileName: row.file_name || null,
+    };
+}
+
+/**
+ * Turn a display name into a collection slug.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeCollectionName(name) {
+    return (name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 32);
+}
+
+// ── Collections ──────────────────────────────────────────────────
+
+/**
+ * @param {string} guildId
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.avatarType
+ * @param {string} options.style
+ * @param {string} options.mood
+ * @param {string} [options.details]
+ * @param {string} [options.seedStrategy] — default 'fixed'
+ * @param {number} [options.baseSeed] — drawn at random when omitted
+ * @param {string} createdBy
+ * @returns {Collection}
+ * @throws {Error} with a user-facing message for a bad or taken name
+ */
+export function createCollection(guildId, { name, avatarType, style, mood, details = '', seedStrategy = 'fixed', baseSeed = null }, createdBy) {
+    const slug = normalizeCollectionName(name);
+    if (!slug) throw new Error('Collection names need at least one letter or number.');
+    if (!SEED_STRATEGIES.includes(seedStrategy)) throw new Error(`Unknown seed strategy \`${seedStrategy}\`.`);
+    if (getCollection(guildId, slug)) throw new Error(`This server already has a collection called \`${slug}\`.`);
+
+    const seed = baseSeed ?? Math.floor(Math.random() * MAX_SEED);
+    getDb().prepare(`
+        INSERT INTO collections (guild_id, name, avatar_type, style, mood, details, seed_strategy, base_seed, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(guildId, slug, avatarType, style, mood, details || '', seedStrategy, seed, createdBy);
+    return getCollection(guildId, slug);
+}
+
+/**
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {Collection|null}
+ */
+export function getCollection(guildId, name) {
+    const row = getDb().prepare('SELECT * FROM collections WHERE guild_id = ? AND name = ?')
+        .get(guildId, normalizeCollectionName(name));
+    return row ? fromRow(row) : null;
+}
+
+/**
+ * @param {string} guildId
+ * @returns {Collection[]}
+ */
+export function listCollections(guildId) {
+    return getDb().prepare('SELECT * FROM collections WHERE guild_id = ? ORDER BY name').all(guildId).map(fromRow);
+}
+
+/**
+ * Forget a collection, its traits and tokens. Files already written stay
+ * in the output folder.
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function deleteCollection(guildId, name) {
+    const collection = getCollection(guildId, name);
+    if (!collection) return false;
+
+    const d = getDb();
+    d.transaction(() => {
+        d.prepare('DELETE FROM collection_traits WHERE collection_id = ?').run(collection.id);
+        d.prepare('DELETE FROM collection_tokens WHERE collection_id = ?').run(collection.id);
+        d.prepare('DELETE FROM collections WHERE id = ?').run(collection.id);
+    })();
+    return true;
+}
+
+/**
+ * Keep the base prompt every token builds on.
+ * @param {number} collectionId
+ * @param {string} prompt
+ */
+export function setBasePrompt(collectionId, prompt) {
+    getDb().prepare('UPDATE collections SET base_prompt = ? WHERE id = ?').run(prompt, collectionId);
+}
+
+// ── Traits ───────────────────────────────────────────────────────
+
+/**
+ * Add a trait value to a layer, or change its weight.
+ * @param {number} collectionId
+ * @param {string} layer
+ * @param {string} value
+ * @param {number} weight — 1–1000
+ * @returns {CollectionTrait}
+ * @throws {Error} with a user-facing message for a bad layer, value or weight
+ */
+export function setTrait(collectionId, layer, value, weight) {
+    const text = (value || '').trim();
+    if (!TRAIT_LAYERS.includes(layer)) throw new Error(`Unknown trait layer \`${layer}\`. Use one of: ${TRAIT_LAYERS.join(', ')}.`);
+    if (!text) throw new Error('Trait values can\'t be empty.');
+    if (!Number.isInteger(weight) || weight < 1 || weight > 1000) throw new Error('Trait weights must be whole numbers from 1 to 1000.');
+
+    getDb().prepare(`
+        INSERT INTO collection_traits (collection_id, layer, value, weight) VALUES (?, ?, ?, ?)
+        ON CONFLICT(collection_id, layer, value) DO UPDATE SET weight = excluded.weight
+    `).run(collectionId, layer, text, weight);
+    return { layer, value: text, weight };
+}
+
+/**
+ * @param {number} collectionId
+ * @param {string} layer
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function removeTrait(collectionId, layer, value) {
+    return getDb().prepare('DELETE FROM collection_traits WHERE collection_id = ? AND layer = ? AND value = ?')
+        .run(collectionId, layer, (value || '').trim()).changes > 0;
+}
+
+/**
+ * A collection's traits in layer order, heaviest first within a layer.
+ * @param {number} collectionId
+ * @returns {CollectionTrait[]}
+ */
+export function listTraits(collectionId) {
+    return getDb().prepare('SELECT layer, value, weight FROM collection_traits WHERE collection_id = ? ORDER BY weight DESC, value')
+        .all(collectionId)
+        .sort((a, b) => TRAIT_LAYERS.indexOf(a.layer) - TRAIT_LAYERS.indexOf(b.layer));
+}
+
+// ── Tokens ───────────────────────────────────────────────────────
+
+/**
+ * @param {number} collectionId
+ * @returns {CollectionToken[]}
+ */
+export function listTokens(collectionId) {
+    return getDb().prepare('SELECT * FROM collection_tokens WHERE collection_id = ? ORDER BY token_id')
+        .all(collectionId).map(tokenFromRow);
+}
+
+/**
+ * @param {number} collectionId
+ * @param {CollectionToken} token
+ */
+export function saveToken(collectionId, token) {
+    getDb().prepare(`
+        INSERT OR REPLACE INTO collection_tokens (collection_id, token_id, seed, traits_json, prompt, model, file_name)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(collectionId, token.tokenId, token.seed, JSON.stringify(token.traits), token.prompt || '', token.model || null, token.fileName || null);
+}
+
+/**
+ * @param {Object<string, string>} traits
+ * @returns {string}
+ */
+function combinationKey(traits) {
+    return TRAIT_LAYERS.map(layer => traits[layer] ?? '').join('|');
+}
+
+/**
+ * Plan the next `count` tokens, filling the lowest free token ids first
+ * (so a token that failed to render is retried): one weighted draw per
+ * layer that has traits, re-drawn (up to a limit) when the combination is
+ * already taken. Each token's draws are seeded from the collection's base
+ * seed and its token id, so the same set always plans the same way.
+ * @param {Collection} collection
+ * @param {CollectionTrait[]} traits
+ * @param {CollectionToken[]} existing — tokens already made
+ * @param {number} count
+ * @returns {CollectionToken[]}
+ */
+export function planTokens(collection, traits, existing, count) {
+    const layers = TRAIT_LAYERS
+        .map(layer => ({ layer, options: traits.filter(t => t.layer === layer) }))
+        .filter(({ options }) => options.length > 0);
+    const taken = new Set(existing.map(token => combinationKey(token.traits)));
+    const usedIds = new Set(existing.map(token => token.tokenId));
+
+    const planned = [];
+    for (let tokenId = 1; planned.length < count; tokenId++) {
+        if (usedIds.has(tokenId)) continue;
+        const rng = createRng((collection.baseSeed + Math.imul(tokenId, 0x9E3779B1)) >>> 0);
+        let picked = {};
+        for (let attempt = 0; attempt < UNIQUE_ATTEMPTS; attempt++) {
+            picked = {};
+            for (const { layer, options } of layers) {
+                picked[layer] = options[pickWeighted(options.map(o => o.weight), rng)].value;
+            }
+            if (!taken.has(combinationKey(picked))) break;
+        }
+        taken.add(combinationKey(picked));
+
+        const seed = collection.seedStrategy === 'random'
+            ? Math.floor(rng() * MAX_SEED)
+            : collection.seedStrategy === 'sequential'
+                ? (collection.baseSeed + tokenId - 1) % (MAX_SEED + 1)
+                : collection.baseSeed;
+        planned.push({ tokenId, seed, traits: picked });
+    }
+    return planned;
+}
+
+/** How each layer reads in a token prompt */
+const LAYER_PHRASES = {
+    background: (value) => `${value} background`,
+    outfit: (value) => `wearing ${value}`,
+    accessory: (value) => `with ${value}`,
+    expression: (value) => `${value} expression`,
+};
+
+/**
+ * The base prompt with a token's traits appended.
+ * @param {string} basePrompt
+ * @param {Object<string, string>} traits
+ * @returns {string}
+ */
+export function tokenPrompt(basePrompt, traits) {
+    const phrases = TRAIT_LAYERS.filter(layer => traits[layer]).map(layer => LAYER_PHRASES[layer](traits[layer]));
+    return [basePrompt.trim().replace(/[.,\s]+$/, ''), ...phrases].join(', ');
+}
+
+// ── Exports ──────────────────────────────────────────────────────
+
+/**
+ * @param {string} layer
+ * @returns {string}
+ */
+function traitType(layer) {
+    return layer.charAt(0).toUpperCase() + layer.slice(1);
+}
+
+/**
+ * A token's metadata in the common ERC-721 shape (name, description,
+ * image, attributes).
+ * @param {Collection} collection
+ * @param {CollectionToken} token
+ * @param {string} [imageBaseUri] — defaults to COLLECTIONS_IMAGE_BASE_URI
+ * @returns {{name: string, description: string, image: string, attributes: {trait_type: string, value: string|number}[]}}
+ */
+export function buildTokenMetadata(collection, token, imageBaseUri = sharedConfig.collections.imageBaseUri) {
+    return {
+        name: `${collection.name} #${token.tokenId}`,
+        description: `Token ${token.tokenId} of ${collection.name}, a PFP collection (${collection.avatarType}, ${collection.style}, ${collection.mood}).`,
+        image: `${imageBaseUri}${token.fileName || `${token.tokenId}.png`}`,
+        attributes: [
+            ...TRAIT_LAYERS.filter(layer => token.traits[layer]).map(layer => ({ trait_type: traitType(layer), value: token.traits[layer] })),
+            { trait_type: 'Seed', value: token.seed },
+        ],
+    };
+}
+
+/**
+ * @typedef {Object} RarityTable
+ * @property {{layer: string, value: string, count: number, percent: number}[]} traits — rarest first within each layer
+ * @property {{tokenId: number, score: number, rank: number}[]} ranking — rarest token first
+ */
+
+/**
+ * How often each trait value occurs, and each token's rarity score: the
+ * sum over layers of 1 / the share of tokens with its value. Tokens made
+ * before a layer had traits count as 'None' for it.
+ * @param {CollectionToken[]} tokens
+ * @returns {RarityTable}
+ */
+export function buildRarityTable(tokens) {
+    const layers = TRAIT_LAYERS.filter(layer => tokens.some(token => token.traits[layer]));
+    const counts = new Map();
+    const traitOf = (token, layer) => {
+        const value = token.traits[layer] ?? 'None';
+        const key = `${layer}|${value}`;
+        if (!counts.has(key)) counts.set(key, { layer, value, count: 0 });
+        return counts.get(key);
+    };
+    for (const token of tokens) {
+        for (const layer of layers) traitOf(token, layer).count++;
+    }
+
+    const traits = [...counts.values()]
+        .map(t => ({ ...t, percent: Math.round((t.count / tokens.length) * 1000) / 10 }))
+        .sort((a, b) => TRAIT_LAYERS.indexOf(a.layer) - TRAIT_LAYERS.indexOf(b.layer) || a.count - b.count || a.value.localeCompare(b.value));
+
+    const ranking = tokens.map(token => ({
+        tokenId: token.tokenId,
+        score: Math.round(layers.reduce((sum, layer) => sum + tokens.length / traitOf(token, layer).count, 0) * 100) / 100,
+    }))
+        .sort((a, b) => b.score - a.score || a.tokenId - b.tokenId)
+        .map((entry, i) => ({ ...entry, rank: i + 1 }));
+
+    return { traits, ranking };
+}
+
+/**
+ * @param {string|number} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The rarity table as CSV: trait frequencies, a blank line, then the
+ * token ranking.
+ * @param {RarityTable} table
+ * @returns {string}
+ */
+export function formatRarityCsv(table) {
+    const rows = [
+        ['layer', 'value', 'count', 'percent'],
+        ...table.traits.map(t => [t.layer, t.value, t.count, t.percent]),
+        [],
+        ['rank', 'token', 'score'],
+        ...table.ranking.map(r => [r.rank, r.tokenId, r.score]),
+    ];
+    return `${rows.map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Folder a collection's files live in: images/, metadata/ and the rarity tables.
+ * @param {Collection} collection
+ * @returns {string}
+ */
+export function collectionDir(collection) {
+    return path.join(sharedConfig.collections.outputDir, collection.guildId, collection.name);
+}
+
+/**
+ * Write a metadata JSON file per token and the rarity table (JSON and CSV).
+ * @param {Collection} collection
+ * @param {CollectionToken[]} tokens
+ * @returns {{dir: string, rarity: RarityTable, rarityCsvPath: string}}
+ */
+export function writeCollectionFiles(collection, tokens) {
+    const dir = collectionDir(collection);
+    const metadataDir = path.join(dir, 'metadata');
+    fs.mkdirSync(metadataDir, { recursive: true });
+
+    for (const token of tokens) {
+        fs.writeFileSync(path.join(metadataDir, `${token.tokenId}.json`), `${JSON.stringify(buildTokenMetadata(collection, token), null, 2)}\n`);
+    }
+    const rarity = buildRarityTable(tokens);
+    const rarityCsvPath = path.join(dir, 'rarity.csv');
+    fs.writeFileSync(path.join(dir, 'rarity.json'), `${JSON.stringify(rarity, null, 2)}\n`);
+    fs.writeFileSync(rarityCsvPath, formatRarityCsv(rarity));
+    return { dir, rarity, rarityCsvPath };
+}
@@ -44,6 +44,8 @@ export const sharedConfig = {
         defaultImageModel: process.env.IMAGE_MODEL_ID || process.env.SOGNI_DEFAULT_IMAGE_MODEL || SOGNI_MODELS.IMAGE[0].id,
         /** Default edit model */
         defaultEditModel: process.env.SOGNI_DEFAULT_EDIT_MODEL || SOGNI_MODELS.EDIT[0].id,
+        /** Model used when /edit is given a mask or region */
+        inpaintModel: process.env.SOGNI_INPAINT_MODEL || 'flux-dev-inpainting',
         /** Default video models by workflow */
         videoModels: {
             t2v: process.env.VIDEO_MODEL_ID || SOGNI_MODELS.VIDEO.find(m => m.workflow === 't2v')?.id || SOGNI_MODELS.VIDEO[0].id,
@@ -62,6 +64,94 @@ export const sharedConfig = {
         seedStrategy: process.env.SOGNI_SEED_STRATEGY || 'prompt-hash',
     },
 
+    modelProfiles: {
+        /** JSON file holding per-guild model profile overrides */
+        overridesPath: process.env.MODEL_OVERRIDES_PATH || path.join(process.cwd(), 'data', 'model-overrides.json'),
+    },
+
+    media: {
+        /** ffmpeg binary (defaults to the bundled ffmpeg-static) */
+        ffmpegPath: process.env.FFMPEG_PATH || null,
+        /** Longest an ffmpeg conversion may run, in ms */
+        ffmpegTimeoutMs: parseInt(process.env.FFMPEG_TIMEOUT_MS) || 120000,
+        /** Limits on s2v audio uploads (they are trimmed or padded to the video length) */
+        maxAudioBytes: parseInt(process.env.MEDIA_MAX_AUDIO_BYTES) || 25 * 1024 * 1024,
+        maxAudioSec: parseInt(process.env.MEDIA_MAX_AUDIO_SEC) || 300,
+        minAudioSec: parseFloat(process.env.MEDIA_MIN_AUDIO_SEC) || 1,
+        /** Limits on animate driving clips (longer clips are cut to maxDrivingSec) */
+        maxVideoBytes: parseInt(process.env.MEDIA_MAX_VIDEO_BYTES) || 50 * 1024 * 1024,
+        maxDrivingSec: parseInt(process.env.MEDIA_MAX_DRIVING_SEC) || 10,
+        /** Animated preview attached next to fitted videos: 'gif' or 'webp' */
+        previewFormat: process.env.MEDIA_PREVIEW_FORMAT || 'gif',
+        /** Where full-quality results are kept for download links */
+        storeDir: process.env.MEDIA_STORE_DIR || './data/media',
+        /** How long stored results and their download links last, in hours */
+        retentionHours: parseInt(process.env.MEDIA_RETENTION_HOURS) || 72,
+        /** Public base URL of the dashboard; download links are off without it */
+        publicUrl: process.env.DASHBOARD_PUBLIC_URL || null,
+        /** Key for signing download links; links are off without it. Never the dashboard login key */
+        downloadSecret: process.env.MEDIA_DOWNLOAD_SECRET || null,
+    },
+
+    styles: {
+        /** Path to SQLite database for per-guild style presets */
+        dbPath: process.env.STYLES_DB_PATH || path.join(process.cwd(), 'data', 'styles.sqlite'),
+    },
+
+    history: {
+        /** Path to SQLite database for per-user generation history (/gallery) */
+        dbPath: process.env.HISTORY_DB_PATH || path.join(process.cwd(), 'data', 'history.sqlite'),
+        /** Entries per /gallery page */
+        pageSize: parseInt(process.env.HISTORY_PAGE_SIZE) || 5,
+        /** Oldest entries beyond this many per user are dropped */
+        maxPerUser: parseInt(process.env.HISTORY_MAX_PER_USER) || 1000,
+    },
+
+    showcase: {
+        /** Path to SQLite database for showcase settings, entries and votes */
+        dbPath: process.env.SHOWCASE_DB_PATH || path.join(process.cwd(), 'data', 'showcase.sqlite'),
+        /** How often to check for a finished showcase week in ms (default 1 hour) */
+        checkIntervalMs: parseInt(process.env.SHOWCASE_CHECK_MS) || 60 * 60 * 1000,
+        /** Submissions per user per week */
+        maxEntriesPerWeek: parseInt(process.env.SHOWCASE_MAX_ENTRIES) || 3,
+    },
+
+    pfp: {
+        /** Path to SQLite database for PFP wizard sessions */
+        dbPath: process.env.PFP_DB_PATH || path.join(process.cwd(), 'data', 'pfp.sqlite'),
+        /** Unfinished wizards can be resumed for this long in hours */
+        sessionTtlHours: parseInt(process.env.PFP_SESSION_TTL_HOURS) || 24,
+    },
+
+    collections: {
+        /** Path to SQLite database for PFP collections, their traits and tokens */
+        dbPath: process.env.COLLECTIONS_DB_PATH || path.join(process.cwd(), 'data', 'collections.sqlite'),
+        /** Folder the images, token metadata and rarity tables are written to */
+        outputDir: process.env.COLLECTIONS_DIR || path.join(process.cwd(), 'data', 'collections'),
+        /** Prefix for each token's `image` field, e.g. ipfs://<CID>/ once the images are pinned */
+        imageBaseUri: process.env.COLLECTIONS_IMAGE_BASE_URI || '',
+        /** Most tokens one collection may hold */
+        maxTokens: parseInt(process.env.COLLECTIONS_MAX_TOKENS) || 100,
+        /** Most tokens one /collection generate run may render */
+        maxPerRun: parseInt(process.env.COLLECTIONS_MAX_PER_RUN) || 20,
+    },
+
+    enhance: {
+        /** Path to SQLite database for guild prompt-enhancement templates */
+        dbPath: process.env.ENHANCE_DB_PATH || path.join(process.cwd(), 'data', 'enhance.sqlite'),
+        /** Enhancement /imagine uses when neither the request nor the user picks one: off, light or full */
+        defaultMode: process.env.ENHANCE_DEFAULT_MODE || 'full',
+        /** Most templates one guild may keep */
+        maxTemplates: parseInt(process.env.ENHANCE_MAX_TEMPLATES) || 10,
+    },
+
+    dynamicPrompts: {
+        /** Folder holding `__wildcard__` files (one option per line) */
+        wildcardsDir: process.env.WILDCARDS_DIR || path.join(process.cwd(), 'wildcards'),
+        /** Most prompts a combinatorial /imagine batch may expand to */
+        maxCombinations: parseInt(process.env.DYNAMIC_PROMPT_MAX_COMBINATIONS) || 16,
+    },
+
     memory: {
         /** Path to SQLite database for long-term memory */
         dbPath: process.env.MEMORY_DB_PATH || path.join(process.cwd(), 'data', 'memory.sqlite'),
@@ -76,6 +166,59 @@ export const sharedConfig = {
         pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_MS) || 15000,
     },
 
+    queue: {
+        /** Path to SQLite database for generation jobs */
+        dbPath: process.env.QUEUE_DB_PATH || path.join(process.cwd(), 'data', 'jobs.sqlite'),
+        /** Max Sogni jobs running at once across all guilds */
+        maxConcurrent: parseInt(process.env.QUEUE_MAX_CONCURRENT) || 4,
+        /** Max Sogni jobs running at once for a single guild */
+        maxPerGuild: parseInt(process.env.QUEUE_MAX_PER_GUILD) || 2,
+        /** Minimum ms between progress edits of a running job's reply (Discord rate-limits edits) */
+        progressEditMs: parseInt(process.env.QUEUE_PROGRESS_EDIT_MS) || 3000,
+    },
+
+    providers: {
+        /** Backend per workflow: 'cli' (sogni-gen worker) or 'sdk' (SogniClientWrapper) */
+        image: process.env.PROVIDER_IMAGE || 'cli',
+        edit: process.env.PROVIDER_EDIT || 'cli',
+        video: process.env.PROVIDER_VIDEO || 'cli',
+        angles360: process.env.PROVIDER_ANGLES360 || 'cli',
+        /** Retry on the other backend when the preferred one can't be reached */
+        failover: process.env.PROVIDER_FAILOVER !== 'false',
+        /** Consecutive failures before a backend is benched */
+        failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || 3,
+        /** How long a benched backend is tried only as a last resort, in seconds */
+        cooldownSec: parseInt(process.env.PROVIDER_COOLDOWN_SEC) || 120,
+    },
+
+    mock: {
+        /** Replace both Sogni backends with the local mock (no network or credentials) */
+        enabled: process.env.SOGNI_MOCK === 'true',
+        /** 'ok', 'fail', 'timeout' or 'flaky' (jobs with odd seeds fail) */
+        scenario: process.env.SOGNI_MOCK_SCENARIO || 'ok',
+        /** Progress updates per job, and the delay before each in ms */
+        progressSteps: parseInt(process.env.SOGNI_MOCK_STEPS) || 5,
+        stepMs: parseInt(process.env.SOGNI_MOCK_STEP_MS) || 200,
+        /** Where placeholder images and videos are written */
+        outputDir: process.env.SOGNI_MOCK_DIR || path.join(os.tmpdir(), 'sogni-mock'),
+    },
+
+    budget: {
+        /** Path to SQLite database for Spark allowances and spend */
+        dbPath: process.env.BUDGET_DB_PATH || path.join(process.cwd(), 'data', 'budget.sqlite'),
+        /** Alert the mod log when the wallet drops below this many Spark */
+        lowBalanceSpark: parseFloat(process.env.BUDGET_LOW_BALANCE_SPARK) || 50,
+        /** How often to poll the wallet balance in ms (default 15 min) */
+        balanceCheckIntervalMs: parseInt(process.env.BUDGET_BALANCE_CHECK_MS) || 15 * 60 * 1000,
+        /** Rough Spark costs used to estimate a job before it runs */
+        costs: {
+            image: parseFloat(process.env.BUDGET_COST_IMAGE) || 1,          // per 1024x1024 image
+            edit: parseFloat(process.env.BUDGET_COST_EDIT) || 2,            // per edited image / 360 angle
+            videoPerSecond: parseFloat(process.env.BUDGET_COST_VIDEO_SEC) || 4,
+            angles360Video: parseFloat(process.env.BUDGET_COST_360_VIDEO) || 6,
+        },
+    },
+
     bot: {
         sessionTimeoutMs: parseInt(process.env.SESSION_TIMEOUT_MS) || 300000,
         /** Per-user cooldown in ms between slash commands */
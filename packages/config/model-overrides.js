@@ -0,0 +1,88 @@
+/**
+ * Per-Guild Model Overrides
+ * Admin-set defaults (steps, guidance, sampler, negative prompt) layered on
+ * top of the built-in MODEL_PROFILES. Stored as JSON:
+ * `{ [guildId]: { [modelId]: { steps?, guidance?, sampler?, negativePrompt? } } }`
+ * @module packages/config/model-overrides
+ */
+import fs from 'fs';
+import path from 'path';
+import { sharedConfig } from './index.js';
+
+/** Profile keys a guild may override */
+export const OVERRIDABLE_KEYS = ['steps', 'guidance', 'sampler', 'negativePrompt'];
+
+/** @type {Record<string, Record<string, object>>|null} */
+let cache = null;
+
+function load() {
+    if (cache) return cache;
+    try {
+        cache = fs.existsSync(sharedConfig.modelProfiles.overridesPath)
+            ? JSON.parse(fs.readFileSync(sharedConfig.modelProfiles.overridesPath, 'utf8'))
+            : {};
+    } catch (err) {
+        console.error('[ModelOverrides] Failed to load overrides:', err.message);
+        cache = {};
+    }
+    return cache;
+}
+
+function save() {
+    const dir = path.dirname(sharedConfig.modelProfiles.overridesPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(sharedConfig.modelProfiles.overridesPath, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Get a guild's overrides for one model.
+ * @param {string} guildId
+ * @param {string} modelId
+ * @returns {object} — empty when nothing is overridden
+ */
+export function getGuildModelOverrides(guildId, modelId) {
+    if (!guildId) return {};
+    return load()[guildId]?.[modelId] || {};
+}
+
+/**
+ * List every model a guild has overridden.
+ * @param {string} guildId
+ * @returns {Record<string, object>}
+ */
+export function listGuildModelOverrides(guildId) {
+    return load()[guildId] || {};
+}
+
+/**
+ * Merge overrides into a guild's settings for a model. Null values are ignored.
+ * @param {string} guildId
+ * @param {string} modelId
+ * @param {object} values
+ * @returns {object} — the model's overrides after the change
+ */
+export function setGuildModelOverrides(guildId, modelId, values) {
+    const data = load();
+    const current = data[guildId]?.[modelId] || {};
+    for (const key of OVERRIDABLE_KEYS) {
+        if (values[key] != null) current[key] = values[key];
+    }
+    data[guildId] = { ...(data[guildId] || {}), [modelId]: current };
+    save();
+    return current;
+}
+
+/**
+ * Remove a guild's overrides for a model.
+ * @param {string} guildId
+ * @param {string} modelId
+ * @returns {boolean} — whether anything was removed
+ */
+export function clearGuildModelOverrides(guildId, modelId) {
+    const data = load();
+    if (!data[guildId]?.[modelId]) return false;
+    delete data[guildId][modelId];
+    if (Object.keys(data[guildId]).length === 0) delete data[guildId];
+    save();
+    return true;
+}
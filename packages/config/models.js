@@ -7,13 +7,13 @@
 
 export const SOGNI_MODELS = {
     IMAGE: [
-        { id: 'flux1-schnell-fp8', name: 'Flux.1 Schnell', tier: 'Fast', description: 'Exceptional quality in 1-4 steps.' },
-        { id: 'z_image_turbo_bf16', name: 'Z Image Turbo', tier: 'Turbo', description: 'Ultra-fast inference for rapid prototyping.' },
-        { id: 'flux2_dev_fp8', name: 'Flux.2 Dev', tier: 'Premium', description: 'The gold standard for detail and realism.' },
-        { id: 'chroma-v.46-flash_fp8', name: 'Chroma Flash', tier: 'Balanced', description: 'Highly optimized for vibrant social media styles.' },
-        { id: 'coreml-juggernautXL_juggXIByRundiffusion', name: 'Juggernaut XL', tier: 'Realism', description: 'Legendary photorealism and cinematic lighting.' },
-        { id: 'pony-diffusion-v6-xl', name: 'Pony XL v6', tier: 'Stylized', description: 'Unmatched for anime, stylized, and expressive art.' },
-        { id: 'sdxl-lightning-4step', name: 'SDXL Lightning', tier: 'Fast', description: 'High-speed SDXL variant (4 steps).' },
+        { id: 'flux1-schnell-fp8', name: 'Flux.1 Schnell', tier: 'Fast', description: 'Exceptional quality in 1-4 steps.', dimensions: { min: 256, max: 2048, multiple: 16, base: 1024 } },
+        { id: 'z_image_turbo_bf16', name: 'Z Image Turbo', tier: 'Turbo', description: 'Ultra-fast inference for rapid prototyping.', dimensions: { min: 512, max: 2048, multiple: 16, base: 1024 } },
+        { id: 'flux2_dev_fp8', name: 'Flux.2 Dev', tier: 'Premium', description: 'The gold standard for detail and realism.', dimensions: { min: 256, max: 2048, multiple: 16, base: 1024 } },
+        { id: 'chroma-v.46-flash_fp8', name: 'Chroma Flash', tier: 'Balanced', description: 'Highly optimized for vibrant social media styles.', dimensions: { min: 512, max: 1536, multiple: 16, base: 1024 } },
+        { id: 'coreml-juggernautXL_juggXIByRundiffusion', name: 'Juggernaut XL', tier: 'Realism', description: 'Legendary photorealism and cinematic lighting.', dimensions: { min: 512, max: 1536, multiple: 64, base: 1024 } },
+        { id: 'pony-diffusion-v6-xl', name: 'Pony XL v6', tier: 'Stylized', description: 'Unmatched for anime, stylized, and expressive art.', dimensions: { min: 512, max: 1536, multiple: 64, base: 1024 } },
+        { id: 'sdxl-lightning-4step', name: 'SDXL Lightning', tier: 'Fast', description: 'High-speed SDXL variant (4 steps).', dimensions: { min: 512, max: 1536, multiple: 64, base: 1024 } },
     ],
 
     EDIT: [
@@ -55,3 +55,265 @@ export function getModel(category, id) {
 export function getModelIds(category) {
     return (SOGNI_MODELS[category] || []).map(m => m.id);
 }
+
+// ── Model Profiles ───────────────────────────────────────────────
+
+/** Negative prompt used by models that benefit from one */
+export const DEFAULT_NEGATIVE_PROMPT = 'bad anatomy, bad hands, bad quality, blurry, distorted, low quality, lowres, malformation, missing fingers, ugly, watermark, worst quality, text, logo, signature, cropped, error, jpeg artifacts';
+
+/** Samplers the Sogni workers understand */
+export const SAMPLERS = ['euler', 'euler_a', 'dpm_pp_2m', 'dpm_pp_sde', 'lcm', 'uni_pc'];
+
+/**
+ * Technical profile per model: defaults plus the ranges users may tune
+ * within. `steps` and `guidance` ranges are inclusive [min, max].
+ * @type {Record<string, {steps: number, guidance: number, sampler: string, negativePrompt: string, ranges: {steps: number[], guidance: number[]}, samplers: string[]}>}
+ */
+export const MODEL_PROFILES = {
+    'z_image_turbo_bf16': {
+        steps: 4, guidance: 1.0, sampler: 'euler', negativePrompt: DEFAULT_NEGATIVE_PROMPT,
+        ranges: { steps: [1, 12], guidance: [0.5, 3] }, samplers: ['euler', 'euler_a', 'lcm'],
+    },
+    'flux1-schnell-fp8': {
+        steps: 4, guidance: 1.0, sampler: 'euler', negativePrompt: '', // Flux Schnell often works better without negative
+        ranges: { steps: [1, 8], guidance: [0.5, 2] }, samplers: ['euler'],
+    },
+    'flux2_dev_fp8': {
+        steps: 25, guidance: 3.5, sampler: 'euler', negativePrompt: DEFAULT_NEGATIVE_PROMPT,
+        ranges: { steps: [10, 50], guidance: [1, 7] }, samplers: ['euler', 'euler_a', 'uni_pc'],
+    },
+    'chroma-v.46-flash_fp8': {
+        steps: 8, guidance: 2.5, sampler: 'euler', negativePrompt: DEFAULT_NEGATIVE_PROMPT,
+        ranges: { steps: [4, 20], guidance: [1, 5] }, samplers: ['euler', 'euler_a'],
+    },
+    'coreml-juggernautXL_juggXIByRundiffusion': {
+        steps: 30, guidance: 6, sampler: 'dpm_pp_2m', negativePrompt: DEFAULT_NEGATIVE_PROMPT,
+        ranges: { steps: [15, 60], guidance: [2, 12] }, samplers: ['euler', 'euler_a', 'dpm_pp_2m', 'dpm_pp_sde', 'uni_pc'],
+    },
+    'pony-diffusion-v6-xl': {
+        steps: 25, guidance: 7, sampler: 'euler_a', negativePrompt: DEFAULT_NEGATIVE_PROMPT,
+        ranges: { steps: [15, 60], guidance: [2, 12] }, samplers: ['euler', 'euler_a', 'dpm_pp_2m', 'dpm_pp_sde', 'uni_pc'],
+    },
+    'sdxl-lightning-4step': {
+        steps: 4, guidance: 1.5, sampler: 'euler', negativePrompt: DEFAULT_NEGATIVE_PROMPT,
+        ranges: { steps: [2, 8], guidance: [1, 2.5] }, samplers: ['euler', 'lcm'],
+    },
+    'wan_v2.2-14b-fp8_t2v_lightx2v': {
+        steps: 4, guidance: 1.0, sampler: 'euler', negativePrompt: 'blurry, static, no movement, low quality, watermark, text, out of frame, distorted',
+        ranges: { steps: [2, 8], guidance: [1, 2] }, samplers: ['euler'],
+    },
+    'wan_v2.2-14b-fp8_i2v_lightx2v': {
+        steps: 4, guidance: 1.0, sampler: 'euler', negativePrompt: 'blurry, static, low quality, watermark, text, out of frame, distorted',
+        ranges: { steps: [2, 8], guidance: [1, 2] }, samplers: ['euler'],
+    },
+    'qwen_image_edit_2511_fp8_lightning': {
+        steps: 4, guidance: 1.5, sampler: 'euler', negativePrompt: DEFAULT_NEGATIVE_PROMPT,
+        ranges: { steps: [2, 8], guidance: [1, 3] }, samplers: ['euler'],
+    },
+};
+
+/**
+ * Profiles for models without their own entry, picked by model family so
+ * an unknown Flux model doesn't inherit SDXL settings (or vice versa).
+ */
+const FAMILY_PROFILES = [
+    { match: /flux/i, profile: 'flux2_dev_fp8' },
+    { match: /turbo|lightning|schnell/i, profile: 'z_image_turbo_bf16' },
+    { match: /xl|sdxl|pony|juggernaut/i, profile: 'coreml-juggernautXL_juggXIByRundiffusion' },
+    { match: /wan/i, profile: 'wan_v2.2-14b-fp8_t2v_lightx2v' },
+];
+
+/**
+ * Get the built-in profile for a model.
+ * @param {string} modelId
+ * @returns {{profile: object, fallback: string|null}} — `fallback` names the profile borrowed for unknown models
+ */
+export function getBaseProfile(modelId) {
+    if (MODEL_PROFILES[modelId]) return { profile: MODEL_PROFILES[modelId], fallback: null };
+    const family = FAMILY_PROFILES.find(f => f.match.test(modelId || ''));
+    const fallback = family ? family.profile : 'z_image_turbo_bf16';
+    return { profile: MODEL_PROFILES[fallback], fallback };
+}
+
+/**
+ * How much of a prompt each model's text encoder reads, by model family.
+ * Anything past the limit is silently dropped, so it can never shape the image.
+ */
+const PROMPT_ENCODERS = [
+    { match: /flux|chroma/i, encoder: 'T5', tokens: 512 },
+    { match: /qwen|z_image|wan/i, encoder: 'LLM', tokens: 1024 },
+    { match: /xl|sdxl|pony|juggernaut|lightning/i, encoder: 'CLIP', tokens: 77 },
+];
+
+/**
+ * Get the prompt token limit of a model's text encoder. Unknown models get
+ * the strictest limit (CLIP's 77) so a long prompt is flagged rather than missed.
+ * @param {string} modelId
+ * @returns {{encoder: string, tokens: number}}
+ */
+export function getPromptTokenLimit(modelId) {
+    const family = PROMPT_ENCODERS.find(f => f.match.test(modelId || ''));
+    return family ? { encoder: family.encoder, tokens: family.tokens } : { encoder: 'CLIP', tokens: 77 };
+}
+
+/**
+ * Clamp a number into an inclusive range.
+ * @param {number} value
+ * @param {number[]} range — [min, max]
+ */
+function clamp(value, [min, max]) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Work out the effective generation profile for a model.
+ *
+ * Layers, lowest first: built-in profile, the guild's overrides, then the
+ * caller's options. Steps and guidance are clamped to the model's ranges
+ * and unsupported samplers fall back to the model default; each change is
+ * reported in `adjustments` so the user can be told.
+ *
+ * @param {string} modelId
+ * @param {object} [layers]
+ * @param {object} [layers.guild] — per-guild overrides {steps, guidance, sampler, negativePrompt}
+ * @param {object} [layers.options] — per-request options {steps, guidance, sampler, negativePrompt}
+ * @param {string} [layers.prompt] — realism keywords raise the step floor
+ * @returns {{modelId: string, steps: number, guidance: number, sampler: string, negativePrompt: string, ranges: object, samplers: string[], fallback: string|null, sources: Record<string, string>, adjustments: string[]}}
+ */
+export function resolveModelProfile(modelId, { guild = {}, options = {}, prompt = '' } = {}) {
+    const { profile, fallback } = getBaseProfile(modelId);
+    const effective = {
+        steps: profile.steps,
+        guidance: profile.guidance,
+        sampler: profile.sampler,
+        negativePrompt: profile.negativePrompt,
+    };
+    const sources = { steps: 'model', guidance: 'model', sampler: 'model', negativePrompt: 'model' };
+
+    // Realism keywords want a few more steps than the model default
+    const lowerPrompt = prompt.toLowerCase();
+    if (lowerPrompt.includes('realistic') || lowerPrompt.includes('photography')) {
+        const isTurbo = /turbo/i.test(modelId);
+        const isFlux = /flux/i.test(modelId);
+        effective.steps = Math.max(effective.steps, isTurbo ? 6 : (isFlux ? 8 : 30));
+    }
+
+    for (const [source, layer] of [['guild', guild], ['request', options]]) {
+        for (const key of Object.keys(effective)) {
+            if (layer?.[key] != null && layer[key] !== '') {
+                effective[key] = layer[key];
+                sources[key] = source;
+            }
+        }
+    }
+
+    const adjustments = [];
+    const steps = clamp(Math.round(effective.steps), profile.ranges.steps);
+    if (steps !== effective.steps) adjustments.push(`steps ${effective.steps} → ${steps} (allowed ${profile.ranges.steps.join('–')})`);
+    const guidance = clamp(effective.guidance, profile.ranges.guidance);
+    if (guidance !== effective.guidance) adjustments.push(`guidance ${effective.guidance} → ${guidance} (allowed ${profile.ranges.guidance.join('–')})`);
+    let sampler = effective.sampler;
+    if (!profile.samplers.includes(sampler)) {
+        adjustments.push(`sampler ${sampler} → ${profile.sampler} (supported: ${profile.samplers.join(', ')})`);
+        sampler = profile.sampler;
+    }
+    // Profile ranges clamp 'realistic' boosts too — only report user-driven changes
+    const reported = adjustments.filter(a => !a.startsWith('steps') || sources.steps !== 'model');
+
+    return {
+        modelId,
+        steps,
+        guidance,
+        sampler,
+        negativePrompt: effective.negativePrompt,
+        ranges: profile.ranges,
+        samplers: profile.samplers,
+        fallback,
+        sources,
+        adjustments: reported,
+    };
+}
+
+/** Aspect-ratio presets offered by /imagine, as [width, height] ratios */
+export const ASPECT_PRESETS = {
+    '1:1': [1, 1],
+    '3:4': [3, 4],
+    '4:3': [4, 3],
+    '9:16': [9, 16],
+    '16:9': [16, 9],
+};
+
+/** Most images a single /imagine request may produce */
+export const MAX_IMAGE_COUNT = 4;
+
+/** Largest seed Sogni accepts (unsigned 32-bit) */
+export const MAX_SEED = 4294967295;
+
+/** Dimension limits used for models that don't declare their own */
+const DEFAULT_DIMENSIONS = { min: 512, max: 1536, multiple: 16, base: 1024 };
+
+/**
+ * Round to the nearest multiple, kept inside [min, max].
+ * @param {number} value
+ * @param {{min: number, max: number, multiple: number}} dims
+ * @returns {number}
+ */
+function snapDimension(value, dims) {
+    const snapped = Math.round(value / dims.multiple) * dims.multiple;
+    return Math.min(dims.max, Math.max(dims.min, snapped));
+}
+
+/**
+ * Work out the final width/height for an image model.
+ *
+ * An aspect preset fixes the ratio: with neither side given, the longer
+ * side is the model's native base size; with one side given, the other is
+ * derived from it. Explicit sizes outside the model's limits are rejected;
+ * every side is then rounded to the model's size multiple, and a side
+ * derived from an aspect is clamped into its limits.
+ *
+ * @param {object} params
+ * @param {string} params.modelId
+ * @param {number} [params.width]
+ * @param {number} [params.height]
+ * @param {string} [params.aspect] — key of ASPECT_PRESETS
+ * @param {number} [params.defaultWidth]
+ * @param {number} [params.defaultHeight]
+ * @returns {{width: number, height: number}}
+ * @throws {Error} when the aspect is unknown or a size is out of range
+ */
+export function resolveImageDimensions({ modelId, width, height, aspect, defaultWidth, defaultHeight }) {
+    const model = SOGNI_MODELS.IMAGE.find(m => m.id === modelId);
+    const dims = model?.dimensions || DEFAULT_DIMENSIONS;
+    const label = model?.name || modelId;
+
+    for (const [name, value] of [['width', width], ['height', height]]) {
+        if (value == null) continue;
+        if (value < dims.min || value > dims.max) {
+            throw new Error(`${label} supports ${name} between ${dims.min} and ${dims.max}px (got ${value}).`);
+        }
+    }
+
+    if (aspect) {
+        const ratio = ASPECT_PRESETS[aspect];
+        if (!ratio) {
+            throw new Error(`Unknown aspect ratio "${aspect}". Try one of: ${Object.keys(ASPECT_PRESETS).join(', ')}.`);
+        }
+        const [rw, rh] = ratio;
+        if (width != null && height != null) {
+            throw new Error('Pass either an aspect ratio or both width and height, not all three.');
+        }
+        if (width != null) return { width: snapDimension(width, dims), height: snapDimension(width * rh / rw, dims) };
+        if (height != null) return { width: snapDimension(height * rw / rh, dims), height: snapDimension(height, dims) };
+
+        const longSide = dims.base;
+        return rw >= rh
+            ? { width: snapDimension(longSide, dims), height: snapDimension(longSide * rh / rw, dims) }
+            : { width: snapDimension(longSide * rw / rh, dims), height: snapDimension(longSide, dims) };
+    }
+
+    return {
+        width: snapDimension(width ?? defaultWidth ?? dims.base, dims),
+        height: snapDimension(height ?? defaultHeight ?? dims.base, dims),
+    };
+}
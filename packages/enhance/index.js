@@ -0,0 +1,161 @@
+/**
+ * Enhance Package — how /imagine rewrites a prompt before rendering
+ *
+ * Three built-in modes: `off` sends the prompt as written, `light` polishes
+ * it without changing its style, `full` is the hyper-technical blueprint
+ * rewrite. Guilds add their own templates: Gemini guidelines such as "cozy
+ * storybook watercolour, under 40 words". Each user can pick a default,
+ * kept in packages/memory.
+ * @module packages/enhance
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+
+let db = null;
+
+/** Built-in enhancement modes, in the order they are offered */
+export const ENHANCE_MODES = {
+    off: { emoji: '✏️', label: 'Off', description: 'Use the prompt exactly as written' },
+    light: { emoji: '🪶', label: 'Light', description: 'Polish the wording and add a few fitting details, keeping your style' },
+    full: { emoji: '🏛️', label: 'Full', description: 'Rewrite it into a dense, hyper-technical blueprint' },
+};
+
+/**
+ * @typedef {Object} EnhanceTemplate
+ * @property {string} name — slug, e.g. 'storybook'
+ * @property {string} instructions — guidelines Gemini rewrites the prompt with
+ * @property {string|null} createdBy
+ * @property {string} updatedAt
+ */
+
+/**
+ * An enhancement ready to run: a built-in mode, or a guild template.
+ * @typedef {Object} Enhancement
+ * @property {'off'|'light'|'full'|'template'} mode
+ * @property {string} name — the mode or template name
+ * @property {string} label — for display, e.g. '🪶 Light'
+ * @property {string} [instructions] — template guidelines
+ */
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.enhance.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS enhance_templates (
+      guild_id     TEXT NOT NULL,
+      name         TEXT NOT NULL,
+      instructions TEXT NOT NULL,
+      created_by   TEXT,
+      updated_at   TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (guild_id, name)
+    );
+  `);
+    return db;
+}
+
+/**
+ * Turn a display name into a template slug.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeTemplateName(name) {
+    return (name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 32);
+}
+
+/**
+ * @param {object} row
+ * @returns {EnhanceTemplate}
+ */
+function fromRow(row) {
+    return {
+        name: row.name,
+        instructions: row.instructions,
+        createdBy: row.created_by || null,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * @param {string} guildId
+ * @returns {EnhanceTemplate[]}
+ */
+export function listEnhanceTemplates(guildId) {
+    if (!guildId) return [];
+    return getDb().prepare('SELECT * FROM enhance_templates WHERE guild_id = ? ORDER BY name').all(guildId).map(fromRow);
+}
+
+/**
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {EnhanceTemplate|null}
+ */
+export function getEnhanceTemplate(guildId, name) {
+    if (!guildId) return null;
+    const row = getDb().prepare('SELECT * FROM enhance_templates WHERE guild_id = ? AND name = ?')
+        .get(guildId, normalizeTemplateName(name));
+    return row ? fromRow(row) : null;
+}
+
+/**
+ * Create or replace a guild template.
+ * @param {string} guildId
+ * @param {string} name
+ * @param {string} instructions
+ * @param {string} [createdBy]
+ * @returns {EnhanceTemplate}
+ * @throws {Error} with a user-facing message for a bad name or a full server
+ */
+export function saveEnhanceTemplate(guildId, name, instructions, createdBy) {
+    const slug = normalizeTemplateName(name);
+    if (!slug) throw new Error('Template names need at least one letter or number.');
+    if (ENHANCE_MODES[slug]) throw new Error(`\`${slug}\` is a built-in mode — pick another name.`);
+    if (!instructions?.trim()) throw new Error('Templates need some instructions.');
+    if (!getEnhanceTemplate(guildId, slug) && listEnhanceTemplates(guildId).length >= sharedConfig.enhance.maxTemplates) {
+        throw new Error(`This server already has ${sharedConfig.enhance.maxTemplates} templates — remove one first.`);
+    }
+
+    getDb().prepare(`
+        INSERT INTO enhance_templates (guild_id, name, instructions, created_by, updated_at)
+        VALUES (?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(guild_id, name) DO UPDATE SET instructions = excluded.instructions, updated_at = datetime('now')
+    `).run(guildId, slug, instructions.trim(), createdBy || null);
+    return getEnhanceTemplate(guildId, slug);
+}
+
+/**
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {boolean} — whether anything was removed
+ */
+export function deleteEnhanceTemplate(guildId, name) {
+    const result = getDb().prepare('DELETE FROM enhance_templates WHERE guild_id = ? AND name = ?')
+        .run(guildId, normalizeTemplateName(name));
+    return result.changes > 0;
+}
+
+/**
+ * Look up an enhancement by name: a built-in mode, or one of the guild's
+ * templates.
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {Enhancement|null} — null when there's no such mode or template
+ */
+export function resolveEnhancement(guildId, name) {
+    const slug = normalizeTemplateName(name);
+    const builtin = ENHANCE_MODES[slug];
+    if (builtin) return { mode: slug, name: slug, label: `${builtin.emoji} ${builtin.label}` };
+
+    const template = getEnhanceTemplate(guildId, slug);
+    return template
+        ? { mode: 'template', name: template.name, label: `📝 ${template.name}`, instructions: template.instructions }
+        : null;
+}
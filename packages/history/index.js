@@ -0,0 +1,191 @@
+/**
+ * History Package — every finished generation, per user
+ *
+ * Backs `/gallery` and the dashboard's gallery view. Each entry keeps the
+ * prompt as typed and as sent to Sogni, the model, seed, size, workflow and
+ * result URLs, plus the command params so it can be reused as a template.
+ * Only the newest HISTORY_MAX_PER_USER entries per user are kept.
+ * @module packages/history
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+
+let db = null;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id
+ * @property {string} userId
+ * @property {string} guildId — '' for DMs
+ * @property {string} channelId
+ * @property {string} kind — job kind the entry can be re-run as: 'image' | 'edit' | 'video' | 'angles360'
+ * @property {string} workflow — what actually ran, e.g. 'image', 'inpaint', 'i2v', 'pfp'
+ * @property {string} prompt — as the user wrote it
+ * @property {string|null} enhancedPrompt — as sent to Sogni, when it differs
+ * @property {string|null} model
+ * @property {number|null} seed
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string[]} urls
+ * @property {object|null} request — command params, for reuse as a template
+ * @property {string} createdAt — SQLite datetime (UTC)
+ */
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.history.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS generation_history (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id         TEXT NOT NULL,
+      guild_id        TEXT DEFAULT '',
+      channel_id      TEXT DEFAULT '',
+      kind            TEXT NOT NULL,
+      workflow        TEXT NOT NULL,
+      prompt          TEXT NOT NULL,
+      enhanced_prompt TEXT,
+      model           TEXT,
+      seed            INTEGER,
+      width           INTEGER,
+      height          INTEGER,
+      urls_json       TEXT NOT NULL DEFAULT '[]',
+      request_json    TEXT,
+      created_at      TEXT DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_history_user ON generation_history(user_id, id);
+    CREATE INDEX IF NOT EXISTS idx_history_guild ON generation_history(guild_id, id);
+  `);
+    return db;
+}
+
+/**
+ * @param {object} row
+ * @returns {HistoryEntry}
+ */
+function fromRow(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        guildId: row.guild_id || '',
+        channelId: row.channel_id || '',
+        kind: row.kind,
+        workflow: row.workflow,
+        prompt: row.prompt,
+        enhancedPrompt: row.enhanced_prompt || null,
+        model: row.model || null,
+        seed: row.seed ?? null,
+        width: row.width || null,
+        height: row.height || null,
+        urls: JSON.parse(row.urls_json || '[]'),
+        request: row.request_json ? JSON.parse(row.request_json) : null,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Record a finished generation.
+ * @param {object} entry
+ * @param {string} entry.userId
+ * @param {string} [entry.guildId]
+ * @param {string} [entry.channelId]
+ * @param {string} entry.kind
+ * @param {string} [entry.workflow] — defaults to the kind
+ * @param {string} entry.prompt
+ * @param {string} [entry.enhancedPrompt]
+ * @param {string} [entry.model]
+ * @param {number} [entry.seed]
+ * @param {number} [entry.width]
+ * @param {number} [entry.height]
+ * @param {string[]} [entry.urls]
+ * @param {object} [entry.request]
+ * @returns {number} — the new entry's id
+ */
+export function recordGeneration(entry) {
+    const d = getDb();
+    const enhanced = entry.enhancedPrompt && entry.enhancedPrompt !== entry.prompt ? entry.enhancedPrompt : null;
+    const { lastInsertRowid } = d.prepare(`
+        INSERT INTO generation_history
+          (user_id, guild_id, channel_id, kind, workflow, prompt, enhanced_prompt, model, seed, width, height, urls_json, request_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        entry.userId, entry.guildId || '', entry.channelId || '', entry.kind, entry.workflow || entry.kind,
+        entry.prompt || '', enhanced, entry.model || null, entry.seed ?? null, entry.width || null, entry.height || null,
+        JSON.stringify((entry.urls || []).filter(Boolean)), entry.request ? JSON.stringify(entry.request) : null,
+    );
+
+    // Keep the newest entries per user
+    d.prepare(`
+        DELETE FROM generation_history
+        WHERE user_id = ? AND id NOT IN (
+          SELECT id FROM generation_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+        )
+    `).run(entry.userId, entry.userId, sharedConfig.history.maxPerUser);
+
+    return Number(lastInsertRowid);
+}
+
+/**
+ * Get one entry by id.
+ * @param {number} id
+ * @returns {HistoryEntry|null}
+ */
+export function getHistoryEntry(id) {
+    const row = getDb().prepare('SELECT * FROM generation_history WHERE id = ?').get(id);
+    return row ? fromRow(row) : null;
+}
+
+/**
+ * Escape LIKE wildcards so a search matches the text literally.
+ * @param {string} text
+ * @returns {string}
+ */
+function likePattern(text) {
+    return `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+/**
+ * One page of history, newest first. `query` matches the prompt as typed
+ * or as enhanced, case-insensitively.
+ * @param {object} [filter]
+ * @param {string} [filter.userId] — omit to list everyone's (dashboard)
+ * @param {string} [filter.guildId]
+ * @param {string} [filter.query]
+ * @param {number} [filter.page] — 1-based, clamped to the pages there are
+ * @param {number} [filter.pageSize]
+ * @returns {{entries: HistoryEntry[], total: number, page: number, pages: number}}
+ */
+export function listHistory({ userId, guildId, query, page = 1, pageSize = sharedConfig.history.pageSize } = {}) {
+    const where = [];
+    const args = [];
+    if (userId) {
+        where.push('user_id = ?');
+        args.push(userId);
+    }
+    if (guildId) {
+        where.push('guild_id = ?');
+        args.push(guildId);
+    }
+    if (query?.trim()) {
+        where.push(`(prompt LIKE ? ESCAPE '\\' OR enhanced_prompt LIKE ? ESCAPE '\\')`);
+        args.push(likePattern(query.trim()), likePattern(query.trim()));
+    }
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const d = getDb();
+    const { total } = d.prepare(`SELECT COUNT(*) AS total FROM generation_history ${clause}`).get(...args);
+    const pages = Math.max(1, Math.ceil(total / pageSize));
+    const current = Math.min(Math.max(Math.floor(page) || 1, 1), pages);
+    const rows = d.prepare(`SELECT * FROM generation_history ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`)
+        .all(...args, pageSize, (current - 1) * pageSize);
+
+    return { entries: rows.map(fromRow), total, page: current, pages };
+}
@@ -217,3 +217,68 @@ export function deleteAllUserMemory(userId) {
     const filePath = getUserMemoryPath(userId);
     if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
 }
+
+// ── Seed Lock ────────────────────────────────────────────────────
+
+const SEED_LOCK_KEY = 'seed_lock';
+
+/**
+ * Get the seed a user has locked for their generations.
+ * @param {string} userId
+ * @returns {number|null}
+ */
+export function getSeedLock(userId) {
+    const value = getUserMemory(userId, SEED_LOCK_KEY);
+    if (value === null) return null;
+    const seed = Number(value);
+    return Number.isInteger(seed) && seed >= 0 ? seed : null;
+}
+
+/**
+ * Lock a seed for all of a user's generations until they unlock it.
+ * @param {string} userId
+ * @param {number} seed
+ */
+export function setSeedLock(userId, seed) {
+    saveUserMemory(userId, SEED_LOCK_KEY, String(seed));
+}
+
+/**
+ * Remove a user's seed lock.
+ * @param {string} userId
+ * @returns {boolean} — whether a lock existed
+ */
+export function clearSeedLock(userId) {
+    return deleteUserMemory(userId, SEED_LOCK_KEY);
+}
+
+// ── Enhancement Default ──────────────────────────────────────────
+
+const ENHANCE_DEFAULT_KEY = 'enhance_default';
+
+/**
+ * Get the prompt enhancement a user picked as their /imagine default.
+ * @param {string} userId
+ * @returns {string|null} — a mode (off, light, full) or a template name
+ */
+export function getEnhanceDefault(userId) {
+    return getUserMemory(userId, ENHANCE_DEFAULT_KEY);
+}
+
+/**
+ * Set the enhancement a user's /imagine runs use when they don't pick one.
+ * @param {string} userId
+ * @param {string} name
+ */
+export function setEnhanceDefault(userId, name) {
+    saveUserMemory(userId, ENHANCE_DEFAULT_KEY, name);
+}
+
+/**
+ * Go back to the bot-wide default enhancement.
+ * @param {string} userId
+ * @returns {boolean} — whether a default was set
+ */
+export function clearEnhanceDefault(userId) {
+    return deleteUserMemory(userId, ENHANCE_DEFAULT_KEY);
+}
@@ -0,0 +1,112 @@
+/**
+ * PFP Package — persisted PFP wizard sessions
+ *
+ * One session per user holds the wizard's answers and current step, so a
+ * wizard interrupted by a restart (or just left for later) resumes where
+ * it stopped the next time the user runs `/pfp`, in a server or in DMs.
+ * Sessions untouched for PFP_SESSION_TTL_HOURS are dropped.
+ * @module packages/pfp
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+
+let db = null;
+
+/**
+ * @typedef {Object} PfpSession
+ * @property {string} userId
+ * @property {string|null} guildId — whose style library the wizard offers; null in DMs
+ * @property {string} channelId — where the wizard was started
+ * @property {number} step — index of the current question; equal to the question count on the review step
+ * @property {Object<string, any>} answers — question id → option value or custom text, plus `avatar` ({url, description}) when starting from the member's avatar
+ * @property {boolean} generating — set while the PFP renders, to ignore double clicks
+ * @property {number} [updatedAt] — epoch ms
+ */
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.pfp.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS pfp_sessions (
+      user_id      TEXT PRIMARY KEY,
+      guild_id     TEXT,
+      channel_id   TEXT DEFAULT '',
+      step         INTEGER DEFAULT 0,
+      answers_json TEXT NOT NULL DEFAULT '{}',
+      generating   INTEGER DEFAULT 0,
+      updated_at   INTEGER NOT NULL
+    );
+  `);
+    return db;
+}
+
+/**
+ * @param {object} row
+ * @returns {PfpSession}
+ */
+function fromRow(row) {
+    return {
+        userId: row.user_id,
+        guildId: row.guild_id || null,
+        channelId: row.channel_id || '',
+        step: row.step,
+        answers: JSON.parse(row.answers_json || '{}'),
+        generating: row.generating === 1,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * A user's unfinished wizard, if it has not expired.
+ * @param {string} userId
+ * @param {number} [now] — epoch ms
+ * @returns {PfpSession|null}
+ */
+export function getPfpSession(userId, now = Date.now()) {
+    const d = getDb();
+    const row = d.prepare('SELECT * FROM pfp_sessions WHERE user_id = ?').get(userId);
+    if (!row) return null;
+    if (now - row.updated_at > sharedConfig.pfp.sessionTtlHours * 60 * 60 * 1000) {
+        d.prepare('DELETE FROM pfp_sessions WHERE user_id = ?').run(userId);
+        return null;
+    }
+    return fromRow(row);
+}
+
+/**
+ * Create or update a session.
+ * @param {PfpSession} session
+ * @param {number} [now] — epoch ms
+ * @returns {PfpSession}
+ */
+export function savePfpSession(session, now = Date.now()) {
+    getDb().prepare(`
+        INSERT INTO pfp_sessions (user_id, guild_id, channel_id, step, answers_json, generating, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id) DO UPDATE SET
+          guild_id = excluded.guild_id, channel_id = excluded.channel_id, step = excluded.step,
+          answers_json = excluded.answers_json, generating = excluded.generating, updated_at = excluded.updated_at
+    `).run(
+        session.userId, session.guildId || null, session.channelId || '', session.step,
+        JSON.stringify(session.answers || {}), session.generating ? 1 : 0, now,
+    );
+    return { ...session, updatedAt: now };
+}
+
+/**
+ * End a user's wizard.
+ * @param {string} userId
+ * @returns {boolean} — false if there was none
+ */
+export function deletePfpSession(userId) {
+    return getDb().prepare('DELETE FROM pfp_sessions WHERE user_id = ?').run(userId).changes > 0;
+}
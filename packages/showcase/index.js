@@ -0,0 +1,369 @@
+/**
+ * Showcase Package — weekly, voted gallery of bot generations
+ *
+ * Users opt in per image with the "Submit to Showcase" button on their
+ * results. Entries are posted to the guild's showcase channel with a vote
+ * button and the prompt hidden; once the ISO week is over the monitor
+ * closes it, ranks the entries by votes and hands the winners to a
+ * callback that announces them with their prompts revealed.
+ * @module packages/showcase
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+
+let db = null;
+let monitorTimer = null;
+
+/**
+ * @typedef {Object} ShowcaseSettings
+ * @property {string} guildId
+ * @property {string} channelId — where entries and winners are posted
+ * @property {string|null} roleId — granted to each week's winners
+ * @property {number} reputation — reputation awarded to each winner (0–5)
+ * @property {number} winners — how many places are announced
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} ShowcaseEntry
+ * @property {number} id
+ * @property {string} guildId
+ * @property {string} userId
+ * @property {string} stateId — image state the entry was submitted from
+ * @property {string} week — ISO week, e.g. '2026-W42'
+ * @property {string} imageUrl
+ * @property {string} prompt — hidden until the week closes
+ * @property {string|null} model
+ * @property {number|null} seed
+ * @property {string|null} messageId — the post in the showcase channel
+ * @property {'open'|'closed'} status
+ * @property {number|null} place — 1-based, set on winners when the week closes
+ * @property {number} votes
+ */
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.showcase.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS showcase_settings (
+      guild_id   TEXT PRIMARY KEY,
+      channel_id TEXT NOT NULL,
+      role_id    TEXT,
+      reputation INTEGER DEFAULT 0,
+      winners    INTEGER DEFAULT 3,
+      enabled    INTEGER DEFAULT 1,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+    CREATE TABLE IF NOT EXISTS showcase_entries (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id   TEXT NOT NULL,
+      user_id    TEXT NOT NULL,
+      state_id   TEXT NOT NULL,
+      week       TEXT NOT NULL,
+      image_url  TEXT NOT NULL,
+      prompt     TEXT NOT NULL DEFAULT '',
+      model      TEXT,
+      seed       INTEGER,
+      message_id TEXT,
+      status     TEXT DEFAULT 'open',
+      place      INTEGER,
+      created_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (guild_id, state_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_showcase_week ON showcase_entries(guild_id, week, status);
+    CREATE TABLE IF NOT EXISTS showcase_votes (
+      entry_id   INTEGER NOT NULL,
+      user_id    TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (entry_id, user_id)
+    );
+  `);
+    return db;
+}
+
+/**
+ * @param {object} row
+ * @returns {ShowcaseSettings}
+ */
+function settingsFromRow(row) {
+    return {
+        guildId: row.guild_id,
+        channelId: row.channel_id,
+        roleId: row.role_id || null,
+        reputation: row.reputation || 0,
+        winners: row.winners || 1,
+        enabled: row.enabled === 1,
+    };
+}
+
+/**
+ * @param {object} row — an entry row joined with its vote count
+ * @returns {ShowcaseEntry}
+ */
+function entryFromRow(row) {
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        userId: row.user_id,
+        stateId: row.state_id,
+        week: row.week,
+        imageUrl: row.image_url,
+        prompt: row.prompt,
+        model: row.model || null,
+        seed: row.seed ?? null,
+        messageId: row.message_id || null,
+        status: row.status,
+        place: row.place ?? null,
+        votes: row.votes || 0,
+    };
+}
+
+const ENTRY_SELECT = `
+    SELECT e.*, (SELECT COUNT(*) FROM showcase_votes v WHERE v.entry_id = e.id) AS votes
+    FROM showcase_entries e`;
+
+/**
+ * ISO-8601 week of a date (UTC), the unit showcase rounds run in.
+ * @param {Date} [date]
+ * @returns {string} — e.g. '2026-W42'
+ */
+export function weekKey(date = new Date()) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    // The Thursday of this week decides which year the week belongs to
+    day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = 1 + Math.floor((day - yearStart) / (7 * 24 * 60 * 60 * 1000));
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// ── Settings ─────────────────────────────────────────────────────
+
+/**
+ * @param {string} guildId
+ * @returns {ShowcaseSettings|null}
+ */
+export function getShowcaseSettings(guildId) {
+    if (!guildId) return null;
+    const row = getDb().prepare('SELECT * FROM showcase_settings WHERE guild_id = ?').get(guildId);
+    return row ? settingsFromRow(row) : null;
+}
+
+/**
+ * Whether a guild takes showcase submissions.
+ * @param {string} guildId
+ * @returns {boolean}
+ */
+export function isShowcaseEnabled(guildId) {
+    return Boolean(getShowcaseSettings(guildId)?.enabled);
+}
+
+/**
+ * Turn the showcase on for a guild, or change its settings.
+ * @param {string} guildId
+ * @param {object} settings
+ * @param {string} settings.channelId
+ * @param {string|null} [settings.roleId]
+ * @param {number} [settings.reputation] — clamped to 0–5, the most one reputation change may be
+ * @param {number} [settings.winners] — clamped to 1–10
+ * @returns {ShowcaseSettings}
+ */
+export function setShowcaseSettings(guildId, { channelId, roleId = null, reputation = 0, winners = 3 }) {
+    getDb().prepare(`
+        INSERT INTO showcase_settings (guild_id, channel_id, role_id, reputation, winners, enabled)
+        VALUES (?, ?, ?, ?, ?, 1)
+        ON CONFLICT(guild_id) DO UPDATE SET
+          channel_id = excluded.channel_id, role_id = excluded.role_id, reputation = excluded.reputation,
+          winners = excluded.winners, enabled = 1, updated_at = datetime('now')
+    `).run(guildId, channelId, roleId, Math.min(Math.max(reputation, 0), 5), Math.min(Math.max(winners, 1), 10));
+    return getShowcaseSettings(guildId);
+}
+
+/**
+ * Stop taking submissions. Open entries still close with their week.
+ * @param {string} guildId
+ * @returns {boolean} — false if the showcase was not set up
+ */
+export function disableShowcase(guildId) {
+    return getDb().prepare('UPDATE showcase_settings SET enabled = 0, updated_at = datetime(\'now\') WHERE guild_id = ?')
+        .run(guildId).changes > 0;
+}
+
+// ── Entries and votes ────────────────────────────────────────────
+
+/**
+ * Enter an image into this week's showcase.
+ * @param {object} entry
+ * @param {string} entry.guildId
+ * @param {string} entry.userId
+ * @param {string} entry.stateId
+ * @param {string} entry.imageUrl
+ * @param {string} [entry.prompt]
+ * @param {string} [entry.model]
+ * @param {number} [entry.seed]
+ * @param {Date} [entry.now]
+ * @returns {ShowcaseEntry}
+ * @throws {Error} with a user-facing message when the entry is not allowed
+ */
+export function submitEntry({ guildId, userId, stateId, imageUrl, prompt = '', model = null, seed = null, now = new Date() }) {
+    if (!isShowcaseEnabled(guildId)) throw new Error('This server has no showcase set up.');
+
+    const d = getDb();
+    if (d.prepare('SELECT 1 FROM showcase_entries WHERE guild_id = ? AND state_id = ?').get(guildId, stateId)) {
+        throw new Error('This image is already in the showcase.');
+    }
+
+    const week = weekKey(now);
+    const { count } = d.prepare('SELECT COUNT(*) AS count FROM showcase_entries WHERE guild_id = ? AND user_id = ? AND week = ?')
+        .get(guildId, userId, week);
+    if (count >= sharedConfig.showcase.maxEntriesPerWeek) {
+        throw new Error(`You can submit ${sharedConfig.showcase.maxEntriesPerWeek} images a week — try again next week.`);
+    }
+
+    const { lastInsertRowid } = d.prepare(`
+        INSERT INTO showcase_entries (guild_id, user_id, state_id, week, image_url, prompt, model, seed)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(guildId, userId, stateId, week, imageUrl, prompt || '', model, seed ?? null);
+    return getEntry(Number(lastInsertRowid));
+}
+
+/**
+ * Remember which showcase-channel message shows an entry.
+ * @param {number} entryId
+ * @param {string} messageId
+ */
+export function setEntryMessage(entryId, messageId) {
+    getDb().prepare('UPDATE showcase_entries SET message_id = ? WHERE id = ?').run(messageId, entryId);
+}
+
+/**
+ * Withdraw an entry, e.g. when its post could not be made.
+ * @param {number} entryId
+ */
+export function removeEntry(entryId) {
+    const d = getDb();
+    d.prepare('DELETE FROM showcase_votes WHERE entry_id = ?').run(entryId);
+    d.prepare('DELETE FROM showcase_entries WHERE id = ?').run(entryId);
+}
+
+/**
+ * @param {number} id
+ * @returns {ShowcaseEntry|null}
+ */
+export function getEntry(id) {
+    const row = getDb().prepare(`${ENTRY_SELECT} WHERE e.id = ?`).get(id);
+    return row ? entryFromRow(row) : null;
+}
+
+/**
+ * Cast or take back a vote. One vote per user per entry; users cannot vote
+ * for their own entries or for closed weeks.
+ * @param {number} entryId
+ * @param {string} voterId
+ * @returns {{voted: boolean, votes: number}} — whether the user now has a vote on it
+ * @throws {Error} with a user-facing message when the vote is not allowed
+ */
+export function toggleVote(entryId, voterId) {
+    const entry = getEntry(entryId);
+    if (!entry) throw new Error('This showcase entry no longer exists.');
+    if (entry.status !== 'open') throw new Error('Voting for this week has closed.');
+    if (entry.userId === voterId) throw new Error('You cannot vote for your own entry.');
+
+    const d = getDb();
+    const removed = d.prepare('DELETE FROM showcase_votes WHERE entry_id = ? AND user_id = ?').run(entryId, voterId).changes > 0;
+    if (!removed) d.prepare('INSERT INTO showcase_votes (entry_id, user_id) VALUES (?, ?)').run(entryId, voterId);
+    return { voted: !removed, votes: getEntry(entryId).votes };
+}
+
+/**
+ * A week's entries, most votes first; ties go to the earlier submission.
+ * @param {string} guildId
+ * @param {string} [week] — defaults to the current week
+ * @returns {ShowcaseEntry[]}
+ */
+export function listWeekEntries(guildId, week = weekKey()) {
+    return getDb().prepare(`${ENTRY_SELECT} WHERE e.guild_id = ? AND e.week = ? ORDER BY votes DESC, e.id ASC`)
+        .all(guildId, week)
+        .map(entryFromRow);
+}
+
+/**
+ * Close a week: rank its entries and mark the top `winners` (with at least
+ * one vote) with their place.
+ * @param {string} guildId
+ * @param {string} week
+ * @returns {{entries: number, winners: ShowcaseEntry[]}}
+ */
+export function closeWeek(guildId, week) {
+    const places = getShowcaseSettings(guildId)?.winners || 3;
+    const entries = listWeekEntries(guildId, week).filter(entry => entry.status === 'open');
+
+    const d = getDb();
+    const close = d.prepare('UPDATE showcase_entries SET status = \'closed\', place = ? WHERE id = ?');
+    const winners = [];
+    d.transaction(() => {
+        entries.forEach((entry, i) => {
+            const place = i < places && entry.votes > 0 ? i + 1 : null;
+            close.run(place, entry.id);
+            if (place) winners.push({ ...entry, status: 'closed', place });
+        });
+    })();
+    return { entries: entries.length, winners };
+}
+
+/**
+ * Weeks that are over but still have open entries.
+ * @param {Date} [now]
+ * @returns {{guildId: string, week: string}[]}
+ */
+export function getDueWeeks(now = new Date()) {
+    return getDb().prepare('SELECT DISTINCT guild_id, week FROM showcase_entries WHERE status = \'open\' AND week < ? ORDER BY week')
+        .all(weekKey(now))
+        .map(row => ({ guildId: row.guild_id, week: row.week }));
+}
+
+// ── Weekly results ───────────────────────────────────────────────
+
+/**
+ * Close finished weeks as they come due and pass each result to the
+ * callback, which announces winners and hands out rewards.
+ * @param {(result: {guildId: string, week: string, settings: ShowcaseSettings|null, entries: number, winners: ShowcaseEntry[]}) => Promise<void>} callback
+ */
+export function startShowcaseMonitor(callback) {
+    const poll = async () => {
+        try {
+            for (const { guildId, week } of getDueWeeks()) {
+                const result = closeWeek(guildId, week);
+                try {
+                    await callback({ guildId, week, settings: getShowcaseSettings(guildId), ...result });
+                } catch (err) {
+                    console.error(`[Showcase] Could not announce ${week} for guild ${guildId}:`, err.message);
+                }
+            }
+        } catch (err) {
+            console.error('[Showcase] Weekly check error:', err.message);
+        }
+    };
+
+    poll();
+    monitorTimer = setInterval(poll, sharedConfig.showcase.checkIntervalMs);
+    console.log(`✅ [Showcase] Weekly monitor started (checking every ${sharedConfig.showcase.checkIntervalMs}ms)`);
+}
+
+/**
+ * Stop the weekly monitor.
+ */
+export function stopShowcaseMonitor() {
+    if (monitorTimer) {
+        clearInterval(monitorTimer);
+        monitorTimer = null;
+    }
+}
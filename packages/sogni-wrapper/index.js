@@ -10,18 +10,31 @@
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
 import { sharedConfig } from '../config/index.js';
 import { normalizeVideoDimensions } from '../../src/utils/sogniUtils.js';
+import { orderAngleFrames } from '../utils/turntable.js';
+import { parseProgressLine } from './progress.js';
 import ffmpegPath from 'ffmpeg-static';
 
 // Path to sogni-worker
 const SOGNI_GEN_PATH = path.resolve('packages/sogni-wrapper/sogni-worker.mjs');
 
+// Offline stand-in used when SOGNI_MOCK=true
+const MOCK_GEN_PATH = path.resolve('packages/sogni-wrapper/mock-worker.mjs');
+
 /**
  * Execute sogni-gen with the given arguments.
  * captureOutput: if true, returns parsed JSON output.
+ * @param {string[]} args
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] — kill the worker after this long (defaults to the image timeout)
+ * @param {AbortSignal} [options.signal] — kills the worker when aborted (rejects with code 'CANCELLED')
+ * @param {(event: import('./progress.js').ProgressEvent) => any} [options.onProgress] — called for each `[PROGRESS]` line
  */
-async function runSogniGen(args) {
+async function runSogniGen(args, options = {}) {
+    const timeoutMs = options.timeoutMs || sharedConfig.sogniGen.defaultImageTimeoutSec * 1000;
+
     return new Promise((resolve, reject) => {
         // Ensure --json is passed if we want to parse the result
         if (!args.includes('--json')) args.push('--json');
@@ -29,7 +42,8 @@ async function runSogniGen(args) {
         // Ensure quiet mode to avoid progress bars in logs
         if (!args.includes('-q') && !args.includes('--quiet')) args.push('-q');
 
-        console.log(`[SogniWrapper] Spawning: node ${SOGNI_GEN_PATH} ${args.join(' ')}`);
+        const workerPath = sharedConfig.mock.enabled ? MOCK_GEN_PATH : SOGNI_GEN_PATH;
+        console.log(`[SogniWrapper] Spawning: node ${workerPath} ${args.join(' ')}`);
 
         // Explicitly pass credentials and config from sharedConfig to the child process
         // This ensures that even if .env didn't have them (and they came from config defaults),
@@ -41,10 +55,15 @@ async function runSogniGen(args) {
             SOGNI_APP_ID: sharedConfig.sogni.appId,
             SOGNI_API_URL: sharedConfig.sogni.restEndpoint,
             SOGNI_SOCKET_URL: sharedConfig.sogni.socketEndpoint,
-            FFMPEG_PATH: ffmpegPath // Inject ffmpeg path for sogni-gen
+            FFMPEG_PATH: ffmpegPath, // Inject ffmpeg path for sogni-gen
+            // Mock settings may have been changed at runtime (tests), so pass the live values
+            SOGNI_MOCK_SCENARIO: sharedConfig.mock.scenario,
+            SOGNI_MOCK_STEPS: String(sharedConfig.mock.progressSteps),
+            SOGNI_MOCK_STEP_MS: String(sharedConfig.mock.stepMs),
+            SOGNI_MOCK_DIR: sharedConfig.mock.outputDir,
         };
 
-        const child = spawn('node', [SOGNI_GEN_PATH, ...args], {
+        const child = spawn('node', [workerPath, ...args], {
             env,
             stdio: ['ignore', 'pipe', 'pipe']
         });
@@ -78,16 +97,25 @@ async function runSogniGen(args) {
             } catch (_) { }
         });
 
+        let partialLine = '';
         child.stderr.on('data', (data) => {
             const chunk = data.toString();
             stderr += chunk;
 
-            // Log readable progress
-            if (chunk.includes('[PROGRESS]')) {
-                const lines = chunk.split('\n');
+            // Log readable progress and pass it on. A chunk can end mid-line,
+            // so only complete lines are parsed.
+            if ((partialLine + chunk).includes('[PROGRESS]')) {
+                const lines = (partialLine + chunk).split('\n');
+                partialLine = lines.pop();
                 lines.forEach(line => {
                     if (line.includes('[PROGRESS]')) {
                         console.log(`[SogniGen] ${line.trim()}`);
+                        const event = parseProgressLine(line);
+                        if (event && options.onProgress) {
+                            try {
+                                options.onProgress(event);
+                            } catch (_) { }
+                        }
                     }
                 });
             } else if (chunk.includes('[DEBUG]')) {
@@ -97,11 +125,23 @@ async function runSogniGen(args) {
             }
         });
 
-        // Timeout to prevent infinite hangs (2 minutes)
+        // Timeout to prevent infinite hangs
         const timeout = setTimeout(() => {
             child.kill();
-            reject(new Error('Generation timed out (120s). Sogni may be unreachable.'));
-        }, 120000);
+            reject(new Error(`Generation timed out (${Math.round(timeoutMs / 1000)}s). Sogni may be unreachable.`));
+        }, timeoutMs);
+
+        if (options.signal) {
+            const onAbort = () => {
+                clearTimeout(timeout);
+                child.kill();
+                const err = new Error('Generation cancelled');
+                err.code = 'CANCELLED';
+                reject(err);
+            };
+            if (options.signal.aborted) onAbort();
+            else options.signal.addEventListener('abort', onAbort, { once: true });
+        }
 
         child.on('close', (code) => {
             if (timeout && !timeout.destroyed) clearTimeout(timeout); // Check if already cleared/resolved
@@ -133,7 +173,13 @@ async function runSogniGen(args) {
 
 // ── Public API ───────────────────────────────────────────────────
 
-export async function generateImage(params) {
+/**
+ * @param {object} params
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(event: import('./progress.js').ProgressEvent) => any} [options.onProgress]
+ */
+export async function generateImage(params, options = {}) {
     const args = [];
 
     // Prompt
@@ -147,6 +193,12 @@ export async function generateImage(params) {
     if (params.height) args.push('--height', params.height.toString());
     if (params.count) args.push('--count', params.count.toString());
 
+    // Model profile (already clamped by resolveModelProfile)
+    if (params.steps) args.push('--steps', params.steps.toString());
+    if (params.guidance != null) args.push('--guidance', params.guidance.toString());
+    if (params.sampler) args.push('--sampler', params.sampler);
+    if (params.negativePrompt) args.push('--negative', params.negativePrompt);
+
     // Seed Strategy
     if (params.seed != null) {
         args.push('--seed', params.seed.toString());
@@ -155,7 +207,7 @@ export async function generateImage(params) {
     }
 
     try {
-        const result = await runSogniGen(args);
+        const result = await runSogniGen(args, { signal: options.signal, onProgress: options.onProgress });
 
         if (!result.success) {
             throw new Error(result.error || 'Generation failed');
@@ -163,12 +215,16 @@ export async function generateImage(params) {
 
         // Map sogni-gen result to expected internal format
         const urls = result.urls || (result.url ? [result.url] : []);
+        const seeds = result.seeds || (result.seed != null ? [result.seed] : []);
         return {
             success: true,
             url: urls[0],
             urls: urls,
-            seed: result.seed,
-            model: result.model
+            seed: seeds[0],
+            seeds: seeds,
+            model: result.model,
+            width: result.width,
+            height: result.height
         };
     } catch (err) {
         console.error('[SogniWrapper] generateImage error:', err);
@@ -176,7 +232,13 @@ export async function generateImage(params) {
     }
 }
 
-export async function editImage(params) {
+/**
+ * @param {object} params
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(event: import('./progress.js').ProgressEvent) => any} [options.onProgress]
+ */
+export async function editImage(params, options = {}) {
     const args = [];
 
     args.push(params.prompt);
@@ -186,23 +248,35 @@ export async function editImage(params) {
         throw new Error('Context image path is required for editing');
     }
     args.push('--context', params.contextPath);
+    if (params.maskPath) args.push('--mask', params.maskPath);
 
     if (params.model) args.push('--model', params.model);
     else if (sharedConfig.sogniGen.defaultEditModel) args.push('--model', sharedConfig.sogniGen.defaultEditModel);
 
+    if (params.width) args.push('--width', params.width.toString());
+    if (params.height) args.push('--height', params.height.toString());
+    if (params.seed != null) args.push('--seed', params.seed.toString());
+
     // Timeouts if needed
     if (params.timeout) args.push('--timeout', (params.timeout / 1000).toString());
 
     try {
-        const result = await runSogniGen(args);
+        const result = await runSogniGen(args, { timeoutMs: params.timeout, signal: options.signal, onProgress: options.onProgress });
         if (!result.success) {
             throw new Error(result.error || 'Edit failed');
         }
 
+        const urls = result.urls || (result.url ? [result.url] : []);
+        const seeds = result.seeds || (result.seed != null ? [result.seed] : []);
         return {
             success: true,
-            url: result.url || (result.urls ? result.urls[0] : null),
-            model: result.model
+            url: urls[0] || null,
+            urls: urls,
+            seed: seeds[0],
+            seeds: seeds,
+            model: result.model,
+            width: result.width,
+            height: result.height
         };
     } catch (err) {
         console.error('[SogniWrapper] editImage error:', err);
@@ -210,7 +284,13 @@ export async function editImage(params) {
     }
 }
 
-export async function generateVideo(params) {
+/**
+ * @param {object} params
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(event: import('./progress.js').ProgressEvent) => any} [options.onProgress]
+ */
+export async function generateVideo(params, options = {}) {
     const args = ['--video'];
 
     args.push(params.prompt);
@@ -245,8 +325,20 @@ export async function generateVideo(params) {
         args.push('--ref', params.refImage);
     }
 
+    // Reference Audio (s2v)
+    if (params.refAudio) {
+        args.push('--ref-audio', params.refAudio);
+    }
+
+    // Driving Video (animate-move / animate-replace)
+    if (params.refVideo) {
+        args.push('--ref-video', params.refVideo);
+    }
+
+    if (params.seed != null) args.push('--seed', params.seed.toString());
+
     try {
-        const result = await runSogniGen(args);
+        const result = await runSogniGen(args, { timeoutMs: sharedConfig.sogniGen.defaultVideoTimeoutSec * 1000, signal: options.signal, onProgress: options.onProgress });
         if (!result.success) {
             throw new Error(result.error || 'Video generation failed');
         }
@@ -254,6 +346,7 @@ export async function generateVideo(params) {
         return {
             success: true,
             url: result.url,
+            seed: result.seed ?? result.seeds?.[0],
             model: result.model
         };
     } catch (err) {
@@ -262,7 +355,14 @@ export async function generateVideo(params) {
     }
 }
 
-export async function generate360(params) {
+/**
+ * @param {object} params
+ * @param {import('../utils/multi-angle.js').AngleShot[]} [params.plan] — shots from planAngleShots (default: the eight azimuths)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(event: import('./progress.js').ProgressEvent) => any} [options.onProgress]
+ */
+export async function generate360(params, options = {}) {
     const args = ['--angles-360'];
 
     args.push(params.prompt);
@@ -273,29 +373,47 @@ export async function generate360(params) {
 
     if (params.model) args.push('--model', params.model);
 
+    // Custom turn: angle count, elevation sweep / orbit, distance
+    if (params.plan?.length) {
+        args.push('--angles-plan', JSON.stringify(params.plan.map(shot => ({
+            key: shot.key,
+            azimuth: shot.azimuth,
+            azimuthPrompt: shot.azimuthPrompt,
+            elevation: shot.elevation,
+            distance: shot.distance,
+            degrees: shot.degrees,
+            label: shot.label,
+        }))));
+    }
+
     // Video Output for 360
     if (params.makeVideo) {
         if (params.outputVideoPath) {
             args.push('--angles-360-video', params.outputVideoPath);
         } else {
             // Let sogni-gen handle it or temp path
-            args.push('--angles-360-video', path.resolve(require('os').tmpdir(), `360_${Date.now()}.mp4`));
+            args.push('--angles-360-video', path.resolve(os.tmpdir(), `360_${Date.now()}.mp4`));
         }
     }
 
     try {
-        const result = await runSogniGen(args);
+        const result = await runSogniGen(args, { timeoutMs: sharedConfig.sogniGen.defaultVideoTimeoutSec * 1000, signal: options.signal, onProgress: options.onProgress });
+
+        // sogni-gen reports one entry per azimuth under `angles`; keep them in
+        // turntable order for the sheet / GIF / viewer outputs
+        const angles = orderAngleFrames(result.angles);
+        const images = result.images || angles.map(frame => frame.source);
 
-        // sogni-gen returns { success: true, images: [...], video: path } for 360
         if (!result.success) {
             // Check for partial results (e.g. images generated but video failed)
-            if (result.images && result.images.length > 0) {
+            if (images.length > 0) {
                 console.warn('[SogniWrapper] Partial 360 success (video failed but images exist)');
                 return {
                     success: true, // Treat as success for the wrapper consumer
                     partial: true,
                     error: result.error,
-                    images: result.images,
+                    images,
+                    angles,
                     videoPath: null
                 };
             }
@@ -304,7 +422,8 @@ export async function generate360(params) {
 
         return {
             success: true,
-            images: result.images || [],
+            images,
+            angles,
             videoPath: result.video || result.videoPath
         };
     } catch (err) {
@@ -0,0 +1,249 @@
+/**
+ * Mock Sogni Backend — deterministic stand-in for offline development and CI
+ *
+ * Selected with SOGNI_MOCK=true. The mock worker (in place of sogni-gen)
+ * and the mock SDK client both render through here, so either backend
+ * gives the same placeholder for the same prompt and seed. Jobs report
+ * progress in steps and can be made to fail or hang, for every job
+ * (SOGNI_MOCK_SCENARIO) or just one (`[mock:fail]` / `[mock:timeout]` in
+ * the prompt).
+ * @module packages/sogni-wrapper/mock-backend
+ */
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { sharedConfig } from '../config/index.js';
+import { runFfmpeg } from '../utils/media.js';
+
+/** Values of SOGNI_MOCK_SCENARIO; 'flaky' fails jobs with odd seeds */
+export const MOCK_SCENARIOS = ['ok', 'fail', 'timeout', 'flaky'];
+
+/** Error message of a simulated failure */
+export const MOCK_FAILURE_MESSAGE = 'Mock Sogni: simulated worker failure';
+
+/**
+ * 32-bit FNV-1a hash.
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * The seed a mock job renders with: the requested one, or one derived
+ * from the prompt so unseeded jobs are still reproducible.
+ * @param {string} prompt
+ * @param {number|null|undefined} seed
+ * @returns {number}
+ */
+export function mockSeed(prompt, seed) {
+    return seed != null ? Number(seed) : hashString(prompt) % 2147483647;
+}
+
+/**
+ * Decide how a job ends. A directive in the prompt beats the scenario.
+ * @param {string} prompt
+ * @param {number} seed
+ * @param {string} [scenario]
+ * @returns {'ok'|'fail'|'timeout'}
+ */
+export function resolveMockOutcome(prompt, seed, scenario = sharedConfig.mock.scenario) {
+    if (/\[mock:fail\]/i.test(prompt)) return 'fail';
+    if (/\[mock:timeout\]/i.test(prompt)) return 'timeout';
+    if (scenario === 'fail' || scenario === 'timeout') return scenario;
+    if (scenario === 'flaky') return seed % 2 === 1 ? 'fail' : 'ok';
+    return 'ok';
+}
+
+/**
+ * Report progress in evenly spaced steps up to `untilPercent`.
+ * @param {(percent: number) => any} onProgress
+ * @param {number} [untilPercent]
+ * @returns {Promise<void>}
+ */
+export async function simulateProgress(onProgress, untilPercent = 100) {
+    const { progressSteps, stepMs } = sharedConfig.mock;
+    for (let step = 1; step <= progressSteps; step++) {
+        const percent = Math.round((step / progressSteps) * 100);
+        if (percent > untilPercent) break;
+        await new Promise(resolve => setTimeout(resolve, stepMs));
+        onProgress(percent);
+    }
+}
+
+// ── Placeholder images ───────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/** @returns {[number, number, number]} */
+function hslToRgb(hue, saturation, lightness) {
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        return Math.round(255 * (lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+    return [channel(0), channel(8), channel(4)];
+}
+
+/**
+ * Encode a placeholder PNG: a diagonal gradient whose hue comes from the
+ * prompt and seed, crossed by a lighter band that moves with `index`.
+ * @param {object} options
+ * @param {string} options.prompt
+ * @param {number} options.seed
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} [options.index] — image in the batch / angle in a turn
+ * @returns {Buffer}
+ */
+export function renderPlaceholderPng({ prompt, seed, width, height, index = 0 }) {
+    const hue = hashString(`${prompt}|${seed}`) % 360;
+    const start = hslToRgb(hue, 0.65, 0.6);
+    const end = hslToRgb((hue + 60) % 360, 0.65, 0.25);
+    const band = ((index * 0.37) % 1) * (width + height);
+
+    const raw = Buffer.alloc((width * 3 + 1) * height);
+    let offset = 0;
+    for (let y = 0; y < height; y++) {
+        raw[offset++] = 0; // filter: none
+        for (let x = 0; x < width; x++) {
+            const t = (x + y) / (width + height);
+            const glow = Math.abs(x + y - band) < Math.max(width, height) * 0.04 ? 60 : 0;
+            for (let c = 0; c < 3; c++) {
+                raw[offset++] = Math.min(255, Math.round(start[c] + (end[c] - start[c]) * t) + glow);
+            }
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.writeUInt8(8, 8); // bit depth
+    header.writeUInt8(2, 9); // colour type: RGB
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+function getOutputDir() {
+    const dir = path.resolve(sharedConfig.mock.outputDir);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/** File name shared by every render of the same job, so reruns overwrite */
+function outputName(kind, { prompt, seed, width, height }, index, ext) {
+    return `mock-${kind}-${hashString(`${prompt}|${width}x${height}`).toString(16)}-${seed}-${index}${ext}`;
+}
+
+/**
+ * Write a batch of placeholder images.
+ * @param {object} job
+ * @param {string} job.prompt
+ * @param {number} job.seed — seed of the first image; the rest count up from it
+ * @param {number} [job.width]
+ * @param {number} [job.height]
+ * @param {number} [job.count]
+ * @returns {{paths: string[], seeds: number[], width: number, height: number}}
+ */
+export function renderMockImages(job) {
+    const width = job.width || sharedConfig.sogniGen.defaultWidth;
+    const height = job.height || sharedConfig.sogniGen.defaultHeight;
+    const seeds = Array.from({ length: Math.max(job.count || 1, 1) }, (_, i) => job.seed + i);
+
+    const paths = seeds.map((seed, i) => {
+        const filePath = path.join(getOutputDir(), outputName('image', { ...job, seed, width, height }, i, '.png'));
+        fs.writeFileSync(filePath, renderPlaceholderPng({ prompt: job.prompt, seed, width, height, index: i }));
+        return filePath;
+    });
+    return { paths, seeds, width, height };
+}
+
+/**
+ * Write one placeholder image per planned shot of a 360° turn, in the
+ * per-angle shape sogni-gen reports.
+ * @param {object} job
+ * @param {string} job.prompt
+ * @param {number} job.seed — shared by every shot, as in the real flow
+ * @param {{key: string, index?: number, degrees?: number, label?: string}[]} job.shots
+ * @returns {{azimuth: string, index: number, degrees: number, label: string, urls: string[], localPaths: string[], seeds: number[]}[]}
+ */
+export function renderMockAngles({ prompt, seed, shots }) {
+    const size = 512;
+    return shots.map((shot, i) => {
+        const index = shot.index ?? i;
+        const filePath = path.join(getOutputDir(), outputName('angle', { prompt, seed, width: size, height: size }, index, '.png'));
+        fs.writeFileSync(filePath, renderPlaceholderPng({ prompt, seed, width: size, height: size, index }));
+        return {
+            azimuth: shot.key,
+            index,
+            degrees: shot.degrees ?? index * (360 / shots.length),
+            label: shot.label || shot.key,
+            urls: [filePath],
+            localPaths: [filePath],
+            seeds: [seed],
+        };
+    });
+}
+
+/**
+ * Render a placeholder clip (a flat colour from the prompt and seed) with
+ * ffmpeg.
+ * @param {object} job
+ * @param {string} job.prompt
+ * @param {number} job.seed
+ * @param {number} [job.width]
+ * @param {number} [job.height]
+ * @param {number} [job.fps]
+ * @param {number} [job.duration] — seconds
+ * @param {string} [outputPath] — defaults to a file in the mock output directory
+ * @returns {Promise<string>} — the video path
+ */
+export async function renderMockVideo(job, outputPath = null) {
+    const width = job.width || 512;
+    const height = job.height || 512;
+    const fps = job.fps || sharedConfig.sogniGen.defaultFps;
+    const duration = job.duration || sharedConfig.sogniGen.defaultDurationSec;
+    const filePath = outputPath || path.join(getOutputDir(), outputName('video', { ...job, width, height }, 0, '.mp4'));
+
+    const colour = hslToRgb(hashString(`${job.prompt}|${job.seed}`) % 360, 0.65, 0.5)
+        .map(c => c.toString(16).padStart(2, '0')).join('');
+    const { code, stderr } = await runFfmpeg([
+        '-y', '-f', 'lavfi', '-i', `color=c=0x${colour}:s=${width}x${height}:r=${fps}:d=${duration}`,
+        '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart',
+        filePath,
+    ]);
+    if (code !== 0) {
+        throw new Error(`Mock Sogni could not render a placeholder video: ${stderr.trim().split('\n').pop()}`);
+    }
+    return filePath;
+}
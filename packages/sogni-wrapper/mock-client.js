@@ -0,0 +1,145 @@
+/**
+ * Mock SogniClientWrapper — loaded by ImageGenerator instead of
+ * `@sogni-ai/sogni-client-wrapper` when SOGNI_MOCK=true.
+ *
+ * Exports the same names and the parts of the client the bot uses:
+ * connect / isConnected / on, createProject and createImageEditProject.
+ * Image projects come back already finished (after their progress
+ * events); video projects finish in the background and resolve
+ * `waitForCompletion()`. A 'timeout' outcome returns a project that never
+ * finishes, so ImageGenerator's own timeouts are what fire.
+ * @module packages/sogni-wrapper/mock-client
+ */
+import { EventEmitter } from 'events';
+import {
+    mockSeed, resolveMockOutcome, simulateProgress, renderMockImages, renderMockVideo,
+    MOCK_FAILURE_MESSAGE,
+} from './mock-backend.js';
+
+/** Event names, matching the SDK's ClientEvent keys */
+export const ClientEvent = {
+    CONNECTED: 'connected',
+    DISCONNECTED: 'disconnected',
+    ERROR: 'error',
+    JOB_COMPLETED: 'jobCompleted',
+    JOB_FAILED: 'jobFailed',
+    PROJECT_PROGRESS: 'projectProgress',
+    PROJECT_EVENT: 'projectEvent',
+    JOB_EVENT: 'jobEvent',
+};
+
+let projectCounter = 0;
+
+export class SogniClientWrapper extends EventEmitter {
+    /** @param {object} [options] — accepted and ignored (credentials, appId, network) */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.connected = false;
+    }
+
+    async connect() {
+        this.connected = true;
+        this.emit(ClientEvent.CONNECTED);
+    }
+
+    async disconnect() {
+        this.connected = false;
+        this.emit(ClientEvent.DISCONNECTED);
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async createProject(config) {
+        return config.type === 'video' ? this._startVideo(config) : this._runImages(config);
+    }
+
+    async createImageEditProject(config) {
+        return this._runImages(config);
+    }
+
+    /** Announce the project as queued, then picked up by the mock worker */
+    _queue(project) {
+        this.emit(ClientEvent.PROJECT_EVENT, { type: 'queued', projectId: project.id, queuePosition: 1 });
+        this.emit(ClientEvent.JOB_EVENT, { type: 'started', projectId: project.id, workerName: 'mock-worker' });
+    }
+
+    /** Report one progress step through both the event and the per-project callback */
+    _progress(project, config, percent) {
+        project.progress = percent;
+        this.emit(ClientEvent.PROJECT_PROGRESS, { projectId: project.id, percentage: percent });
+        config.onProgress?.({ percentage: percent });
+    }
+
+    async _runImages(config) {
+        const prompt = config.positivePrompt || '';
+        const seed = mockSeed(prompt, config.seed);
+        const project = { id: `mock-${++projectCounter}`, status: 'processing', progress: 0, jobs: [], imageUrls: null };
+        const outcome = resolveMockOutcome(prompt, seed);
+        this._queue(project);
+
+        if (outcome === 'timeout') {
+            await simulateProgress(percent => this._progress(project, config, percent), 50);
+            return project;
+        }
+        if (outcome === 'fail') {
+            await simulateProgress(percent => this._progress(project, config, percent), 50);
+            this.emit(ClientEvent.JOB_FAILED, { projectId: project.id, error: MOCK_FAILURE_MESSAGE });
+            throw new Error(MOCK_FAILURE_MESSAGE);
+        }
+
+        await simulateProgress(percent => this._progress(project, config, percent));
+        const { paths, seeds } = renderMockImages({
+            prompt, seed, width: config.width, height: config.height, count: config.numberOfImages,
+        });
+        project.jobs = paths.map((url, i) => ({ id: `${project.id}-${i}`, seed: seeds[i], url }));
+        project.imageUrls = paths;
+        project.status = 'completed';
+        project.finished = true;
+        for (const job of project.jobs) {
+            this.emit(ClientEvent.JOB_COMPLETED, { projectId: project.id, jobId: job.id, imageUrl: job.url });
+            config.onJobCompleted?.(job);
+        }
+        return project;
+    }
+
+    _startVideo(config) {
+        const prompt = config.positivePrompt || '';
+        const seed = mockSeed(prompt, config.seed);
+        const project = { id: `mock-${++projectCounter}`, status: 'processing', progress: 0, resultUrls: [] };
+        const outcome = resolveMockOutcome(prompt, seed);
+
+        const done = (async () => {
+            this._queue(project);
+            await simulateProgress(percent => this._progress(project, config, percent), outcome === 'ok' ? 100 : 50);
+            if (outcome === 'timeout') return new Promise(() => { });
+            if (outcome === 'fail') {
+                project.status = 'failed';
+                project.error = { message: MOCK_FAILURE_MESSAGE };
+                this.emit(ClientEvent.JOB_FAILED, { projectId: project.id, error: MOCK_FAILURE_MESSAGE });
+                throw new Error(MOCK_FAILURE_MESSAGE);
+            }
+
+            const url = await renderMockVideo({
+                prompt,
+                seed,
+                width: config.width,
+                height: config.height,
+                fps: config.fps,
+                duration: config.frames && config.fps ? config.frames / config.fps : undefined,
+            });
+            project.resultUrls = [url];
+            project.status = 'completed';
+            project.finished = true;
+            this.emit(ClientEvent.JOB_COMPLETED, { projectId: project.id, videoUrl: url });
+            return { videoUrls: [url] };
+        })();
+        // Callers that only poll must not see an unhandled rejection
+        done.catch(() => { });
+
+        project.waitForCompletion = () => done;
+        return project;
+    }
+}
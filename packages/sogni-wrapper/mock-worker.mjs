@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Mock sogni-gen — spawned instead of sogni-worker.mjs when SOGNI_MOCK=true.
+ *
+ * Takes the flags the wrapper passes, prints `[PROGRESS] {json}` lines on stderr
+ * and one JSON result on stdout in the same shape as the real worker, with
+ * local placeholder files in place of Sogni URLs. Scenario and timing come
+ * from the SOGNI_MOCK_* variables runSogniGen forwards.
+ */
+import {
+    mockSeed, resolveMockOutcome, simulateProgress, renderMockImages, renderMockAngles, renderMockVideo,
+    MOCK_FAILURE_MESSAGE,
+} from './mock-backend.js';
+
+/** Flags that take no value */
+const SWITCHES = new Set(['--json', '-q', '--quiet', '--video', '--angles-360', '--balance']);
+
+/** The longest a 'timeout' job hangs before giving up on its own */
+const MAX_HANG_MS = 10 * 60 * 1000;
+
+function parseArgs(argv) {
+    const options = { flags: new Set() };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (SWITCHES.has(arg)) options.flags.add(arg);
+        else if (arg.startsWith('--')) options[arg.slice(2)] = argv[++i];
+        else if (options.prompt == null) options.prompt = arg;
+    }
+    return options;
+}
+
+function jobKind(options) {
+    if (options.flags.has('--balance')) return 'balance';
+    if (options.flags.has('--video')) return 'video';
+    if (options.flags.has('--angles-360')) return 'angles360';
+    if (options.context) return 'edit';
+    return 'image';
+}
+
+const number = (value) => (value != null ? Number(value) : undefined);
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const kind = jobKind(options);
+
+    if (kind === 'balance') {
+        console.log(JSON.stringify({ success: true, type: 'balance', spark: 1000, sogni: 0, tokenType: 'spark', mock: true }));
+        return;
+    }
+
+    const prompt = options.prompt || '';
+    const seed = mockSeed(prompt, number(options.seed));
+    const outcome = resolveMockOutcome(prompt, seed);
+    // Same structured lines as sogni-gen: queue position first, then the worker and percentages
+    const report = (percent) => console.error(`[PROGRESS] ${JSON.stringify({ percent, worker: 'mock-worker' })}`);
+    console.error(`[PROGRESS] ${JSON.stringify({ queuePosition: 1 })}`);
+
+    if (outcome === 'timeout') {
+        // Stall halfway, like a worker that stopped reporting; the wrapper's timeout kills us
+        await simulateProgress(report, 50);
+        setTimeout(() => process.exit(1), MAX_HANG_MS);
+        return;
+    }
+    if (outcome === 'fail') {
+        await simulateProgress(report, 50);
+        console.log(JSON.stringify({ success: false, error: MOCK_FAILURE_MESSAGE, code: 'MOCK_FAILURE' }));
+        process.exit(1);
+    }
+
+    await simulateProgress(report);
+    const base = { success: true, prompt, model: options.model || null, seed, tokenType: 'spark', mock: true };
+
+    if (kind === 'video') {
+        const width = number(options.width) || 512;
+        const height = number(options.height) || 512;
+        const url = await renderMockVideo({
+            prompt, seed, width, height, fps: number(options.fps), duration: number(options.duration),
+        });
+        console.log(JSON.stringify({ ...base, type: 'video', workflow: options.workflow || 't2v', width, height, seeds: [seed], url, urls: [url] }));
+        return;
+    }
+
+    if (kind === 'angles360') {
+        const shots = options['angles-plan']
+            ? JSON.parse(options['angles-plan']).map((shot, index) => ({ ...shot, index }))
+            : ['front', 'front-right', 'right', 'back-right', 'back', 'back-left', 'left', 'front-left'].map((key, index) => ({ key, index }));
+        const angles = renderMockAngles({ prompt, seed, shots });
+        const videoPath = options['angles-360-video']
+            ? await renderMockVideo({ prompt, seed }, options['angles-360-video'])
+            : null;
+        console.log(JSON.stringify({ ...base, type: 'angles-360', width: 512, height: 512, count: angles.length, videoPath, angles }));
+        return;
+    }
+
+    const { paths, seeds, width, height } = renderMockImages({
+        prompt, seed, width: number(options.width), height: number(options.height), count: number(options.count),
+    });
+    console.log(JSON.stringify({ ...base, type: 'image', width, height, seeds, urls: paths }));
+}
+
+main().catch((err) => {
+    console.log(JSON.stringify({ success: false, error: err.message }));
+    process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * Generation Progress — one event shape for both Sogni backends
+ *
+ * sogni-gen prints `[PROGRESS] {json}` lines on stderr, which runSogniGen
+ * parses; ImageGenerator turns SDK client events into the same shape.
+ * Slash handlers receive the events through the job queue and show them
+ * with a throttled editReply.
+ * @module packages/sogni-wrapper/progress
+ */
+
+/** Prefix of progress lines on the worker's stderr */
+export const PROGRESS_PREFIX = '[PROGRESS]';
+
+/**
+ * @typedef {Object} ProgressEvent
+ * Every field is optional; an event carries only what just changed.
+ * @property {number} [percent] — 0–100 for the whole job
+ * @property {number} [etaSec] — seconds left, as estimated by the backend
+ * @property {number} [queuePosition] — place in Sogni's network queue
+ * @property {string} [worker] — name of the worker node rendering the job
+ * @property {string} [previewUrl] — low-resolution preview, where the backend sends one
+ * @property {number} [completed] — finished images or angles
+ * @property {number} [total]
+ * @property {string} [stage] — free-text status from the worker
+ */
+
+/**
+ * Parse one stderr line from sogni-gen.
+ * @param {string} line
+ * @returns {ProgressEvent|null} — null for lines that are not progress
+ */
+export function parseProgressLine(line) {
+    const start = line.indexOf(PROGRESS_PREFIX);
+    if (start === -1) return null;
+    const body = line.slice(start + PROGRESS_PREFIX.length).trim();
+    if (!body) return null;
+
+    if (body.startsWith('{')) {
+        try {
+            return JSON.parse(body);
+        } catch (_) { /* fall through to free text */ }
+    }
+
+    // Older free-text lines, e.g. "Generating front: Progress: 45%"
+    const percent = body.match(/(\d{1,3})%/);
+    return percent ? { stage: body, percent: Math.min(Number(percent[1]), 100) } : { stage: body };
+}
+
+/**
+ * Translate an SDK client event into a progress event.
+ * @param {'progress'|'project'|'job'} source — PROJECT_PROGRESS, PROJECT_EVENT or JOB_EVENT
+ * @param {object} data — the event payload
+ * @returns {ProgressEvent|null}
+ */
+export function progressFromClientEvent(source, data) {
+    if (!data) return null;
+    if (source === 'progress') {
+        const percent = Number(data.percentage ?? data);
+        return Number.isFinite(percent) ? { percent: Math.round(percent) } : null;
+    }
+    if (source === 'project' && data.type === 'queued' && data.queuePosition != null) {
+        return { queuePosition: data.queuePosition };
+    }
+    if (source === 'job') {
+        if ((data.type === 'initiating' || data.type === 'started') && data.workerName) return { worker: data.workerName };
+        if (data.type === 'preview' && data.url) return { previewUrl: data.url };
+        if (data.type === 'jobETA' && data.etaSeconds != null) return { etaSec: Math.round(data.etaSeconds) };
+    }
+    return null;
+}
+
+/**
+ * Estimate the time left from how far the job got in how long.
+ * @param {number} percent
+ * @param {number} elapsedMs
+ * @returns {number|null} — seconds, null before there is anything to go on
+ */
+export function estimateEta(percent, elapsedMs) {
+    if (!(percent > 0) || percent >= 100) return null;
+    return Math.round((elapsedMs / 1000) * ((100 - percent) / percent));
+}
+
+/**
+ * One-line summary of a progress state for a Discord reply.
+ * @param {ProgressEvent} state
+ * @returns {string} — e.g. '▰▰▰▱▱▱▱▱▱▱ 30% · ~12s left · #3 in Sogni queue · 🖥️ worker-7'
+ */
+export function formatProgress(state) {
+    const parts = [];
+    if (state.percent != null) {
+        const filled = Math.round(state.percent / 10);
+        parts.push(`${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)} ${state.percent}%`);
+    }
+    if (state.etaSec != null) {
+        parts.push(state.etaSec >= 90 ? `~${Math.round(state.etaSec / 60)}m left` : `~${state.etaSec}s left`);
+    }
+    if (state.queuePosition != null && !(state.percent > 0)) parts.push(`#${state.queuePosition} in Sogni queue`);
+    if (state.worker) parts.push(`🖥️ ${state.worker}`);
+    if (state.total > 1 && state.completed != null) parts.push(`${state.completed}/${state.total} done`);
+    if (parts.length === 0 && state.stage) parts.push(state.stage);
+    return parts.join(' · ');
+}
+
+/**
+ * Collect progress events into a running state and hand it to `render`
+ * at most once per `intervalMs`. The latest state is always rendered
+ * eventually (trailing call) unless the tracker is stopped first.
+ * @param {(state: ProgressEvent) => any} render
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] — default 3000
+ * @param {() => number} [options.now]
+ * @returns {{push: (event: ProgressEvent) => void, stop: () => void, state: ProgressEvent}}
+ */
+export function createProgressTracker(render, options = {}) {
+    const { intervalMs = 3000, now = Date.now } = options;
+    const state = {};
+    const startedAt = now();
+    let lastRender = -Infinity;
+    let timer = null;
+    let stopped = false;
+
+    const flush = () => {
+        timer = null;
+        if (stopped) return;
+        lastRender = now();
+        render({ ...state });
+    };
+
+    return {
+        state,
+        push(event) {
+            if (stopped || !event) return;
+            Object.assign(state, event);
+            // Backends rarely send an ETA, so derive one from the pace so far
+            if (event.percent != null && event.etaSec == null) {
+                state.etaSec = estimateEta(state.percent, now() - startedAt) ?? undefined;
+            }
+
+            const wait = lastRender + intervalMs - now();
+            if (wait <= 0) flush();
+            else if (!timer) timer = setTimeout(flush, wait);
+        },
+        stop() {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+        },
+    };
+}
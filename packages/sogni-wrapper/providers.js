@@ -0,0 +1,388 @@
+/**
+ * Generation Providers — one interface over both Sogni backends
+ *
+ * The bot can reach Sogni two ways: the sogni-gen worker process (`cli`,
+ * see ./index.js) and the SogniClientWrapper SDK held by ImageGenerator
+ * (`sdk`). Both take the same params and return the same result shape.
+ * Each workflow prefers one of them (config `providers`); when it can't
+ * reach Sogni the job is retried on the other, and a provider that keeps
+ * failing that way is benched for a cooldown.
+ * @module packages/sogni-wrapper/providers
+ */
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+import { generateImage, editImage, generateVideo, generate360 } from './index.js';
+import { planAngleShots } from '../utils/multi-angle.js';
+
+/** Workflow kinds, as used by the job queue */
+export const GENERATION_KINDS = ['image', 'edit', 'video', 'angles360'];
+
+/** Maps a workflow kind to the provider method that runs it */
+const KIND_METHODS = {
+    image: 'generateImage',
+    edit: 'editImage',
+    video: 'generateVideo',
+    angles360: 'generate360',
+};
+
+/**
+ * @typedef {Object} GenerationOptions
+ * @property {AbortSignal} [signal] — aborting rejects with code 'CANCELLED'
+ * @property {(status: string) => any} [onStatus] — progress text, where the backend reports it
+ * @property {(event: import('./progress.js').ProgressEvent) => any} [onProgress] — structured progress from either backend
+ */
+
+/**
+ * @typedef {Object} GenerationProvider
+ * @property {string} name — 'cli' | 'sdk'
+ * @property {(kind: string, params: object) => string|null} unsupported — why the provider cannot run a job, or null
+ * @property {(params: object, options?: GenerationOptions) => Promise<object>} generateImage
+ * @property {(params: object, options?: GenerationOptions) => Promise<object>} editImage
+ * @property {(params: object, options?: GenerationOptions) => Promise<object>} generateVideo
+ * @property {(params: object, options?: GenerationOptions) => Promise<object>} generate360
+ */
+
+/**
+ * @typedef {Object} ProviderHealth
+ * @property {string} name
+ * @property {boolean} healthy — false while benched
+ * @property {number} successes
+ * @property {number} failures
+ * @property {number} consecutiveFailures
+ * @property {string|null} lastError
+ * @property {number|null} lastFailureAt
+ * @property {number|null} lastSuccessAt
+ * @property {number} benchedUntil — epoch ms, 0 when not benched
+ */
+
+// ── Providers ────────────────────────────────────────────────────
+
+/** @type {GenerationProvider} */
+const cliProvider = {
+    name: 'cli',
+    // sogni-gen only edits with context images, so a regular model with a
+    // starting-image strength (image-to-image) needs the SDK
+    unsupported(kind, params) {
+        if (kind === 'edit' && params.strength != null && params.model && !params.model.includes('qwen_image_edit')) {
+            return 'image-to-image strength needs the Sogni SDK';
+        }
+        return null;
+    },
+    generateImage,
+    editImage,
+    generateVideo,
+    generate360,
+};
+
+/**
+ * Turn a local path into a Buffer for the SDK; URLs pass through and are
+ * fetched by ImageGenerator.
+ * @param {string|null|undefined} pathOrUrl
+ * @returns {Buffer|string|null}
+ */
+function loadMedia(pathOrUrl) {
+    if (!pathOrUrl) return null;
+    if (/^https?:\/\//.test(pathOrUrl)) return pathOrUrl;
+    return fs.readFileSync(pathOrUrl);
+}
+
+/**
+ * Reject with code 'CANCELLED' when the signal aborts. The SDK has no way
+ * to stop a project once submitted, so this only releases the caller.
+ * @param {Promise<any>} work
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+function abortable(work, signal) {
+    if (!signal) return work;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            const err = new Error('Generation cancelled');
+            err.code = 'CANCELLED';
+            reject(err);
+        };
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        work.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * ImageGenerator imports the legacy src/config.js, which exits without
+ * Discord and Gemini credentials, so it is only loaded when first used.
+ */
+async function getImageGenerator() {
+    const { imageGenerator } = await import('../../src/imageGenerator.js');
+    return imageGenerator;
+}
+
+/** Maps an ImageGenerator image result to the wrapper's result shape */
+function toWrapperResult(result) {
+    return {
+        success: true,
+        url: result.url,
+        urls: result.urls,
+        seed: result.seed,
+        seeds: result.seeds,
+        model: result.modelId,
+        width: result.width,
+        height: result.height,
+    };
+}
+
+/** @type {GenerationProvider} */
+const sdkProvider = {
+    name: 'sdk',
+
+    unsupported(kind, params) {
+        if (kind === 'edit' && params.maskPath) return 'masked edits need sogni-gen';
+        if (kind === 'video' && (params.refAudio || params.refVideo)) return 'audio and driving clips need sogni-gen';
+        if (kind === 'video' && !['t2v', 'i2v', undefined].includes(params.workflow)) return `the ${params.workflow} workflow needs sogni-gen`;
+        if (kind === 'angles360' && params.makeVideo) return 'turntable videos need sogni-gen';
+        return null;
+    },
+
+    async generateImage(params, options = {}) {
+        const generator = await getImageGenerator();
+        const result = await abortable(generator.generateImage(params.prompt, options.onStatus, null, params.seed ?? null, true, null, {
+            modelId: params.model || sharedConfig.sogniGen.defaultImageModel,
+            width: params.width,
+            height: params.height,
+            count: params.count,
+            timeoutMs: sharedConfig.sogniGen.defaultImageTimeoutSec * 1000,
+            onProgress: options.onProgress,
+            profile: {
+                steps: params.steps,
+                guidance: params.guidance,
+                sampler: params.sampler,
+                negativePrompt: params.negativePrompt,
+            },
+        }), options.signal);
+        return toWrapperResult(result);
+    },
+
+    async editImage(params, options = {}) {
+        if (!params.contextPath) throw new Error('contextPath is required for image editing');
+        const generator = await getImageGenerator();
+        const result = await abortable(generator.generateImage(params.prompt, options.onStatus, loadMedia(params.contextPath), params.seed ?? null, true, params.strength ?? null, {
+            modelId: params.model || sharedConfig.sogniGen.defaultEditModel,
+            width: params.width,
+            height: params.height,
+            timeoutMs: sharedConfig.sogniGen.defaultImageTimeoutSec * 1000,
+            onProgress: options.onProgress,
+        }), options.signal);
+        return toWrapperResult(result);
+    },
+
+    async generateVideo(params, options = {}) {
+        const workflow = params.workflow || (params.refImage ? 'i2v' : 't2v');
+        const fps = params.fps || sharedConfig.sogniGen.defaultFps;
+        // Chosen here so the result reports the seed the render actually used
+        const seed = params.seed ?? Math.floor(Math.random() * 2000000000);
+        const generator = await getImageGenerator();
+        const url = await abortable(generator.generateVideo({
+            workflow,
+            prompt: params.prompt,
+            seed,
+            modelId: params.model || sharedConfig.sogniGen.videoModels[workflow],
+            referenceImage: loadMedia(params.refImage),
+            frames: Math.round((params.duration || sharedConfig.sogniGen.defaultDurationSec) * fps),
+            width: params.width,
+            height: params.height,
+            fps,
+            timeoutMs: sharedConfig.sogniGen.defaultVideoTimeoutSec * 1000,
+            onProgress: options.onProgress,
+        }, options.onStatus), options.signal);
+        return { success: true, url, seed, model: params.model || sharedConfig.sogniGen.videoModels[workflow] };
+    },
+
+    async generate360(params, options = {}) {
+        if (!params.contextPath) throw new Error('A subject image is required for a 360° turn');
+        const generator = await getImageGenerator();
+        return abortable(generator.generateMultiAngle(loadMedia(params.contextPath), params.prompt, params.plan?.length ? params.plan : planAngleShots(), {
+            onStatusUpdate: options.onStatus,
+            seed: params.seed,
+            timeoutMs: sharedConfig.sogniGen.defaultImageTimeoutSec * 1000,
+            onProgress: options.onProgress,
+        }), options.signal);
+    },
+};
+
+/** Registered providers: name → GenerationProvider */
+const providers = new Map([
+    [cliProvider.name, cliProvider],
+    [sdkProvider.name, sdkProvider],
+]);
+
+/**
+ * Add or replace a provider (tests and alternative backends).
+ * @param {GenerationProvider} provider
+ */
+export function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+// ── Health ───────────────────────────────────────────────────────
+
+/** name → ProviderHealth (without the derived `healthy` flag) */
+const health = new Map();
+
+function getHealth(name) {
+    if (!health.has(name)) {
+        health.set(name, {
+            name,
+            successes: 0,
+            failures: 0,
+            consecutiveFailures: 0,
+            lastError: null,
+            lastFailureAt: null,
+            lastSuccessAt: null,
+            benchedUntil: 0,
+        });
+    }
+    return health.get(name);
+}
+
+/**
+ * @param {string} name
+ * @param {number} [now]
+ */
+function recordSuccess(name, now = Date.now()) {
+    const h = getHealth(name);
+    h.successes++;
+    h.consecutiveFailures = 0;
+    h.lastSuccessAt = now;
+    h.benchedUntil = 0;
+}
+
+/**
+ * Count a backend failure; enough in a row benches the provider.
+ * @param {string} name
+ * @param {Error} err
+ * @param {number} [now]
+ */
+function recordFailure(name, err, now = Date.now()) {
+    const h = getHealth(name);
+    h.failures++;
+    h.consecutiveFailures++;
+    h.lastError = err.message;
+    h.lastFailureAt = now;
+    if (h.consecutiveFailures >= sharedConfig.providers.failureThreshold) {
+        h.benchedUntil = now + sharedConfig.providers.cooldownSec * 1000;
+    }
+}
+
+/**
+ * @param {string} name
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isHealthy(name, now = Date.now()) {
+    return getHealth(name).benchedUntil <= now;
+}
+
+/**
+ * Health of every registered provider, for /bot-status and the dashboard.
+ * @param {number} [now]
+ * @returns {ProviderHealth[]}
+ */
+export function getProviderHealth(now = Date.now()) {
+    return [...providers.keys()].map(name => ({ ...getHealth(name), healthy: isHealthy(name, now) }));
+}
+
+/** Forget all recorded health (tests). */
+export function resetProviderHealth() {
+    health.clear();
+}
+
+/** Node socket error codes: the backend never got the job */
+const TRANSPORT_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+    'PROVIDER_UNAVAILABLE',
+]);
+
+/** The same failures as they appear in error messages from either backend */
+const TRANSPORT_ERROR_PATTERN = new RegExp(
+    `failed to spawn|socket hang up|websocket|not connected|provider unavailable|service unavailable|${[...TRANSPORT_ERROR_CODES].join('|')}`,
+    'i',
+);
+
+/**
+ * Whether an error means the backend couldn't be reached, so another
+ * provider may do better. Only transport failures qualify: a timeout, bad
+ * parameters or a model error may already have spent Sparks, and would
+ * likely fail the same way on the other backend.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isFailoverError(err) {
+    if (!err || err.code === 'CANCELLED') return false;
+    if (TRANSPORT_ERROR_CODES.has(err.code) || TRANSPORT_ERROR_CODES.has(err.cause?.code)) return true;
+    return TRANSPORT_ERROR_PATTERN.test(err.message || '');
+}
+
+// ── Selection ────────────────────────────────────────────────────
+
+/**
+ * Providers to try for a job, in order: the workflow's configured provider
+ * first, then (with failover on) the rest. Benched providers go last but
+ * are still tried, so a job never fails just because every backend has
+ * had a bad minute.
+ * @param {'image'|'edit'|'video'|'angles360'} kind
+ * @param {object} params
+ * @param {number} [now]
+ * @returns {GenerationProvider[]}
+ * @throws {Error} when no provider can run the job
+ */
+export function resolveProviderOrder(kind, params, now = Date.now()) {
+    const preferred = providers.get(sharedConfig.providers[kind]) || cliProvider;
+    const candidates = sharedConfig.providers.failover
+        ? [preferred, ...[...providers.values()].filter(p => p !== preferred)]
+        : [preferred];
+
+    const usable = candidates.filter(p => !p.unsupported(kind, params));
+    if (usable.length === 0) {
+        throw new Error(`Cannot run this ${kind} job: ${preferred.unsupported(kind, params)}.`);
+    }
+
+    return [
+        ...usable.filter(p => isHealthy(p.name, now)),
+        ...usable.filter(p => !isHealthy(p.name, now)),
+    ];
+}
+
+/**
+ * Run a generation on the best available provider, failing over to the
+ * next one when a backend can't be reached.
+ * @param {'image'|'edit'|'video'|'angles360'} kind
+ * @param {object} params — wrapper params (local paths or URLs for media)
+ * @param {GenerationOptions} [options]
+ * @returns {Promise<object>} — the wrapper result, plus `provider` (the name that served it)
+ */
+export async function runGeneration(kind, params, options = {}) {
+    const method = KIND_METHODS[kind];
+    if (!method) throw new Error(`Unknown generation kind: ${kind}`);
+
+    const order = resolveProviderOrder(kind, params);
+    let lastError = null;
+
+    for (const [i, provider] of order.entries()) {
+        try {
+            const result = await provider[method](params, options);
+            recordSuccess(provider.name);
+            return { ...result, provider: provider.name };
+        } catch (err) {
+            if (!isFailoverError(err)) throw err;
+            recordFailure(provider.name, err);
+            lastError = err;
+
+            const next = order[i + 1];
+            if (next && !options.signal?.aborted) {
+                console.warn(`[Providers] ${provider.name} failed ${kind} (${err.message}); retrying on ${next.name}`);
+            } else {
+                break;
+            }
+        }
+    }
+    throw lastError;
+}
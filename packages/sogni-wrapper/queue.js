@@ -0,0 +1,330 @@
+/**
+ * Sogni Job Queue — persistent generation queue with concurrency caps
+ *
+ * Every generation (slash commands, chat renders and the PFP wizard) goes
+ * through here instead of calling a backend directly, and runs on
+ * whichever provider ./providers.js picks.
+ * Jobs are stored in SQLite so they survive a restart, and only a limited
+ * number run at once (globally and per guild).
+ * @module packages/sogni-wrapper/queue
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+import { runGeneration, GENERATION_KINDS } from './providers.js';
+
+let db = null;
+
+/** Jobs currently executing in this process: id → JobRow */
+const running = new Map();
+
+/** Abort handles for running jobs: id → AbortController */
+const controllers = new Map();
+
+/**
+ * Callers waiting on a job in this process: id → { resolve, reject, onPosition, onStart, onProgress, lastPosition }
+ * Jobs resumed after a restart have no waiter and are handed to the delivery callback.
+ */
+const waiters = new Map();
+
+/** @type {((job: JobRow, result: object|null, error: Error|null) => Promise<void>) | null} */
+let deliveryCallback = null;
+
+/**
+ * @typedef {Object} JobRow
+ * @property {number} id
+ * @property {string} kind — 'image' | 'edit' | 'video' | 'angles360'
+ * @property {string} user_id
+ * @property {string} channel_id
+ * @property {string} guild_id
+ * @property {string} params_json — JSON-encoded wrapper params
+ * @property {string|null} request_json — JSON-encoded command params, used to re-run the job
+ * @property {string|null} model
+ * @property {string} status — 'queued' | 'running' | 'completed' | 'failed' | 'cancelled'
+ * @property {string|null} result_json
+ * @property {string|null} error
+ * @property {string} created_at
+ * @property {string|null} started_at
+ * @property {string|null} finished_at
+ */
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.queue.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS generation_jobs (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind        TEXT NOT NULL,
+      user_id     TEXT NOT NULL,
+      channel_id  TEXT NOT NULL,
+      guild_id    TEXT DEFAULT '',
+      params_json TEXT NOT NULL,
+      request_json TEXT,
+      model       TEXT,
+      status      TEXT DEFAULT 'queued',
+      result_json TEXT,
+      error       TEXT,
+      created_at  TEXT DEFAULT (datetime('now')),
+      started_at  TEXT,
+      finished_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status, id);
+    CREATE INDEX IF NOT EXISTS idx_generation_jobs_user ON generation_jobs(user_id, id);
+  `);
+
+    // Databases created before re-run support lack these columns
+    const columns = db.prepare('PRAGMA table_info(generation_jobs)').all().map(c => c.name);
+    if (!columns.includes('request_json')) db.exec('ALTER TABLE generation_jobs ADD COLUMN request_json TEXT');
+    if (!columns.includes('model')) db.exec('ALTER TABLE generation_jobs ADD COLUMN model TEXT');
+
+    return db;
+}
+
+// ── Scheduling ───────────────────────────────────────────────────
+
+/**
+ * Pick which queued jobs may start now, in FIFO order.
+ * A job blocked by its guild's cap does not block jobs from other guilds.
+ * @param {{id: number, guild_id: string}[]} queued — oldest first
+ * @param {{guild_id: string}[]} active — jobs already running
+ * @param {{maxConcurrent: number, maxPerGuild: number}} limits
+ * @returns {{id: number, guild_id: string}[]}
+ */
+export function selectRunnableJobs(queued, active, limits) {
+    const perGuild = new Map();
+    for (const job of active) {
+        perGuild.set(job.guild_id, (perGuild.get(job.guild_id) || 0) + 1);
+    }
+
+    let total = active.length;
+    const picked = [];
+    for (const job of queued) {
+        if (total >= limits.maxConcurrent) break;
+        const guildCount = perGuild.get(job.guild_id) || 0;
+        if (guildCount >= limits.maxPerGuild) continue;
+
+        picked.push(job);
+        perGuild.set(job.guild_id, guildCount + 1);
+        total++;
+    }
+    return picked;
+}
+
+/**
+ * Start as many queued jobs as the caps allow, then tell waiting
+ * callers where they now stand in line.
+ */
+function pump() {
+    const d = getDb();
+    const queued = d.prepare(`SELECT * FROM generation_jobs WHERE status = 'queued' ORDER BY id ASC`).all();
+    const toStart = selectRunnableJobs(queued, [...running.values()], {
+        maxConcurrent: sharedConfig.queue.maxConcurrent,
+        maxPerGuild: sharedConfig.queue.maxPerGuild,
+    });
+
+    for (const job of toStart) startJob(job);
+
+    const startedIds = new Set(toStart.map(j => j.id));
+    const stillQueued = queued.filter(j => !startedIds.has(j.id));
+    stillQueued.forEach((job, index) => {
+        const waiter = waiters.get(job.id);
+        if (!waiter || !waiter.onPosition) return;
+        const position = index + 1;
+        if (waiter.lastPosition === position) return;
+        waiter.lastPosition = position;
+        Promise.resolve(waiter.onPosition(position, job.id)).catch(() => { });
+    });
+}
+
+/**
+ * Execute a single job and record its outcome.
+ * @param {JobRow} job
+ */
+function startJob(job) {
+    const d = getDb();
+    d.prepare(`UPDATE generation_jobs SET status = 'running', started_at = datetime('now') WHERE id = ?`).run(job.id);
+    running.set(job.id, job);
+
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    const waiter = waiters.get(job.id);
+    if (waiter?.onStart) Promise.resolve(waiter.onStart(job.id)).catch(() => { });
+
+    // Progress is best-effort: a failing hook must not fail the job
+    const onProgress = (event) => {
+        if (!waiter?.onProgress) return;
+        Promise.resolve(waiter.onProgress(event, job.id)).catch(() => { });
+    };
+
+    const work = GENERATION_KINDS.includes(job.kind)
+        ? runGeneration(job.kind, JSON.parse(job.params_json), { signal: controller.signal, onProgress })
+        : Promise.reject(new Error(`Unknown job kind: ${job.kind}`));
+
+    work.then(
+        (result) => finishJob(job, result, null),
+        (err) => finishJob(job, null, err),
+    );
+}
+
+/**
+ * @param {JobRow} job
+ * @param {object|null} result
+ * @param {Error|null} error
+ */
+async function finishJob(job, result, error) {
+    const d = getDb();
+    if (error) {
+        const status = error.code === 'CANCELLED' ? 'cancelled' : 'failed';
+        d.prepare(`UPDATE generation_jobs SET status = ?, error = ?, finished_at = datetime('now') WHERE id = ?`)
+            .run(status, error.message, job.id);
+    } else {
+        d.prepare(`UPDATE generation_jobs SET status = 'completed', result_json = ?, model = COALESCE(?, model), finished_at = datetime('now') WHERE id = ?`)
+            .run(JSON.stringify(result), result?.model || null, job.id);
+    }
+    running.delete(job.id);
+    controllers.delete(job.id);
+
+    const waiter = waiters.get(job.id);
+    waiters.delete(job.id);
+
+    // Free the slot before delivering so the next job is not held up by Discord
+    pump();
+
+    if (waiter) {
+        if (error) waiter.reject(error);
+        else waiter.resolve(result);
+    } else if (deliveryCallback) {
+        try {
+            await deliveryCallback(job, result, error);
+        } catch (err) {
+            console.error(`[JobQueue] Failed to deliver job ${job.id}:`, err.message);
+        }
+    }
+}
+
+// ── Public API ───────────────────────────────────────────────────
+
+/**
+ * Queue a generation and wait for its result.
+ * @param {object} job
+ * @param {'image'|'edit'|'video'|'angles360'} job.kind
+ * @param {object} job.params — params for the matching wrapper function (must be JSON-serializable)
+ * @param {string} job.userId
+ * @param {string} job.channelId
+ * @param {string} [job.guildId]
+ * @param {object} [job.request] — original command params, kept so `/jobs` can re-run the job
+ * @param {object} [hooks]
+ * @param {(jobId: number) => any} [hooks.onQueued] — called once the job has an id
+ * @param {(position: number, jobId: number) => any} [hooks.onPosition] — called whenever the job's place in line changes
+ * @param {(jobId: number) => any} [hooks.onStart] — called when a worker picks the job up
+ * @param {(event: import('./progress.js').ProgressEvent, jobId: number) => any} [hooks.onProgress] — called for each progress event while running
+ * @returns {Promise<object>} — the provider's result; rejects with code 'CANCELLED' if cancelled
+ */
+export function enqueueGeneration({ kind, params, userId, channelId, guildId = '', request = null }, hooks = {}) {
+    if (!GENERATION_KINDS.includes(kind)) {
+        return Promise.reject(new Error(`Unknown job kind: ${kind}`));
+    }
+
+    const d = getDb();
+    const info = d.prepare(`
+    INSERT INTO generation_jobs (kind, user_id, channel_id, guild_id, params_json, request_json, model)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(kind, userId, channelId, guildId || '', JSON.stringify(params),
+        request ? JSON.stringify(request) : null, params.model || null);
+
+    const id = Number(info.lastInsertRowid);
+    const promise = new Promise((resolve, reject) => {
+        waiters.set(id, { resolve, reject, onPosition: hooks.onPosition, onStart: hooks.onStart, onProgress: hooks.onProgress, lastPosition: null });
+    });
+    if (hooks.onQueued) Promise.resolve(hooks.onQueued(id)).catch(() => { });
+
+    pump();
+    return promise;
+}
+
+/**
+ * Get a job by id.
+ * @param {number} id
+ * @returns {JobRow|undefined}
+ */
+export function getJob(id) {
+    return getDb().prepare('SELECT * FROM generation_jobs WHERE id = ?').get(id);
+}
+
+/**
+ * Cancel a queued or running job. Running jobs have their sogni-gen
+ * worker killed; the job is then recorded as 'cancelled'.
+ * @param {number} id
+ * @returns {boolean} — false if the job was already finished or unknown
+ */
+export function cancelJob(id) {
+    const controller = controllers.get(id);
+    if (controller) {
+        controller.abort();
+        return true;
+    }
+
+    const d = getDb();
+    const info = d.prepare(`UPDATE generation_jobs SET status = 'cancelled', error = 'Generation cancelled', finished_at = datetime('now') WHERE id = ? AND status = 'queued'`).run(id);
+    if (info.changes === 0) return false;
+
+    const waiter = waiters.get(id);
+    waiters.delete(id);
+    if (waiter) {
+        const err = new Error('Generation cancelled');
+        err.code = 'CANCELLED';
+        waiter.reject(err);
+    }
+    pump();
+    return true;
+}
+
+/**
+ * List a user's running jobs followed by their most recent ones.
+ * @param {string} userId
+ * @param {number} [limit=10]
+ * @returns {JobRow[]}
+ */
+export function listUserJobs(userId, limit = 10) {
+    return getDb().prepare(`
+    SELECT * FROM generation_jobs
+    WHERE user_id = ?
+    ORDER BY CASE status WHEN 'running' THEN 0 WHEN 'queued' THEN 1 ELSE 2 END, id DESC
+    LIMIT ?
+  `).all(userId, limit);
+}
+
+/**
+ * Current queue counts, for status displays.
+ * @returns {{queued: number, running: number}}
+ */
+export function getQueueStats() {
+    const row = getDb().prepare(`SELECT COUNT(*) AS n FROM generation_jobs WHERE status = 'queued'`).get();
+    return { queued: row.n, running: running.size };
+}
+
+/**
+ * Initialize the queue and resume jobs left over from a previous run.
+ * Jobs that were running when the bot stopped are put back in line.
+ * @param {(job: JobRow, result: object|null, error: Error|null) => Promise<void>} callback —
+ *   delivers results for jobs that no live caller is waiting on
+ */
+export function startJobQueue(callback) {
+    deliveryCallback = callback;
+    const d = getDb();
+
+    const requeued = d.prepare(`UPDATE generation_jobs SET status = 'queued', started_at = NULL WHERE status = 'running'`).run();
+    const pending = d.prepare(`SELECT COUNT(*) AS n FROM generation_jobs WHERE status = 'queued'`).get().n;
+
+    console.log(`✅ [JobQueue] Started (${pending} pending, ${requeued.changes} resumed, max ${sharedConfig.queue.maxConcurrent} global / ${sharedConfig.queue.maxPerGuild} per guild)`);
+    pump();
+}
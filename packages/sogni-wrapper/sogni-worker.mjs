@@ -521,8 +521,8 @@ function normalizeMultiAngleValue(value, aliases, allowedKeys, label) {
   return aliased;
 }
 
-function buildMultiAnglePrompt({ azimuth, elevation, distance, description }) {
-  const azimuthPrompt = MULTI_ANGLE_AZIMUTHS.find((a) => a.key === azimuth)?.prompt;
+function buildMultiAnglePrompt({ azimuth, azimuthPrompt: azimuthText, elevation, distance, description }) {
+  const azimuthPrompt = azimuthText || MULTI_ANGLE_AZIMUTHS.find((a) => a.key === azimuth)?.prompt;
   const elevationPrompt = MULTI_ANGLE_ELEVATIONS.find((e) => e.key === elevation)?.prompt;
   const distancePrompt = MULTI_ANGLE_DISTANCES.find((d) => d.key === distance)?.prompt;
   const parts = ['<sks>', azimuthPrompt, elevationPrompt, distancePrompt].filter(Boolean);
@@ -564,6 +564,7 @@ const options = {
   tokenType: null,
   steps: null,
   guidance: null,
+  negativePrompt: null,
   outputFormat: null,
   sampler: null,
   scheduler: null,
@@ -571,6 +572,7 @@ const options = {
   loraStrengths: [],
   multiAngle: false,
   angles360: false,
+  anglesPlan: null, // Explicit shot list for --angles-360 (count / sweep / orbit)
   azimuth: 'front',
   elevation: 'eye-level',
   distance: 'medium',
@@ -593,6 +595,7 @@ const options = {
   refAudio: null, // Reference audio for s2v
   refVideo: null, // Reference video for animate workflows
   contextImages: [], // Context images for image editing
+  maskImage: null, // Inpainting mask (white = repaint) for the first context image
   looping: false // Create looping video (i2v only): generate A→B then B→A and concatenate
 };
 const cliSet = {
@@ -606,6 +609,7 @@ const cliSet = {
   tokenType: false,
   steps: false,
   guidance: false,
+  negativePrompt: false,
   outputFormat: false,
   sampler: false,
   scheduler: false,
@@ -666,6 +670,9 @@ for (let i = 0; i < args.length; i++) {
   } else if (arg === '--output-format' || arg === '--format') {
     options.outputFormat = args[++i];
     cliSet.outputFormat = true;
+  } else if (arg === '--negative' || arg === '--negative-prompt') {
+    options.negativePrompt = args[++i];
+    cliSet.negativePrompt = true;
   } else if (arg === '--sampler') {
     options.sampler = args[++i];
     cliSet.sampler = true;
@@ -679,6 +686,15 @@ for (let i = 0; i < args.length; i++) {
     options.angles360 = true;
     options.multiAngle = true;
     cliSet.multiAngle = true;
+  } else if (arg === '--angles-plan') {
+    try {
+      options.anglesPlan = JSON5.parse(args[++i]);
+    } catch (e) {
+      fatalCliError('--angles-plan must be a JSON array of shots.', { code: 'INVALID_ARGUMENT' });
+    }
+    options.angles360 = true;
+    options.multiAngle = true;
+    cliSet.multiAngle = true;
   } else if (arg === '--angles-360-video') {
     options.angles360Video = true;
     cliSet.angles360Video = true;
@@ -762,6 +778,8 @@ for (let i = 0; i < args.length; i++) {
   } else if (arg === '-c' || arg === '--context') {
     options.contextImages.push(args[++i]);
     cliSet.context = true;
+  } else if (arg === '--mask') {
+    options.maskImage = args[++i];
   } else if (arg === '--last-image') {
     // Use image from last render as reference/context
     if (existsSync(LAST_RENDER_PATH)) {
@@ -813,6 +831,7 @@ Image Options:
   --seed-strategy <s>   Seed strategy: random|prompt-hash
   --multi-angle         Multiple angles LoRA mode (Qwen Image Edit)
   --angles-360          Generate 8 azimuths (front -> front-left)
+  --angles-plan <json>  Shots for --angles-360: [{key, azimuth, azimuthPrompt?, elevation?, distance?}]
   --angles-360-video [path]  Assemble a looping 360 mp4 using i2v between angles (requires ffmpeg)
   --video-model <id>    Override i2v model for 360 video (e.g. wan_v2.2-14b-fp8_i2v for higher quality)
   --azimuth <key>       front|front-right|right|back-right|back|back-left|left|front-left
@@ -821,6 +840,7 @@ Image Options:
   --angle-strength <n>  LoRA strength for multiple_angles (default: 0.9)
   --angle-description <text>  Optional subject description
   --output-format <f>   Image output format: png|jpg
+  --negative <text>     Negative prompt (image only)
   --sampler <name>      Sampler (model-dependent)
   --scheduler <name>    Scheduler (model-dependent)
   --lora <id>           LoRA id (repeatable, edit only)
@@ -828,6 +848,7 @@ Image Options:
   --lora-strength <n>   LoRA strength (repeatable)
   --lora-strengths <n>  Comma-separated LoRA strengths
   -c, --context <path>  Context image for editing (can use multiple)
+  --mask <path>         Inpainting mask for the context image (white = repaint)
   --last-image          Use last generated image as context
 
 Video Options:
@@ -1000,6 +1021,23 @@ if (options.multiAngle) {
   }
   options.elevation = normalizeMultiAngleValue(options.elevation, MULTI_ANGLE_ELEVATION_ALIASES, elevationKeys, 'elevation');
   options.distance = normalizeMultiAngleValue(options.distance, MULTI_ANGLE_DISTANCE_ALIASES, distanceKeys, 'distance');
+  if (options.anglesPlan) {
+    if (!Array.isArray(options.anglesPlan) || options.anglesPlan.length === 0) {
+      fatalCliError('--angles-plan must be a non-empty array of shots.', { code: 'INVALID_ARGUMENT' });
+    }
+    options.anglesPlan = options.anglesPlan.map((shot, index) => ({
+      ...shot,
+      index,
+      key: shot.key || `${shot.azimuth}-${index + 1}`,
+      azimuth: normalizeMultiAngleValue(shot.azimuth, MULTI_ANGLE_AZIMUTH_ALIASES, azimuthKeys, 'azimuth'),
+      elevation: shot.elevation
+        ? normalizeMultiAngleValue(shot.elevation, MULTI_ANGLE_ELEVATION_ALIASES, elevationKeys, 'elevation')
+        : options.elevation,
+      distance: shot.distance
+        ? normalizeMultiAngleValue(shot.distance, MULTI_ANGLE_DISTANCE_ALIASES, distanceKeys, 'distance')
+        : options.distance
+    }));
+  }
 
   if (options.model && !options.model.includes('qwen_image_edit_2511')) {
     fatalCliError('--multi-angle requires a Qwen Image Edit 2511 model.', {
@@ -1372,8 +1410,16 @@ if (options.video) {
   }
 }
 
+// Inpainting takes exactly one source image plus its mask
+if (options.maskImage && options.contextImages.length !== 1) {
+  fatalCliError('--mask needs exactly one --context image to inpaint.', {
+    code: 'INVALID_ARGUMENT',
+    details: { provided: options.contextImages.length }
+  });
+}
+
 // Validate context images against model limits
-if (options.contextImages.length > 0 && !options.video) {
+if (options.contextImages.length > 0 && !options.video && !options.maskImage) {
   const maxImages = getMaxContextImages(options.model);
   if (maxImages === 0) {
     fatalCliError(`Model ${options.model} does not support context images.`, {
@@ -1513,6 +1559,43 @@ function removeClientListener(client, event, handler) {
   }
 }
 
+/**
+ * Print structured progress as `[PROGRESS] {json}` lines on stderr, even
+ * in quiet mode; the bot's wrapper parses them into progress events.
+ * Multi-angle runs one project per shot, so their percentages are scaled
+ * into the whole turn.
+ */
+function attachProgressReporter(client) {
+  const total = options.anglesPlan?.length
+    || (options.angles360 ? MULTI_ANGLE_AZIMUTHS.length : 0)
+    || options.count
+    || 1;
+  const perShot = options.multiAngle && total > 1;
+  let completed = 0;
+  let percent = 0;
+  const emit = (update) => console.error(`[PROGRESS] ${JSON.stringify({ ...update, completed, total })}`);
+
+  client.on(ClientEvent.PROJECT_PROGRESS, (data) => {
+    const value = Number(data?.percentage);
+    if (!Number.isFinite(value)) return;
+    percent = Math.round(Math.min(perShot ? ((completed + value / 100) / total) * 100 : value, 100));
+    emit({ percent });
+  });
+  client.on(ClientEvent.JOB_COMPLETED, () => {
+    completed++;
+    if (perShot) percent = Math.round((completed / total) * 100);
+    emit({ percent });
+  });
+  client.on(ClientEvent.PROJECT_EVENT, (event) => {
+    if (event?.type === 'queued' && event.queuePosition != null) emit({ queuePosition: event.queuePosition });
+  });
+  client.on(ClientEvent.JOB_EVENT, (event) => {
+    if ((event?.type === 'initiating' || event?.type === 'started') && event.workerName) emit({ worker: event.workerName });
+    else if (event?.type === 'preview' && event.url) emit({ previewUrl: event.url });
+    else if (event?.type === 'jobETA' && event.etaSeconds != null) emit({ etaSec: Math.round(event.etaSeconds) });
+  });
+}
+
 function ensureFfmpegAvailable() {
   const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
   const result = spawnSync(ffmpegPath, ['-version'], { stdio: 'ignore' });
@@ -1720,9 +1803,9 @@ async function runImageEditProjectWithEvents(client, editConfig, expectedCount,
 
 async function runMultiAngleFlow(client, log) {
   const contextBuffer = await fetchMediaBuffer(options.contextImages[0]);
-  const azimuths = options.angles360
-    ? MULTI_ANGLE_AZIMUTHS.map((a) => a.key)
-    : [options.azimuth];
+  const shots = options.anglesPlan || (options.angles360
+    ? MULTI_ANGLE_AZIMUTHS.map((a, index) => ({ index, key: a.key, azimuth: a.key }))
+    : [{ index: 0, key: options.azimuth, azimuth: options.azimuth }]);
   const modelDefaults = getModelDefaults(options.model, openclawConfig);
   const steps = options.steps ?? modelDefaults?.steps ?? (options.model.includes('lightning') ? 4 : 20);
   const guidance = options.guidance ?? modelDefaults?.guidance ?? (options.model.includes('lightning') ? 1.0 : 4.0);
@@ -1766,14 +1849,18 @@ async function runMultiAngleFlow(client, log) {
   }
 
   const angleResults = [];
-  const resultsMap = new Map(); // Store results by azimuth key to preserve order
+  const resultsMap = new Map(); // Store results by shot key to preserve order
 
   // Helper to process a single angle
-  const processAngle = async (azimuth) => {
+  const processAngle = async (shot) => {
+    const azimuth = shot.key;
+    const elevation = shot.elevation || options.elevation;
+    const distance = shot.distance || options.distance;
     const prompt = buildMultiAnglePrompt({
-      azimuth,
-      elevation: options.elevation,
-      distance: options.distance,
+      azimuth: shot.azimuth,
+      azimuthPrompt: shot.azimuthPrompt,
+      elevation,
+      distance,
       description: options.angleDescription
     });
     const editConfig = {
@@ -1827,8 +1914,11 @@ async function runMultiAngleFlow(client, log) {
 
     return {
       azimuth,
-      elevation: options.elevation,
-      distance: options.distance,
+      index: shot.index,
+      degrees: shot.degrees ?? null,
+      label: shot.label || null,
+      elevation,
+      distance,
       prompt,
       urls,
       seeds,
@@ -1838,12 +1928,12 @@ async function runMultiAngleFlow(client, log) {
 
   // Run in batches of 2
   const BATCH_SIZE = 2;
-  for (let i = 0; i < azimuths.length; i += BATCH_SIZE) {
-    const batch = azimuths.slice(i, i + BATCH_SIZE);
-    console.error(`[PROGRESS] Starting batch ${i / BATCH_SIZE + 1}/${Math.ceil(azimuths.length / BATCH_SIZE)}: ${batch.join(', ')}`);
+  for (let i = 0; i < shots.length; i += BATCH_SIZE) {
+    const batch = shots.slice(i, i + BATCH_SIZE);
+    console.error(`[PROGRESS] Starting batch ${i / BATCH_SIZE + 1}/${Math.ceil(shots.length / BATCH_SIZE)}: ${batch.map(shot => shot.key).join(', ')}`);
 
     // Process batch in parallel
-    const batchResults = await Promise.all(batch.map(azimuth => processAngle(azimuth)));
+    const batchResults = await Promise.all(batch.map(shot => processAngle(shot)));
 
     // Store results
     batchResults.forEach(result => {
@@ -1853,8 +1943,8 @@ async function runMultiAngleFlow(client, log) {
 
   // Reconstruct arrays in correct order
   const videoFrames = [];
-  for (const azimuth of azimuths) {
-    const result = resultsMap.get(azimuth);
+  for (const shot of shots) {
+    const result = resultsMap.get(shot.key);
     if (result) {
       angleResults.push(result);
       if (options.angles360Video && result.localPaths && result.localPaths.length > 0) {
@@ -2156,6 +2246,7 @@ async function main() {
       new Promise((_, reject) => setTimeout(() => reject(new Error('Connection timed out after 15s')), 15000))
     ]);
     log('Connected.');
+    if (!options.showBalance && !options.estimateVideoCost) attachProgressReporter(client);
 
     if (options.showBalance) {
       const balance = await client.getBalance();
@@ -2437,6 +2528,11 @@ async function main() {
         editConfig.loraStrengths = options.loraStrengths;
       }
 
+      if (options.maskImage) {
+        log(`Inpainting with mask: ${options.maskImage}`);
+        editConfig.maskImage = await fetchMediaBuffer(options.maskImage);
+      }
+
       if (options.seed !== null && options.seed !== undefined) {
         editConfig.seed = options.seed;
       }
@@ -2453,7 +2549,7 @@ async function main() {
       const projectConfig = {
         modelId: options.model,
         positivePrompt: options.prompt,
-        negativePrompt: '',
+        negativePrompt: options.negativePrompt || '',
         stylePrompt: '',
         numberOfMedia: options.count,
         tokenType: options.tokenType || 'spark',
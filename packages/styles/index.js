@@ -0,0 +1,187 @@
+/**
+ * Styles Package — named style presets for /imagine and the PFP flow
+ *
+ * A preset wraps the user's prompt in a prefix and suffix and can carry a
+ * negative prompt, a preferred model and default dimensions. Built-in
+ * presets are available everywhere; guilds add their own in SQLite, and a
+ * guild preset with a built-in's name shadows it.
+ * @module packages/styles
+ */
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { sharedConfig } from '../config/index.js';
+
+let db = null;
+
+/**
+ * @typedef {Object} StylePreset
+ * @property {string} name — slug, e.g. 'cyberpunk'
+ * @property {string} label — display name
+ * @property {string} emoji
+ * @property {string} prefix — text placed before the prompt
+ * @property {string} suffix — text placed after the prompt
+ * @property {string} negative — negative prompt ('' keeps the model default)
+ * @property {string|null} model — preferred model id
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {boolean} builtin
+ */
+
+/** Presets every guild starts with (the original PFP visual styles) */
+export const BUILTIN_STYLES = [
+    { name: 'cyberpunk', label: 'Cyberpunk', emoji: '🌃', prefix: 'cyberpunk style,', suffix: 'neon-lit rainy megacity, chrome and holographic accents, high contrast magenta and cyan lighting' },
+    { name: 'futuristic-minimal', label: 'Futuristic Minimal', emoji: '🔮', prefix: 'futuristic minimalist style,', suffix: 'clean geometric shapes, soft gradients, muted palette, generous negative space, studio lighting' },
+    { name: 'web3-founder', label: 'Web3 Founder Vibe', emoji: '💼', prefix: 'professional web3 founder portrait,', suffix: 'confident pose, sleek modern attire, subtle blockchain motifs, premium editorial lighting' },
+    { name: 'nft-art', label: 'NFT Art', emoji: '🖼️', prefix: 'collectible NFT art style,', suffix: 'bold outlines, vibrant flat colors, iconic centered composition, clean solid background' },
+    { name: 'anime-tech', label: 'Anime Tech', emoji: '⚡', prefix: 'anime style,', suffix: 'high-tech gear, cel shading, dynamic lighting, detailed linework', model: 'pony-diffusion-v6-xl' },
+    { name: 'hyper-realistic', label: 'Hyper-realistic', emoji: '📸', prefix: 'hyper-realistic photograph,', suffix: '85mm lens, shallow depth of field, natural skin texture, cinematic lighting, 8k detail', model: 'flux2_dev_fp8' },
+    { name: 'abstract-neon', label: 'Abstract Neon', emoji: '🌈', prefix: 'abstract neon art,', suffix: 'glowing fluid shapes, electric gradients, dark background, luminous light trails' },
+    { name: 'vaporwave', label: 'Vaporwave', emoji: '🌊', prefix: 'vaporwave aesthetic,', suffix: 'pastel pink and teal, retro 80s grid, marble statues, sunset gradient, lo-fi haze' },
+    { name: 'glitch-art', label: 'Glitch Art', emoji: '📺', prefix: 'glitch art style,', suffix: 'RGB channel split, digital corruption, scanlines, datamosh artifacts, pixel sorting' },
+].map(style => ({ negative: '', model: null, width: null, height: null, ...style, builtin: true }));
+
+function getDb() {
+    if (db) return db;
+
+    const dbPath = sharedConfig.styles.dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+    CREATE TABLE IF NOT EXISTS style_presets (
+      guild_id   TEXT NOT NULL,
+      name       TEXT NOT NULL,
+      label      TEXT NOT NULL,
+      emoji      TEXT DEFAULT '🎨',
+      prefix     TEXT DEFAULT '',
+      suffix     TEXT DEFAULT '',
+      negative   TEXT DEFAULT '',
+      model      TEXT,
+      width      INTEGER,
+      height     INTEGER,
+      created_by TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (guild_id, name)
+    );
+  `);
+    return db;
+}
+
+/**
+ * Turn a display name into a preset slug.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeStyleName(name) {
+    return (name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 32);
+}
+
+/**
+ * @param {object} row
+ * @returns {StylePreset}
+ */
+function fromRow(row) {
+    return {
+        name: row.name,
+        label: row.label,
+        emoji: row.emoji || '🎨',
+        prefix: row.prefix || '',
+        suffix: row.suffix || '',
+        negative: row.negative || '',
+        model: row.model || null,
+        width: row.width || null,
+        height: row.height || null,
+        builtin: false,
+    };
+}
+
+/**
+ * All presets available in a guild: built-ins first (or the guild's
+ * version of them), then the guild's own, alphabetically.
+ * @param {string} guildId
+ * @returns {StylePreset[]}
+ */
+export function listStyles(guildId) {
+    const custom = guildId
+        ? getDb().prepare('SELECT * FROM style_presets WHERE guild_id = ? ORDER BY name').all(guildId).map(fromRow)
+        : [];
+    const byName = new Map(custom.map(style => [style.name, style]));
+
+    const builtins = BUILTIN_STYLES.map(style => byName.get(style.name) || style);
+    const extras = custom.filter(style => !BUILTIN_STYLES.some(b => b.name === style.name));
+    return [...builtins, ...extras];
+}
+
+/**
+ * Look up one preset by name (or label).
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {StylePreset|null}
+ */
+export function getStyle(guildId, name) {
+    const slug = normalizeStyleName(name);
+    return listStyles(guildId).find(style => style.name === slug) || null;
+}
+
+/**
+ * Create or replace a guild preset.
+ * @param {string} guildId
+ * @param {Partial<StylePreset> & {name: string}} style
+ * @param {string} [createdBy]
+ * @returns {StylePreset}
+ */
+export function saveStyle(guildId, style, createdBy) {
+    const name = normalizeStyleName(style.name);
+    if (!name) throw new Error('Style names need at least one letter or number.');
+
+    getDb().prepare(`
+        INSERT INTO style_presets (guild_id, name, label, emoji, prefix, suffix, negative, model, width, height, created_by, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        ON CONFLICT(guild_id, name) DO UPDATE SET
+          label = excluded.label, emoji = excluded.emoji, prefix = excluded.prefix, suffix = excluded.suffix,
+          negative = excluded.negative, model = excluded.model, width = excluded.width, height = excluded.height,
+          updated_at = datetime('now')
+    `).run(
+        guildId, name, style.label || style.name, style.emoji || '🎨',
+        style.prefix || '', style.suffix || '', style.negative || '',
+        style.model || null, style.width || null, style.height || null, createdBy || null,
+    );
+    return getStyle(guildId, name);
+}
+
+/**
+ * Delete a guild preset. Built-ins can't be deleted, but deleting a guild's
+ * edited copy restores the original.
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {boolean} — whether anything was removed
+ */
+export function deleteStyle(guildId, name) {
+    const result = getDb().prepare('DELETE FROM style_presets WHERE guild_id = ? AND name = ?').run(guildId, normalizeStyleName(name));
+    return result.changes > 0;
+}
+
+/**
+ * Wrap a prompt in a preset's prefix and suffix. Already-styled prompts
+ * (e.g. a reroll of a styled blueprint) are left as they are.
+ * @param {string} prompt
+ * @param {StylePreset|null} style
+ * @returns {string}
+ */
+export function applyStyle(prompt, style) {
+    if (!style || !prompt) return prompt;
+    const clean = (part) => (part || '').trim().replace(/,$/, '');
+    const prefix = clean(style.prefix);
+    const suffix = clean(style.suffix);
+    const body = clean(prompt);
+
+    return [
+        prefix && !body.startsWith(prefix) ? prefix : '',
+        body,
+        suffix && !body.endsWith(suffix) ? suffix : '',
+    ].filter(Boolean).join(', ');
+}
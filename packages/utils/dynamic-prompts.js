@@ -0,0 +1,378 @@
+/**
+ * Dynamic Prompt Engine
+ * Expands the dynamic-prompt syntax used by sogni-gen / moltbot:
+ *
+ * - `{a|b|c}`             pick one option
+ * - `{0.7::a|0.3::b}`     weighted pick
+ * - `{2$$a|b|c}`          pick 2 distinct options, joined with ", "
+ * - `{1-3$$ and $$a|b|c}` pick 1 to 3 options with a custom separator
+ * - `__name__`            random line from `wildcards/name.txt` (subfolders allowed)
+ *
+ * Variants nest freely and wildcard lines may themselves contain syntax.
+ * Random expansion is driven by a seeded PRNG so the same seed always gives
+ * the same prompt; combinatorial expansion enumerates every possibility.
+ * @module packages/utils/dynamic-prompts
+ */
+import fs from 'fs';
+import path from 'path';
+import { sharedConfig } from '../config/index.js';
+
+/** Deepest a wildcard may pull in another wildcard */
+const MAX_DEPTH = 10;
+
+const WILDCARD_PATTERN = /^__([\w\-/]+)__/;
+const MULTI_PICK_PATTERN = /^(\d+)(?:-(\d+))?\$\$(?:([^|{}$]*)\$\$)?/;
+const WEIGHT_PATTERN = /^\s*(\d*\.?\d+)::/;
+
+/** @type {Map<string, {mtimeMs: number, lines: string[]}>} */
+const wildcardCache = new Map();
+
+// ── Parsing ──────────────────────────────────────────────────────
+
+/**
+ * @typedef {{type: 'text', value: string}
+ *   | {type: 'wildcard', name: string}
+ *   | {type: 'variant', min: number, max: number, separator: string, options: {weight: number, body: Node[]}[]}} Node
+ */
+
+/**
+ * Parse a sequence of nodes until the end of input or, inside a variant,
+ * until the next `|` or `}` at this nesting level.
+ * @param {string} source
+ * @param {number} start
+ * @param {boolean} inVariant
+ * @returns {{nodes: Node[], index: number, closed: boolean}}
+ */
+function parseSequence(source, start, inVariant) {
+    const nodes = [];
+    let text = '';
+    let i = start;
+
+    const flush = () => {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (ch === '\\' && i + 1 < source.length) {
+            text += source[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (inVariant && (ch === '|' || ch === '}')) {
+            flush();
+            return { nodes, index: i, closed: true };
+        }
+
+        if (ch === '{') {
+            const variant = parseVariant(source, i);
+            if (variant) {
+                flush();
+                nodes.push(variant.node);
+                i = variant.index;
+                continue;
+            }
+        }
+
+        if (ch === '_') {
+            const match = source.slice(i).match(WILDCARD_PATTERN);
+            if (match) {
+                flush();
+                nodes.push({ type: 'wildcard', name: match[1] });
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        text += ch;
+        i++;
+    }
+
+    flush();
+    return { nodes, index: i, closed: !inVariant };
+}
+
+/**
+ * Parse a `{...}` variant starting at `start`. Returns null when the brace
+ * is never closed, in which case it is kept as literal text.
+ * @param {string} source
+ * @param {number} start — index of the opening brace
+ * @returns {{node: Node, index: number}|null}
+ */
+function parseVariant(source, start) {
+    let i = start + 1;
+    let min = 1;
+    let max = 1;
+    let separator = ', ';
+
+    const header = source.slice(i).match(MULTI_PICK_PATTERN);
+    if (header) {
+        min = parseInt(header[1], 10);
+        max = header[2] !== undefined ? parseInt(header[2], 10) : min;
+        if (header[3] !== undefined) separator = header[3];
+        i += header[0].length;
+    }
+
+    const options = [];
+    while (true) {
+        let weight = 1;
+        const weighted = source.slice(i).match(WEIGHT_PATTERN);
+        if (weighted) {
+            weight = parseFloat(weighted[1]);
+            i += weighted[0].length;
+        }
+
+        const option = parseSequence(source, i, true);
+        if (!option.closed) return null;
+        options.push({ weight, body: option.nodes });
+        i = option.index;
+
+        if (source[i] === '}') break;
+        i++; // skip '|'
+    }
+
+    return {
+        node: { type: 'variant', min: Math.min(min, max), max: Math.max(min, max), separator, options },
+        index: i + 1,
+    };
+}
+
+/**
+ * Parse a prompt template into nodes.
+ * @param {string} template
+ * @returns {Node[]}
+ */
+export function parseTemplate(template) {
+    return parseSequence(template, 0, false).nodes;
+}
+
+/**
+ * Whether a prompt uses any dynamic syntax at all.
+ * @param {string} prompt
+ * @returns {boolean}
+ */
+export function hasDynamicSyntax(prompt) {
+    if (!prompt) return false;
+    return parseTemplate(prompt).some(node => node.type !== 'text');
+}
+
+// ── Wildcards ────────────────────────────────────────────────────
+
+/**
+ * Load the non-empty, non-comment lines of a wildcard file.
+ * @param {string} name — e.g. 'colors' or 'styles/anime'
+ * @param {string} wildcardsDir
+ * @returns {string[]|null} — null when the file does not exist
+ */
+export function loadWildcard(name, wildcardsDir = sharedConfig.dynamicPrompts.wildcardsDir) {
+    const filePath = path.join(wildcardsDir, `${name}.txt`);
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch (_) {
+        return null;
+    }
+
+    const cached = wildcardCache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.lines;
+
+    const lines = fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+    wildcardCache.set(filePath, { mtimeMs: stat.mtimeMs, lines });
+    return lines;
+}
+
+// ── Random expansion ─────────────────────────────────────────────
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick an index according to option weights.
+ * @param {number[]} weights
+ * @param {() => number} rng
+ * @returns {number}
+ */
+export function pickWeighted(weights, rng) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return Math.floor(rng() * weights.length);
+    let roll = rng() * total;
+    for (let i = 0; i < weights.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return i;
+    }
+    return weights.length - 1;
+}
+
+/**
+ * @param {Node[]} nodes
+ * @param {object} ctx
+ * @returns {string}
+ */
+function renderNodes(nodes, ctx) {
+    return nodes.map(node => renderNode(node, ctx)).join('');
+}
+
+/**
+ * @param {Node} node
+ * @param {{rng: () => number, wildcardsDir: string, depth: number}} ctx
+ * @returns {string}
+ */
+function renderNode(node, ctx) {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'wildcard') {
+        const lines = ctx.depth < MAX_DEPTH ? loadWildcard(node.name, ctx.wildcardsDir) : null;
+        if (!lines || lines.length === 0) return `__${node.name}__`;
+        const line = lines[Math.floor(ctx.rng() * lines.length)];
+        return renderNodes(parseTemplate(line), { ...ctx, depth: ctx.depth + 1 });
+    }
+
+    const pool = node.options.map((option, index) => ({ ...option, index }));
+    const count = Math.min(node.min + Math.floor(ctx.rng() * (node.max - node.min + 1)), pool.length);
+    const picked = [];
+    for (let n = 0; n < count; n++) {
+        const i = pickWeighted(pool.map(option => option.weight), ctx.rng);
+        picked.push(pool.splice(i, 1)[0]);
+    }
+
+    // Multi-picks keep the author's option order
+    picked.sort((a, b) => a.index - b.index);
+    return picked
+        .map(option => renderNodes(option.body, ctx).trim())
+        .filter(Boolean)
+        .join(node.separator);
+}
+
+/**
+ * Expand a dynamic prompt once. With a seed the result is reproducible;
+ * without one, Math.random decides.
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {number} [options.seed]
+ * @param {string} [options.wildcardsDir]
+ * @returns {string}
+ */
+export function expandPrompt(prompt, options = {}) {
+    if (!prompt) return prompt;
+    const rng = options.seed != null ? createRng(options.seed) : Math.random;
+    const wildcardsDir = options.wildcardsDir || sharedConfig.dynamicPrompts.wildcardsDir;
+    return renderNodes(parseTemplate(prompt), { rng, wildcardsDir, depth: 0 });
+}
+
+// ── Combinatorial expansion ──────────────────────────────────────
+
+/**
+ * Every k-sized subset of `items`, in order. Yielded one at a time so a
+ * capped expansion stops early instead of building C(n, k) subsets.
+ * @template T
+ * @param {T[]} items
+ * @param {number} k
+ * @param {number} [start]
+ * @returns {Generator<T[]>}
+ */
+function* combinations(items, k, start = 0) {
+    if (k === 0) {
+        yield [];
+        return;
+    }
+    for (let i = start; i <= items.length - k; i++) {
+        for (const rest of combinations(items, k - 1, i + 1)) yield [items[i], ...rest];
+    }
+}
+
+/**
+ * Cartesian product of string lists, concatenated, capped at `limit`.
+ * @param {string[][]} lists
+ * @param {number} limit
+ * @param {string} [separator]
+ * @returns {string[]}
+ */
+function product(lists, limit, separator = '') {
+    let results = [null];
+    for (const list of lists) {
+        const next = [];
+        for (const prefix of results) {
+            for (const value of list) {
+                next.push(prefix === null ? value : prefix + separator + value);
+                if (next.length >= limit) break;
+            }
+            if (next.length >= limit) break;
+        }
+        results = next;
+    }
+    return results.map(value => value ?? '');
+}
+
+/**
+ * @param {Node[]} nodes
+ * @param {object} ctx
+ * @returns {string[]}
+ */
+function enumerateNodes(nodes, ctx) {
+    return product(nodes.map(node => enumerateNode(node, ctx)), ctx.limit);
+}
+
+/**
+ * @param {Node} node
+ * @param {{wildcardsDir: string, depth: number, limit: number}} ctx
+ * @returns {string[]}
+ */
+function enumerateNode(node, ctx) {
+    if (node.type === 'text') return [node.value];
+
+    if (node.type === 'wildcard') {
+        const lines = ctx.depth < MAX_DEPTH ? loadWildcard(node.name, ctx.wildcardsDir) : null;
+        if (!lines || lines.length === 0) return [`__${node.name}__`];
+        const nested = { ...ctx, depth: ctx.depth + 1 };
+        return lines.flatMap(line => enumerateNodes(parseTemplate(line), nested)).slice(0, ctx.limit);
+    }
+
+    const optionValues = node.options.map(option =>
+        enumerateNodes(option.body, ctx).map(value => value.trim()));
+
+    const results = [];
+    for (let k = node.min; k <= Math.min(node.max, optionValues.length); k++) {
+        for (const combo of combinations(optionValues, k)) {
+            const nonEmpty = combo.map(values => values.filter(Boolean)).filter(values => values.length > 0);
+            results.push(...product(nonEmpty, ctx.limit - results.length, node.separator));
+            if (results.length >= ctx.limit) return results;
+        }
+    }
+    return results;
+}
+
+/**
+ * Expand every combination a dynamic prompt can produce, e.g. for a batch
+ * job. Weights are ignored; duplicates are removed.
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {number} [options.limit] — stop after this many prompts
+ * @param {string} [options.wildcardsDir]
+ * @returns {string[]}
+ */
+export function expandAllPrompts(prompt, options = {}) {
+    if (!prompt) return [];
+    const limit = options.limit || sharedConfig.dynamicPrompts.maxCombinations;
+    const wildcardsDir = options.wildcardsDir || sharedConfig.dynamicPrompts.wildcardsDir;
+    const all = enumerateNodes(parseTemplate(prompt), { wildcardsDir, depth: 0, limit });
+    return [...new Set(all)].slice(0, limit);
+}
@@ -0,0 +1,215 @@
+/**
+ * Inpainting Masks
+ * Reads image dimensions from file headers, turns region specs such as
+ * "left half" or "10%,10%,50%,50%" into rectangles, and renders them as
+ * grayscale PNG masks (white = repaint, black = keep).
+ *
+ * Everything here works on raw buffers with Node built-ins so the bot
+ * doesn't need an image library just to build a mask.
+ * @module packages/utils/image-mask
+ */
+import zlib from 'zlib';
+
+/**
+ * @typedef {{x: number, y: number, width: number, height: number}} Rect
+ */
+
+/**
+ * Named regions as fractions of the image: [x, y, width, height].
+ * `background` is the inverse of `center`, for "change everything but the
+ * subject" edits.
+ */
+export const NAMED_REGIONS = {
+    'left half': [0, 0, 0.5, 1],
+    'right half': [0.5, 0, 0.5, 1],
+    'top half': [0, 0, 1, 0.5],
+    'bottom half': [0, 0.5, 1, 0.5],
+    'top left': [0, 0, 0.5, 0.5],
+    'top right': [0.5, 0, 0.5, 0.5],
+    'bottom left': [0, 0.5, 0.5, 0.5],
+    'bottom right': [0.5, 0.5, 0.5, 0.5],
+    'center': [0.25, 0.25, 0.5, 0.5],
+    'background': [0.25, 0.25, 0.5, 0.5],
+};
+
+/** Named regions that repaint everything outside their rectangle */
+const INVERTED_REGIONS = new Set(['background']);
+
+// ── Image headers ────────────────────────────────────────────────
+
+/**
+ * Read the pixel size of a PNG, JPEG, GIF or WebP from its header.
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, format: 'png'|'jpeg'|'gif'|'webp'}}
+ * @throws {Error} when the format is not recognised
+ */
+export function readImageSize(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), format: 'png' };
+    }
+
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8), format: 'gif' };
+    }
+
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8X') {
+            return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3), format: 'webp' };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: 1 + (bits & 0x3FFF), height: 1 + ((bits >> 14) & 0x3FFF), format: 'webp' };
+        }
+        if (chunk === 'VP8 ') {
+            return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF, format: 'webp' };
+        }
+    }
+
+    if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        // Walk the segments until a start-of-frame marker
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) break;
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+            const isFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+            if (isFrame) {
+                return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7), format: 'jpeg' };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    throw new Error('Unsupported image format — use PNG, JPEG, GIF or WebP.');
+}
+
+// ── Regions ──────────────────────────────────────────────────────
+
+/**
+ * Resolve a region spec against an image size.
+ *
+ * Accepts a named region (`left half`, `top right`, `center`,
+ * `background`, ...) or a bounding box `x,y,w,h` in pixels or percentages
+ * (`10%,10%,50%,50%`).
+ * @param {string} spec
+ * @param {{width: number, height: number}} size
+ * @returns {{rect: Rect, invert: boolean}}
+ * @throws {Error} when the spec can't be parsed or falls outside the image
+ */
+export function parseRegion(spec, size) {
+    const name = (spec || '').toLowerCase().trim().replace(/[-_\s]+/g, ' ');
+
+    if (NAMED_REGIONS[name]) {
+        const [fx, fy, fw, fh] = NAMED_REGIONS[name];
+        return {
+            rect: {
+                x: Math.round(fx * size.width),
+                y: Math.round(fy * size.height),
+                width: Math.round(fw * size.width),
+                height: Math.round(fh * size.height),
+            },
+            invert: INVERTED_REGIONS.has(name),
+        };
+    }
+
+    const parts = name.split(/[\s,]+/).filter(Boolean);
+    if (parts.length !== 4 || !parts.every(part => /^\d+(\.\d+)?%?$/.test(part))) {
+        throw new Error(`Unknown region "${spec}". Use one of: ${Object.keys(NAMED_REGIONS).join(', ')} — or a box "x,y,width,height" in pixels or %.`);
+    }
+
+    const [x, y, width, height] = parts.map((part, i) => {
+        const value = parseFloat(part);
+        if (!part.endsWith('%')) return Math.round(value);
+        return Math.round(value / 100 * (i % 2 === 0 ? size.width : size.height));
+    });
+
+    if (width <= 0 || height <= 0) {
+        throw new Error('The region needs a width and height above zero.');
+    }
+    if (x + width > size.width || y + height > size.height) {
+        throw new Error(`The region ${x},${y},${width}×${height} falls outside the ${size.width}×${size.height} image.`);
+    }
+    return { rect: { x, y, width, height }, invert: false };
+}
+
+// ── PNG encoding ─────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Render a rectangular mask as an 8-bit grayscale PNG.
+ * @param {number} width
+ * @param {number} height
+ * @param {Rect} rect — area to repaint
+ * @param {object} [options]
+ * @param {boolean} [options.invert] — repaint everything outside the rect instead
+ * @returns {Buffer}
+ */
+export function createRegionMask(width, height, rect, options = {}) {
+    const inside = options.invert ? 0x00 : 0xFF;
+    const outside = options.invert ? 0xFF : 0x00;
+
+    // One filter byte (0 = none) per scanline, then the pixels
+    const raw = Buffer.alloc((width + 1) * height, outside);
+    for (let y = 0; y < height; y++) {
+        const row = y * (width + 1);
+        raw[row] = 0;
+        if (y >= rect.y && y < rect.y + rect.height) {
+            raw.fill(inside, row + 1 + rect.x, row + 1 + Math.min(rect.x + rect.width, width));
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 0;  // grayscale
+    header[10] = 0; // deflate
+    header[11] = 0; // adaptive filtering
+    header[12] = 0; // no interlace
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Check an uploaded mask against the image it will be applied to.
+ * @param {Buffer} mask
+ * @param {{width: number, height: number}} source
+ * @returns {{width: number, height: number, format: string}} — the mask's size
+ * @throws {Error} when the mask isn't an image or its size differs from the source
+ */
+export function validateMask(mask, source) {
+    const size = readImageSize(mask);
+    if (size.format !== 'png' && size.format !== 'webp') {
+        throw new Error('Masks must be PNG or WebP — JPEG compression smears the mask edges.');
+    }
+    if (size.width !== source.width || size.height !== source.height) {
+        throw new Error(`The mask is ${size.width}×${size.height} but the image is ${source.width}×${source.height}. They need to match exactly.`);
+    }
+    return size;
+}
@@ -0,0 +1,117 @@
+/**
+ * Media Store
+ * Keeps full-quality generation results on disk and hands out signed,
+ * expiring download links for them. The bot writes into the store; the
+ * dashboard (a separate process) verifies the link and serves the file.
+ * @module packages/utils/media-store
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { sharedConfig } from '../config/index.js';
+
+/**
+ * Audience of download tokens. The dashboard refuses tokens carrying it, so
+ * a link posted in a channel never works as an API login.
+ */
+export const MEDIA_TOKEN_AUDIENCE = 'media-download';
+
+/** Stored file names are generated, so anything else in a token is rejected */
+const STORED_NAME = /^[\w-]+\.[a-z0-9]{2,5}$/i;
+
+function getStoreDir() {
+    const dir = path.resolve(sharedConfig.media.storeDir);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * Copy a file into the store under a random name.
+ * @param {string} sourcePath
+ * @returns {string} — the stored file name
+ */
+export function storeMediaFile(sourcePath) {
+    const ext = path.extname(sourcePath).toLowerCase() || '.bin';
+    const fileName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`;
+    fs.copyFileSync(sourcePath, path.join(getStoreDir(), fileName));
+    return fileName;
+}
+
+/**
+ * Sign a stored file name into a dashboard URL under `route`.
+ * @param {string} fileName
+ * @param {string} route
+ * @returns {string|null}
+ */
+function signLink(fileName, route) {
+    const { publicUrl, downloadSecret, retentionHours } = sharedConfig.media;
+    if (!publicUrl || !downloadSecret) return null;
+
+    const token = jwt.sign({ file: fileName, typ: MEDIA_TOKEN_AUDIENCE }, downloadSecret, {
+        audience: MEDIA_TOKEN_AUDIENCE,
+        expiresIn: `${retentionHours}h`,
+    });
+    return `${publicUrl.replace(/\/+$/, '')}/${route}/${token}`;
+}
+
+/**
+ * Build a signed link to a stored file, valid for the retention period.
+ * @param {string} fileName — as returned by storeMediaFile
+ * @returns {string|null} — null when no public dashboard URL or download secret is configured
+ */
+export function createDownloadLink(fileName) {
+    return signLink(fileName, 'media');
+}
+
+/**
+ * Build a signed link that opens a stored HTML page (the 360° spin viewer)
+ * in the browser instead of downloading it.
+ * @param {string} fileName — a stored .html file
+ * @returns {string|null} — null when no public dashboard URL or download secret is configured
+ */
+export function createViewerLink(fileName) {
+    return signLink(fileName, 'spin');
+}
+
+/**
+ * Verify a download token and locate its file.
+ * @param {string} token
+ * @returns {string|null} — absolute path, or null if the token is bad, expired or the file is gone
+ */
+export function resolveDownloadToken(token) {
+    const { downloadSecret } = sharedConfig.media;
+    if (!downloadSecret) return null;
+
+    let payload;
+    try {
+        payload = jwt.verify(token, downloadSecret, { audience: MEDIA_TOKEN_AUDIENCE });
+    } catch {
+        return null;
+    }
+
+    if (payload.typ !== MEDIA_TOKEN_AUDIENCE) return null;
+    if (typeof payload.file !== 'string' || !STORED_NAME.test(payload.file)) return null;
+    const filePath = path.join(getStoreDir(), payload.file);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Delete stored files older than the retention period.
+ * @param {number} [now]
+ * @returns {number} — how many files were removed
+ */
+export function pruneMediaStore(now = Date.now()) {
+    const dir = getStoreDir();
+    const cutoff = now - sharedConfig.media.retentionHours * 3600 * 1000;
+    let removed = 0;
+
+    for (const fileName of fs.readdirSync(dir)) {
+        const filePath = path.join(dir, fileName);
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+            fs.unlinkSync(filePath);
+            removed++;
+        }
+    }
+    return removed;
+}
@@ -0,0 +1,336 @@
+/**
+ * Media Helpers
+ * Thin wrappers around the bundled ffmpeg-static binary for checking and
+ * preparing user-supplied media before it is handed to Sogni, and for
+ * fitting generated videos into Discord's upload limits.
+ *
+ * ffprobe isn't bundled, so stream info is read from the banner ffmpeg
+ * prints for `ffmpeg -i <file>`.
+ * @module packages/utils/media
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import ffmpegStatic from 'ffmpeg-static';
+import { sharedConfig } from '../config/index.js';
+
+/** Audio formats accepted for s2v, by extension */
+export const AUDIO_FORMATS = {
+    '.mp3': ['audio/mpeg', 'audio/mp3'],
+    '.wav': ['audio/wav', 'audio/x-wav', 'audio/wave'],
+    '.m4a': ['audio/mp4', 'audio/x-m4a', 'audio/m4a'],
+    '.aac': ['audio/aac'],
+    '.ogg': ['audio/ogg', 'audio/opus'],
+    '.flac': ['audio/flac', 'audio/x-flac'],
+};
+
+/** Video formats accepted as animate driving clips, by extension */
+export const VIDEO_FORMATS = {
+    '.mp4': ['video/mp4'],
+    '.mov': ['video/quicktime'],
+    '.webm': ['video/webm'],
+    '.mkv': ['video/x-matroska'],
+    '.gif': ['image/gif'],
+};
+
+/**
+ * @typedef {Object} MediaInfo
+ * @property {number|null} duration — seconds
+ * @property {boolean} hasAudio
+ * @property {boolean} hasVideo
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {number|null} fps
+ */
+
+/**
+ * Match an attachment against a format table by content type, falling back
+ * to the file name.
+ * @param {Record<string, string[]>} formats
+ * @param {string|null} contentType
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+function detectFormat(formats, contentType, fileName) {
+    const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+    const byMime = Object.entries(formats).find(([, mimes]) => mimes.includes(mime));
+    if (byMime) return byMime[0];
+
+    const ext = path.extname(fileName.split('?')[0]).toLowerCase();
+    return formats[ext] ? ext : null;
+}
+
+/**
+ * Work out the audio format of an attachment.
+ * @param {string|null} contentType
+ * @param {string} [fileName]
+ * @returns {string|null} — extension such as '.mp3', or null if unsupported
+ */
+export function detectAudioFormat(contentType, fileName = '') {
+    return detectFormat(AUDIO_FORMATS, contentType, fileName);
+}
+
+/**
+ * Work out the video format of an attachment.
+ * @param {string|null} contentType
+ * @param {string} [fileName]
+ * @returns {string|null} — extension such as '.mp4', or null if unsupported
+ */
+export function detectVideoFormat(contentType, fileName = '') {
+    return detectFormat(VIDEO_FORMATS, contentType, fileName);
+}
+
+/**
+ * Run ffmpeg and collect its stderr.
+ * @param {string[]} args
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{code: number, stderr: string}>}
+ */
+export function runFfmpeg(args, options = {}) {
+    const timeoutMs = options.timeoutMs || sharedConfig.media.ffmpegTimeoutMs;
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(sharedConfig.media.ffmpegPath || ffmpegStatic, ['-hide_banner', ...args], {
+            stdio: ['ignore', 'ignore', 'pipe'],
+        });
+
+        let stderr = '';
+        child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+        const timeout = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`ffmpeg timed out after ${Math.round(timeoutMs / 1000)}s`));
+        }, timeoutMs);
+
+        child.on('error', (err) => {
+            clearTimeout(timeout);
+            reject(new Error(`Could not run ffmpeg: ${err.message}`));
+        });
+        child.on('close', (code) => {
+            clearTimeout(timeout);
+            resolve({ code, stderr });
+        });
+    });
+}
+
+/**
+ * Parse the stream summary ffmpeg prints for an input file.
+ * @param {string} stderr
+ * @returns {MediaInfo}
+ */
+export function parseMediaInfo(stderr) {
+    const duration = stderr.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    const video = stderr.match(/Stream #\S+.*?: Video: .*/);
+    const size = video?.[0].match(/, (\d{2,5})x(\d{2,5})/);
+    const fps = video?.[0].match(/, (\d+(?:\.\d+)?) fps/);
+
+    return {
+        duration: duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : null,
+        hasAudio: /Stream #\S+.*?: Audio: /.test(stderr),
+        hasVideo: Boolean(video),
+        width: size ? Number(size[1]) : null,
+        height: size ? Number(size[2]) : null,
+        fps: fps ? Number(fps[1]) : null,
+    };
+}
+
+/**
+ * Inspect a media file.
+ * @param {string} filePath
+ * @returns {Promise<MediaInfo>}
+ * @throws {Error} when ffmpeg can't read the file
+ */
+export async function probeMedia(filePath) {
+    // Without an output ffmpeg exits non-zero, but still prints the input summary
+    const { stderr } = await runFfmpeg(['-i', filePath]);
+    if (/Invalid data found|could not find codec|No such file/i.test(stderr)) {
+        throw new Error('The file could not be read as audio or video.');
+    }
+    return parseMediaInfo(stderr);
+}
+
+/**
+ * Trim or pad (with silence) an audio track to an exact length and
+ * re-encode it as AAC, which every Sogni video workflow accepts.
+ * @param {string} inputPath
+ * @param {string} outputPath — should end in .m4a
+ * @param {number} durationSec
+ * @returns {Promise<string>} — outputPath
+ */
+export async function fitAudioDuration(inputPath, outputPath, durationSec) {
+    const { code, stderr } = await runFfmpeg([
+        '-y', '-i', inputPath,
+        '-vn', '-af', 'apad', '-t', String(durationSec),
+        '-ac', '2', '-ar', '44100', '-c:a', 'aac', '-b:a', '128k',
+        outputPath,
+    ]);
+    if (code !== 0) {
+        throw new Error(`ffmpeg could not convert the audio: ${stderr.trim().split('\n').pop()}`);
+    }
+    return outputPath;
+}
+
+/**
+ * Re-encode a driving clip for the animate workflows: constant frame rate,
+ * capped length, exact (already normalized) dimensions, no audio.
+ * @param {string} inputPath
+ * @param {string} outputPath — should end in .mp4
+ * @param {object} target
+ * @param {number} target.fps
+ * @param {number} target.durationSec
+ * @param {number} target.width
+ * @param {number} target.height
+ * @returns {Promise<string>} — outputPath
+ */
+export async function normalizeVideoClip(inputPath, outputPath, { fps, durationSec, width, height }) {
+    const { code, stderr } = await runFfmpeg([
+        '-y', '-i', inputPath,
+        '-t', String(durationSec),
+        '-vf', `fps=${fps},scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`,
+        '-an', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20', '-pix_fmt', 'yuv420p', '-movflags', '+faststart',
+        outputPath,
+    ]);
+    if (code !== 0) {
+        throw new Error(`ffmpeg could not convert the clip: ${stderr.trim().split('\n').pop()}`);
+    }
+    return outputPath;
+}
+
+// ── Discord delivery ─────────────────────────────────────────────
+
+/** Upload limit per server boost tier, in bytes */
+export const UPLOAD_LIMITS = {
+    0: 10 * 1024 * 1024,
+    1: 10 * 1024 * 1024,
+    2: 50 * 1024 * 1024,
+    3: 100 * 1024 * 1024,
+};
+
+/** Share of the upload limit a fitted video aims for, leaving room for container overhead */
+const FIT_HEADROOM = 0.92;
+
+/** Audio bitrate kept when a video is squeezed to fit, in kbps */
+const FIT_AUDIO_KBPS = 96;
+
+/**
+ * Largest file a guild can receive as an attachment.
+ * @param {number} [premiumTier] — the guild's boost tier; DMs count as 0
+ * @returns {number} — bytes
+ */
+export function getUploadLimit(premiumTier = 0) {
+    return UPLOAD_LIMITS[premiumTier] || UPLOAD_LIMITS[0];
+}
+
+/**
+ * Work out the encoder settings that fit a clip of `durationSec` into
+ * `maxBytes`. Low bitrates also get a smaller frame so they stay watchable.
+ * @param {number} maxBytes
+ * @param {number} durationSec
+ * @param {object} [options]
+ * @param {boolean} [options.hasAudio]
+ * @returns {{videoKbps: number, audioKbps: number, maxWidth: number|null}|null}
+ *   — null when even a tiny stream wouldn't fit
+ */
+export function planVideoFit(maxBytes, durationSec, options = {}) {
+    const audioKbps = options.hasAudio ? FIT_AUDIO_KBPS : 0;
+    const totalKbps = Math.floor((maxBytes * 8 * FIT_HEADROOM) / durationSec / 1000);
+    const videoKbps = totalKbps - audioKbps;
+    if (videoKbps < 150) return null;
+
+    const maxWidth = videoKbps < 600 ? 480 : videoKbps < 1500 ? 720 : null;
+    return { videoKbps, audioKbps, maxWidth };
+}
+
+/**
+ * Re-encode a video so it fits under `maxBytes`. One pass at the planned
+ * bitrate, then a second at 80% if the first still lands over the limit.
+ * @param {string} inputPath
+ * @param {string} outputPath — should end in .mp4
+ * @param {object} options
+ * @param {number} options.maxBytes
+ * @param {number} options.durationSec
+ * @param {boolean} [options.hasAudio]
+ * @returns {Promise<string>} — outputPath
+ * @throws {Error} when the clip is too long to fit or ffmpeg fails
+ */
+export async function fitVideoToSize(inputPath, outputPath, { maxBytes, durationSec, hasAudio }) {
+    const plan = planVideoFit(maxBytes, durationSec, { hasAudio });
+    if (!plan) {
+        throw new Error(`A ${Math.round(durationSec)}s video can't be squeezed under ${Math.round(maxBytes / 1024 / 1024)}MB.`);
+    }
+
+    for (const factor of [1, 0.8]) {
+        const videoKbps = Math.floor(plan.videoKbps * factor);
+        const { code, stderr } = await runFfmpeg([
+            '-y', '-i', inputPath,
+            ...(plan.maxWidth ? ['-vf', `scale='min(${plan.maxWidth},iw)':-2`] : []),
+            '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+            '-b:v', `${videoKbps}k`, '-maxrate', `${videoKbps}k`, '-bufsize', `${videoKbps * 2}k`,
+            ...(plan.audioKbps ? ['-c:a', 'aac', '-b:a', `${plan.audioKbps}k`] : ['-an']),
+            '-movflags', '+faststart',
+            outputPath,
+        ]);
+        if (code !== 0) {
+            throw new Error(`ffmpeg could not shrink the video: ${stderr.trim().split('\n').pop()}`);
+        }
+        if (fs.statSync(outputPath).size <= maxBytes) return outputPath;
+    }
+    throw new Error(`The video is still over ${Math.round(maxBytes / 1024 / 1024)}MB after re-encoding.`);
+}
+
+/**
+ * Render a short, small, looping animated preview of a video.
+ * @param {string} inputPath
+ * @param {string} outputPath — ending in .gif or .webp
+ * @param {object} [options]
+ * @param {number} [options.width] — default 320
+ * @param {number} [options.fps] — default 10
+ * @param {number} [options.maxSec] — default 4
+ * @returns {Promise<string>} — outputPath
+ */
+export async function createVideoPreview(inputPath, outputPath, options = {}) {
+    const { width = 320, fps = 10, maxSec = 4 } = options;
+    const base = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+    const encode = outputPath.endsWith('.webp')
+        ? ['-vf', base, '-c:v', 'libwebp', '-quality', '70', '-loop', '0']
+        // Per-clip palette so GIF colours don't band
+        : ['-filter_complex', `[0:v]${base},split[a][b];[a]palettegen=max_colors=128[p];[b][p]paletteuse=dither=bayer`, '-loop', '0'];
+
+    const { code, stderr } = await runFfmpeg(['-y', '-t', String(maxSec), '-i', inputPath, '-an', ...encode, outputPath]);
+    if (code !== 0) {
+        throw new Error(`ffmpeg could not render the preview: ${stderr.trim().split('\n').pop()}`);
+    }
+    return outputPath;
+}
+
+/**
+ * Grab a poster frame from the start of a video.
+ * @param {string} inputPath
+ * @param {string} outputPath — should end in .jpg
+ * @returns {Promise<string>} — outputPath
+ */
+export async function extractPoster(inputPath, outputPath) {
+    const { code, stderr } = await runFfmpeg(['-y', '-ss', '0.5', '-i', inputPath, '-frames:v', '1', '-q:v', '3', outputPath]);
+    if (code !== 0) {
+        throw new Error(`ffmpeg could not extract a poster frame: ${stderr.trim().split('\n').pop()}`);
+    }
+    return outputPath;
+}
+
+/**
+ * Centre-crop an image to a square and scale it to `size` pixels, e.g. a
+ * PFP sized for a platform's profile picture.
+ * @param {string} inputPath
+ * @param {string} outputPath — .png or .jpg
+ * @param {number} size — edge in px
+ * @returns {Promise<string>} — outputPath
+ */
+export async function fitSquareImage(inputPath, outputPath, size) {
+    const filter = `crop='min(iw,ih)':'min(iw,ih)',scale=${size}:${size}:flags=lanczos,setsar=1`;
+    const { code, stderr } = await runFfmpeg(['-y', '-i', inputPath, '-vf', filter, '-frames:v', '1', outputPath]);
+    if (code !== 0) {
+        throw new Error(`ffmpeg could not resize the image: ${stderr.trim().split('\n').pop()}`);
+    }
+    return outputPath;
+}
@@ -0,0 +1,157 @@
+/**
+ * Multi-Angle Shots
+ * The camera vocabulary of the Qwen `multiple_angles` LoRA (azimuth,
+ * elevation, distance) and the planner that turns /angles360 options —
+ * angle count, elevation or sweep, distance, orbit — into an ordered list
+ * of shots. The same plan drives the sogni-gen CLI (`--angles-plan`) and
+ * the SDK path in ImageGenerator, so both render identical turns.
+ * @module packages/utils/multi-angle
+ */
+
+/** The eight azimuths the LoRA knows, clockwise from the front */
+export const MULTI_ANGLE_AZIMUTHS = [
+    { key: 'front', prompt: 'front view' },
+    { key: 'front-right', prompt: 'front-right quarter view' },
+    { key: 'right', prompt: 'right side view' },
+    { key: 'back-right', prompt: 'back-right quarter view' },
+    { key: 'back', prompt: 'back view' },
+    { key: 'back-left', prompt: 'back-left quarter view' },
+    { key: 'left', prompt: 'left side view' },
+    { key: 'front-left', prompt: 'front-left quarter view' }
+];
+
+/** Camera heights, lowest first */
+export const MULTI_ANGLE_ELEVATIONS = [
+    { key: 'low-angle', prompt: 'low-angle shot' },
+    { key: 'eye-level', prompt: 'eye-level shot' },
+    { key: 'elevated', prompt: 'elevated shot' },
+    { key: 'high-angle', prompt: 'high-angle shot' }
+];
+
+export const MULTI_ANGLE_DISTANCES = [
+    { key: 'close-up', prompt: 'close-up' },
+    { key: 'medium', prompt: 'medium shot' },
+    { key: 'wide', prompt: 'wide shot' }
+];
+
+/** Model, LoRA and LoRA strength sogni-gen uses for multi-angle edits */
+export const MULTI_ANGLE_MODEL = 'qwen_image_edit_2511_fp8_lightning';
+export const MULTI_ANGLE_LORA = 'multiple_angles';
+export const MULTI_ANGLE_LORA_STRENGTH = 0.9;
+
+/** Angle counts offered by /angles360 */
+export const ANGLE_COUNTS = [4, 8, 16, 24];
+
+/** Rings rendered by `elevation: sweep`, bottom to top */
+export const ELEVATION_SWEEP = ['low-angle', 'eye-level', 'high-angle'];
+
+/** Most renders a single plan may ask for */
+export const MAX_SHOTS = 48;
+
+/**
+ * @typedef {Object} AngleShot
+ * @property {number} index — position in the plan
+ * @property {string} key — unique id, e.g. 'front', '22.5deg' or 'front@low-angle'
+ * @property {number} degrees — clockwise from the front
+ * @property {string} azimuth — nearest LoRA azimuth key
+ * @property {string} azimuthPrompt — azimuth phrasing, with the offset for in-between angles
+ * @property {string|null} elevation — elevation key
+ * @property {string|null} distance — distance key
+ * @property {string} label — human-readable description
+ */
+
+/**
+ * Phrase an arbitrary azimuth with the LoRA's eight views, nudging toward
+ * the neighbouring view for in-between angles.
+ * @param {number} degrees
+ * @returns {{azimuth: string, prompt: string, exact: boolean}}
+ */
+export function describeAzimuth(degrees) {
+    const step = 360 / MULTI_ANGLE_AZIMUTHS.length;
+    const nearest = Math.round(degrees / step) % MULTI_ANGLE_AZIMUTHS.length;
+    const base = MULTI_ANGLE_AZIMUTHS[nearest];
+    // Wrap so 337.5° reads as 22.5° short of the front, not 337.5° past it
+    const offset = ((degrees - nearest * step + 540) % 360) - 180;
+
+    if (Math.abs(offset) < 0.01) return { azimuth: base.key, prompt: base.prompt, exact: true };
+
+    const neighbour = MULTI_ANGLE_AZIMUTHS[(nearest + (offset > 0 ? 1 : -1) + MULTI_ANGLE_AZIMUTHS.length) % MULTI_ANGLE_AZIMUTHS.length];
+    return {
+        azimuth: base.key,
+        prompt: `${base.prompt} turned ${Math.abs(offset)}° toward the ${neighbour.prompt}`,
+        exact: false,
+    };
+}
+
+/**
+ * Elevation for orbit mode: eye level at the front and back, rising to a
+ * high angle on the right and dipping low on the left.
+ * @param {number} degrees
+ * @returns {string} — elevation key
+ */
+export function orbitElevation(degrees) {
+    const height = Math.sin((degrees * Math.PI) / 180);
+    if (height < -0.5) return 'low-angle';
+    if (height < 0.35) return 'eye-level';
+    if (height < 0.85) return 'elevated';
+    return 'high-angle';
+}
+
+/**
+ * Turn /angles360 options into an ordered shot list.
+ * @param {object} [options]
+ * @param {number} [options.count] — 4, 8, 16 or 24 (default 8)
+ * @param {string} [options.elevation] — an elevation key, or 'sweep' for one ring per ELEVATION_SWEEP height
+ * @param {string} [options.distance] — a distance key
+ * @param {boolean} [options.orbit] — vary the elevation along the turn
+ * @returns {AngleShot[]}
+ * @throws {Error} with a user-facing message for invalid combinations
+ */
+export function planAngleShots(options = {}) {
+    const { count = 8, elevation = null, distance = null, orbit = false } = options;
+
+    if (!ANGLE_COUNTS.includes(count)) {
+        throw new Error(`Angle count must be one of ${ANGLE_COUNTS.join(', ')}.`);
+    }
+    if (elevation && elevation !== 'sweep' && !MULTI_ANGLE_ELEVATIONS.some(e => e.key === elevation)) {
+        throw new Error(`Unknown elevation "${elevation}". Use ${MULTI_ANGLE_ELEVATIONS.map(e => e.key).join(', ')} or sweep.`);
+    }
+    if (distance && !MULTI_ANGLE_DISTANCES.some(d => d.key === distance)) {
+        throw new Error(`Unknown distance "${distance}". Use ${MULTI_ANGLE_DISTANCES.map(d => d.key).join(', ')}.`);
+    }
+    if (orbit && elevation) {
+        throw new Error('Orbit mode sets the elevation itself — leave `elevation` empty.');
+    }
+
+    const sweep = elevation === 'sweep';
+    const rings = sweep ? ELEVATION_SWEEP : [elevation];
+    if (rings.length * count > MAX_SHOTS) {
+        throw new Error(`That's ${rings.length * count} renders; a plan can have at most ${MAX_SHOTS}. Use fewer angles for a sweep.`);
+    }
+
+    const shots = [];
+    for (const ring of rings) {
+        for (let i = 0; i < count; i++) {
+            const degrees = (i * 360) / count;
+            const azimuth = describeAzimuth(degrees);
+            const shotElevation = orbit ? orbitElevation(degrees) : ring;
+            const azimuthKey = azimuth.exact ? azimuth.azimuth : `${degrees}deg`;
+
+            shots.push({
+                index: shots.length,
+                key: sweep ? `${azimuthKey}@${shotElevation}` : azimuthKey,
+                degrees,
+                azimuth: azimuth.azimuth,
+                azimuthPrompt: azimuth.prompt,
+                elevation: shotElevation,
+                distance,
+                label: [
+                    azimuth.prompt,
+                    MULTI_ANGLE_ELEVATIONS.find(e => e.key === shotElevation)?.prompt,
+                    MULTI_ANGLE_DISTANCES.find(d => d.key === distance)?.prompt,
+                ].filter(Boolean).join(', '),
+            });
+        }
+    }
+    return shots;
+}
@@ -0,0 +1,333 @@
+/**
+ * Offline Prompt Composer
+ * Writes a full image prompt without Gemini, so the PFP wizard and /imagine
+ * enhancement keep working through an outage. A subject is dressed with
+ * descriptors drawn from the style's vocabulary bank, then phrased for the
+ * model that will read it:
+ *
+ * - Flux and other T5/LLM encoders get plain sentences
+ * - SDXL-family CLIP models get comma tags, quality first, trimmed to fit
+ * - Pony gets its score, source and rating tags up front
+ *
+ * Descriptors are weighted and drawn from a PRNG seeded from the request, so
+ * the same request always composes the same prompt, whichever model it's for.
+ * @module packages/utils/prompt-composer
+ */
+import { getPromptTokenLimit } from '../config/models.js';
+import { createRng, pickWeighted } from './dynamic-prompts.js';
+import { analyzePrompt, estimateTokens } from './prompt-lint.js';
+
+/**
+ * Descriptors for one style, each as [phrase, weight]. Phrases are written to
+ * read both as a tag and inside a sentence ("set in …", "lit by …", "with …").
+ * @typedef {Object} VocabularyBank
+ * @property {string[]} keywords — words in a style or prompt that select this bank
+ * @property {[string, number][]} medium
+ * @property {[string, number][]} setting
+ * @property {[string, number][]} lighting
+ * @property {[string, number][]} palette
+ * @property {[string, number][]} details
+ * @property {string} [source] — Pony source tag
+ */
+
+/** @type {Record<string, VocabularyBank>} — keyed by built-in style name, checked in order */
+const STYLE_BANKS = {
+    cyberpunk: {
+        keywords: ['cyberpunk', 'neon-lit', 'megacity', 'blade runner'],
+        medium: [['cyberpunk digital painting', 3], ['cyberpunk concept art', 2], ['neo-noir illustration', 1]],
+        setting: [['a neon-lit rainy megacity', 3], ['a crowded night market', 1], ['a rooftop above the city lights', 1]],
+        lighting: [['magenta and cyan neon light', 3], ['rain-slick neon reflections', 2], ['holographic rim light', 1]],
+        palette: [['electric magenta and teal tones', 3], ['deep blues with hot pink highlights', 1]],
+        details: [['chrome implants', 2], ['holographic accents', 2], ['glowing circuitry', 1], ['a techwear jacket', 1]],
+        source: 'source_anime',
+    },
+    'futuristic-minimal': {
+        keywords: ['minimal', 'minimalist', 'minimalism'],
+        medium: [['minimalist 3d render', 2], ['clean futuristic illustration', 2], ['sleek product-style render', 1]],
+        setting: [['a seamless pale studio backdrop', 3], ['a soft gradient void', 2], ['a white architectural space', 1]],
+        lighting: [['soft diffused studio light', 3], ['gentle top light', 1]],
+        palette: [['muted pastel tones', 2], ['silver and white tones', 1]],
+        details: [['clean geometric shapes', 2], ['smooth matte surfaces', 2], ['generous negative space', 2], ['a single glowing accent line', 1]],
+    },
+    'web3-founder': {
+        keywords: ['founder', 'web3', 'executive', 'entrepreneur', 'business'],
+        medium: [['editorial portrait photograph', 3], ['premium digital portrait', 2]],
+        setting: [['a dark studio backdrop', 2], ['a modern glass-walled office', 2], ['a stage with a blurred crowd', 1]],
+        lighting: [['premium editorial light', 3], ['a soft key light with a cool rim light', 2]],
+        palette: [['deep navy and gold tones', 2], ['charcoal tones with cyan accents', 2]],
+        details: [['sleek modern attire', 3], ['subtle blockchain motifs', 2], ['a holographic lapel pin', 1], ['a smart watch', 1]],
+    },
+    'nft-art': {
+        keywords: ['nft', 'collectible', 'bold outlines'],
+        medium: [['collectible NFT illustration', 3], ['bold vector character art', 2]],
+        setting: [['a clean solid background', 3], ['a simple two-tone background', 1]],
+        lighting: [['flat even light', 2], ['soft cel-style highlights', 1]],
+        palette: [['vibrant flat colors', 3], ['a punchy limited palette', 1]],
+        details: [['bold outlines', 3], ['an iconic accessory', 2], ['a quirky hat', 1], ['rare trait sunglasses', 1]],
+        source: 'source_cartoon',
+    },
+    'anime-tech': {
+        keywords: ['anime', 'manga', 'cel shading', 'cel shaded'],
+        medium: [['anime illustration', 3], ['anime key visual', 2], ['cel-shaded manga art', 1]],
+        setting: [['a futuristic city skyline', 2], ['a high-tech hangar', 1], ['a sky full of drifting data panels', 1]],
+        lighting: [['dynamic rim light', 3], ['glowing HUD light', 1]],
+        palette: [['saturated blues and oranges', 2], ['crisp cool tones with warm highlights', 1]],
+        details: [['high-tech gear', 3], ['detailed linework', 2], ['a glowing visor', 1], ['mechanical armor plating', 1]],
+        source: 'source_anime',
+    },
+    'hyper-realistic': {
+        keywords: ['realistic', 'photorealistic', 'photoreal', 'photograph', 'photo'],
+        medium: [['hyper-realistic photograph', 3], ['cinematic portrait photograph', 2]],
+        setting: [['a softly blurred urban background', 2], ['a dark studio backdrop', 2], ['a sunlit street', 1]],
+        lighting: [['soft cinematic light', 3], ['golden hour sunlight', 2], ['dramatic side light', 1]],
+        palette: [['natural skin tones', 2], ['warm filmic tones', 1]],
+        details: [['natural skin texture', 3], ['catchlights in the eyes', 2], ['fine fabric detail', 1]],
+    },
+    'abstract-neon': {
+        keywords: ['abstract', 'neon', 'glowing'],
+        medium: [['abstract neon artwork', 3], ['luminous digital art', 2]],
+        setting: [['a pitch-dark background', 3], ['a void of drifting light particles', 1]],
+        lighting: [['glowing neon light', 3], ['luminous light trails', 2]],
+        palette: [['electric gradients', 3], ['acid green and violet tones', 1]],
+        details: [['glowing fluid shapes', 3], ['flowing light ribbons', 2], ['liquid chrome', 1]],
+    },
+    vaporwave: {
+        keywords: ['vaporwave', 'synthwave', 'outrun', '80s'],
+        medium: [['vaporwave digital collage', 2], ['retro 80s airbrush art', 2]],
+        setting: [['a retro 80s grid horizon', 3], ['a marble statue garden', 1], ['a pastel sunset sky', 1]],
+        lighting: [['sunset gradient light', 3], ['lo-fi pastel haze', 2]],
+        palette: [['pastel pink and teal tones', 3]],
+        details: [['marble statue fragments', 2], ['palm tree silhouettes', 2], ['a chrome sunset', 1], ['old CRT screens', 1]],
+    },
+    'glitch-art': {
+        keywords: ['glitch', 'datamosh', 'corrupted', 'pixel sorting'],
+        medium: [['glitch art piece', 3], ['corrupted digital portrait', 2]],
+        setting: [['a backdrop of broken video frames', 2], ['a static-filled screen', 2]],
+        lighting: [['flickering CRT light', 2], ['harsh screen glow', 2]],
+        palette: [['RGB split colors', 3], ['washed-out VHS tones', 1]],
+        details: [['RGB channel split', 3], ['scanlines', 2], ['datamosh artifacts', 2], ['pixel sorting streaks', 1]],
+    },
+};
+
+/** Used when neither the style nor the subject selects a bank */
+const DEFAULT_BANK = {
+    keywords: [],
+    medium: [['detailed digital painting', 3], ['cinematic digital art', 2], ['concept art illustration', 1]],
+    setting: [['a moody studio backdrop', 2], ['an atmospheric blurred background', 2], ['a dramatic sky', 1]],
+    lighting: [['cinematic light', 3], ['soft volumetric light', 2], ['warm rim light', 1]],
+    palette: [['rich complementary colors', 2], ['a harmonious warm palette', 1]],
+    details: [['intricate textures', 2], ['fine surface detail', 2], ['subtle atmospheric haze', 1]],
+};
+
+/** The PFP wizard's moods, as features of the subject */
+const MOOD_BANK = {
+    dominant: [['a commanding stare', 2], ['an imposing stance', 1]],
+    calm: [['a serene expression', 2], ['a relaxed, easy posture', 1]],
+    mysterious: [['an enigmatic half-shadowed gaze', 2], ['a knowing smirk', 1]],
+    confident: [['a self-assured smile', 2], ['a squared, confident stance', 1]],
+    rebellious: [['a defiant smirk', 2], ['a rebellious glare', 1]],
+    visionary: [['a far-sighted upward gaze', 2], ['an inspired, determined look', 1]],
+    ethereal: [['a dreamy, otherworldly expression', 2], ['a soft ethereal glow', 1]],
+    powerful: [['a fierce, powerful stare', 2], ['a battle-ready stance', 1]],
+};
+
+const FRAMING_BANKS = {
+    pfp: [['centered head-and-shoulders portrait', 3], ['close-up portrait', 2], ['three-quarter view portrait', 2], ['low angle heroic portrait', 1]],
+    scene: [['medium shot', 3], ['wide shot', 2], ['low angle shot', 1], ['close-up', 1]],
+};
+
+const PONY_TAGS = ['score_9', 'score_8_up', 'score_7_up'];
+
+const SDXL_QUALITY_TAGS = ['masterpiece', 'best quality'];
+
+/**
+ * Tags dropped first when a CLIP prompt runs over the encoder limit, most
+ * expendable first. The subject, mood and anything the user wrote always stay.
+ */
+const TRIM_ORDER = ['palette', 'detail2', 'setting', 'framing', 'detail1', 'lighting'];
+
+/**
+ * @typedef {Object} ComposeRequest
+ * @property {string} subject — who or what is in the picture
+ * @property {string} [style] — a style name or description; picks the vocabulary bank
+ * @property {string} [mood] — a wizard mood, or any word
+ * @property {string} [details] — the user's own extra details, kept verbatim
+ * @property {string[]} [keep] — phrases that must survive, e.g. avatar traits to preserve
+ * @property {string} [modelId] — decides the phrasing
+ * @property {number} [seed] — defaults to a hash of the request
+ * @property {'pfp'|'scene'} [kind] — a profile picture or a free scene
+ */
+
+/**
+ * 32-bit FNV-1a hash, for seeding the composer from the request text.
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * How a model wants its prompt phrased.
+ * @param {string} [modelId]
+ * @returns {'flux'|'sdxl'|'pony'}
+ */
+export function promptFamily(modelId) {
+    if (/pony/i.test(modelId || '')) return 'pony';
+    return getPromptTokenLimit(modelId).encoder === 'CLIP' ? 'sdxl' : 'flux';
+}
+
+/**
+ * @param {string} text — lowercased
+ * @param {string} term
+ */
+function hasTerm(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?=[^a-z0-9]|$)`).test(text);
+}
+
+/**
+ * The name of the vocabulary bank for a style, falling back to whatever the
+ * subject text suggests.
+ * @param {...string} texts — checked in order, e.g. the style then the subject
+ * @returns {string|null} — a built-in style name, or null for the default bank
+ */
+export function detectStyle(...texts) {
+    for (const text of texts) {
+        const lower = (text || '').toLowerCase().trim();
+        if (!lower) continue;
+        if (STYLE_BANKS[lower]) return lower;
+        const match = Object.entries(STYLE_BANKS).find(([, bank]) => bank.keywords.some(term => hasTerm(lower, term)));
+        if (match) return match[0];
+    }
+    return null;
+}
+
+/**
+ * @param {[string, number][]} entries
+ * @param {() => number} rng
+ * @returns {string}
+ */
+function pick(entries, rng) {
+    return entries[pickWeighted(entries.map(([, weight]) => weight), rng)][0];
+}
+
+/**
+ * "a", "a and b", "a, b and c"
+ * @param {string[]} items
+ */
+function listJoin(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join('');
+}
+
+/**
+ * @param {string} text
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * @param {string} word
+ */
+function withArticle(word) {
+    return `${/^[aeiou]/i.test(word) ? 'an' : 'a'} ${word}`;
+}
+
+/**
+ * Join CLIP tags, dropping the most expendable ones until they fit.
+ * @param {{text: string, slot?: string}[]} tags
+ * @param {number} limit — encoder tokens
+ * @returns {string}
+ */
+function fitTags(tags, limit) {
+    let kept = tags.filter(tag => tag.text);
+    for (const slot of TRIM_ORDER) {
+        if (estimateTokens(kept.map(tag => tag.text).join(', ')) <= limit) break;
+        kept = kept.filter(tag => tag.slot !== slot);
+    }
+    return kept.map(tag => tag.text).join(', ');
+}
+
+/**
+ * Compose a prompt offline from a subject, style and mood.
+ * @param {ComposeRequest} request
+ * @returns {string}
+ */
+export function composePrompt({ subject, style, mood, details, keep = [], modelId, seed, kind = 'scene' }) {
+    const bank = STYLE_BANKS[detectStyle(style, subject)] || DEFAULT_BANK;
+    const rng = createRng(seed ?? hashSeed(JSON.stringify([subject, style, mood, details, keep, kind])));
+
+    // Every slot is drawn, in a fixed order, so a seed picks the same
+    // descriptors whichever model the prompt is phrased for
+    const medium = pick(bank.medium, rng);
+    const moodText = (mood || '').trim().toLowerCase();
+    const feature = MOOD_BANK[moodText] ? pick(MOOD_BANK[moodText], rng) : (moodText && moodText !== 'none' ? `a ${moodText} mood` : '');
+    const detail1 = pick(bank.details, rng);
+    const detail2 = pick(bank.details.filter(([phrase]) => phrase !== detail1), rng);
+    const setting = pick(bank.setting, rng);
+    const lighting = pick(bank.lighting, rng);
+    const palette = pick(bank.palette, rng);
+    const framing = pick(FRAMING_BANKS[kind] || FRAMING_BANKS.scene, rng);
+    const extra = (details || '').trim().replace(/[.\s]+$/, '');
+
+    const family = promptFamily(modelId);
+    if (family === 'flux') {
+        const features = [feature, detail1, detail2].filter(Boolean);
+        return [
+            `${capitalize(withArticle(medium))} of ${subject} with ${listJoin(features)}.`,
+            keep.length ? `It keeps ${listJoin(keep)}.` : '',
+            `Set in ${setting}, lit by ${lighting}, with ${palette}.`,
+            extra ? `${capitalize(extra)}.` : '',
+            `${capitalize(framing)}${kind === 'pfp' ? ', framed as a Web3 NFT profile picture' : ''}, sharp focus, fine detail.`,
+        ].filter(Boolean).join(' ');
+    }
+
+    const header = family === 'pony'
+        ? [...PONY_TAGS, bank.source, 'rating_safe']
+        : SDXL_QUALITY_TAGS;
+    return fitTags([
+        ...header.filter(Boolean).map(text => ({ text })),
+        { text: medium },
+        { text: subject },
+        ...keep.map(text => ({ text })),
+        { text: feature },
+        { text: extra },
+        { text: detail1, slot: 'detail1' },
+        { text: detail2, slot: 'detail2' },
+        { text: setting, slot: 'setting' },
+        { text: lighting, slot: 'lighting' },
+        { text: palette, slot: 'palette' },
+        { text: framing, slot: 'framing' },
+        { text: kind === 'pfp' ? 'nft pfp' : '' },
+    ], getPromptTokenLimit(modelId).tokens);
+}
+
+/**
+ * Light offline polish: the prompt as written, plus a lighting and a framing
+ * cue from its style's bank where it has none, and Pony's score tags.
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {string} [options.modelId]
+ * @param {number} [options.seed] — defaults to a hash of the prompt
+ * @param {string} [options.style] — a style name or description
+ * @returns {string}
+ */
+export function polishPrompt(prompt, { modelId, seed, style } = {}) {
+    const bank = STYLE_BANKS[detectStyle(style, prompt)] || DEFAULT_BANK;
+    const rng = createRng(seed ?? hashSeed(prompt));
+    const lighting = pick(bank.lighting, rng);
+    const framing = pick(FRAMING_BANKS.scene, rng);
+
+    const codes = analyzePrompt(prompt, { modelId }).issues.map(issue => issue.code);
+    const parts = [prompt.trim().replace(/[,.\s]+$/, '')];
+    if (codes.includes('lighting')) parts.push(lighting);
+    if (codes.includes('composition')) parts.push(framing);
+    if (promptFamily(modelId) === 'pony' && !/score_9/.test(prompt)) parts.unshift(...PONY_TAGS);
+    return parts.join(', ');
+}
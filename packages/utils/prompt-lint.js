@@ -0,0 +1,245 @@
+/**
+ * Prompt Linter
+ * Scores an image prompt before any Spark is spent on it. Flags:
+ *
+ * - banned terms (the guild slur list), which block the prompt outright
+ * - style keywords that pull in opposite directions ("photorealistic anime")
+ * - prompts longer than the model's text encoder reads
+ * - no recognisable subject, lighting or composition cues
+ *
+ * Every issue carries a suggested fix; the score starts at 100 and each
+ * issue takes its penalty off. Purely lexical, so it runs offline and the
+ * same prompt always gets the same report.
+ * @module packages/utils/prompt-lint
+ */
+import { getPromptTokenLimit } from '../config/models.js';
+
+/** Style keyword groups that contradict each other, as [one side, other side] */
+const STYLE_CONFLICTS = [
+    [
+        ['photorealistic', 'photoreal', 'hyperrealistic', 'realistic', 'photograph', 'photography', 'dslr', 'raw photo'],
+        ['anime', 'cartoon', 'manga', 'chibi', 'cel shaded', 'pixel art', 'comic book'],
+    ],
+    [
+        ['minimalist', 'minimal', 'simple'],
+        ['intricate', 'highly detailed', 'ultra-detailed', 'ultra detailed', 'ornate', 'maximalist', 'elaborate'],
+    ],
+    [
+        ['black and white', 'monochrome', 'grayscale', 'greyscale', 'b&w'],
+        ['vibrant', 'colorful', 'colourful', 'rainbow', 'saturated', 'neon'],
+    ],
+    [
+        ['flat design', 'flat illustration', '2d', 'vector art'],
+        ['3d', '3d render', 'octane render', 'unreal engine', 'blender'],
+    ],
+    [
+        ['daylight', 'midday', 'noon', 'sunny'],
+        ['night', 'nighttime', 'midnight', 'moonlit'],
+    ],
+];
+
+const LIGHTING_TERMS = [
+    'lighting', 'light', 'lights', 'lit', 'backlit', 'glow', 'glowing', 'shadow', 'shadows', 'sunlight',
+    'sunset', 'sunrise', 'golden hour', 'blue hour', 'moonlight', 'moonlit', 'neon', 'volumetric',
+    'rim light', 'god rays', 'ambient', 'illumination', 'chiaroscuro', 'bioluminescent', 'candlelight', 'overcast',
+    'dusk', 'dawn', 'twilight',
+];
+
+const COMPOSITION_TERMS = [
+    'close-up', 'close up', 'closeup', 'portrait', 'headshot', 'bust', 'full body', 'full-body', 'half body',
+    'wide shot', 'wide angle', 'wide-angle', 'medium shot', 'long shot', 'establishing shot', 'aerial',
+    'from above', 'from below', 'low angle', 'low-angle', 'high angle', 'high-angle', 'bird\'s-eye', 'birds eye',
+    'eye level', 'overhead', 'side view', 'front view', 'profile view', 'centered', 'symmetrical', 'symmetry',
+    'rule of thirds', 'depth of field', 'bokeh', 'macro', 'fisheye', 'telephoto', 'lens', 'framing',
+    'composition', 'panorama', 'panoramic', 'landscape', 'pov', 'isometric',
+];
+
+/** Quality tags and filler that say nothing about what is in the picture */
+const GENERIC_TERMS = [
+    'masterpiece', 'best quality', 'high quality', 'highly detailed', 'detailed', 'ultra', 'hd', 'uhd',
+    '4k', '8k', 'hdr', 'sharp focus', 'trending on artstation', 'award winning', 'award-winning',
+    'beautiful', 'stunning', 'epic', 'amazing', 'cinematic', 'aesthetic', 'style', 'art', 'artwork',
+    'image', 'picture', 'render', 'digital art', 'illustration', 'painting', 'photo', 'vibe',
+    'professional', 'quality', 'realism', 'concept art', 'very', 'and', 'with', 'the', 'for', 'from',
+];
+
+/** Points each issue takes off the score */
+const PENALTIES = { conflict: 15, length: 20, subject: 30, lighting: 10, composition: 10 };
+
+const SEVERITY_ORDER = { error: 0, warning: 1, tip: 2 };
+
+/**
+ * @typedef {Object} PromptIssue
+ * @property {'banned'|'conflict'|'length'|'subject'|'lighting'|'composition'} code
+ * @property {'error'|'warning'|'tip'} severity
+ * @property {string} message
+ * @property {string} fix — suggested change
+ */
+
+/**
+ * @typedef {Object} PromptAnalysis
+ * @property {number} score — 0-100
+ * @property {boolean} blocked — the prompt contains a banned term
+ * @property {number} tokens — estimated prompt tokens
+ * @property {{encoder: string, tokens: number}} limit — what the model's text encoder reads
+ * @property {PromptIssue[]} issues — most severe first
+ */
+
+/**
+ * Escape a string for use inside a RegExp.
+ * @param {string} text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-term pattern. `\b` can't be used because terms like "b&w" or
+ * "3d" start or end on non-word characters.
+ * @param {string} term
+ * @param {string} [flags]
+ */
+function termPattern(term, flags = '') {
+    return new RegExp(`(^|[^a-z0-9])${escapeRegExp(term.toLowerCase())}(?=[^a-z0-9]|$)`, flags);
+}
+
+/**
+ * The first of `terms` that appears in `text`.
+ * @param {string} text — lowercased
+ * @param {string[]} terms
+ * @returns {string|null}
+ */
+function findTerm(text, terms) {
+    return terms.find(term => termPattern(term).test(text)) || null;
+}
+
+/**
+ * Drop negated words ("no cartoon", "without neon") so they don't count as
+ * asking for the thing they rule out.
+ * @param {string} text — lowercased
+ */
+function stripNegations(text) {
+    return text.replace(/(^|[^a-z0-9])(?:no|not|non|without)[\s-]+[a-z0-9&'-]+/g, '$1');
+}
+
+/**
+ * Hide all but the first letter of a banned term, so the report doesn't
+ * repeat it back to the channel.
+ * @param {string} term
+ */
+function maskTerm(term) {
+    return term[0] + '*'.repeat(Math.max(term.length - 1, 1));
+}
+
+/**
+ * Rough token count for a prompt: one per punctuation mark and one per word,
+ * with long words split every six characters the way BPE tokenizers do.
+ * @param {string} prompt
+ * @returns {number}
+ */
+export function estimateTokens(prompt) {
+    const pieces = (prompt || '').toLowerCase().match(/[a-z0-9]+|[^\sa-z0-9]/g) || [];
+    return pieces.reduce((sum, piece) => sum + Math.ceil(piece.length / 6), 0);
+}
+
+/**
+ * Whether anything is left once style, quality, lighting and composition
+ * vocabulary is taken out, i.e. whether the prompt says what to draw.
+ * @param {string} text — lowercased, negations stripped
+ */
+function hasSubject(text) {
+    const vocabulary = [...STYLE_CONFLICTS.flat(2), ...LIGHTING_TERMS, ...COMPOSITION_TERMS, ...GENERIC_TERMS]
+        .sort((a, b) => b.length - a.length);
+    let rest = text;
+    for (const term of vocabulary) rest = rest.replace(termPattern(term, 'g'), '$1');
+    return /[a-z]{3,}/.test(rest.replace(/\d+[a-z]*/g, ''));
+}
+
+/**
+ * Analyse a prompt for the given model.
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {string} [options.modelId] — decides the token limit
+ * @param {string[]} [options.bannedTerms] — e.g. securityManager.listSlurs()
+ * @returns {PromptAnalysis}
+ */
+export function analyzePrompt(prompt, { modelId, bannedTerms = [] } = {}) {
+    const lower = (prompt || '').toLowerCase();
+    const text = stripNegations(lower);
+    const limit = getPromptTokenLimit(modelId);
+    const tokens = estimateTokens(prompt);
+    const issues = [];
+
+    for (const term of bannedTerms) {
+        // Checked before negations are dropped: "no <term>" still contains it
+        if (term && termPattern(term).test(lower)) {
+            issues.push({
+                code: 'banned',
+                severity: 'error',
+                message: `Contains the banned term "${maskTerm(term)}".`,
+                fix: 'Remove it — the prompt can\'t be generated while it\'s there.',
+            });
+        }
+    }
+
+    for (const [sideA, sideB] of STYLE_CONFLICTS) {
+        const a = findTerm(text, sideA);
+        const b = a && findTerm(text, sideB);
+        if (b) {
+            issues.push({
+                code: 'conflict',
+                severity: 'warning',
+                message: `"${a}" and "${b}" pull the style in opposite directions.`,
+                fix: `Keep one of "${a}" or "${b}".`,
+            });
+        }
+    }
+
+    if (tokens > limit.tokens) {
+        issues.push({
+            code: 'length',
+            severity: 'warning',
+            message: `About ${tokens} tokens, but ${limit.encoder} only reads the first ${limit.tokens} — the rest is ignored.`,
+            fix: 'Cut repeated quality tags and filler, and put the most important details first.',
+        });
+    }
+
+    if (!hasSubject(text)) {
+        issues.push({
+            code: 'subject',
+            severity: 'warning',
+            message: 'No clear subject — the prompt only describes style or quality.',
+            fix: 'Start with who or what is in the picture, e.g. "a red fox curled up in the snow".',
+        });
+    }
+
+    if (!findTerm(text, LIGHTING_TERMS)) {
+        issues.push({
+            code: 'lighting',
+            severity: 'tip',
+            message: 'No lighting cue.',
+            fix: 'Add one such as "golden hour", "soft studio lighting" or "neon rim light".',
+        });
+    }
+
+    if (!findTerm(text, COMPOSITION_TERMS) && !/(^|[^a-z0-9])\d{2,3}mm(?=[^a-z0-9]|$)/.test(text)) {
+        issues.push({
+            code: 'composition',
+            severity: 'tip',
+            message: 'No framing or composition cue.',
+            fix: 'Add one such as "close-up portrait", "wide shot" or "low angle, shallow depth of field".',
+        });
+    }
+
+    issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    const blocked = issues.some(issue => issue.code === 'banned');
+    const penalty = issues.reduce((sum, issue) => sum + (PENALTIES[issue.code] || 0), 0);
+
+    return {
+        score: blocked ? 0 : Math.max(0, 100 - penalty),
+        blocked,
+        tokens,
+        limit,
+        issues,
+    };
+}
@@ -0,0 +1,222 @@
+/**
+ * Turntable Outputs
+ * Turns the angle images of a /angles360 run into a 4×2 contact sheet, a
+ * looping GIF and a self-contained drag-to-rotate HTML viewer. Frames are
+ * always kept in shot-plan order — MULTI_ANGLE_AZIMUTHS order (front →
+ * front-left) for the classic eight — so every output spins the same way.
+ * @module packages/utils/turntable
+ */
+import fs from 'fs';
+import { runFfmpeg } from './media.js';
+import { readImageSize } from './image-mask.js';
+import { MULTI_ANGLE_AZIMUTHS } from './multi-angle.js';
+
+/** Values of the /angles360 `output:` option */
+export const TURNTABLE_OUTPUTS = ['images', 'sheet', 'gif', 'viewer', 'all'];
+
+/**
+ * @typedef {Object} TurntableFrame
+ * @property {string} key — azimuth key, e.g. 'front-right'
+ * @property {string} label — e.g. 'front-right quarter view'
+ * @property {string} source — URL or local path of the image
+ */
+
+/**
+ * Put the per-angle results from sogni-gen into turntable order, one frame
+ * per angle. Planned shots carry their plan `index`; otherwise angles are
+ * ranked by azimuth, unknown keys last. Angles without an image are dropped.
+ * @param {{azimuth: string, index?: number, label?: string, urls?: string[], localPaths?: string[]}[]} angles
+ * @returns {TurntableFrame[]}
+ */
+export function orderAngleFrames(angles = []) {
+    const rank = (angle) => {
+        if (Number.isInteger(angle.index)) return angle.index;
+        const index = MULTI_ANGLE_AZIMUTHS.findIndex(a => a.key === angle.azimuth);
+        return index === -1 ? MULTI_ANGLE_AZIMUTHS.length : index;
+    };
+
+    return [...angles]
+        .sort((a, b) => rank(a) - rank(b))
+        .map(angle => ({
+            key: angle.azimuth,
+            label: angle.label || MULTI_ANGLE_AZIMUTHS.find(a => a.key === angle.azimuth)?.prompt || angle.azimuth,
+            source: angle.localPaths?.[0] || angle.urls?.[0],
+        }))
+        .filter(frame => frame.source);
+}
+
+/**
+ * xstack layout placing equal tiles left to right, top to bottom.
+ * @param {number} count
+ * @param {number} columns
+ * @param {number} tileWidth
+ * @param {number} tileHeight
+ * @returns {string} — e.g. '0_0|384_0|0_384'
+ */
+export function contactSheetLayout(count, columns, tileWidth, tileHeight) {
+    return Array.from({ length: count }, (_, i) =>
+        `${(i % columns) * tileWidth}_${Math.floor(i / columns) * tileHeight}`).join('|');
+}
+
+/**
+ * Tile the frames into a contact sheet (4×2 for a full turn).
+ * @param {string[]} framePaths — local files in turntable order
+ * @param {string} outputPath — .jpg or .png
+ * @param {object} [options]
+ * @param {number} [options.columns] — default 4
+ * @param {number} [options.tileSize] — square tile edge in px, default 384
+ * @returns {Promise<string>} — outputPath
+ */
+export async function buildContactSheet(framePaths, outputPath, options = {}) {
+    const { columns = 4, tileSize = 384 } = options;
+    if (framePaths.length < 2) throw new Error('A contact sheet needs at least two angles.');
+
+    // Letterbox every frame into the same square tile so the grid lines up
+    const tiles = framePaths.map((_, i) =>
+        `[${i}:v]scale=${tileSize}:${tileSize}:force_original_aspect_ratio=decrease,` +
+        `pad=${tileSize}:${tileSize}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1[t${i}]`);
+    const inputs = framePaths.map((_, i) => `[t${i}]`).join('');
+    const layout = contactSheetLayout(framePaths.length, columns, tileSize, tileSize);
+
+    const { code, stderr } = await runFfmpeg([
+        '-y',
+        ...framePaths.flatMap(frame => ['-i', frame]),
+        '-filter_complex', `${tiles.join(';')};${inputs}xstack=inputs=${framePaths.length}:layout=${layout}:fill=black`,
+        '-frames:v', '1', '-q:v', '3',
+        outputPath,
+    ]);
+    if (code !== 0) {
+        throw new Error(`ffmpeg could not build the contact sheet: ${stderr.trim().split('\n').pop()}`);
+    }
+    return outputPath;
+}
+
+/**
+ * ffconcat list showing each frame for `frameSec`. The last file is listed
+ * twice because the concat demuxer ignores the final duration.
+ * @param {string[]} framePaths
+ * @param {number} frameSec
+ * @returns {string}
+ */
+export function buildConcatList(framePaths, frameSec) {
+    const entry = (frame) => `file '${frame.replace(/'/g, "'\\''")}'`;
+    const lines = ['ffconcat version 1.0'];
+    for (const frame of framePaths) lines.push(entry(frame), `duration ${frameSec}`);
+    lines.push(entry(framePaths[framePaths.length - 1]));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the frames as an endlessly looping GIF.
+ * @param {string[]} framePaths — local files in turntable order
+ * @param {string} outputPath — .gif
+ * @param {object} [options]
+ * @param {number} [options.frameSec] — how long each angle shows, default 0.25
+ * @param {number} [options.width] — default 384
+ * @returns {Promise<string>} — outputPath
+ */
+export async function buildTurntableGif(framePaths, outputPath, options = {}) {
+    const { frameSec = 0.25, width = 384 } = options;
+    const listPath = `${outputPath}.txt`;
+    fs.writeFileSync(listPath, buildConcatList(framePaths, frameSec));
+
+    try {
+        const { code, stderr } = await runFfmpeg([
+            '-y', '-f', 'concat', '-safe', '0', '-i', listPath,
+            '-filter_complex', `[0:v]scale=${width}:-2:flags=lanczos,split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer`,
+            '-loop', '0',
+            outputPath,
+        ]);
+        if (code !== 0) {
+            throw new Error(`ffmpeg could not build the GIF: ${stderr.trim().split('\n').pop()}`);
+        }
+        return outputPath;
+    } finally {
+        fs.unlink(listPath, () => { });
+    }
+}
+
+/** @param {string} text */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Build a single-file HTML page that spins through the frames as the
+ * viewer drags (or uses the arrow keys). Images are inlined as data URIs
+ * so the page works wherever it is served or saved.
+ * @param {{key: string, label: string, buffer: Buffer}[]} frames — in turntable order
+ * @param {object} [options]
+ * @param {string} [options.title]
+ * @param {number} [options.rings] — elevation rings in the frames (sweeps), dragged vertically
+ * @returns {string}
+ */
+export function renderSpinViewer(frames, options = {}) {
+    const title = escapeHtml(options.title || '360° turntable');
+    const images = frames.map(frame => {
+        let format = 'png';
+        try {
+            format = readImageSize(frame.buffer).format;
+        } catch { /* unknown header, let the browser sniff it */ }
+        return { label: frame.label, src: `data:image/${format};base64,${frame.buffer.toString('base64')}` };
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; background: #111; color: #ddd; font-family: system-ui, sans-serif; }
+  #stage { max-width: min(90vw, 768px); cursor: grab; user-select: none; touch-action: none; }
+  #stage:active { cursor: grabbing; }
+  #stage img { width: 100%; display: block; border-radius: 8px; pointer-events: none; }
+  #label { margin-top: 12px; font-size: 14px; opacity: 0.8; }
+</style>
+</head>
+<body>
+<h1 style="font-size:18px;font-weight:500">${title}</h1>
+<div id="stage" tabindex="0"><img id="frame" alt=""></div>
+<div id="label"></div>
+<script>
+  const frames = ${JSON.stringify(images).replace(/</g, '\\u003c')};
+  const img = document.getElementById('frame');
+  const label = document.getElementById('label');
+  const stage = document.getElementById('stage');
+  frames.forEach(f => { new Image().src = f.src; });
+
+  // Frames are stored ring by ring (one ring per elevation in a sweep)
+  const rings = ${Math.max(1, Math.floor(options.rings || 1))};
+  const perRing = frames.length / rings;
+  let ring = 0, angle = 0;
+  const show = (r, a) => {
+    ring = Math.min(Math.max(r, 0), rings - 1);
+    angle = (a % perRing + perRing) % perRing;
+    const frame = frames[ring * perRing + angle];
+    img.src = frame.src;
+    img.alt = label.textContent = frame.label + ' (' + (angle + 1) + '/' + perRing + ')';
+  };
+  show(rings > 1 ? Math.floor(rings / 2) : 0, 0);
+
+  // Drag across the image for one full turn, up/down to change elevation
+  let start = null;
+  stage.addEventListener('pointerdown', e => { start = { x: e.clientX, y: e.clientY, ring, angle }; stage.setPointerCapture(e.pointerId); });
+  stage.addEventListener('pointermove', e => {
+    if (!start) return;
+    const step = stage.clientWidth / perRing;
+    const rowStep = stage.clientHeight / (rings + 1);
+    show(start.ring + Math.round((start.y - e.clientY) / rowStep), start.angle - Math.round((e.clientX - start.x) / step));
+  });
+  stage.addEventListener('pointerup', () => { start = null; });
+  stage.addEventListener('keydown', e => {
+    if (e.key === 'ArrowLeft') show(ring, angle + 1);
+    if (e.key === 'ArrowRight') show(ring, angle - 1);
+    if (e.key === 'ArrowUp') show(ring + 1, angle);
+    if (e.key === 'ArrowDown') show(ring - 1, angle);
+  });
+</script>
+</body>
+</html>
+`;
+}
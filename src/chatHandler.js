@@ -1,13 +1,16 @@
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
 import { config } from './config.js';
 import { logError, logInfo } from './utils/errorHandler.js';
-import { imageGenerator } from './imageGenerator.js';
+import { sharedConfig } from '../packages/config/index.js';
+import { authorizeSpend, queueGeneration, describeJobError } from './slashCommands/handlers.js';
 import { securityManager } from './utils/securityManager.js';
 import { geminiFallbackManager } from './utils/geminiFallbackManager.js';
 import { imageStateManager } from './utils/imageStateManager.js';
 import { buildMultiAnglePrompt } from './utils/sogniUtils.js';
 import { splitMessage } from '../packages/utils/discord-tools.js';
 import { pendingGenManager } from './utils/pendingGenManager.js';
+import { recordGeneration } from '../packages/history/index.js';
+import { lintPrompt, formatScore, formatLintIssues } from './commands/promptCommands.js';
 
 // Storage for channel-level context (seed and prompt) for consistency
 const channelContext = new Map();
@@ -212,11 +215,15 @@ You are being shown ${mentionedUser ? `${targetUser.username}'s` : "the user's o
                     prompt = buildMultiAnglePrompt(parts[0], parts[1], parts[2], parts[3]);
                 }
 
+                // Chosen now so the prompt check reads the prompt for the model that renders it
+                const model = isVideo ? null : sharedConfig.sogniGen.defaultImageModel;
+
                 const genId = `gen_${Date.now()}_${message.author.id}`;
                 pendingGenManager.add(genId, {
                     type: isVideo ? 'video' : (isMultiAngle ? 'multi-angle' : (isI2I ? 'i2i' : 'image')),
                     prompt,
                     strength,
+                    model,
                     rawPrompt,
                     userId: message.author.id,
                     channelId: message.channel.id,
@@ -229,12 +236,19 @@ You are being shown ${mentionedUser ? `${targetUser.username}'s` : "the user's o
                     .setDescription(`**Prompt:** ${prompt.substring(0, 500)}${prompt.length > 500 ? '...' : ''}`)
                     .setFooter({ text: `Type: ${isVideo ? 'Video' : (isMultiAngle ? '360°' : (isI2I ? 'Refinement' : 'New Masterpiece'))}` });
 
+                // Image prompts get the prompt check before anything is spent
+                const analysis = isVideo ? null : lintPrompt(prompt, model);
+                if (analysis) {
+                    confirmEmbed.addFields({ name: `Prompt Check · ${formatScore(analysis.score)}`, value: formatLintIssues(analysis, 3).substring(0, 1024) });
+                }
+
                 const row = new ActionRowBuilder().addComponents(
                     new ButtonBuilder()
                         .setCustomId(`gen_confirm_${genId}`)
                         .setLabel('Confirm Generation')
                         .setStyle(ButtonStyle.Primary)
-                        .setEmoji('🖌️'),
+                        .setEmoji('🖌️')
+                        .setDisabled(!!analysis?.blocked),
                     new ButtonBuilder()
                         .setCustomId(`gen_cancel_${genId}`)
                         .setLabel('Cancel')
@@ -267,7 +281,7 @@ You are being shown ${mentionedUser ? `${targetUser.username}'s` : "the user's o
  * @param {import('./slashCommands/handlers.js').ResponseAdapter} adapter
  */
 export async function executeGeneration(data, adapter) {
-    const { type, prompt, strength, imageOptions, userId, channelId } = data;
+    const { type, prompt, strength, model, imageOptions, userId, channelId } = data;
     const isVideo = type === 'video';
     const isMultiAngle = type === 'multi-angle';
     const isI2I = type === 'i2i';
@@ -276,26 +290,51 @@ export async function executeGeneration(data, adapter) {
     const statusMsg = await adapter.reply(`🎨 **${actionText}:** \`${prompt.substring(0, 100)}...\`...`);
 
     try {
-        let genResult;
+        // Chat renders share the slash commands' queue and budget
+        let job = null;
         if (isI2I) {
             let refUrl = imageOptions.imageUrl;
             const knownState = imageStateManager.getImageState(refUrl);
             if (knownState) {
-                genResult = await imageGenerator.generateImage(prompt, (s) => adapter.editReply(`🎨 **Consistency Track:** ${s}`), null, knownState.seed, true, strength);
+                job = { kind: 'image', params: { prompt, model, seed: knownState.seed }, runningText: '🎨 **Consistency Track:** re-rendering from the original seed...' };
             } else if (refUrl) {
-                genResult = await imageGenerator.editImage(refUrl, prompt, { strength, onStatusUpdate: (s) => adapter.editReply(`🎨 **Technical Track:** ${s}`) });
+                // Strength needs an image model, which the SDK runs
+                job = { kind: 'edit', params: { prompt, model, contextPath: refUrl, strength }, runningText: '🎨 **Technical Track:** refining your image...' };
             }
         } else if (isVideo) {
             let refUrl = imageOptions.imageUrl;
-            const videoUrl = await imageGenerator.generateVideo({ workflow: refUrl ? 'i2v' : 't2v', prompt, referenceImage: refUrl }, (s) => adapter.editReply(`🎬 **Cinema Track:** ${s}`));
-            genResult = { url: videoUrl, isVideo: true };
+            job = { kind: 'video', params: { workflow: refUrl ? 'i2v' : 't2v', prompt, refImage: refUrl }, runningText: '🎬 **Cinema Track:** rendering your video...' };
         } else {
-            genResult = await imageGenerator.generateImage(prompt, (s) => adapter.editReply(`🎨 **Creative Track:** ${s}`), null, null, true);
+            job = { kind: 'image', params: { prompt, model }, runningText: '🎨 **Creative Track:** rendering...' };
+        }
+
+        let genResult;
+        if (job) {
+            const spend = await authorizeSpend(job.kind, job.params, adapter);
+            if (!spend) return;
+            genResult = await queueGeneration(job.kind, job.params, adapter, { runningText: job.runningText, spend });
         }
 
         if (genResult?.url) {
-            imageStateManager.saveImageState(genResult.url, { seed: genResult.seed, prompt, modelId: genResult.modelId });
+            imageStateManager.saveImageState(genResult.url, { userId, seed: genResult.seed, prompt, modelId: genResult.model });
             channelContext.set(channelId, { seed: genResult.seed, prompt });
+            try {
+                recordGeneration({
+                    userId,
+                    guildId: adapter.guildId,
+                    channelId,
+                    kind: isVideo ? 'video' : 'image',
+                    workflow: isVideo ? (imageOptions.imageUrl ? 'i2v' : 't2v') : (isI2I ? 'i2i' : 'image'),
+                    prompt,
+                    model: genResult.model,
+                    seed: genResult.seed,
+                    width: genResult.width,
+                    height: genResult.height,
+                    urls: genResult.urls || [genResult.url],
+                });
+            } catch (historyErr) {
+                logError('Could not record generation history', historyErr);
+            }
 
             const chunks = splitMessage(`✅ **${isVideo ? 'Video' : (isI2I ? 'Modified' : 'Masterpiece')} Blueprint:**\n${prompt}`);
             for (const chunk of chunks) await adapter.sendInChannel(chunk);
@@ -304,6 +343,6 @@ export async function executeGeneration(data, adapter) {
         if (statusMsg?.delete) await statusMsg.delete().catch(() => { });
         else await adapter.editReply({ content: '✅ Generation Complete.', embeds: [], components: [] });
     } catch (err) {
-        await adapter.editReply(`❌ Generation failed: ${err.message}`);
+        await adapter.editReply(describeJobError(err, '❌ Generation failed'));
     }
 }
\ No newline at end of file
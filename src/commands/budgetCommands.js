@@ -0,0 +1,125 @@
+/**
+ * Spark Budget Commands
+ *
+ * Set, view and reset daily / monthly Spark allowances for members,
+ * roles and the whole server.
+ */
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import {
+    setBudget, removeBudget, listBudgets, getSpent, resetSpend,
+    getExceedPolicy, setExceedPolicy,
+} from '../../packages/budget/index.js';
+import { createSuccessEmbed, createErrorEmbed, createInfoEmbed } from '../utils/messageFormatter.js';
+
+export const budgetCommandDefinition = new SlashCommandBuilder()
+    .setName('budget')
+    .setDescription('Manage Spark credit budgets for generations')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand(sub =>
+        sub.setName('set')
+            .setDescription('Set a Spark allowance (server-wide unless a user or role is given)')
+            .addNumberOption(opt => opt.setName('amount').setDescription('Allowance in Spark').setRequired(true).setMinValue(0))
+            .addStringOption(opt =>
+                opt.setName('period').setDescription('Allowance period').setRequired(true)
+                    .addChoices({ name: 'Daily', value: 'daily' }, { name: 'Monthly', value: 'monthly' })
+            )
+            .addUserOption(opt => opt.setName('user').setDescription('Apply to a single member'))
+            .addRoleOption(opt => opt.setName('role').setDescription('Apply to each member with this role'))
+            .addStringOption(opt =>
+                opt.setName('on_exceed').setDescription('What to do when a job would exceed a budget')
+                    .addChoices({ name: 'Refuse the job', value: 'refuse' }, { name: 'Ask the member to confirm', value: 'confirm' })
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('view')
+            .setDescription('Show allowances and current spend')
+            .addUserOption(opt => opt.setName('user').setDescription('Include spend for this member'))
+    )
+    .addSubcommand(sub =>
+        sub.setName('reset')
+            .setDescription('Remove an allowance (server-wide unless a user or role is given)')
+            .addUserOption(opt => opt.setName('user').setDescription('Member to reset'))
+            .addRoleOption(opt => opt.setName('role').setDescription('Role to reset'))
+            .addBooleanOption(opt => opt.setName('clear_spend').setDescription('Also forget Spark already spent'))
+    );
+
+/**
+ * Work out which scope a /budget subcommand targets.
+ * @param {object} params
+ * @param {import('discord.js').Guild} guild
+ * @returns {{scope: 'user'|'role'|'guild', scopeId: string, label: string}}
+ */
+function resolveTarget(params, guild) {
+    if (params.user) return { scope: 'user', scopeId: params.user.id, label: `<@${params.user.id}>` };
+    if (params.role) return { scope: 'role', scopeId: params.role.id, label: `<@&${params.role.id}>` };
+    return { scope: 'guild', scopeId: guild.id, label: 'the whole server' };
+}
+
+/**
+ * Handle /budget commands
+ * @param {object} params
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ * @param {import('discord.js').Guild} guild
+ */
+export async function handleBudgetCommand(params, res, guild) {
+    const { subcommand } = params;
+
+    if (!guild) {
+        await res.reply({ embeds: [createErrorEmbed('Server Only', 'Budgets can only be managed inside a server.')] });
+        return;
+    }
+
+    if (subcommand === 'set') {
+        if (params.user && params.role) {
+            await res.reply({ embeds: [createErrorEmbed('Pick One', 'Choose either a user or a role, not both.')] });
+            return;
+        }
+
+        const target = resolveTarget(params, guild);
+        setBudget({ guildId: guild.id, scope: target.scope, scopeId: target.scopeId, period: params.period, limit: params.amount });
+        if (params.onExceed) setExceedPolicy(guild.id, params.onExceed);
+
+        await res.reply({
+            embeds: [createSuccessEmbed('Budget Set',
+                `💸 ${target.label} now has a **${params.period}** allowance of **${params.amount} Spark**.\n` +
+                `Over-budget jobs: **${getExceedPolicy(guild.id) === 'confirm' ? 'ask for confirmation' : 'refused'}**`)]
+        });
+        return;
+    }
+
+    if (subcommand === 'view') {
+        const budgets = listBudgets(guild.id);
+        const lines = budgets.map(b => {
+            const label = b.scope === 'user' ? `<@${b.scope_id}>` : b.scope === 'role' ? `<@&${b.scope_id}>` : 'Server';
+            return `• ${label} — ${b.limit_spark} Spark / ${b.period === 'daily' ? 'day' : 'month'}`;
+        });
+
+        let description = lines.length > 0 ? lines.join('\n') : 'No allowances configured — generations are unlimited.';
+        description += `\n\n**Server spend:** ${getSpent(guild.id, 'daily')} today · ${getSpent(guild.id, 'monthly')} this month`;
+        if (params.user) {
+            description += `\n**<@${params.user.id}> spend:** ${getSpent(guild.id, 'daily', params.user.id)} today · ${getSpent(guild.id, 'monthly', params.user.id)} this month`;
+        }
+        description += `\n**Over-budget jobs:** ${getExceedPolicy(guild.id) === 'confirm' ? 'ask for confirmation' : 'refused'}`;
+
+        await res.reply({ embeds: [createInfoEmbed('💸 Spark Budgets', description)] });
+        return;
+    }
+
+    if (subcommand === 'reset') {
+        if (params.user && params.role) {
+            await res.reply({ embeds: [createErrorEmbed('Pick One', 'Choose either a user or a role, not both.')] });
+            return;
+        }
+
+        const target = resolveTarget(params, guild);
+        const removed = removeBudget(guild.id, target.scope, target.scopeId);
+
+        let message = `🧹 Removed ${removed} allowance(s) for ${target.label}.`;
+        if (params.clearSpend && target.scope !== 'role') {
+            const cleared = resetSpend(guild.id, target.scope === 'user' ? target.scopeId : undefined);
+            message += `\nCleared ${cleared} spend record(s).`;
+        }
+
+        await res.reply({ embeds: [createSuccessEmbed('Budget Reset', message)] });
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Collection Commands
+ *
+ * Managers set up trait-based PFP collections: a shared avatar type, style
+ * and mood from the PFP wizard, plus weighted trait layers. Rendering the
+ * tokens runs through the generation queue (see
+ * handleCollectionGenerateCommand in the slash handlers); these commands
+ * manage the set and export its metadata and rarity table.
+ */
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, PermissionFlagsBits } from 'discord.js';
+import {
+    TRAIT_LAYERS, SEED_STRATEGIES, createCollection, getCollection, listCollections, deleteCollection,
+    setTrait, removeTrait, listTraits, listTokens, writeCollectionFiles,
+} from '../../packages/collections/index.js';
+import { sharedConfig } from '../../packages/config/index.js';
+import { MAX_SEED } from '../../packages/config/models.js';
+import { questions } from '../questionFlow.js';
+import { createSuccessEmbed, createErrorEmbed } from '../utils/messageFormatter.js';
+import { config } from '../config.js';
+
+/** Autocomplete suggests at most this many collections */
+const MAX_SUGGESTIONS = 25;
+
+/** Slash choices built from a PFP wizard question's options */
+function questionChoices(id) {
+    return questions.find(q => q.id === id).options.map(opt => ({ name: `${opt.emoji} ${opt.label}`, value: opt.value }));
+}
+
+const LAYER_CHOICES = TRAIT_LAYERS.map(layer => ({ name: layer, value: layer }));
+
+/**
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub
+ * @param {string} description
+ */
+function addCollectionOption(sub, description = 'Collection') {
+    return sub.addStringOption(opt => opt.setName('collection').setDescription(description).setRequired(true).setAutocomplete(true));
+}
+
+export const collectionCommandDefinition = new SlashCommandBuilder()
+    .setName('collection')
+    .setDescription('Trait-based PFP collections with metadata and rarity tables')
+    .addSubcommand(sub =>
+        sub.setName('list')
+            .setDescription('List this server\'s collections')
+    )
+    .addSubcommand(sub =>
+        addCollectionOption(sub.setName('show').setDescription('See a collection\'s traits, odds and progress'))
+    )
+    .addSubcommand(sub =>
+        sub.setName('create')
+            .setDescription('Manager: start a collection with a shared base look')
+            .addStringOption(opt => opt.setName('name').setDescription('Collection name').setRequired(true).setMaxLength(32))
+            .addStringOption(opt => opt.setName('type').setDescription('Avatar type every token shares').setRequired(true).addChoices(...questionChoices('avatarType')))
+            .addStringOption(opt => opt.setName('style').setDescription('Style preset every token shares (see /style list)').setRequired(true).setAutocomplete(true))
+            .addStringOption(opt => opt.setName('mood').setDescription('Mood every token shares').setRequired(true).addChoices(...questionChoices('mood')))
+            .addStringOption(opt => opt.setName('seed_strategy').setDescription('One seed for all (most uniform), counting up, or random per token')
+                .addChoices(...SEED_STRATEGIES.map(s => ({ name: s, value: s }))))
+            .addIntegerOption(opt => opt.setName('seed').setDescription('Base seed (random if omitted)').setMinValue(0).setMaxValue(MAX_SEED))
+            .addStringOption(opt => opt.setName('details').setDescription('Extra instructions for the base prompt').setMaxLength(300))
+    )
+    .addSubcommand(sub =>
+        addCollectionOption(sub.setName('add-trait').setDescription('Manager: add a trait value to a layer, or change its weight'))
+            .addStringOption(opt => opt.setName('layer').setDescription('Trait layer').setRequired(true).addChoices(...LAYER_CHOICES))
+            .addStringOption(opt => opt.setName('value').setDescription('e.g. "neon city skyline"').setRequired(true).setMaxLength(100))
+            .addIntegerOption(opt => opt.setName('weight').setDescription('Relative odds within the layer (default 10)').setMinValue(1).setMaxValue(1000))
+    )
+    .addSubcommand(sub =>
+        addCollectionOption(sub.setName('remove-trait').setDescription('Manager: remove a trait value'))
+            .addStringOption(opt => opt.setName('layer').setDescription('Trait layer').setRequired(true).addChoices(...LAYER_CHOICES))
+            .addStringOption(opt => opt.setName('value').setDescription('The value to remove').setRequired(true).setMaxLength(100))
+    )
+    .addSubcommand(sub =>
+        addCollectionOption(sub.setName('generate').setDescription('Manager: render the next tokens'))
+            .addIntegerOption(opt => opt.setName('count').setDescription(`How many tokens (max ${sharedConfig.collections.maxPerRun} per run)`)
+                .setRequired(true).setMinValue(1).setMaxValue(sharedConfig.collections.maxPerRun))
+    )
+    .addSubcommand(sub =>
+        addCollectionOption(sub.setName('export').setDescription('Manager: write token metadata and the rarity table'))
+    )
+    .addSubcommand(sub =>
+        addCollectionOption(sub.setName('delete').setDescription('Manager: forget a collection (files on disk are kept)'))
+    );
+
+/**
+ * Autocomplete choices for the `collection` option.
+ * @param {string|null} guildId
+ * @param {string} query
+ * @returns {{name: string, value: string}[]}
+ */
+export function getCollectionChoices(guildId, query = '') {
+    if (!guildId) return [];
+    const needle = query.toLowerCase();
+    return listCollections(guildId)
+        .filter(collection => !needle || collection.name.includes(needle))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(collection => ({ name: collection.name, value: collection.name }));
+}
+
+/**
+ * Collections are per server and managed by managers. Replies with the
+ * reason and returns false when the caller can't manage them here.
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ * @param {{memberPermissions?: import('discord.js').PermissionsBitField}} extra
+ * @param {boolean} [needsManager]
+ * @returns {Promise<boolean>}
+ */
+export async function checkCollectionAccess(res, extra, needsManager = true) {
+    if (!res.guildId) {
+        await res.reply({ embeds: [createErrorEmbed('Server Only', 'Collections belong to a server.')] });
+        return false;
+    }
+    if (needsManager && !extra.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await res.reply({ embeds: [createErrorEmbed('Managers Only', 'You need the Manage Server permission to change collections.')] });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Trait layers with each value's odds, one field per layer.
+ * @param {import('../../packages/collections/index.js').CollectionTrait[]} traits
+ * @returns {{name: string, value: string, inline: boolean}[]}
+ */
+export function describeTraitOdds(traits) {
+    return TRAIT_LAYERS
+        .map(layer => {
+            const options = traits.filter(t => t.layer === layer);
+            const total = options.reduce((sum, t) => sum + t.weight, 0);
+            const lines = options.map(t => `${t.value} · ${t.weight} (${Math.round((t.weight / total) * 1000) / 10}%)`);
+            return { name: layer, value: lines.length ? lines.join('\n').substring(0, 1024) : '*none*', inline: true };
+        });
+}
+
+/**
+ * The rarity table as an embed: each trait's share, rarest first, and the
+ * rarest tokens.
+ * @param {import('../../packages/collections/index.js').Collection} collection
+ * @param {import('../../packages/collections/index.js').RarityTable} rarity
+ * @returns {EmbedBuilder}
+ */
+export function createRarityEmbed(collection, rarity) {
+    const fields = TRAIT_LAYERS
+        .map(layer => ({
+            name: layer,
+            value: rarity.traits.filter(t => t.layer === layer).map(t => `${t.value} · ${t.count} (${t.percent}%)`).join('\n').substring(0, 1024),
+            inline: true,
+        }))
+        .filter(field => field.value);
+    const top = rarity.ranking.slice(0, 5).map(r => `**#${r.rank}** token ${r.tokenId} · score ${r.score}`);
+
+    return new EmbedBuilder()
+        .setColor(config.colors.info)
+        .setTitle(`💎 ${collection.name} · rarity`)
+        .setDescription(top.length ? `**Rarest tokens**\n${top.join('\n')}` : 'No tokens yet.')
+        .addFields(fields)
+        .setFooter({ text: `${rarity.ranking.length} tokens • score = sum of 1 / trait share` });
+}
+
+/**
+ * @param {object} params
+ * @param {'list'|'show'|'create'|'add-trait'|'remove-trait'|'export'|'delete'} params.subcommand
+ * @param {string} [params.collection]
+ * @param {string} [params.name]
+ * @param {string} [params.type]
+ * @param {string} [params.style]
+ * @param {string} [params.mood]
+ * @param {string} [params.seedStrategy]
+ * @param {number} [params.seed]
+ * @param {string} [params.details]
+ * @param {string} [params.layer]
+ * @param {string} [params.value]
+ * @param {number} [params.weight]
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ * @param {object} extra
+ * @param {import('discord.js').PermissionsBitField} [extra.memberPermissions]
+ */
+export async function handleCollectionCommand(params, res, extra = {}) {
+    const { subcommand } = params;
+    const readOnly = subcommand === 'list' || subcommand === 'show';
+    if (!await checkCollectionAccess(res, extra, !readOnly)) return;
+
+    if (subcommand === 'list') {
+        const collections = listCollections(res.guildId);
+        const lines = collections.map(c => `**${c.name}** · ${c.style} ${c.avatarType}, ${c.mood} · ${listTokens(c.id).length} tokens`);
+        await res.reply(lines.length
+            ? { embeds: [new EmbedBuilder().setColor(config.colors.info).setTitle('🧬 Collections').setDescription(lines.join('\n').substring(0, 4000))] }
+            : '📭 No collections yet. A manager can start one with `/collection create`.');
+        return;
+    }
+
+    if (subcommand === 'create') {
+        let collection;
+        try {
+            collection = createCollection(res.guildId, {
+                name: params.name,
+                avatarType: params.type,
+                style: params.style,
+                mood: params.mood,
+                details: params.details || '',
+                seedStrategy: params.seedStrategy || 'fixed',
+                baseSeed: params.seed ?? null,
+            }, res.userId);
+        } catch (err) {
+            await res.reply({ embeds: [createErrorEmbed('Collection Not Created', err.message)] });
+            return;
+        }
+        await res.reply({
+            embeds: [createSuccessEmbed('Collection Created',
+                `**${collection.name}** · ${collection.style} ${collection.avatarType}, ${collection.mood}\n` +
+                `🌱 Seeds: ${collection.seedStrategy} from \`${collection.baseSeed}\`\n\n` +
+                `Add trait values with \`/collection add-trait\` (${TRAIT_LAYERS.join(', ')}), then \`/collection generate\`.`)],
+        });
+        return;
+    }
+
+    const collection = getCollection(res.guildId, params.collection);
+    if (!collection) {
+        await res.reply({ embeds: [createErrorEmbed('Unknown Collection', `There is no collection called \`${params.collection}\`. See \`/collection list\`.`)] });
+        return;
+    }
+
+    switch (subcommand) {
+        case 'show': {
+            const tokens = listTokens(collection.id);
+            const embed = new EmbedBuilder()
+                .setColor(config.colors.info)
+                .setTitle(`🧬 ${collection.name}`)
+                .setDescription(
+                    `**Base:** ${collection.style} ${collection.avatarType}, ${collection.mood}${collection.details ? ` · ${collection.details}` : ''}\n` +
+                    `🌱 **Seeds:** ${collection.seedStrategy} from \`${collection.baseSeed}\`\n` +
+                    `🖼️ **Tokens:** ${tokens.length} / ${sharedConfig.collections.maxTokens}`)
+                .addFields(describeTraitOdds(listTraits(collection.id)));
+            await res.reply({ embeds: [embed] });
+            return;
+        }
+
+        case 'add-trait': {
+            let trait;
+            try {
+                trait = setTrait(collection.id, params.layer, params.value, params.weight ?? 10);
+            } catch (err) {
+                await res.reply({ embeds: [createErrorEmbed('Trait Not Saved', err.message)] });
+                return;
+            }
+            await res.reply({ embeds: [createSuccessEmbed('Trait Saved', `**${trait.layer}:** ${trait.value} · weight ${trait.weight}`)] });
+            return;
+        }
+
+        case 'remove-trait':
+            await res.reply(removeTrait(collection.id, params.layer, params.value)
+                ? { embeds: [createSuccessEmbed('Trait Removed', `**${params.layer}:** ${params.value}. Tokens already made keep it.`)] }
+                : `📭 **${collection.name}** has no ${params.layer} called "${params.value}".`);
+            return;
+
+        case 'export': {
+            const tokens = listTokens(collection.id);
+            if (tokens.length === 0) {
+                await res.reply('📭 Nothing to export yet — render some tokens with `/collection generate`.');
+                return;
+            }
+            const { dir, rarity, rarityCsvPath } = writeCollectionFiles(collection, tokens);
+            await res.reply({
+                content: `📦 Wrote ${tokens.length} metadata files and the rarity table to \`${dir}\`.`,
+                embeds: [createRarityEmbed(collection, rarity)],
+                files: [new AttachmentBuilder(rarityCsvPath, { name: `${collection.name}_rarity.csv` })],
+            });
+            return;
+        }
+
+        case 'delete':
+            deleteCollection(res.guildId, collection.name);
+            await res.reply({ embeds: [createSuccessEmbed('Collection Deleted', `**${collection.name}** is gone. Files already written stay on disk.`)] });
+            return;
+
+        default:
+            await res.reply(`❓ Unknown subcommand: ${subcommand}`);
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Gallery Commands
+ *
+ * Lets users page through everything they have generated, search it by
+ * prompt, and start a new generation from any entry's settings.
+ */
+import {
+    SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle,
+} from 'discord.js';
+import { listHistory } from '../../packages/history/index.js';
+import { config } from '../config.js';
+
+/** Longest search text; it travels in the page buttons' custom ids */
+const MAX_QUERY_LENGTH = 50;
+
+const WORKFLOW_ICONS = {
+    image: '🎨',
+    pfp: '👤',
+    edit: '✏️',
+    inpaint: '🖌️',
+    i2i: '✏️',
+    angles360: '🔄',
+};
+
+export const galleryCommandDefinition = new SlashCommandBuilder()
+    .setName('gallery')
+    .setDescription('Browse your generation history')
+    .addSubcommand(sub =>
+        sub.setName('browse')
+            .setDescription('Page through everything you have generated')
+            .addIntegerOption(opt => opt.setName('page').setDescription('Page to open').setMinValue(1))
+    )
+    .addSubcommand(sub =>
+        sub.setName('search')
+            .setDescription('Find past generations by prompt')
+            .addStringOption(opt => opt.setName('text').setDescription('Text to look for').setRequired(true).setMaxLength(MAX_QUERY_LENGTH))
+    );
+
+/**
+ * Parse a SQLite `datetime('now')` value (UTC, no zone marker).
+ * @param {string} value
+ * @returns {number} — epoch seconds
+ */
+function toUnixSeconds(value) {
+    return Math.floor(Date.parse(value.replace(' ', 'T') + 'Z') / 1000);
+}
+
+/**
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+/**
+ * Two-line summary of one entry.
+ * @param {import('../../packages/history/index.js').HistoryEntry} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+    const icon = WORKFLOW_ICONS[entry.workflow] || '🎬';
+    const details = [
+        `${icon} **#${entry.id}** ${entry.workflow}`,
+        entry.model && `\`${entry.model}\``,
+        entry.seed != null && `🌱 \`${entry.seed}\``,
+        entry.width && entry.height && `📐 ${entry.width}×${entry.height}`,
+        `<t:${toUnixSeconds(entry.createdAt)}:R>`,
+    ].filter(Boolean).join(' · ');
+    const link = entry.urls.find(url => /^https?:\/\//.test(url));
+    return `${details}\n└ ${truncate(entry.prompt || '*no prompt*', 90)}${link ? ` · [open](${link})` : ''}`;
+}
+
+/**
+ * Build one gallery page for a user: the entries, Prev/Next buttons and a
+ * menu to reuse an entry as a template. Used by the command and by the
+ * page buttons, which carry the owner, page and search in their ids.
+ * @param {string} userId
+ * @param {number} [page]
+ * @param {string} [query]
+ * @returns {{content?: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+export function buildGalleryPage(userId, page = 1, query = '') {
+    const search = (query || '').substring(0, MAX_QUERY_LENGTH);
+    const result = listHistory({ userId, query: search, page });
+
+    if (result.total === 0) {
+        return {
+            content: search
+                ? `🔎 Nothing in your history matches \`${search}\`.`
+                : '📭 Your gallery is empty. Generate something with `/imagine` first.',
+            embeds: [],
+            components: [],
+        };
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.info)
+        .setTitle(search ? `🔎 Gallery search: ${search}` : '🖼️ Your Gallery')
+        .setDescription(result.entries.map(describeEntry).join('\n\n').substring(0, 4000))
+        .setFooter({ text: `Page ${result.page}/${result.pages} · ${result.total} generation${result.total === 1 ? '' : 's'}` });
+
+    const cover = result.entries.find(entry => entry.workflow !== 'video' && /^https?:\/\//.test(entry.urls[0] || ''));
+    if (cover) embed.setThumbnail(cover.urls[0]);
+
+    const pageId = (target) => `gallery_page_${userId}_${target}_${search}`;
+    const pager = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(pageId(result.page - 1))
+            .setLabel('◀ Prev')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(result.page <= 1),
+        new ButtonBuilder()
+            .setCustomId(pageId(result.page + 1))
+            .setLabel('Next ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(result.page >= result.pages),
+    );
+
+    const reuse = new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId(`gallery_use_${userId}`)
+            .setPlaceholder('♻️ Use an entry as a template...')
+            .addOptions(result.entries.map(entry => ({
+                label: truncate(`#${entry.id} · ${entry.prompt || entry.workflow}`, 100),
+                description: [entry.workflow, entry.model].filter(Boolean).join(' · ').substring(0, 100),
+                value: String(entry.id),
+            }))),
+    );
+
+    return { embeds: [embed], components: [pager, reuse] };
+}
+
+/**
+ * Modal asking what to change before re-running an entry. The prompt
+ * starts as the entry's; a blank seed picks a new one.
+ * @param {import('../../packages/history/index.js').HistoryEntry} entry
+ * @returns {ModalBuilder}
+ */
+export function createTemplateModal(entry) {
+    const seedInput = new TextInputBuilder()
+        .setCustomId('seed')
+        .setLabel('Seed (blank for a new one)')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(10)
+        .setRequired(false);
+    if (entry.seed != null) seedInput.setPlaceholder(`Original: ${entry.seed}`);
+
+    return new ModalBuilder()
+        .setCustomId(`gallery_template_${entry.id}`)
+        .setTitle(truncate(`Reuse #${entry.id} as a template`, 45))
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('prompt')
+                    .setLabel('Prompt')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMaxLength(1000)
+                    .setValue((entry.prompt || '').substring(0, 1000))
+                    .setRequired(true)
+            ),
+            new ActionRowBuilder().addComponents(seedInput),
+        );
+}
+
+/**
+ * Command params for a new generation from a history entry: the entry's
+ * own request with the new prompt and seed. Entries without one (chat and
+ * PFP renders) become an /imagine of their prompt, model and size.
+ * @param {import('../../packages/history/index.js').HistoryEntry} entry
+ * @param {object} changes
+ * @param {string} changes.prompt
+ * @param {number|null} [changes.seed]
+ * @returns {{kind: string, params: object}}
+ */
+export function templateParams(entry, { prompt, seed = null }) {
+    if (entry.request) {
+        return { kind: entry.kind, params: { ...entry.request, prompt, seed } };
+    }
+    return {
+        kind: 'image',
+        params: {
+            prompt,
+            model: entry.model || undefined,
+            width: entry.width || undefined,
+            height: entry.height || undefined,
+            seed,
+            skipEnhance: true,
+        },
+    };
+}
+
+/**
+ * @param {object} params
+ * @param {'browse'|'search'} params.subcommand
+ * @param {number} [params.page]
+ * @param {string} [params.text]
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ */
+export async function handleGalleryCommand(params, res) {
+    const query = params.subcommand === 'search' ? params.text?.trim() : '';
+    if (params.subcommand === 'search' && !query) {
+        await res.reply('⚠️ Tell me what to search for, e.g. `/gallery search text:lighthouse`.');
+        return;
+    }
+    await res.reply(buildGalleryPage(res.userId, params.page || 1, query));
+}
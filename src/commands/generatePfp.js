@@ -1,262 +1,269 @@
-import { stateManager } from '../stateManager.js';
-import { questions, formatOptions, parseResponse } from '../questionFlow.js';
-import { generatePrompt } from '../promptGenerator.js';
-import { imageGenerator } from '../imageGenerator.js';
-import { config } from '../config.js';
-import {
-    createWelcomeEmbed,
-    createQuestionEmbed,
-    createPromptEmbed,
-    createErrorEmbed,
-    createWarningEmbed,
-    formatPromptForDiscord,
-} from '../utils/messageFormatter.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generatePrompt, generateAvatarPrompt, describeAvatar } from '../promptGenerator.js';
+import { estimateCost, enqueueCharged } from '../../packages/budget/index.js';
+import { sharedConfig } from '../../packages/config/index.js';
+import { resolveModelProfile } from '../../packages/config/models.js';
+import { getGuildModelOverrides } from '../../packages/config/model-overrides.js';
+import { createPromptEmbed, createErrorEmbed, formatPromptForDiscord } from '../utils/messageFormatter.js';
 import { handleError, logInfo, logSuccess, logError, logWarning } from '../utils/errorHandler.js';
-import { securityManager } from '../utils/securityManager.js';
 import { imageStateManager } from '../utils/imageStateManager.js';
+import { getStyle, applyStyle } from '../../packages/styles/index.js';
+import { recordGeneration } from '../../packages/history/index.js';
+import { getPfpSession, savePfpSession, deletePfpSession } from '../../packages/pfp/index.js';
+import { isShowcaseEnabled } from '../../packages/showcase/index.js';
+import { fitSquareImage } from '../../packages/utils/media.js';
+import { buildWizardMessage, wizardQuestions, nextOpenStep, applyAvatarStart, createDownloadRow, PFP_SIZES } from './pfpWizard.js';
+import { createSubmitRow } from './showcaseCommands.js';
 
 /**
- * Handle the !generate-pfp command
+ * Handle the !generate-pfp command (and /pfp): open the wizard, or resume
+ * the user's unfinished one. Clicks on the wizard are routed through the
+ * slash handler.
+ * @param {object} message
+ * @param {object} [options]
+ * @param {string} [options.style] — style preset to preselect (skips the style question)
  */
-export async function handleGeneratePfp(message) {
+export async function handleGeneratePfp(message, options = {}) {
     const userId = message.author.id;
-    const channelId = message.channel.id;
+    const existing = getPfpSession(userId);
+    const guildId = existing ? existing.guildId : message.guild?.id || null;
 
-    // Check if user already has an active session
-    if (stateManager.hasSession(userId)) {
-        const warningEmbed = createWarningEmbed(
-            'You already have an active prompt generation session! Please complete it first or wait for it to timeout.'
-        );
-        return message.reply({ embeds: [warningEmbed] });
+    const preset = options.style ? getStyle(guildId, options.style) : null;
+    if (options.style && !preset) {
+        return message.reply({ embeds: [createErrorEmbed('Unknown Style', `Unknown style \`${options.style}\`. See \`/style list\` for this server's presets.`)] });
     }
 
-    // Create new session
-    stateManager.createSession(userId, channelId);
-    logInfo(`Started new session for user ${userId}`);
-
-    // Send welcome message
-    const welcomeEmbed = createWelcomeEmbed();
-    await message.reply({ embeds: [welcomeEmbed] });
+    let session = existing
+        ? { ...existing, generating: false }
+        : { userId, guildId, channelId: message.channel.id, step: 0, answers: {}, generating: false };
+    if (preset) {
+        session.answers = { ...session.answers, visualStyle: preset.name };
+        session.step = nextOpenStep(wizardQuestions(session), session.answers, existing ? session.step : 0);
+    }
+    session = savePfpSession(session);
+    logInfo(`${existing ? 'Resumed' : 'Started new'} PFP wizard for user ${userId}`);
 
-    // Start the question flow
-    await askNextQuestion(message, userId);
+    await message.reply(buildWizardMessage(session, {
+        notice: existing ? '🔄 **Welcome back!** Your unfinished wizard is right where you left it — or hit Restart for a fresh one.' : '',
+    }));
 }
 
 /**
- * Ask the next question in the flow
+ * Switch a wizard to starting from the member's current avatar: Gemini
+ * describes it trait by trait so the member can choose what to keep. If
+ * Gemini can't, the wizard carries on and the image alone guides the remake.
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ * @param {string} avatarUrl — a static PNG of the avatar
+ * @returns {Promise<import('../../packages/pfp/index.js').PfpSession>}
  */
-async function askNextQuestion(message, userId) {
-    const session = stateManager.getSession(userId);
-    if (!session) return;
-
-    const questionIndex = session.currentQuestionIndex;
-
-    // Check if we've completed all questions
-    if (questionIndex >= questions.length) {
-        await generateAndSendPrompt(message, userId);
-        return;
-    }
-
-    // [Fix] Stop any existing collector for this session to prevent zombies
-    if (session.collector) {
-        session.collector.stop('override');
-        session.collector = null;
-    }
-
-    const question = questions[questionIndex];
-    const questionEmbed = createQuestionEmbed(question, questionIndex + 1, questions.length);
-
-    // Add options to the embed
-    const optionsText = formatOptions(question);
-    questionEmbed.addFields({ name: 'Options', value: optionsText });
-
-    await message.channel.send({ embeds: [questionEmbed] });
-
-    // Set up message collector for user response
-    const filter = (m) => m.author.id === userId;
-    const collector = message.channel.createMessageCollector({
-        filter,
-        time: config.bot.collectorTimeoutMs,
-        max: 1,
-    });
-
-    // Save collector to session so we can kill it later if needed
-    session.collector = collector;
-
-    collector.on('collect', async (response) => {
-        const userInput = response.content;
+export async function startAvatarPfp(session, avatarUrl) {
+    const response = await fetch(avatarUrl).catch(() => null);
+    if (!response?.ok) throw new Error('I couldn\'t load your avatar from Discord. Please try again in a moment.');
 
-        // Remove collector ref since it's done collecting
-        session.collector = null;
+    const imageBase64 = Buffer.from(await response.arrayBuffer()).toString('base64');
+    const description = await describeAvatar(imageBase64, response.headers.get('content-type') || 'image/png');
+    logInfo(`PFP wizard for user ${session.userId} starts from their avatar${description ? '' : ' (no description)'}`);
 
-        // Check for cancel command
-        const lowInput = userInput.toLowerCase();
-        if (lowInput === 'cancel' || lowInput === `${config.discord.commandPrefix}cancel`) {
-            stateManager.deleteSession(userId);
-            const cancelEmbed = createWarningEmbed('Prompt generation cancelled. Run `!generate-pfp` to start again.');
-            await message.channel.send({ embeds: [cancelEmbed] });
-            return;
-        }
-
-        // Parse the response
-        const parsedValue = parseResponse(question, userInput);
-
-        if (!parsedValue && !question.optional) {
-            const errorEmbed = createErrorEmbed(
-                'Invalid response. Please choose a number from the options or type your custom answer.'
-            );
-            await message.channel.send({ embeds: [errorEmbed] });
-
-            // CRITICAL: Stop the current collector before starting a new one to prevent "multiple messages" looping
-            // (Already stopped by max:1 but explicitly good for safety)
-            collector.stop('invalid_input');
-
-            // Ask the same question again
-            await askNextQuestion(message, userId);
-            return;
-        }
-
-        // [New] Moderation Check for custom answers
-        if (!question.options.find(o => o.value === parsedValue)) {
-            const safety = await securityManager.isContentSafe(parsedValue);
-            if (!safety.safe) {
-                const safetyEmbed = createErrorEmbed(`⚠️ **Policy Violation:** Your custom input triggered my safety filters: *${safety.reason}*\nPlease try a different description.`);
-                await message.channel.send({ embeds: [safetyEmbed] });
-                await askNextQuestion(message, userId);
-                return;
-            }
-        }
-
-        // Save the answer
-        stateManager.updateSession(userId, question.id, parsedValue || 'none');
-
-        // [New] Interactive Feedback
-        const matchedOpt = question.options.find(o => o.value === parsedValue);
-        const feedbackText = matchedOpt
-            ? `Got it! **${question.id === 'extraDetails' ? 'Custom details' : matchedOpt.label}** set ${matchedOpt.emoji || '✅'}`
-            : `Got it! Custom preference saved: **${parsedValue}** ✅`;
-
-        await response.reply(feedbackText);
+    return savePfpSession(applyAvatarStart(session, { url: avatarUrl, description }));
+}
 
-        // Stop current collector before moving to next question (redundant due to max:1 but safe)
-        collector.stop('valid_input');
+/**
+ * A finished PFP cropped square and sized for a platform's profile picture.
+ * @param {string} sourceUrl
+ * @param {keyof PFP_SIZES} target
+ * @returns {Promise<{attachment: Buffer, name: string}>}
+ */
+export async function renderPfpSize(sourceUrl, target) {
+    const { size } = PFP_SIZES[target] || {};
+    if (!size) throw new Error(`Unknown download size \`${target}\`.`);
 
-        // Ask next question
-        await askNextQuestion(message, userId);
-    });
+    const tmpDir = path.join(os.tmpdir(), 'blockaerie-pfp');
+    if (!fs.existsSync(tmpDir)) fs.mkdirSync(tmpDir, { recursive: true });
+    const stamp = `${Date.now()}_${target}`;
+    const inputPath = path.join(tmpDir, `source_${stamp}`);
+    const outputPath = path.join(tmpDir, `pfp_${stamp}.png`);
 
-    collector.on('end', (collected, reason) => {
-        // If we finished because of time, but session still exists, it means the user ignored the prompt
-        if (reason === 'time' && stateManager.hasSession(userId)) {
-            stateManager.deleteSession(userId);
-            const timeoutEmbed = createErrorEmbed(
-                'Session timed out due to inactivity. Run `!generate-pfp` to start again.'
-            );
-            message.channel.send({ embeds: [timeoutEmbed] }).catch(() => { });
-        }
-    });
+    try {
+        const response = await fetch(sourceUrl);
+        if (!response.ok) throw new Error('This PFP is no longer available to download.');
+        fs.writeFileSync(inputPath, Buffer.from(await response.arrayBuffer()));
+        await fitSquareImage(inputPath, outputPath, size);
+        return { attachment: fs.readFileSync(outputPath), name: `pfp_${target}_${size}px.png` };
+    } finally {
+        for (const file of [inputPath, outputPath]) fs.rmSync(file, { force: true });
+    }
 }
 
 /**
- * Generate the final prompt and send it to the user
+ * Render the PFP for a finished wizard: Gemini writes the prompt from the
+ * answers, then Sogni renders it — image-to-image from the member's avatar
+ * when the wizard started from it. The session ends once the prompt is
+ * delivered; if the prompt can't be written it is kept so Generate can be
+ * tried again.
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ * @param {object} output
+ * @param {(text: string) => Promise<any>} output.status — update the wizard message
+ * @param {(msg: object|string) => Promise<any>} output.send — post a new message
+ * @param {string} output.userTag — shown on the prompt embed
+ * @param {string[]} [output.roleIds] — the member's roles, for role budgets
+ * @returns {Promise<boolean>} — false if the PFP could not be made
  */
-async function generateAndSendPrompt(message, userId) {
-    try {
-        const answers = stateManager.getAnswers(userId);
-        if (!answers) throw new Error('No answers found for user');
-
-        // [LOCK] Prevent duplicate generation for this session
-        const session = stateManager.getSession(userId);
-        if (session.isGenerating) {
-            logWarning(`Duplicate generation prevented for user ${userId}`);
-            return;
-        }
-        session.isGenerating = true;
+export async function runPfpGeneration(session, output) {
+    const { userId, answers } = session;
+    const { avatar } = answers;
+    if (session.generating) {
+        logWarning(`Duplicate generation prevented for user ${userId}`);
+        return false;
+    }
+    savePfpSession({ ...session, generating: true });
 
+    let prompt;
+    try {
         logInfo(`Generating prompt for user ${userId}`, answers);
+        await output.status('⚙️ **Initialize:** Generating your AI image prompt... ✨');
 
-        // Send "generating" message
-        const generatingMessage = await message.channel.send('⚙️ **Initialize:** Generating your AI image prompt... ✨');
+        // Library styles hand Gemini their full description, not just the slug
+        const style = getStyle(session.guildId, answers.visualStyle);
+        const promptAnswers = style
+            ? { ...answers, visualStyle: `${style.label} (${[style.prefix, style.suffix].filter(Boolean).join(' ')})` }
+            : answers;
+        // Known up front so an offline fallback prompt is phrased for it
+        const model = style?.model || sharedConfig.sogniGen.defaultImageModel;
+        const fallback = { modelId: model };
 
-        // Generate the prompt using Gemini AI
-        const prompt = await generatePrompt(answers);
-        await generatingMessage.edit('✅ **Step 1:** AI Image Prompt generated!');
+        prompt = applyStyle(await (avatar ? generateAvatarPrompt(promptAnswers, fallback) : generatePrompt(promptAnswers, fallback)), style);
+        await output.status('✅ **Step 1:** AI Image Prompt generated!');
 
-        // Format the final prompt
         const promptChunks = formatPromptForDiscord(prompt);
-
         if (promptChunks.length === 1) {
-            const promptEmbed = createPromptEmbed(prompt, message.author.tag, null); // No image in main embed at this stage
-            await message.channel.send({ embeds: [promptEmbed] });
+            await output.send({ embeds: [createPromptEmbed(prompt, output.userTag, null)] });
         } else {
             // Send in multiple messages if too long
-            await message.channel.send('✨ **Your Web3 PFP Prompt is Ready!**\n\n📋 **Generated Prompt:**');
+            await output.send('✨ **Your Web3 PFP Prompt is Ready!**\n\n📋 **Generated Prompt:**');
             for (const chunk of promptChunks) {
-                await message.channel.send(`\`\`\`${chunk}\`\`\``);
+                await output.send(`\`\`\`${chunk}\`\`\``);
             }
         }
+        deletePfpSession(userId);
 
-        // Update generating message for image generation
-        await generatingMessage.edit('⚡ **Step 2:** Connecting to Sogni AI Supernet... ⚡');
+        await output.status('⚡ **Step 2:** Connecting to Sogni AI Supernet... ⚡');
 
-        // Generate the image using Sogni AI
         let imageResult = null;
         try {
-            imageResult = await imageGenerator.generateImage(prompt, (status) => {
-                generatingMessage.edit(`🖼️ **Step 2.5:** ${status}... ⚡`).catch(() => { });
-            }, null, null, true); // preserveUserPrompt = true
+            // Guild overrides, then the style's negative prompt, clamped to the model
+            const profile = resolveModelProfile(model, {
+                guild: getGuildModelOverrides(session.guildId, model),
+                options: { negativePrompt: style?.negative || undefined },
+                prompt,
+            });
+            // Starting strength needs a regular image model; edit models ignore it
+            const [kind, params] = avatar
+                ? ['edit', {
+                    prompt,
+                    model,
+                    contextPath: avatar.url,
+                    strength: Number(answers.strength),
+                    width: 1024,
+                    height: 1024,
+                }]
+                : ['image', {
+                    prompt,
+                    model,
+                    width: style?.width || undefined,
+                    height: style?.height || undefined,
+                    steps: profile.steps,
+                    guidance: profile.guidance,
+                    sampler: profile.sampler,
+                    negativePrompt: profile.negativePrompt,
+                }];
+            // Charged like any slash command job; the wizard has no room for a
+            // confirmation, so a render over budget is refused whatever the guild's policy
+            imageResult = await enqueueCharged({
+                kind,
+                params,
+                userId,
+                channelId: session.channelId,
+                guildId: session.guildId || '',
+            }, {
+                onPosition: (position) => output.status(`⏳ **Queued** — position #${position} in line. Your PFP will start shortly.`),
+                onStart: () => output.status('🖼️ **Step 2.5:** Rendering your PFP... ⚡'),
+            }, {
+                estimate: estimateCost(kind, params),
+                roleIds: output.roleIds || [],
+                describeRefusal: (check) => `this PFP needs ~${check.estimate} Spark, more than your allowance has left`,
+            });
         } catch (imgError) {
             logError('Failed to generate image', imgError);
-            await generatingMessage.edit(`❌ **Error:** ${imgError.message || 'Image generation failed'}`).catch(() => { });
-            await message.channel.send('⚠️ **Notice:** Sogni AI Supernet is busy. You can still use the prompt above manually.');
+            await output.status(`❌ **Error:** ${imgError.message || 'Image generation failed'}`).catch(() => { });
+            await output.send(imgError.code === 'BUDGET_EXCEEDED'
+                ? '💸 **Notice:** Your Spark budget is used up. You can still use the prompt above manually.'
+                : '⚠️ **Notice:** Sogni AI Supernet is busy. You can still use the prompt above manually.');
+            return true;
         }
 
-        // Delete the "generating" message quickly once finished
-        if (generatingMessage) {
-            setTimeout(() => {
-                generatingMessage.delete().catch(() => { });
-            }, 2000);
+        if (!imageResult?.url) {
+            logWarning('No image URL returned from generator, skipping attachment.');
+            logInfo(`Finished prompt generation for user ${userId} (No image generated)`);
+            return true;
         }
 
-        // Send image in a clean separate message (Sticker Bot Style)
-        if (imageResult && imageResult.url) {
-            logInfo(`Sending image to Discord. URL: ${imageResult.url}`);
-            try {
-                // Already sending as a separate message, just adding a small spacer/header if needed or keeping as is for "Sticker Bot Style"
-                await message.channel.send({
-                    content: '✨ **Final Web3 PFP:**',
-                    files: [imageResult.url]
-                });
-            } catch (deliveryErr) {
-                logError('PFP image delivery failed, trying fallback', deliveryErr.message);
-                await message.channel.send(`✨ **Final Web3 PFP:** ${imageResult.url}`);
-            }
+        // Save state for future edits and showcase submissions
+        const stateId = imageStateManager.saveImageState(imageResult.url, {
+            userId,
+            seed: imageResult.seed,
+            prompt,
+            modelId: imageResult.model,
+            style: style?.name,
+        });
+        const components = [createDownloadRow(stateId)];
+        if (isShowcaseEnabled(session.guildId)) components.push(createSubmitRow([{ stateId }]));
+
+        logInfo(`Sending image to Discord. URL: ${imageResult.url}`);
+        try {
+            await output.send({
+                content: '✨ **Final Web3 PFP:**',
+                files: [{ attachment: imageResult.url, name: 'image_1.png' }],
+                components,
+            });
+        } catch (deliveryErr) {
+            logError('PFP image delivery failed, trying fallback', deliveryErr.message);
+            await output.send(`✨ **Final Web3 PFP:** ${imageResult.url}`);
+        }
+        await output.status('✅ **Done!** Your PFP is below.').catch(() => { });
 
-            // Save state for future edits
-            imageStateManager.saveImageState(imageResult.url, {
+        try {
+            recordGeneration({
+                userId,
+                guildId: session.guildId,
+                channelId: session.channelId,
+                kind: avatar ? 'edit' : 'image',
+                workflow: avatar ? 'pfp-avatar' : 'pfp',
+                prompt,
+                model: imageResult.model,
                 seed: imageResult.seed,
-                prompt: prompt,
-                modelId: imageResult.modelId
+                width: imageResult.width,
+                height: imageResult.height,
+                urls: [imageResult.url],
+                request: avatar
+                    ? { prompt, imageUrl: avatar.url, model: imageResult.model }
+                    : { prompt, style: style?.name, skipEnhance: true },
             });
-
-            logSuccess(`Successfully generated prompt and image for user ${userId}`);
-        } else {
-            logWarning('No image URL returned from generator, skipping attachment.');
-            logInfo(`Finished prompt generation for user ${userId} (No image generated)`);
+        } catch (historyErr) {
+            logWarning(`Could not record PFP history: ${historyErr.message}`);
         }
 
-        // Clean up session
-        stateManager.deleteSession(userId);
-
+        logSuccess(`Successfully generated prompt and image for user ${userId}`);
+        return true;
     } catch (error) {
-        // Log the full error for better debugging on Railway
-        logError('Error in generateAndSendPrompt flow', error);
+        logError('Error in PFP generation flow', error);
 
-        const errorMessage = handleError(error, 'generateAndSendPrompt');
-        const errorEmbed = createErrorEmbed(errorMessage);
-        await message.channel.send({ embeds: [errorEmbed] });
+        const errorMessage = handleError(error, 'runPfpGeneration');
+        await output.send({ embeds: [createErrorEmbed(errorMessage)] }).catch(() => { });
 
-        // Clean up session
-        stateManager.deleteSession(userId);
+        // Without a prompt nothing was delivered, so keep the answers for another try
+        if (!prompt) savePfpSession({ ...session, generating: false });
+        return false;
     }
 }
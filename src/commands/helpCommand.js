@@ -11,12 +11,22 @@ export async function handleHelp(message) {
         `\`${prefix}mod-guide\` / \`/mod-guide\` - View community guidelines.`,
         ``,
         `**🎨 Creative AI**`,
-        `\`${prefix}imagine <prompt>\` / \`/imagine\` - Generate an AI image.`,
-        `\`${prefix}edit <prompt>\` / \`/edit\` - Edit an image with AI (reply/attach).`,
-        `\`${prefix}video <prompt>\` / \`/video\` - Create an AI video.`,
-        `\`${prefix}pfp\` / \`/pfp\` - Profile picture generation wizard.`,
-        `\`${prefix}angles360 <prompt>\` / \`/angles360\` - Multi-angle generation.`,
+        `\`${prefix}imagine <prompt>\` / \`/imagine\` - Generate an AI image. Results carry Upscale, Vary, Reroll and Use as Reference buttons.`,
+        `\`${prefix}edit <prompt>\` / \`/edit\` - Edit an image with AI (reply/attach). Add \`mask\` or \`region\` (e.g. \`background\`) to repaint only part of it.`,
+        `\`${prefix}video <prompt>\` / \`/video\` - Create an AI video. Attach \`audio\` and a \`ref_image\` for sound-to-video, or a \`driving_video\` to animate the image with its motion. Large videos are compressed to fit the server's upload limit, with a link to the original.`,
+        `\`${prefix}pfp\` / \`/pfp\` - Profile picture wizard with menus, Back/Skip/Restart and saved progress. Can remake your current avatar, with downloads sized for Discord, X and OpenSea. Works in DMs too.`,
+        `\`/showcase standings\` - This week's showcase; enter results with their 🏆 button and vote on others.`,
+        `\`/collection list|show\` - The server's PFP collections, their traits and odds.`,
+        `\`${prefix}angles360 <prompt>\` / \`/angles360\` - Multi-angle generation. Use \`output:\` for a contact sheet, looping GIF or drag-to-rotate viewer; \`angles\`, \`elevation\`, \`distance\` and \`orbit\` shape the camera path.`,
         `\`${prefix}ask <question>\` / \`/ask\` - Chat with the Aesthetic Architect.`,
+        `\`/jobs\` - View, cancel or re-run your generation jobs.`,
+        `\`/gallery browse|search\` - Page through or search everything you've generated, and reuse any entry as a template.`,
+        `\`/seed lock|unlock|show\` - Pin a seed across your generations.`,
+        `\`/lineage <message link>\` - See how an image evolved.`,
+        `\`/models info <id>\` - Show a model's steps, guidance, sampler and negative prompt.`,
+        `\`/style list\` - Browse style presets; use them with \`style:\` on \`/imagine\` and \`/pfp\`.`,
+        `\`/prompt lint\` - Score a prompt for a model and get suggested fixes. \`preview:\` on \`/imagine\` shows the same check before anything is spent.`,
+        `\`/prompt default|templates\` - Pick how \`/imagine\` enhances your prompts: off, light, full or a server template (\`enhance:\` overrides it once).`,
         ``,
         `**🔧 Personal Tools**`,
         `\`${prefix}rank\` / \`/rank\` - Check your XP level.`,
@@ -48,6 +58,9 @@ export async function handleHelp(message) {
         `\`${prefix}server\` / \`/server\` - Backup & Restore server state.`,
         `\`${prefix}safety\` / \`/safety\` - AI safety scanner & whitelist config.`,
         `\`${prefix}logging\` / \`/logging\` - Configure audit logs & health checks.`,
+        `\`/showcase setup|disable\` - Weekly showcase channel, winner count and rewards.`,
+        `\`/collection create|add-trait|generate|export\` - Trait-based PFP sets with metadata and rarity tables.`,
+        `\`/prompt add-template|remove-template\` - Server prompt-enhancement templates for \`/imagine enhance:\`.`,
         `\`${prefix}modlog #channel\` / \`/modlog\` - Set logging channel.`,
         `\`${prefix}automod\` / \`/automod\` - Configure auto-mod rules.`,
         `\`${prefix}raid <on/off/config>\` / \`/raid\` - Anti-raid protection.`,
@@ -1,13 +1,10 @@
-import { imageGenerator } from '../imageGenerator.js';
-import { logError, logSuccess, logInfo, logWarning } from '../utils/errorHandler.js';
-import { generateDirectPrompt } from '../promptGenerator.js';
-import { imageStateManager } from '../utils/imageStateManager.js';
-
-// Storage for channel-level context (seed and prompt) for consistency
-const channelContext = new Map();
+import { handleImagineCommand } from '../slashCommands/handlers.js';
+import { buildPrefixAdapter } from '../utils/prefixAdapter.js';
 
 /**
- * Handle the !imagine command - direct image generation without Gemini
+ * Handle the !imagine command.
+ * Parses the prompt and hands off to the shared /imagine handler so prefix
+ * and slash commands use the same model, dimension and gallery logic.
  */
 export async function handleImagine(message) {
     const content = message.content.trim();
@@ -25,62 +22,7 @@ export async function handleImagine(message) {
         return message.reply('⚠️ **Error:** Please provide a prompt for image generation.');
     }
 
-    const statusMsg = await message.reply(`🎨 **Architecting Visual Mastery...**`);
-
-    try {
-        // Quality mode detection for feedback
-        const lowerPrompt = userPrompt.toLowerCase();
-        const isProMode = ['ultra', 'pro', 'expert', 'epic', 'masterpiece', 'hyper', 'realistic'].some(kw => lowerPrompt.includes(kw));
-
-        // Enhance the prompt using Gemini (Aesthetic Architect)
-        const prompt = await generateDirectPrompt(userPrompt);
-        logInfo(`Direct imagine command enhanced: "${userPrompt}" -> "${prompt}"`);
-
-        await statusMsg.edit(`🎨 **${isProMode ? '🚀 PRO MODE:' : '✨'} Generating:** \`${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}\`...`);
-
-        const result = await imageGenerator.generateImage(prompt, (status) => {
-            statusMsg.edit(`🎨 **Processing:** ${status}`).catch(() => { });
-        });
-
-        // Store the context (seed AND full prompt) for this channel
-        channelContext.set(message.channel.id, {
-            seed: result.seed,
-            prompt: prompt
-        });
-
-        // Save to global image state manager for future edits
-        imageStateManager.saveImageState(result.url, {
-            seed: result.seed,
-            prompt: prompt,
-            modelId: result.modelId
-        });
-
-        // Discord limit is 2000 chars. Let's be safe.
-        const displayPrompt = userPrompt.length > 1000 ? userPrompt.substring(0, 997) + '...' : userPrompt;
-
-        logInfo('Imagine command: Generation finished, starting delivery...');
-
-        // 1. Reply with prompt
-        logInfo('Sending prompt reply...');
-        await message.reply({
-            content: `✅ **Generated${isProMode ? ' (Pro Mode)' : ''}:** \`${displayPrompt}\``
-        });
-        logInfo('Prompt reply sent.');
-
-        // 2. Send image separately
-        logInfo(`Sending image file from URL: ${result.url}`);
-        await message.channel.send({
-            files: [result.url]
-        });
-        logInfo('Image file sent.');
-
-        await statusMsg.delete().catch(() => { });
-        logSuccess(`Successfully generated and delivered image for imagine command: "${prompt}"`);
-
-    } catch (err) {
-        logError('Imagine command failed', err);
-        await statusMsg.edit(`❌ Generation failed: ${err.message}`);
-    }
+    await handleImagineCommand({ prompt: userPrompt }, buildPrefixAdapter(message));
 }
 
 /**
@@ -0,0 +1,108 @@
+/**
+ * Generation Job Commands
+ *
+ * Lets users see their queued, running and recent Sogni jobs,
+ * cancel the ones still in flight and re-run finished ones.
+ */
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { listUserJobs } from '../../packages/sogni-wrapper/queue.js';
+import { config } from '../config.js';
+
+const STATUS_ICONS = {
+    queued: '⏳',
+    running: '⚙️',
+    completed: '✅',
+    failed: '❌',
+    cancelled: '🚫',
+};
+
+export const jobsCommandDefinition = new SlashCommandBuilder()
+    .setName('jobs')
+    .setDescription('List your running and recent generation jobs');
+
+/**
+ * Parse a SQLite `datetime('now')` value (UTC, no zone marker).
+ * @param {string|null} value
+ * @returns {number|null} — epoch ms
+ */
+function parseSqliteDate(value) {
+    if (!value) return null;
+    return Date.parse(value.replace(' ', 'T') + 'Z');
+}
+
+/**
+ * Human-readable elapsed time for a job.
+ * @param {import('../../packages/sogni-wrapper/queue.js').JobRow} job
+ * @returns {string}
+ */
+function formatElapsed(job) {
+    const start = parseSqliteDate(job.started_at) ?? parseSqliteDate(job.created_at);
+    const end = parseSqliteDate(job.finished_at) ?? Date.now();
+    const seconds = Math.max(0, Math.round((end - start) / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Short prompt preview from the job's original request.
+ * @param {import('../../packages/sogni-wrapper/queue.js').JobRow} job
+ * @returns {string}
+ */
+function describePrompt(job) {
+    try {
+        const prompt = JSON.parse(job.request_json || job.params_json).prompt || '';
+        return prompt.length > 60 ? `${prompt.substring(0, 60)}...` : prompt;
+    } catch (_) {
+        return '';
+    }
+}
+
+/**
+ * @param {object} params
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ */
+export async function handleJobsCommand(params, res) {
+    const jobs = listUserJobs(res.userId, 10);
+
+    if (jobs.length === 0) {
+        await res.reply('📭 You have no generation jobs yet. Try `/imagine` to start one.');
+        return;
+    }
+
+    const lines = jobs.map(job => {
+        const icon = STATUS_ICONS[job.status] || '❔';
+        const model = job.model ? `\`${job.model}\`` : '`default`';
+        return `${icon} **#${job.id}** ${job.kind} · ${job.status} · ${model} · ${formatElapsed(job)}\n└ ${describePrompt(job) || '*no prompt*'}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.info)
+        .setTitle('🧾 Your Generation Jobs')
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: 'Cancel jobs in flight or re-run a previous one with the buttons below' })
+        .setTimestamp();
+
+    const components = [];
+
+    const active = jobs.filter(j => j.status === 'queued' || j.status === 'running').slice(0, 5);
+    if (active.length > 0) {
+        components.push(new ActionRowBuilder().addComponents(
+            active.map(job => new ButtonBuilder()
+                .setCustomId(`job_cancel_${job.id}`)
+                .setLabel(`✖ Cancel #${job.id}`)
+                .setStyle(ButtonStyle.Danger))
+        ));
+    }
+
+    const rerunnable = jobs.filter(j => j.request_json && j.status !== 'queued' && j.status !== 'running').slice(0, 5);
+    if (rerunnable.length > 0) {
+        components.push(new ActionRowBuilder().addComponents(
+            rerunnable.map(job => new ButtonBuilder()
+                .setCustomId(`job_rerun_${job.id}`)
+                .setLabel(`🔁 Re-run #${job.id}`)
+                .setStyle(ButtonStyle.Secondary))
+        ));
+    }
+
+    await res.reply({ embeds: [embed], components });
+}
@@ -0,0 +1,143 @@
+/**
+ * Model Profile Commands
+ *
+ * Show the effective generation profile for a model (built-in defaults
+ * plus this server's overrides) and let admins change those overrides.
+ */
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import { SOGNI_MODELS, SAMPLERS, resolveModelProfile } from '../../packages/config/models.js';
+import {
+    getGuildModelOverrides, setGuildModelOverrides, clearGuildModelOverrides,
+} from '../../packages/config/model-overrides.js';
+import { createSuccessEmbed, createErrorEmbed } from '../utils/messageFormatter.js';
+import { config } from '../config.js';
+
+const MODEL_CHOICES = [...SOGNI_MODELS.IMAGE, ...SOGNI_MODELS.EDIT, ...SOGNI_MODELS.VIDEO]
+    .slice(0, 25)
+    .map(m => ({ name: m.name, value: m.id }));
+
+const SOURCE_LABELS = { model: 'default', guild: 'server override', request: 'request' };
+
+export const modelsCommandDefinition = new SlashCommandBuilder()
+    .setName('models')
+    .setDescription('Inspect and tune Sogni model profiles')
+    .addSubcommand(sub =>
+        sub.setName('info')
+            .setDescription('Show the effective profile for a model')
+            .addStringOption(opt =>
+                opt.setName('id').setDescription('Model').setRequired(true).addChoices(...MODEL_CHOICES)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('override')
+            .setDescription('Admin: change this server\'s defaults for a model')
+            .addStringOption(opt =>
+                opt.setName('id').setDescription('Model').setRequired(true).addChoices(...MODEL_CHOICES)
+            )
+            .addIntegerOption(opt => opt.setName('steps').setDescription('Default steps').setMinValue(1).setMaxValue(100))
+            .addNumberOption(opt => opt.setName('guidance').setDescription('Default guidance (CFG)').setMinValue(0).setMaxValue(20))
+            .addStringOption(opt =>
+                opt.setName('sampler').setDescription('Default sampler')
+                    .addChoices(...SAMPLERS.map(s => ({ name: s, value: s })))
+            )
+            .addStringOption(opt => opt.setName('negative').setDescription('Default negative prompt').setMaxLength(1000))
+    )
+    .addSubcommand(sub =>
+        sub.setName('reset')
+            .setDescription('Admin: drop this server\'s overrides for a model')
+            .addStringOption(opt =>
+                opt.setName('id').setDescription('Model').setRequired(true).addChoices(...MODEL_CHOICES)
+            )
+    );
+
+/**
+ * Build the embed describing a model's effective profile.
+ * @param {string} modelId
+ * @param {string} guildId
+ * @returns {EmbedBuilder}
+ */
+function buildProfileEmbed(modelId, guildId) {
+    const profile = resolveModelProfile(modelId, { guild: getGuildModelOverrides(guildId, modelId) });
+    const model = [...SOGNI_MODELS.IMAGE, ...SOGNI_MODELS.EDIT, ...SOGNI_MODELS.VIDEO].find(m => m.id === modelId);
+    const from = (key) => SOURCE_LABELS[profile.sources[key]];
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.info)
+        .setTitle(`🤖 ${model?.name || modelId}`)
+        .setDescription(`\`${modelId}\`${model?.description ? `\n${model.description}` : ''}`)
+        .addFields(
+            { name: 'Steps', value: `${profile.steps} *(${from('steps')})*\nRange ${profile.ranges.steps.join('–')}`, inline: true },
+            { name: 'Guidance', value: `${profile.guidance} *(${from('guidance')})*\nRange ${profile.ranges.guidance.join('–')}`, inline: true },
+            { name: 'Sampler', value: `${profile.sampler} *(${from('sampler')})*\n${profile.samplers.join(', ')}`, inline: true },
+            { name: `Negative prompt (${from('negativePrompt')})`, value: profile.negativePrompt ? profile.negativePrompt.substring(0, 1000) : '*none*' },
+        )
+        .setTimestamp();
+
+    if (model?.dimensions) {
+        embed.addFields({ name: 'Size', value: `${model.dimensions.min}–${model.dimensions.max}px, multiples of ${model.dimensions.multiple}`, inline: true });
+    }
+    if (profile.fallback) {
+        embed.setFooter({ text: `No dedicated profile — borrowing ${profile.fallback}` });
+    }
+    if (profile.adjustments.length > 0) {
+        embed.addFields({ name: '⚠️ Clamped', value: profile.adjustments.join('\n') });
+    }
+    return embed;
+}
+
+/**
+ * @param {object} params
+ * @param {'info'|'override'|'reset'} params.subcommand
+ * @param {string} params.id
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ * @param {object} extra
+ * @param {import('discord.js').PermissionsBitField} [extra.memberPermissions]
+ */
+export async function handleModelsCommand(params, res, extra = {}) {
+    const { subcommand, id } = params;
+
+    if (subcommand === 'info') {
+        await res.reply({ embeds: [buildProfileEmbed(id, res.guildId)] });
+        return;
+    }
+
+    if (!res.guildId) {
+        await res.reply({ embeds: [createErrorEmbed('Server Only', 'Model overrides can only be set inside a server.')] });
+        return;
+    }
+    if (!extra.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        await res.reply({ embeds: [createErrorEmbed('Admins Only', 'Only server administrators can change model overrides.')] });
+        return;
+    }
+
+    if (subcommand === 'override') {
+        const values = {
+            steps: params.steps,
+            guidance: params.guidance,
+            sampler: params.sampler,
+            negativePrompt: params.negative,
+        };
+        if (Object.values(values).every(v => v == null)) {
+            await res.reply({ embeds: [createErrorEmbed('Nothing to Change', 'Pass at least one of steps, guidance, sampler or negative.')] });
+            return;
+        }
+
+        setGuildModelOverrides(res.guildId, id, values);
+        await res.reply({
+            embeds: [
+                createSuccessEmbed('Override Saved', 'Values outside the model\'s range are clamped at generation time.'),
+                buildProfileEmbed(id, res.guildId),
+            ]
+        });
+        return;
+    }
+
+    if (subcommand === 'reset') {
+        const removed = clearGuildModelOverrides(res.guildId, id);
+        await res.reply({
+            embeds: [removed
+                ? createSuccessEmbed('Overrides Removed', `\`${id}\` is back to its built-in profile.`)
+                : createErrorEmbed('No Overrides', `This server has no overrides for \`${id}\`.`)]
+        });
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * PFP Wizard
+ *
+ * The PFP questions as a single message driven by a select menu and
+ * buttons: pick an option or write a custom answer, go Back, Skip optional
+ * steps, Restart, and Generate from a review step. The embed keeps a live
+ * summary of the choices so far. State transitions are pure so sessions
+ * can be stored between clicks (see packages/pfp).
+ *
+ * "Start from my avatar" swaps the avatar type question for what to keep
+ * from the member's current avatar and how strongly to follow it; the
+ * avatar and Gemini's description of it ride along in the answers.
+ */
+import {
+    EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder,
+    ModalBuilder, TextInputBuilder, TextInputStyle,
+} from 'discord.js';
+import { getQuestions, getAvatarQuestions } from '../questionFlow.js';
+import { config } from '../config.js';
+
+/** Discord select menus list at most this many options */
+const MAX_MENU_OPTIONS = 25;
+
+/** Square download sizes offered with a finished PFP */
+export const PFP_SIZES = {
+    discord: { label: 'Discord', size: 1024 },
+    x: { label: 'X', size: 400 },
+    opensea: { label: 'OpenSea', size: 350 },
+};
+
+/** How the avatar description reads in the wizard */
+const AVATAR_TRAIT_LABELS = { subject: '🧍 Subject', pose: '🤸 Pose', colours: '🎨 Colours' };
+
+/**
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+/**
+ * The wizard's questions for a session (the style step lists the guild's
+ * style library).
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ */
+export function wizardQuestions(session) {
+    return session.answers.avatar
+        ? getAvatarQuestions(session.guildId || null)
+        : getQuestions(session.guildId || null);
+}
+
+/**
+ * The first unanswered question at or after `from`, falling back to any
+ * earlier one; the question count (review step) once everything is answered.
+ * @param {object[]} questions
+ * @param {Object<string, string>} answers
+ * @param {number} [from]
+ * @returns {number}
+ */
+export function nextOpenStep(questions, answers, from = 0) {
+    const open = (i) => answers[questions[i].id] === undefined;
+    for (let i = from; i < questions.length; i++) if (open(i)) return i;
+    for (let i = 0; i < Math.min(from, questions.length); i++) if (open(i)) return i;
+    return questions.length;
+}
+
+/**
+ * Apply one wizard action and return the updated session.
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ * @param {'pick'|'skip'|'back'|'restart'} action
+ * @param {string} [value] — the chosen option or custom text, for 'pick'
+ * @returns {import('../../packages/pfp/index.js').PfpSession}
+ */
+export function applyWizardAction(session, action, value) {
+    const questions = wizardQuestions(session);
+    const question = questions[session.step];
+    const answers = { ...session.answers };
+
+    switch (action) {
+        case 'pick':
+            if (!question || !value) return session;
+            answers[question.id] = value;
+            return { ...session, answers, step: nextOpenStep(questions, answers, session.step + 1) };
+        case 'skip':
+            if (!question?.optional) return session;
+            answers[question.id] = 'none';
+            return { ...session, answers, step: nextOpenStep(questions, answers, session.step + 1) };
+        case 'back':
+            return { ...session, step: Math.max(0, Math.min(session.step, questions.length) - 1) };
+        case 'restart':
+            return { ...session, answers: {}, step: 0 };
+        default:
+            return session;
+    }
+}
+
+/**
+ * Switch a session to starting from the member's avatar. Style, mood and
+ * custom instructions carry over; the avatar type no longer applies.
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ * @param {{url: string, description: import('../promptGenerator.js').AvatarDescription|null}} avatar
+ * @returns {import('../../packages/pfp/index.js').PfpSession}
+ */
+export function applyAvatarStart(session, avatar) {
+    const { avatarType, ...shared } = session.answers;
+    const next = { ...session, answers: { ...shared, avatar } };
+    return { ...next, step: nextOpenStep(wizardQuestions(next), next.answers, 0) };
+}
+
+/**
+ * How an answer reads in the summary: the option's label, or the custom text.
+ * @param {object} question
+ * @param {string|undefined} value
+ * @returns {string|null}
+ */
+export function describeAnswer(question, value) {
+    if (value === undefined) return null;
+    if (value === 'none' && question.optional) return 'Skipped';
+    if (question.multi) {
+        return question.options.filter(opt => value.split(',').includes(opt.value)).map(opt => `${opt.emoji} ${opt.label}`).join(', ');
+    }
+    const option = question.options.find(opt => opt.value === value);
+    return option ? `${option.emoji} ${option.label}` : `✏️ "${truncate(value, 80)}"`;
+}
+
+/**
+ * One line per question, marking the current step.
+ * @param {object[]} questions
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ * @returns {string}
+ */
+export function summarizeAnswers(questions, session) {
+    return questions.map((question, i) => {
+        const marker = i === session.step ? '▶' : (session.answers[question.id] !== undefined ? '✅' : '▫️');
+        const title = question.question.replace(/\*\*/g, '').replace(/^\S+\s/, '').replace(/\?$/, '');
+        return `${marker} **${title}:** ${describeAnswer(question, session.answers[question.id]) ?? '—'}`;
+    }).join('\n');
+}
+
+/**
+ * @param {string} userId
+ * @param {'pick'|'back'|'skip'|'custom'|'restart'|'cancel'|'generate'|'avatar'} action
+ * @returns {string}
+ */
+function wizardId(userId, action) {
+    return `pfp_${action}_${userId}`;
+}
+
+/**
+ * The wizard message for a session's current step.
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ * @param {object} [options]
+ * @param {string} [options.notice] — shown above the embed, e.g. when resuming
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+export function buildWizardMessage(session, { notice } = {}) {
+    const questions = wizardQuestions(session);
+    const question = questions[session.step];
+    const { userId } = session;
+
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.primary)
+        .setTitle(question
+            ? `🦅 PFP Wizard · Step ${session.step + 1}/${questions.length}`
+            : '🦅 PFP Wizard · Review')
+        .setDescription(question
+            ? `${question.question}\n${question.description}`
+            : '✨ **All set!** Check your choices below, then hit **Generate**. Use Back to change anything.')
+        .addFields({ name: '📋 Your choices', value: summarizeAnswers(questions, session) })
+        .setFooter({ text: 'Progress is saved — run /pfp again any time to pick up where you left off.' });
+
+    const { avatar } = session.answers;
+    if (avatar) {
+        const description = Object.entries(AVATAR_TRAIT_LABELS)
+            .filter(([trait]) => avatar.description?.[trait])
+            .map(([trait, label]) => `**${label}:** ${avatar.description[trait]}`)
+            .join('\n');
+        embed.setThumbnail(avatar.url)
+            .addFields({ name: '🖼️ Starting from your avatar', value: truncate(description || 'I couldn\'t describe it, so the image alone will guide the remake.', 1024) });
+    }
+
+    const back = new ButtonBuilder()
+        .setCustomId(wizardId(userId, 'back'))
+        .setLabel('◀ Back')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(session.step === 0);
+    const restart = new ButtonBuilder()
+        .setCustomId(wizardId(userId, 'restart'))
+        .setLabel('🔄 Restart')
+        .setStyle(ButtonStyle.Secondary);
+    const cancel = new ButtonBuilder()
+        .setCustomId(wizardId(userId, 'cancel'))
+        .setLabel('✖ Cancel')
+        .setStyle(ButtonStyle.Danger);
+
+    if (!question) {
+        const generate = new ButtonBuilder()
+            .setCustomId(wizardId(userId, 'generate'))
+            .setLabel('✨ Generate')
+            .setStyle(ButtonStyle.Success);
+        return {
+            content: notice || '',
+            embeds: [embed],
+            components: [new ActionRowBuilder().addComponents(generate, back, restart, cancel)],
+        };
+    }
+
+    const current = session.answers[question.id];
+    const chosen = question.multi && current ? current.split(',') : [current];
+    const options = question.options.slice(0, MAX_MENU_OPTIONS);
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId(wizardId(userId, 'pick'))
+        .setPlaceholder(question.multi ? 'Choose one or more...' : 'Choose an option...')
+        .addOptions(options.map(opt => ({
+            label: truncate(`${opt.emoji} ${opt.label}`, 100),
+            value: opt.value,
+            default: chosen.includes(opt.value),
+        })));
+    if (question.multi) menu.setMinValues(1).setMaxValues(options.length);
+
+    const buttons = [back];
+    if (question.optional) {
+        buttons.push(new ButtonBuilder()
+            .setCustomId(wizardId(userId, 'skip'))
+            .setLabel('⏭️ Skip')
+            .setStyle(ButtonStyle.Secondary));
+    }
+    if (question.allowCustom) {
+        buttons.push(new ButtonBuilder()
+            .setCustomId(wizardId(userId, 'custom'))
+            .setLabel('✏️ Write my own')
+            .setStyle(ButtonStyle.Primary));
+    }
+    if (session.step === 0 && !avatar) {
+        buttons.push(new ButtonBuilder()
+            .setCustomId(wizardId(userId, 'avatar'))
+            .setLabel('🖼️ Start from my avatar')
+            .setStyle(ButtonStyle.Primary));
+    }
+    buttons.push(restart, cancel);
+
+    return {
+        content: notice || '',
+        embeds: [embed],
+        components: [
+            new ActionRowBuilder().addComponents(menu),
+            new ActionRowBuilder().addComponents(buttons),
+        ],
+    };
+}
+
+/**
+ * Modal for a custom answer to the current question.
+ * @param {import('../../packages/pfp/index.js').PfpSession} session
+ * @returns {ModalBuilder|null} — null on the review step
+ */
+export function createCustomAnswerModal(session) {
+    const question = wizardQuestions(session)[session.step];
+    if (!question) return null;
+
+    const current = session.answers[question.id];
+    const input = new TextInputBuilder()
+        .setCustomId('answer')
+        .setLabel(truncate(question.question.replace(/\*\*/g, ''), 45))
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(300)
+        .setPlaceholder(truncate(question.description, 100))
+        .setRequired(true);
+    if (current && current !== 'none' && !question.options.some(opt => opt.value === current)) input.setValue(current);
+
+    return new ModalBuilder()
+        .setCustomId(`pfp_answer_${session.userId}`)
+        .setTitle(`PFP Wizard · Step ${session.step + 1}`)
+        .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+/**
+ * One-click downloads of a finished PFP, cropped square for each platform.
+ * @param {string} stateId — the PFP's image state
+ * @returns {ActionRowBuilder}
+ */
+export function createDownloadRow(stateId) {
+    return new ActionRowBuilder().addComponents(Object.entries(PFP_SIZES).map(([target, { label, size }]) =>
+        new ButtonBuilder()
+            .setCustomId(`pfp_size_${stateId}_${target}`)
+            .setLabel(`⬇️ ${label} · ${size}px`)
+            .setStyle(ButtonStyle.Secondary)));
+}
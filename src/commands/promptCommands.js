@@ -0,0 +1,258 @@
+/**
+ * Prompt Commands
+ *
+ * /prompt lint scores a prompt for a model and suggests fixes, without
+ * generating anything. The same report is shown by `/imagine preview:`
+ * and on chat blueprints before the render is confirmed.
+ *
+ * /prompt also picks how /imagine enhances prompts: each user sets a
+ * default, and managers add server templates next to the built-in modes.
+ */
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import { SOGNI_MODELS, MAX_SEED } from '../../packages/config/models.js';
+import { sharedConfig } from '../../packages/config/index.js';
+import { analyzePrompt } from '../../packages/utils/prompt-lint.js';
+import { hasDynamicSyntax, expandPrompt } from '../../packages/utils/dynamic-prompts.js';
+import {
+    ENHANCE_MODES, listEnhanceTemplates, saveEnhanceTemplate, deleteEnhanceTemplate, resolveEnhancement,
+} from '../../packages/enhance/index.js';
+import { getEnhanceDefault, setEnhanceDefault } from '../../packages/memory/index.js';
+import { securityManager } from '../utils/securityManager.js';
+import { createSuccessEmbed, createErrorEmbed } from '../utils/messageFormatter.js';
+import { config } from '../config.js';
+
+const SEVERITY_ICONS = { error: '⛔', warning: '⚠️', tip: '💡' };
+
+const MAX_SUGGESTIONS = 25;
+
+export const promptCommandDefinition = new SlashCommandBuilder()
+    .setName('prompt')
+    .setDescription('Check prompts and choose how /imagine enhances them')
+    .addSubcommand(sub =>
+        sub.setName('lint')
+            .setDescription('Score a prompt and get suggested fixes')
+            .addStringOption(opt =>
+                opt.setName('prompt').setDescription('Prompt to check').setRequired(true).setMaxLength(2000)
+            )
+            .addStringOption(opt =>
+                opt.setName('model').setDescription('Model it is meant for (decides the length limit)')
+                    .addChoices(...SOGNI_MODELS.IMAGE.slice(0, 25).map(m => ({ name: m.name, value: m.id })))
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('default')
+            .setDescription('Show or set how /imagine enhances your prompts')
+            .addStringOption(opt =>
+                opt.setName('enhance').setDescription('off, light, full or a server template').setAutocomplete(true)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('templates')
+            .setDescription('List the enhancement modes and this server\'s templates')
+    )
+    .addSubcommand(sub =>
+        sub.setName('add-template')
+            .setDescription('Manager: add or replace an enhancement template')
+            .addStringOption(opt => opt.setName('name').setDescription('Template name').setRequired(true).setMaxLength(32))
+            .addStringOption(opt =>
+                opt.setName('instructions').setDescription('How prompts should be rewritten, e.g. "cozy storybook watercolour, under 40 words"')
+                    .setRequired(true).setMaxLength(1000)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('remove-template')
+            .setDescription('Manager: remove an enhancement template')
+            .addStringOption(opt => opt.setName('name').setDescription('Template name').setRequired(true).setAutocomplete(true))
+    );
+
+/**
+ * Analyse a prompt against the bot's banned terms.
+ * @param {string} prompt
+ * @param {string} [modelId] — defaults to the default image model
+ * @returns {import('../../packages/utils/prompt-lint.js').PromptAnalysis}
+ */
+export function lintPrompt(prompt, modelId = sharedConfig.sogniGen.defaultImageModel) {
+    return analyzePrompt(prompt, { modelId, bannedTerms: securityManager.listSlurs() });
+}
+
+/**
+ * Score badge for a report, e.g. "🟢 92/100".
+ * @param {number} score
+ * @returns {string}
+ */
+export function formatScore(score) {
+    return `${score >= 80 ? '🟢' : score >= 50 ? '🟡' : '🔴'} ${score}/100`;
+}
+
+/**
+ * The issues of a report, one line each with its fix.
+ * @param {import('../../packages/utils/prompt-lint.js').PromptAnalysis} analysis
+ * @param {number} [max] — issues to list before summarising the rest
+ * @returns {string}
+ */
+export function formatLintIssues(analysis, max = 10) {
+    if (analysis.issues.length === 0) return '✅ Nothing to fix.';
+    const lines = analysis.issues.slice(0, max)
+        .map(issue => `${SEVERITY_ICONS[issue.severity]} ${issue.message}\n↳ ${issue.fix}`);
+    if (analysis.issues.length > max) lines.push(`…and ${analysis.issues.length - max} more`);
+    return lines.join('\n');
+}
+
+/**
+ * Build the embed showing a prompt's analysis.
+ * @param {string} prompt
+ * @param {import('../../packages/utils/prompt-lint.js').PromptAnalysis} analysis
+ * @param {string} modelId
+ * @returns {EmbedBuilder}
+ */
+export function createLintEmbed(prompt, analysis, modelId) {
+    const model = SOGNI_MODELS.IMAGE.find(m => m.id === modelId);
+    const color = analysis.blocked ? config.colors.error : analysis.score >= 80 ? config.colors.success : config.colors.warning;
+
+    return new EmbedBuilder()
+        .setColor(color)
+        .setTitle(`🔎 Prompt Check · ${formatScore(analysis.score)}`)
+        .setDescription(`**Prompt:** ${prompt.substring(0, 1000)}${prompt.length > 1000 ? '...' : ''}`)
+        .addFields(
+            { name: 'Model', value: model?.name || modelId, inline: true },
+            { name: 'Length', value: `~${analysis.tokens} / ${analysis.limit.tokens} tokens (${analysis.limit.encoder})`, inline: true },
+            { name: 'Suggestions', value: formatLintIssues(analysis).substring(0, 1024) },
+        )
+        .setTimestamp();
+}
+
+/**
+ * Autocomplete for `enhance:` options: the built-in modes, then the
+ * server's templates.
+ * @param {string|null} guildId
+ * @param {string} [query]
+ * @param {boolean} [templatesOnly] — for removing a template
+ * @returns {{name: string, value: string}[]}
+ */
+export function getEnhanceChoices(guildId, query = '', templatesOnly = false) {
+    const needle = query.toLowerCase();
+    const builtins = templatesOnly ? [] : Object.entries(ENHANCE_MODES)
+        .map(([name, mode]) => ({ name: `${mode.emoji} ${mode.label} — ${mode.description}`, value: name }));
+    const templates = listEnhanceTemplates(guildId)
+        .map(template => ({ name: `📝 ${template.name} — ${template.instructions}`, value: template.name }));
+    return [...builtins, ...templates]
+        .filter(choice => !needle || choice.value.includes(needle) || choice.name.toLowerCase().includes(needle))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(choice => ({ name: choice.name.substring(0, 100), value: choice.value }));
+}
+
+/**
+ * Build the side-by-side view of a prompt as written and as enhanced, each
+ * with its score. Suggestions are for the user's own prompt, the one they
+ * can change.
+ * @param {object} prompts
+ * @param {string} prompts.original
+ * @param {string} prompts.enhanced
+ * @param {string} prompts.label — the enhancement, e.g. '🪶 Light'
+ * @param {string} modelId
+ * @returns {{embed: EmbedBuilder, original: import('../../packages/utils/prompt-lint.js').PromptAnalysis, enhanced: import('../../packages/utils/prompt-lint.js').PromptAnalysis}}
+ */
+export function createEnhanceComparison({ original, enhanced, label }, modelId) {
+    const analyses = { original: lintPrompt(original, modelId), enhanced: lintPrompt(enhanced, modelId) };
+    const blocked = analyses.original.blocked || analyses.enhanced.blocked;
+    const clip = (text) => `${text.substring(0, 1000)}${text.length > 1000 ? '...' : ''}`;
+
+    const embed = new EmbedBuilder()
+        .setColor(blocked ? config.colors.error : config.colors.info)
+        .setTitle('🔎 Original vs Enhanced')
+        .addFields(
+            { name: `✏️ Your prompt · ${formatScore(analyses.original.score)}`, value: clip(original), inline: true },
+            { name: `✨ Enhanced (${label}) · ${formatScore(analyses.enhanced.score)}`, value: clip(enhanced), inline: true },
+            { name: 'Suggestions for your prompt', value: formatLintIssues(analyses.original, 5).substring(0, 1024) },
+        )
+        .setTimestamp();
+    return { embed, ...analyses };
+}
+
+/**
+ * @param {object} params
+ * @param {'lint'|'default'|'templates'|'add-template'|'remove-template'} params.subcommand
+ * @param {string} [params.prompt]
+ * @param {string} [params.model]
+ * @param {string} [params.enhance]
+ * @param {string} [params.name]
+ * @param {string} [params.instructions]
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ * @param {object} [extra]
+ * @param {import('discord.js').PermissionsBitField} [extra.memberPermissions]
+ */
+export async function handlePromptCommand(params, res, extra = {}) {
+    const { subcommand } = params;
+
+    if (subcommand === 'default') {
+        if (!params.enhance) {
+            const current = getEnhanceDefault(res.userId);
+            const enhancement = current && resolveEnhancement(res.guildId, current);
+            await res.reply(enhancement
+                ? `✨ Your /imagine prompts use **${enhancement.label}** enhancement unless you pick another with \`enhance:\`.`
+                : `✨ No default set — /imagine uses **${resolveEnhancement(res.guildId, sharedConfig.enhance.defaultMode)?.label || sharedConfig.enhance.defaultMode}** enhancement.`);
+            return;
+        }
+        const enhancement = resolveEnhancement(res.guildId, params.enhance);
+        if (!enhancement) {
+            await res.reply({ embeds: [createErrorEmbed('Unknown Enhancement', `\`${params.enhance}\` isn't a mode or one of this server's templates — see \`/prompt templates\`.`)] });
+            return;
+        }
+        setEnhanceDefault(res.userId, enhancement.name);
+        await res.reply({ embeds: [createSuccessEmbed('✨ Default Saved', `Your /imagine prompts now use **${enhancement.label}** enhancement. Pass \`enhance:\` to override it once.`)] });
+        return;
+    }
+
+    if (subcommand === 'templates') {
+        const modes = Object.entries(ENHANCE_MODES).map(([name, mode]) => `${mode.emoji} **${name}** — ${mode.description}`);
+        const templates = listEnhanceTemplates(res.guildId).map(template => `📝 **${template.name}** — ${template.instructions.substring(0, 200)}`);
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.info)
+            .setTitle('✨ Prompt Enhancement')
+            .addFields(
+                { name: 'Modes', value: modes.join('\n') },
+                { name: 'Server templates', value: (templates.join('\n') || '*none yet — managers add them with `/prompt add-template`*').substring(0, 1024) },
+            );
+        await res.reply({ embeds: [embed] });
+        return;
+    }
+
+    if (subcommand === 'add-template' || subcommand === 'remove-template') {
+        if (!res.guildId) {
+            await res.reply({ embeds: [createErrorEmbed('Server Only', 'Enhancement templates belong to a server.')] });
+            return;
+        }
+        if (!extra.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            await res.reply({ embeds: [createErrorEmbed('Managers Only', 'You need the Manage Server permission to change enhancement templates.')] });
+            return;
+        }
+
+        if (subcommand === 'remove-template') {
+            const removed = deleteEnhanceTemplate(res.guildId, params.name);
+            await res.reply(removed
+                ? { embeds: [createSuccessEmbed('🗑️ Template Removed', `\`${params.name}\` is gone. Members who picked it as their default fall back to the bot default.`)] }
+                : { embeds: [createErrorEmbed('Unknown Template', `This server has no template called \`${params.name}\`.`)] });
+            return;
+        }
+
+        try {
+            const template = saveEnhanceTemplate(res.guildId, params.name, params.instructions, res.userId);
+            await res.reply({ embeds: [createSuccessEmbed('📝 Template Saved', `Use it with \`/imagine enhance:${template.name}\`.\n>>> ${template.instructions}`)] });
+        } catch (err) {
+            await res.reply({ embeds: [createErrorEmbed('Template Not Saved', err.message)] });
+        }
+        return;
+    }
+
+    const modelId = params.model || sharedConfig.sogniGen.defaultImageModel;
+
+    // Dynamic prompts are checked through one sample expansion
+    const dynamic = hasDynamicSyntax(params.prompt);
+    const prompt = dynamic
+        ? expandPrompt(params.prompt, { seed: Math.floor(Math.random() * (MAX_SEED + 1)) })
+        : params.prompt;
+
+    const embed = createLintEmbed(prompt, lintPrompt(prompt, modelId), modelId);
+    if (dynamic) embed.setFooter({ text: 'Dynamic prompt — checked one sample expansion' });
+    await res.reply({ embeds: [embed] });
+}
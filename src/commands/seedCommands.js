@@ -0,0 +1,145 @@
+/**
+ * Seed & Lineage Commands
+ *
+ * /seed pins a seed across a user's generations; /lineage shows how a
+ * posted artwork evolved from its first generation through each edit.
+ */
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { getSeedLock, setSeedLock, clearSeedLock } from '../../packages/memory/index.js';
+import { MAX_SEED } from '../../packages/config/models.js';
+import { imageStateManager } from '../utils/imageStateManager.js';
+import { config } from '../config.js';
+
+export const seedCommandDefinition = new SlashCommandBuilder()
+    .setName('seed')
+    .setDescription('Lock a seed for all your generations')
+    .addSubcommand(sub =>
+        sub.setName('lock')
+            .setDescription('Use the same seed for every /imagine, /edit and /video')
+            .addIntegerOption(opt =>
+                opt.setName('seed').setDescription('Seed to lock (random if omitted)')
+                    .setMinValue(0).setMaxValue(MAX_SEED)
+            )
+    )
+    .addSubcommand(sub =>
+        sub.setName('unlock')
+            .setDescription('Go back to fresh seeds')
+    )
+    .addSubcommand(sub =>
+        sub.setName('show')
+            .setDescription('Show your current seed lock')
+    );
+
+export const lineageCommandDefinition = new SlashCommandBuilder()
+    .setName('lineage')
+    .setDescription('Show how a generated image evolved')
+    .addStringOption(opt =>
+        opt.setName('message').setDescription('Link to (or ID of) the message with the image').setRequired(true)
+    );
+
+/**
+ * @param {object} params
+ * @param {'lock'|'unlock'|'show'} params.subcommand
+ * @param {number} [params.seed]
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ */
+export async function handleSeedCommand(params, res) {
+    if (params.subcommand === 'lock') {
+        const seed = params.seed ?? Math.floor(Math.random() * (MAX_SEED + 1));
+        setSeedLock(res.userId, seed);
+        await res.reply(`🔒 Seed locked to \`${seed}\`. Your generations will reuse it until you run \`/seed unlock\`.`);
+        return;
+    }
+
+    if (params.subcommand === 'unlock') {
+        const had = clearSeedLock(res.userId);
+        await res.reply(had ? '🔓 Seed lock removed — every generation gets a fresh seed again.' : 'ℹ️ You have no seed lock.');
+        return;
+    }
+
+    const seed = getSeedLock(res.userId);
+    await res.reply(seed !== null
+        ? `🔒 Your seed is locked to \`${seed}\`. A \`seed\` option on a command still takes precedence.`
+        : '🔓 No seed lock — generations use fresh seeds.');
+}
+
+/**
+ * Pull the message id out of a Discord message link or a bare id.
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function parseMessageReference(input) {
+    const link = input.match(/channels\/(?:\d+|@me)\/\d+\/(\d+)/);
+    if (link) return link[1];
+    return /^\d{15,25}$/.test(input.trim()) ? input.trim() : null;
+}
+
+/**
+ * @param {object} state — image state with url
+ * @returns {string}
+ */
+function jumpLink(state) {
+    if (!state.messageId || !state.channelId) return '';
+    return ` · [jump](https://discord.com/channels/${state.guildId || '@me'}/${state.channelId}/${state.messageId})`;
+}
+
+/**
+ * @param {string} text
+ * @param {number} max
+ */
+function truncate(text, max) {
+    if (!text) return '';
+    return text.length > max ? `${text.substring(0, max)}...` : text;
+}
+
+/**
+ * Describe one step of the lineage chain.
+ * @param {object} state
+ * @param {number} index
+ */
+function describeStep(state, index) {
+    const seed = state.seed != null ? ` · seed \`${state.seed}\`` : '';
+    if (index === 0 || !state.editPrompt) {
+        return `**${index + 1}.** 🎨 Generated — "${truncate(state.prompt, 120)}"${seed}${jumpLink(state)}`;
+    }
+    return `**${index + 1}.** ✏️ Edited — "${truncate(state.editPrompt, 120)}"${seed}${jumpLink(state)}`;
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.message — message link or id
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ */
+export async function handleLineageCommand(params, res) {
+    const messageId = parseMessageReference(params.message || '');
+    if (!messageId) {
+        await res.reply('⚠️ Paste a message link (right-click the image message → Copy Message Link).');
+        return;
+    }
+
+    const states = imageStateManager.getStatesByMessageId(messageId);
+    if (states.length === 0) {
+        await res.reply('🔍 I have no lineage for that message — it may not be a generated image, or its history has expired.');
+        return;
+    }
+
+    const embeds = states.slice(0, 4).map((state, i) => {
+        const { ancestors, children } = imageStateManager.getLineage(state.id);
+        let description = ancestors.map(describeStep).join('\n');
+
+        if (children.length > 0) {
+            description += '\n\n**Branches from this image:**\n' + children.slice(0, 10)
+                .map(child => `└ ✏️ "${truncate(child.editPrompt || child.prompt, 80)}"${jumpLink(child)}`)
+                .join('\n');
+        }
+
+        return new EmbedBuilder()
+            .setColor(config.colors.info)
+            .setTitle(states.length > 1 ? `🧬 Lineage — Image ${i + 1} of ${states.length}` : '🧬 Lineage')
+            .setDescription(truncate(description, 4000))
+            .setThumbnail(state.url)
+            .setFooter({ text: `${ancestors.length} step(s) · Model: ${state.modelId || 'default'}` });
+    });
+
+    await res.reply({ embeds });
+}
@@ -0,0 +1,269 @@
+/**
+ * Showcase Commands
+ *
+ * Set up the weekly showcase, and build the messages it posts: the submit
+ * buttons on generation results, the voting post in the showcase channel
+ * and the winners announcement that reveals the prompts.
+ */
+import {
+    SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    AttachmentBuilder, ChannelType, PermissionFlagsBits,
+} from 'discord.js';
+import {
+    getShowcaseSettings, setShowcaseSettings, disableShowcase, listWeekEntries, weekKey,
+} from '../../packages/showcase/index.js';
+import { sharedConfig } from '../../packages/config/index.js';
+import { createSuccessEmbed, createErrorEmbed } from '../utils/messageFormatter.js';
+import { logWarning } from '../utils/errorHandler.js';
+import databaseManager from '../utils/database.js';
+import reputationSystem from '../utils/reputationSystem.js';
+import { config } from '../config.js';
+
+const PLACE_MEDALS = ['🥇', '🥈', '🥉'];
+
+export const showcaseCommandDefinition = new SlashCommandBuilder()
+    .setName('showcase')
+    .setDescription('Weekly showcase of the best generations')
+    .addSubcommand(sub =>
+        sub.setName('setup')
+            .setDescription('Turn the showcase on or change its settings (Manage Server)')
+            .addChannelOption(opt =>
+                opt.setName('channel').setDescription('Where entries and winners are posted').setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText)
+            )
+            .addRoleOption(opt => opt.setName('role').setDescription('Role given to each week\'s winners'))
+            .addIntegerOption(opt => opt.setName('reputation').setDescription('Reputation awarded to each winner').setMinValue(0).setMaxValue(5))
+            .addIntegerOption(opt => opt.setName('winners').setDescription('Places announced each week (default 3)').setMinValue(1).setMaxValue(10))
+    )
+    .addSubcommand(sub =>
+        sub.setName('disable')
+            .setDescription('Stop taking submissions (Manage Server)')
+    )
+    .addSubcommand(sub =>
+        sub.setName('standings')
+            .setDescription('See this week\'s entries and votes')
+    );
+
+/**
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+/**
+ * Link to a showcase post.
+ * @param {import('../../packages/showcase/index.js').ShowcaseEntry} entry
+ * @param {string} channelId
+ * @returns {string|null}
+ */
+export function entryLink(entry, channelId) {
+    return entry.messageId ? `https://discord.com/channels/${entry.guildId}/${channelId}/${entry.messageId}` : null;
+}
+
+/**
+ * "Submit to Showcase" buttons for a gallery, one per image that has a
+ * state. Ids carry the image's position so the handler can pick its
+ * attachment off the gallery message.
+ * @param {{stateId?: string}[]} images
+ * @returns {ActionRowBuilder|null}
+ */
+export function createSubmitRow(images) {
+    const buttons = images
+        .slice(0, 5)
+        .map((image, i) => image.stateId && new ButtonBuilder()
+            .setCustomId(`showcase_submit_${image.stateId}_${i + 1}`)
+            .setLabel(images.length > 1 ? `🏆 Showcase #${i + 1}` : '🏆 Submit to Showcase')
+            .setStyle(ButtonStyle.Secondary))
+        .filter(Boolean);
+    return buttons.length ? new ActionRowBuilder().addComponents(buttons) : null;
+}
+
+/**
+ * @param {import('../../packages/showcase/index.js').ShowcaseEntry} entry
+ * @returns {ActionRowBuilder}
+ */
+export function createVoteRow(entry) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`showcase_vote_${entry.id}`)
+            .setLabel(`⭐ Vote · ${entry.votes}`)
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(entry.status !== 'open'),
+    );
+}
+
+/**
+ * The post for a new entry. The prompt stays hidden until the winners
+ * are announced, so votes go to the image alone.
+ * @param {import('../../packages/showcase/index.js').ShowcaseEntry} entry
+ * @returns {{embeds: EmbedBuilder[], files: AttachmentBuilder[], components: ActionRowBuilder[]}}
+ */
+export function createShowcasePost(entry) {
+    const files = [new AttachmentBuilder(entry.imageUrl, { name: `showcase_${entry.id}.png` })];
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.primary)
+        .setTitle(`🏆 Showcase entry #${entry.id}`)
+        .setDescription(`By <@${entry.userId}> · the prompt is revealed when voting closes.`)
+        .setImage(`attachment://showcase_${entry.id}.png`)
+        .setFooter({ text: `Week ${entry.week}${entry.model ? ` • Model: ${entry.model}` : ''}` });
+    return { embeds: [embed], files, components: [createVoteRow(entry)] };
+}
+
+/**
+ * The end-of-week announcement: one embed per winner with the prompt
+ * revealed. Winners' `imageUrl` should be fresh (attachment links expire).
+ * @param {object} result
+ * @param {string} result.week
+ * @param {number} result.entries — how many entries the week had
+ * @param {import('../../packages/showcase/index.js').ShowcaseEntry[]} result.winners
+ * @param {string} channelId — the showcase channel, for links to the posts
+ * @param {{roleId?: string|null, reputation?: number}} [rewards]
+ * @returns {{content: string, embeds: EmbedBuilder[], allowedMentions: object}}
+ */
+export function createWinnersAnnouncement({ week, entries, winners }, channelId, rewards = {}) {
+    if (winners.length === 0) {
+        return {
+            content: `🏁 **Showcase ${week} is closed.** ${entries} entr${entries === 1 ? 'y' : 'ies'}, but no votes — no winners this week.`,
+            embeds: [],
+            allowedMentions: { parse: [] },
+        };
+    }
+
+    const perks = [
+        rewards.roleId && `<@&${rewards.roleId}>`,
+        rewards.reputation > 0 && `+${rewards.reputation} reputation`,
+    ].filter(Boolean);
+    const embeds = winners.slice(0, 10).map(winner => {
+        const link = entryLink(winner, channelId);
+        const embed = new EmbedBuilder()
+            .setColor(winner.place === 1 ? config.colors.success : config.colors.primary)
+            .setTitle(`${PLACE_MEDALS[winner.place - 1] || `#${winner.place}`} Place ${winner.place} · ${winner.votes} vote${winner.votes === 1 ? '' : 's'}`)
+            .setDescription(`By <@${winner.userId}>${link ? ` · [entry](${link})` : ''}\n\n📋 **Prompt**\n${truncate(winner.prompt || '*no prompt*', 3800)}`)
+            .setFooter({ text: [winner.model && `Model: ${winner.model}`, winner.seed != null && `Seed: ${winner.seed}`].filter(Boolean).join(' • ') || week });
+        if (/^https?:\/\//.test(winner.imageUrl)) embed.setImage(winner.imageUrl);
+        return embed;
+    });
+
+    return {
+        content: `🏆 **Showcase ${week} winners** — ${winners.map(w => `<@${w.userId}>`).join(', ')}! ` +
+            `Out of ${entries} entr${entries === 1 ? 'y' : 'ies'}, here are the top picks with their prompts.` +
+            (perks.length ? `\nWinners receive ${perks.join(' and ')}.` : ''),
+        embeds,
+        allowedMentions: { users: winners.map(w => w.userId) },
+    };
+}
+
+/**
+ * Post a closed week's winners in the showcase channel, then give each
+ * winner the configured role and reputation. Called by the showcase
+ * monitor once per finished week.
+ * @param {import('discord.js').Client} client
+ * @param {object} result — see startShowcaseMonitor
+ * @param {string} result.guildId
+ * @param {string} result.week
+ * @param {import('../../packages/showcase/index.js').ShowcaseSettings|null} result.settings
+ * @param {number} result.entries
+ * @param {import('../../packages/showcase/index.js').ShowcaseEntry[]} result.winners
+ */
+export async function announceShowcaseResults(client, result) {
+    const { guildId, week, settings, winners } = result;
+    const guild = client.guilds.cache.get(guildId);
+    const channel = settings && await client.channels.fetch(settings.channelId).catch(() => null);
+    if (!guild || !channel) return;
+
+    // Attachment links expire, so take fresh ones from the entry posts
+    for (const winner of winners) {
+        const post = winner.messageId && await channel.messages.fetch(winner.messageId).catch(() => null);
+        winner.imageUrl = post?.attachments.first()?.url || winner.imageUrl;
+    }
+    await channel.send(createWinnersAnnouncement(result, channel.id, settings));
+
+    if (settings.reputation > 0 && winners.length) {
+        // The reputation store is opened lazily by the features that use it
+        await databaseManager.initialize();
+        await reputationSystem.initializeTables();
+    }
+    for (const winner of winners) {
+        if (settings.roleId) {
+            const member = await guild.members.fetch(winner.userId).catch(() => null);
+            await member?.roles.add(settings.roleId, `Showcase ${week} winner`)
+                .catch(err => logWarning(`Could not give the showcase role to ${winner.userId}: ${err.message}`));
+        }
+        if (settings.reputation > 0) {
+            await reputationSystem.modifyReputation(winner.userId, `showcase:${guildId}`, settings.reputation, `Showcase ${week} place ${winner.place}`, 'showcase')
+                .catch(err => logWarning(`Could not award showcase reputation to ${winner.userId}: ${err.message}`));
+        }
+    }
+}
+
+/**
+ * @param {object} params
+ * @param {'setup'|'disable'|'standings'} params.subcommand
+ * @param {import('discord.js').GuildBasedChannel} [params.channel]
+ * @param {import('discord.js').Role} [params.role]
+ * @param {number} [params.reputation]
+ * @param {number} [params.winners]
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ * @param {object} extra
+ * @param {import('discord.js').PermissionsBitField} [extra.memberPermissions]
+ */
+export async function handleShowcaseCommand(params, res, extra = {}) {
+    const { subcommand } = params;
+
+    if (!res.guildId) {
+        await res.reply({ embeds: [createErrorEmbed('Server Only', 'The showcase runs inside a server.')] });
+        return;
+    }
+
+    if (subcommand === 'standings') {
+        const settings = getShowcaseSettings(res.guildId);
+        if (!settings) {
+            await res.reply('📭 This server has no showcase yet. A manager can start one with `/showcase setup`.');
+            return;
+        }
+        const entries = listWeekEntries(res.guildId);
+        const lines = entries.slice(0, 15).map((entry, i) => {
+            const link = entryLink(entry, settings.channelId);
+            return `**${i + 1}.** ${link ? `[#${entry.id}](${link})` : `#${entry.id}`} by <@${entry.userId}> · ⭐ ${entry.votes}`;
+        });
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.info)
+            .setTitle(`🏆 Showcase ${weekKey()}`)
+            .setDescription(lines.length ? lines.join('\n') : 'No entries yet this week — use 🏆 Submit to Showcase on one of your generations.')
+            .setFooter({ text: `Voting closes at the end of the week (UTC) • Top ${settings.winners} win${settings.enabled ? '' : ' • Submissions are paused'}` });
+        await res.reply({ embeds: [embed] });
+        return;
+    }
+
+    if (!extra.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await res.reply({ embeds: [createErrorEmbed('Managers Only', 'You need the Manage Server permission to change the showcase.')] });
+        return;
+    }
+
+    if (subcommand === 'disable') {
+        await res.reply(disableShowcase(res.guildId)
+            ? { embeds: [createSuccessEmbed('Showcase Paused', 'No new submissions will be taken. Entries already in still close with this week.')] }
+            : '📭 This server has no showcase set up.');
+        return;
+    }
+
+    const settings = setShowcaseSettings(res.guildId, {
+        channelId: params.channel.id,
+        roleId: params.role?.id || null,
+        reputation: params.reputation ?? 0,
+        winners: params.winners ?? 3,
+    });
+    const rewards = [
+        settings.roleId && `the <@&${settings.roleId}> role`,
+        settings.reputation > 0 && `+${settings.reputation} reputation`,
+    ].filter(Boolean);
+    await res.reply({
+        embeds: [createSuccessEmbed('Showcase Ready',
+            `Entries are posted in <#${settings.channelId}> for voting. Each week the top ${settings.winners} are announced there with their prompts` +
+            `${rewards.length ? ` and receive ${rewards.join(' and ')}` : ''}.\n` +
+            `Members can enter up to ${sharedConfig.showcase.maxEntriesPerWeek} generations a week with the 🏆 button on their results.`)],
+    });
+}
@@ -0,0 +1,208 @@
+/**
+ * Style Preset Commands
+ *
+ * Browse the server's style library and let managers add, edit and remove
+ * presets. Presets feed the `style:` option on /imagine and /pfp and the
+ * visual style step of the PFP wizard.
+ */
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from 'discord.js';
+import { SOGNI_MODELS, resolveImageDimensions } from '../../packages/config/models.js';
+import { listStyles, getStyle, saveStyle, deleteStyle, normalizeStyleName } from '../../packages/styles/index.js';
+import { createSuccessEmbed, createErrorEmbed } from '../utils/messageFormatter.js';
+import { config } from '../config.js';
+
+const MODEL_CHOICES = SOGNI_MODELS.IMAGE.map(m => ({ name: m.name, value: m.id }));
+
+/** Autocomplete suggests at most this many presets */
+const MAX_SUGGESTIONS = 25;
+
+/**
+ * Add the preset fields shared by create and edit.
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} sub
+ */
+function addPresetOptions(sub) {
+    return sub
+        .addStringOption(opt => opt.setName('prefix').setDescription('Text placed before the prompt').setMaxLength(500))
+        .addStringOption(opt => opt.setName('suffix').setDescription('Text placed after the prompt').setMaxLength(500))
+        .addStringOption(opt => opt.setName('negative').setDescription('Negative prompt (replaces the model default)').setMaxLength(1000))
+        .addStringOption(opt => opt.setName('model').setDescription('Preferred model').addChoices(...MODEL_CHOICES))
+        .addIntegerOption(opt => opt.setName('width').setDescription('Default width in pixels').setMinValue(256).setMaxValue(2048))
+        .addIntegerOption(opt => opt.setName('height').setDescription('Default height in pixels').setMinValue(256).setMaxValue(2048))
+        .addStringOption(opt => opt.setName('emoji').setDescription('Emoji shown next to the preset').setMaxLength(16));
+}
+
+export const styleCommandDefinition = new SlashCommandBuilder()
+    .setName('style')
+    .setDescription('Manage the server\'s style presets')
+    .addSubcommand(sub =>
+        sub.setName('list')
+            .setDescription('List the style presets available here')
+    )
+    .addSubcommand(sub =>
+        addPresetOptions(
+            sub.setName('create')
+                .setDescription('Manager: add a style preset')
+                .addStringOption(opt => opt.setName('name').setDescription('Preset name').setRequired(true).setMaxLength(32))
+        )
+    )
+    .addSubcommand(sub =>
+        addPresetOptions(
+            sub.setName('edit')
+                .setDescription('Manager: change a style preset (editing a built-in makes a server copy)')
+                .addStringOption(opt => opt.setName('name').setDescription('Preset').setRequired(true).setAutocomplete(true))
+        )
+    )
+    .addSubcommand(sub =>
+        sub.setName('delete')
+            .setDescription('Manager: remove a server preset (restores a built-in)')
+            .addStringOption(opt => opt.setName('name').setDescription('Preset').setRequired(true).setAutocomplete(true))
+    );
+
+/**
+ * Autocomplete choices for any `style`/`name` option, filtered by what the
+ * user has typed so far.
+ * @param {string|null} guildId
+ * @param {string} query
+ * @returns {{name: string, value: string}[]}
+ */
+export function getStyleChoices(guildId, query = '') {
+    const needle = query.toLowerCase();
+    return listStyles(guildId)
+        .filter(style => !needle || style.name.includes(needle) || style.label.toLowerCase().includes(needle))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(style => ({ name: `${style.emoji} ${style.label}`.substring(0, 100), value: style.name }));
+}
+
+/**
+ * One-line summary of what a preset does.
+ * @param {import('../../packages/styles/index.js').StylePreset} style
+ * @returns {string}
+ */
+function describeStyle(style) {
+    const parts = [];
+    if (style.prefix || style.suffix) parts.push(`\`${[style.prefix, '…', style.suffix].filter(Boolean).join(' ').substring(0, 120)}\``);
+    if (style.model) parts.push(`🤖 \`${style.model}\``);
+    if (style.width && style.height) parts.push(`📐 ${style.width}×${style.height}`);
+    if (style.negative) parts.push('🚫 custom negative');
+    return parts.join(' · ') || '*no changes to the prompt*';
+}
+
+/**
+ * @param {import('../../packages/styles/index.js').StylePreset} style
+ * @returns {EmbedBuilder}
+ */
+function buildStyleEmbed(style) {
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.info)
+        .setTitle(`${style.emoji} ${style.label}`)
+        .setDescription(`\`${style.name}\`${style.builtin ? ' · built-in' : ''}`)
+        .addFields(
+            { name: 'Prefix', value: style.prefix || '*none*', inline: true },
+            { name: 'Suffix', value: style.suffix || '*none*', inline: true },
+            { name: 'Negative prompt', value: style.negative ? style.negative.substring(0, 1000) : '*model default*' },
+            { name: 'Model', value: style.model ? `\`${style.model}\`` : '*server default*', inline: true },
+            { name: 'Size', value: style.width && style.height ? `${style.width}×${style.height}` : '*request or default*', inline: true },
+        );
+    return embed;
+}
+
+/**
+ * @param {object} params
+ * @param {'list'|'create'|'edit'|'delete'} params.subcommand
+ * @param {string} [params.name]
+ * @param {import('../slashCommands/handlers.js').ResponseAdapter} res
+ * @param {object} extra
+ * @param {import('discord.js').PermissionsBitField} [extra.memberPermissions]
+ */
+export async function handleStyleCommand(params, res, extra = {}) {
+    const { subcommand } = params;
+
+    if (subcommand === 'list') {
+        const styles = listStyles(res.guildId);
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.info)
+            .setTitle('🎨 Style Presets')
+            .setDescription(styles
+                .map(style => `${style.emoji} **${style.label}** (\`${style.name}\`)${style.builtin ? '' : ' ⭐'}\n${describeStyle(style)}`)
+                .join('\n')
+                .substring(0, 4000))
+            .setFooter({ text: 'Use with /imagine style:<name> or /pfp style:<name> · ⭐ = this server' });
+        await res.reply({ embeds: [embed] });
+        return;
+    }
+
+    if (!res.guildId) {
+        await res.reply({ embeds: [createErrorEmbed('Server Only', 'Style presets can only be managed inside a server.')] });
+        return;
+    }
+    if (!extra.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await res.reply({ embeds: [createErrorEmbed('Managers Only', 'You need the Manage Server permission to change style presets.')] });
+        return;
+    }
+
+    if (subcommand === 'delete') {
+        const name = normalizeStyleName(params.name);
+        const removed = deleteStyle(res.guildId, name);
+        const remaining = getStyle(res.guildId, name);
+        await res.reply({
+            embeds: [removed
+                ? createSuccessEmbed('Style Removed', remaining
+                    ? `\`${name}\` is back to its built-in version.`
+                    : `\`${name}\` was removed.`)
+                : createErrorEmbed('Nothing to Remove', remaining?.builtin
+                    ? 'Built-in styles can\'t be deleted — edit them to make a server copy instead.'
+                    : `No server preset called \`${params.name}\`.`)]
+        });
+        return;
+    }
+
+    const existing = getStyle(res.guildId, params.name);
+    if (subcommand === 'create' && existing) {
+        await res.reply({ embeds: [createErrorEmbed('Already Exists', `\`${existing.name}\` already exists — use \`/style edit\` to change it.`)] });
+        return;
+    }
+    if (subcommand === 'edit' && !existing) {
+        await res.reply({ embeds: [createErrorEmbed('Unknown Style', `No preset called \`${params.name}\`. Create it with \`/style create\`.`)] });
+        return;
+    }
+
+    // Edits only touch the fields that were passed
+    const style = {
+        ...(existing || {}),
+        name: existing?.name || params.name,
+        label: existing?.label || params.name.trim(),
+    };
+    for (const key of ['prefix', 'suffix', 'negative', 'model', 'width', 'height', 'emoji']) {
+        if (params[key] != null) style[key] = params[key];
+    }
+
+    if ((style.width == null) !== (style.height == null)) {
+        await res.reply({ embeds: [createErrorEmbed('Incomplete Size', 'Set both width and height, or neither.')] });
+        return;
+    }
+    if (style.width && style.height) {
+        try {
+            const fitted = resolveImageDimensions({ modelId: style.model || undefined, width: style.width, height: style.height });
+            style.width = fitted.width;
+            style.height = fitted.height;
+        } catch (err) {
+            await res.reply({ embeds: [createErrorEmbed('Invalid Size', err.message)] });
+            return;
+        }
+    }
+
+    let saved;
+    try {
+        saved = saveStyle(res.guildId, style, res.userId);
+    } catch (err) {
+        await res.reply({ embeds: [createErrorEmbed('Invalid Style', err.message)] });
+        return;
+    }
+
+    await res.reply({
+        embeds: [
+            createSuccessEmbed(subcommand === 'create' ? 'Style Created' : 'Style Updated', `Use it with \`/imagine style:${saved.name}\`.`),
+            buildStyleEmbed(saved),
+        ]
+    });
+}
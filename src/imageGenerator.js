@@ -1,9 +1,19 @@
-import { SogniClientWrapper, ClientEvent } from '@sogni-ai/sogni-client-wrapper';
 import { config } from './config.js';
+import { sharedConfig } from '../packages/config/index.js';
 import { logInfo, logError, logSuccess, logWarning } from './utils/errorHandler.js';
-import { normalizeVideoDimensions, computePromptHashSeed, parseDynamicPrompt } from './utils/sogniUtils.js';
+import { normalizeVideoDimensions, computePromptHashSeed, parseDynamicPrompt, buildMultiAnglePrompt } from './utils/sogniUtils.js';
+import { resolveImageDimensions, resolveModelProfile, MAX_IMAGE_COUNT } from '../packages/config/models.js';
+import { getGuildModelOverrides } from '../packages/config/model-overrides.js';
+import {
+    MULTI_ANGLE_ELEVATIONS, MULTI_ANGLE_DISTANCES, MULTI_ANGLE_MODEL, MULTI_ANGLE_LORA, MULTI_ANGLE_LORA_STRENGTH,
+} from '../packages/utils/multi-angle.js';
+import { orderAngleFrames } from '../packages/utils/turntable.js';
+import { progressFromClientEvent } from '../packages/sogni-wrapper/progress.js';
 import { fetch } from 'undici'; // Use undici or native fetch if available
 
+/** How many projects' early events are held for a caller that hasn't claimed them yet */
+const MAX_UNCLAIMED_PROJECTS = 20;
+
 /**
  * Image Generator using Sogni SDK Wrapper
  * This version uses the official patterns from the Sogni SDK Guide.
@@ -13,6 +23,10 @@ class ImageGenerator {
         this.client = null;
         this.isLoggedIn = false;
         this.loginPromise = null;
+        /** Hooks of running projects, so parallel jobs each hear only their own: projectId → {onProgress, onStatus} */
+        this.projectHooks = new Map();
+        /** Events that arrived before their project was claimed: projectId → [source, data][] */
+        this.unclaimedEvents = new Map();
     }
 
     /**
@@ -29,6 +43,12 @@ class ImageGenerator {
             const appId = (config.sogni.appId || `app_${Math.random().toString(36).substring(2, 10)}`).replace(/\s+/g, '_');
             logInfo(`Using Sanitized AppID: ${appId}`);
 
+            // SOGNI_MOCK swaps in the offline stand-in with the same exports
+            const { SogniClientWrapper, ClientEvent } = sharedConfig.mock.enabled
+                ? await import('../packages/sogni-wrapper/mock-client.js')
+                : await import('@sogni-ai/sogni-client-wrapper');
+            if (sharedConfig.mock.enabled) logWarning('SOGNI_MOCK is on: using the mock Sogni client');
+
             this.client = new SogniClientWrapper({
                 username: config.sogni.username,
                 password: config.sogni.password,
@@ -66,13 +86,18 @@ class ImageGenerator {
             });
 
             this.client.on(ClientEvent.PROJECT_PROGRESS, (data) => {
-                const percentage = data.percentage || 0;
-                logInfo(`Generation Progress: ${percentage}%`);
-                if (this.currentStatusCallback) {
-                    this.currentStatusCallback(`Generating: ${percentage}%`);
-                }
+                logInfo(`Generation Progress: ${data.percentage || 0}%`);
+                this._routeEvent('progress', data);
             });
 
+            // Queue position, worker node, ETA and previews, when the network sends them
+            if (ClientEvent.PROJECT_EVENT) {
+                this.client.on(ClientEvent.PROJECT_EVENT, (data) => this._routeEvent('project', data));
+            }
+            if (ClientEvent.JOB_EVENT) {
+                this.client.on(ClientEvent.JOB_EVENT, (data) => this._routeEvent('job', data));
+            }
+
             logSuccess(`Sogni Wrapper Client initialized.`);
         } catch (error) {
             logError('SogniClientWrapper initialization failed', error);
@@ -82,6 +107,67 @@ class ImageGenerator {
         return this.client;
     }
 
+    /**
+     * Send a client event to the hooks of the project it belongs to. Events
+     * can beat createProject() back, so unclaimed ones are held until
+     * _watchProject() claims them.
+     * @param {'progress'|'project'|'job'} source
+     * @param {object} data
+     */
+    _routeEvent(source, data) {
+        const projectId = data?.projectId;
+        if (!projectId) return;
+        const hooks = this.projectHooks.get(projectId);
+        if (hooks) {
+            this._deliverEvent(hooks, source, data);
+            return;
+        }
+
+        if (!this.unclaimedEvents.has(projectId)) {
+            this.unclaimedEvents.set(projectId, []);
+            if (this.unclaimedEvents.size > MAX_UNCLAIMED_PROJECTS) {
+                this.unclaimedEvents.delete(this.unclaimedEvents.keys().next().value);
+            }
+        }
+        this.unclaimedEvents.get(projectId).push([source, data]);
+    }
+
+    /**
+     * @param {{onProgress?: function, onStatus?: function}} hooks
+     * @param {'progress'|'project'|'job'} source
+     * @param {object} data
+     */
+    _deliverEvent(hooks, source, data) {
+        try {
+            if (source === 'progress') hooks.onStatus?.(`Generating: ${data.percentage || 0}%`);
+            const event = hooks.onProgress && progressFromClientEvent(source, data);
+            if (event) hooks.onProgress(event);
+        } catch (err) {
+            logWarning(`Progress callback failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Route a project's events to its caller until _unwatchProject(), starting
+     * with any that arrived before the project id was known.
+     * @param {string} projectId
+     * @param {{onProgress?: function, onStatus?: function}} hooks
+     */
+    _watchProject(projectId, hooks) {
+        this.projectHooks.set(projectId, hooks);
+        const early = this.unclaimedEvents.get(projectId) || [];
+        this.unclaimedEvents.delete(projectId);
+        for (const [source, data] of early) this._deliverEvent(hooks, source, data);
+    }
+
+    /**
+     * @param {string|null} projectId
+     */
+    _unwatchProject(projectId) {
+        this.projectHooks.delete(projectId);
+        this.unclaimedEvents.delete(projectId);
+    }
+
     /**
      * Login to Sogni
      */
@@ -142,66 +228,15 @@ class ImageGenerator {
 
     /**
      * Get technical profile for a specific model
+     * @param {string} modelId
+     * @param {string} [prompt] - Realism keywords raise the step floor
+     * @param {object} [layers] - Guild overrides / request options, see resolveModelProfile
      */
-    getModelProfile(modelId, prompt = '') {
-        const isFlux = modelId.toLowerCase().includes('flux');
-        const isTurbo = modelId.toLowerCase().includes('turbo');
-        const isWan = modelId.toLowerCase().includes('wan');
-
-        const defaultNegative = 'bad anatomy, bad hands, bad quality, blurry, distorted, low quality, lowres, malformation, missing fingers, ugly, watermark, worst quality, text, logo, signature, cropped, error, jpeg artifacts';
-
-        const models = {
-            'z_image_turbo_bf16': {
-                steps: 4,
-                guidance: 1.0,
-                sampler: 'euler',
-                negativePrompt: defaultNegative
-            },
-            'flux1-schnell-fp8': {
-                steps: 4,
-                guidance: 1.0,
-                sampler: 'euler',
-                negativePrompt: '' // Flux Schnell often works better without negative
-            },
-            'flux2_dev_fp8': {
-                steps: 25,
-                guidance: 3.5,
-                sampler: 'euler',
-                negativePrompt: defaultNegative
-            },
-            'chroma-v.46-flash_fp8': {
-                steps: 8,
-                guidance: 2.5,
-                sampler: 'euler',
-                negativePrompt: defaultNegative
-            },
-            'wan_v2.2-14b-fp8_t2v_lightx2v': {
-                steps: 4,
-                guidance: 1.0,
-                sampler: 'euler',
-                negativePrompt: 'blurry, static, no movement, low quality, watermark, text, out of frame, distorted'
-            },
-            'wan_v2.2-14b-fp8_i2v_lightx2v': {
-                steps: 4,
-                guidance: 1.0,
-                sampler: 'euler',
-                negativePrompt: 'blurry, static, low quality, watermark, text, out of frame, distorted'
-            },
-            'qwen_image_edit_2511_fp8_lightning': {
-                steps: 4,
-                guidance: 1.5,
-                sampler: 'euler',
-                negativePrompt: defaultNegative
-            }
-        };
-
-        const profile = models[modelId] || models['z_image_turbo_bf16'];
-
-        // Dynamic overrides if prompt contains certain keywords
-        if (prompt.toLowerCase().includes('realistic') || prompt.toLowerCase().includes('photography')) {
-            profile.steps = Math.max(profile.steps, isTurbo ? 6 : (isFlux ? 8 : 30));
+    getModelProfile(modelId, prompt = '', layers = {}) {
+        const profile = resolveModelProfile(modelId, { ...layers, prompt });
+        if (profile.fallback) {
+            logWarning(`No profile for ${modelId}; using ${profile.fallback} settings`);
         }
-
         return profile;
     }
 
@@ -213,21 +248,50 @@ class ImageGenerator {
      * @param {number|null} seed - Optional seed for consistency
      * @param {boolean} preserveUserPrompt - Whether to skip global style injection
      * @param {number|null} strength - I2I strength (0.0 - 1.0)
+     * @param {object} [options]
+     * @param {string} [options.modelId] - Explicit model (skips getBestModel)
+     * @param {number} [options.width]
+     * @param {number} [options.height]
+     * @param {string} [options.aspect] - Aspect preset such as '16:9'
+     * @param {number} [options.count] - Number of images in the batch
+     * @param {string} [options.guildId] - Applies the guild's model overrides
+     * @param {object} [options.profile] - Per-request {steps, guidance, sampler, negativePrompt}
+     * @param {number} [options.timeoutMs] - Give up on the project after this long (default 180s)
+     * @param {function} [options.onProgress] - Receives ProgressEvents (see packages/sogni-wrapper/progress.js)
+     * @returns {Promise<{url: string, urls: string[], seed: number, seeds: number[], modelId: string, width: number, height: number}>}
      */
-    async generateImage(prompt, onStatusUpdate = () => { }, referenceImage = null, seed = null, preserveUserPrompt = true, strength = null) {
-        this.currentStatusCallback = onStatusUpdate;
-
+    async generateImage(prompt, onStatusUpdate = () => { }, referenceImage = null, seed = null, preserveUserPrompt = true, strength = null, options = {}) {
+        let projectId = null;
         try {
             if (!this.client || !this.isLoggedIn) {
                 await this.login(onStatusUpdate);
             }
 
-            // 1. Select the best model
-            const modelId = await this.getBestModel('image', prompt);
-            const profile = this.getModelProfile(modelId, prompt);
+            // 1. Select the model (explicit choice wins over auto-selection)
+            const modelId = options.modelId || await this.getBestModel('image', prompt);
+            const profile = this.getModelProfile(modelId, prompt, {
+                guild: getGuildModelOverrides(options.guildId, modelId),
+                options: options.profile,
+            });
+
+            // Validate dimensions against the model's limits
+            const { width, height } = resolveImageDimensions({
+                modelId,
+                width: options.width,
+                height: options.height,
+                aspect: options.aspect,
+                defaultWidth: 1024,
+                defaultHeight: 1024,
+            });
+            const numberOfImages = Math.min(Math.max(options.count || 1, 1), MAX_IMAGE_COUNT);
+
+            // Seed first, so dynamic prompt expansion is reproducible from it
+            const finalSeed = seed || (config.models.defaults.seedStrategy === 'prompt-hash'
+                ? computePromptHashSeed({ prompt, modelId, width, height, type: 'image' })
+                : Math.floor(Math.random() * 2000000000));
 
             // Apply dynamic prompt features (randomization, etc.)
-            const parsedPrompt = parseDynamicPrompt(prompt);
+            const parsedPrompt = parseDynamicPrompt(prompt, finalSeed);
 
             // 2. Determine strength for I2I
             const finalStrength = strength !== null ? strength : 0.4;
@@ -255,10 +319,6 @@ class ImageGenerator {
                 }
             }
 
-            const finalSeed = seed || (config.models.defaults.seedStrategy === 'prompt-hash'
-                ? computePromptHashSeed({ prompt: parsedPrompt, modelId, width: 1024, height: 1024, type: 'image' })
-                : Math.floor(Math.random() * 2000000000));
-
             // 4. Construct project config
             const isEditModel = modelId.includes('qwen_image_edit');
 
@@ -268,15 +328,16 @@ class ImageGenerator {
                 positivePrompt: parsedPrompt,
                 negativePrompt: profile.negativePrompt,
                 seed: finalSeed,
-                numberOfImages: 1,
+                numberOfImages,
                 tokenType: 'spark',
                 waitForCompletion: false, // Don't use native wait, it's hanging on Railway
-                timeout: 180000,
-                sizePreset: 'square_hd',
-                width: 1024,
-                height: 1024,
+                timeout: options.timeoutMs || 180000,
+                sizePreset: 'custom',
+                width,
+                height,
                 steps: profile.steps,
                 guidance: profile.guidance,
+                sampler: profile.sampler,
                 onProgress: (progress) => {
                     const pct = progress.percentage || 0;
                     onStatusUpdate(`Generating: ${pct}%`);
@@ -301,9 +362,11 @@ class ImageGenerator {
                 ? await this.client.createImageEditProject(projectConfig)
                 : await this.client.createProject(projectConfig);
 
+            projectId = project.id;
+            this._watchProject(projectId, { onProgress: options.onProgress, onStatus: onStatusUpdate });
             logInfo(`Project created: ${project.id}. Starting manual polling loop...`);
 
-            const result = await this._waitForProject(project, projectConfig.timeout, onStatusUpdate);
+            const result = await this._waitForProject(project, projectConfig.timeout, onStatusUpdate, numberOfImages);
 
             logInfo(`Generation finished. Status: ${result.completed ? 'COMPLETED' : 'PENDING'}`);
 
@@ -312,7 +375,8 @@ class ImageGenerator {
             if (finalUrls.length > 0) {
                 onStatusUpdate('Step 2.6: Image Generated! ✨');
                 logInfo(`Successfully retrieved image URL: ${finalUrls[0]}`);
-                return { url: finalUrls[0], seed: finalSeed, modelId: modelId };
+                const seeds = finalUrls.map((_, i) => result.project?.jobs?.[i]?.seed ?? finalSeed);
+                return { url: finalUrls[0], urls: finalUrls, seed: finalSeed, seeds, modelId, width, height };
             } else {
                 logError('Result structure:', JSON.stringify(result, null, 2));
                 throw new Error('Image generation finished but no URLs were returned from result object.');
@@ -322,15 +386,16 @@ class ImageGenerator {
             logError(`Image Generation Failed`, error.message);
             throw error;
         } finally {
-            this.currentStatusCallback = null;
+            this._unwatchProject(projectId);
         }
     }
 
     /**
      * Manual polling for project completion
      * This avoids hangs in the SDK's own waitForCompletion promise.
+     * @param {number} [expectedCount=1] - Wait until this many images have URLs
      */
-    async _waitForProject(project, timeout, onStatusUpdate) {
+    async _waitForProject(project, timeout, onStatusUpdate, expectedCount = 1) {
         const startTime = Date.now();
         const pollInterval = 5000; // 5 seconds
 
@@ -341,7 +406,7 @@ class ImageGenerator {
             // The wrapper updates this object internally via sockets/events
             const imageUrls = project.imageUrls || (project.resultUrls && project.resultUrls.length > 0 ? project.resultUrls : null);
 
-            if (imageUrls && imageUrls.length > 0) {
+            if (imageUrls && imageUrls.length >= expectedCount) {
                 logSuccess(`[Poll] Results found found in project object: ${imageUrls[0]}`);
                 return {
                     completed: true,
@@ -352,13 +417,12 @@ class ImageGenerator {
 
             // Check if jobs are finished and have URLs
             if (project.jobs && project.jobs.length > 0) {
-                const jobWithUrl = project.jobs.find(j => j.url || j.resultUrl);
-                if (jobWithUrl) {
-                    const finalUrl = jobWithUrl.url || jobWithUrl.resultUrl;
-                    logSuccess(`[Poll] Results found in completed job: ${finalUrl}`);
+                const jobUrls = project.jobs.map(j => j.url || j.resultUrl).filter(Boolean);
+                if (jobUrls.length >= expectedCount) {
+                    logSuccess(`[Poll] Results found in completed job: ${jobUrls[0]}`);
                     return {
                         completed: true,
-                        imageUrls: [finalUrl],
+                        imageUrls: jobUrls,
                         project: project
                     };
                 }
@@ -413,8 +477,111 @@ class ImageGenerator {
         }
     }
 
+    /**
+     * Multi-angle turn through the SDK, mirroring sogni-gen's --angles-360:
+     * one Qwen image edit with the multiple_angles LoRA per planned shot.
+     * @param {string|Buffer} referenceImage - URL or Buffer of the subject
+     * @param {string} prompt - Subject description
+     * @param {import('../packages/utils/multi-angle.js').AngleShot[]} shots - From planAngleShots
+     * @param {object} [options]
+     * @param {function} [options.onStatusUpdate]
+     * @param {number} [options.seed] - Shared by every shot so the subject stays consistent
+     * @param {number} [options.timeoutMs] - Per-shot limit (default 180s)
+     * @param {function} [options.onProgress] - Receives ProgressEvents for the whole turn, not per shot
+     * @returns {Promise<{success: boolean, images: string[], angles: object[], videoPath: null}>} - Same shape as the CLI wrapper's generate360
+     */
+    async generateMultiAngle(referenceImage, prompt, shots, options = {}) {
+        const onStatusUpdate = options.onStatusUpdate || (() => { });
+        // Each shot is its own project, so scale its percentage into the turn
+        let shotsDone = 0;
+        let projectId = null;
+        const onProgress = options.onProgress
+            ? (event) => options.onProgress(event.percent != null
+                ? { ...event, percent: Math.round(((shotsDone + event.percent / 100) / shots.length) * 100), completed: shotsDone, total: shots.length }
+                : event)
+            : null;
+
+        try {
+            if (!this.client || !this.isLoggedIn) {
+                await this.login(onStatusUpdate);
+            }
+
+            let contextImage = referenceImage;
+            if (!Buffer.isBuffer(contextImage)) {
+                const res = await fetch(referenceImage);
+                if (!res.ok) throw new Error(`Failed to fetch image: ${res.statusText}`);
+                contextImage = Buffer.from(await res.arrayBuffer());
+            }
+
+            const seed = options.seed ?? Math.floor(Math.random() * 2000000000);
+            const timeout = options.timeoutMs || 180000;
+            const subject = parseDynamicPrompt(prompt, seed);
+            const angles = [];
+
+            for (const shot of shots) {
+                onStatusUpdate(`Rendering angle ${shot.index + 1}/${shots.length}: ${shot.label}`);
+                const positivePrompt = buildMultiAnglePrompt(
+                    subject,
+                    shot.azimuthPrompt,
+                    MULTI_ANGLE_ELEVATIONS.find(e => e.key === shot.elevation)?.prompt,
+                    MULTI_ANGLE_DISTANCES.find(d => d.key === shot.distance)?.prompt
+                );
+
+                const project = await this.client.createImageEditProject({
+                    type: 'image',
+                    modelId: MULTI_ANGLE_MODEL,
+                    positivePrompt,
+                    contextImages: [contextImage],
+                    numberOfImages: 1,
+                    seed,
+                    steps: 4,
+                    guidance: 1.0,
+                    sampler: 'euler',
+                    scheduler: 'simple',
+                    loras: [MULTI_ANGLE_LORA],
+                    loraStrengths: [MULTI_ANGLE_LORA_STRENGTH],
+                    tokenType: 'spark',
+                    waitForCompletion: false,
+                    timeout,
+                });
+                projectId = project.id;
+                this._watchProject(projectId, { onProgress, onStatus: onStatusUpdate });
+                const result = await this._waitForProject(project, timeout, onStatusUpdate, 1);
+                this._unwatchProject(projectId);
+
+                angles.push({
+                    azimuth: shot.key,
+                    index: shot.index,
+                    degrees: shot.degrees,
+                    label: shot.label,
+                    elevation: shot.elevation,
+                    distance: shot.distance,
+                    prompt: positivePrompt,
+                    urls: result.imageUrls || result.urls || [],
+                    seeds: [seed],
+                });
+                shotsDone++;
+            }
+
+            const frames = orderAngleFrames(angles);
+            return { success: true, images: frames.map(frame => frame.source), angles: frames, videoPath: null };
+        } catch (error) {
+            logError(`Multi-angle Generation Failed`, error.message);
+            throw error;
+        } finally {
+            this._unwatchProject(projectId);
+        }
+    }
+
     /**
      * Generate video
+     * @param {object} params - {workflow, prompt, referenceImage, frames, width, height, fps}
+     * @param {string} [params.modelId] - Explicit model (skips getBestModel)
+     * @param {number} [params.seed] - Render seed; random when omitted
+     * @param {number} [params.timeoutMs] - Defaults to the configured video timeout
+     * @param {function} [params.onProgress] - Receives ProgressEvents (see packages/sogni-wrapper/progress.js)
+     * @param {function} [onStatusUpdate]
+     * @returns {Promise<string>} - URL of the video
      */
     async generateVideo(params, onStatusUpdate = () => { }) {
         const {
@@ -424,23 +591,26 @@ class ImageGenerator {
             frames = 80,
             width = 512,
             height = 512,
-            fps = 16
+            fps = 16,
+            modelId: requestedModel = null,
+            seed = Math.floor(Math.random() * 2000000000),
+            timeoutMs = config.models.defaults.defaultVideoTimeoutSec * 1000,
+            onProgress = null
         } = params;
 
-        this.currentStatusCallback = onStatusUpdate;
-
+        let projectId = null;
         try {
             if (!this.client || !this.isLoggedIn) {
                 await this.login(onStatusUpdate);
             }
 
-            const modelId = await this.getBestModel('video', workflow);
+            const modelId = requestedModel || await this.getBestModel('video', workflow);
             logInfo(`Generating video with model: ${modelId} (${workflow})`);
             onStatusUpdate(`Step 2.3: Dispatching Video to Sogni Supernet`);
 
             const { width: normWidth, height: normHeight } = normalizeVideoDimensions(width, height);
 
-            const parsedPrompt = parseDynamicPrompt(prompt || 'cinematic movement, high quality');
+            const parsedPrompt = parseDynamicPrompt(prompt || 'cinematic movement, high quality', seed);
 
             const videoConfig = {
                 type: 'video',
@@ -452,13 +622,16 @@ class ImageGenerator {
                 fps: fps,
                 width: normWidth,
                 height: normHeight,
+                seed,
                 tokenType: 'spark',
                 waitForCompletion: false,
-                timeout: config.models.defaults.defaultVideoTimeoutSec * 1000
+                timeout: timeoutMs
             };
 
             const response = await this.client.createProject(videoConfig);
             const project = response.project || response; // Wrapper sometimes returns project directly
+            projectId = project.id;
+            this._watchProject(projectId, { onProgress, onStatus: onStatusUpdate });
 
             logInfo(`Video Project created: ${project.id}. Waiting for completion...`);
             onStatusUpdate(`Step 2.4: Video Project Queued (ID: ${project.id.substring(0, 8)})`);
@@ -505,7 +678,7 @@ class ImageGenerator {
 
             throw error;
         } finally {
-            this.currentStatusCallback = null;
+            this._unwatchProject(projectId);
         }
     }
 }
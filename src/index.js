@@ -1,4 +1,4 @@
-import { Client, GatewayIntentBits, Partials } from 'discord.js';
+import { Client, GatewayIntentBits, Partials, EmbedBuilder } from 'discord.js';
 import { config } from './config.js';
 import { handleGeneratePfp } from './commands/generatePfp.js';
 import { handleImagine } from './commands/imagineCommand.js';
@@ -42,6 +42,10 @@ import path from 'path';
 import { handleInteraction } from './slashCommands/handler.js';
 import { routeNaturalLanguage } from './slashCommands/naturalLanguageRouter.js';
 import { startScheduler } from '../packages/scheduler/index.js';
+import { startJobQueue } from '../packages/sogni-wrapper/queue.js';
+import { startBalanceMonitor } from '../packages/budget/index.js';
+import { startShowcaseMonitor } from '../packages/showcase/index.js';
+import { announceShowcaseResults } from './commands/showcaseCommands.js';
 import { registerCommands } from './slashCommands/register.js';
 import { buildPrefixAdapter } from './utils/prefixAdapter.js';
 import {
@@ -150,6 +154,40 @@ client.once('ready', async () => {
         }
     });
     logSuccess('Scheduler initialized');
+
+    // Start generation job queue (resumes jobs interrupted by a restart)
+    startJobQueue(async (job, result, error) => {
+        const channel = await client.channels.fetch(job.channel_id).catch(() => null);
+        if (!channel) return;
+
+        if (error) {
+            if (error.code === 'CANCELLED') return;
+            await channel.send(`❌ <@${job.user_id}> your queued ${job.kind} job #${job.id} failed after a restart: ${error.message}`);
+            return;
+        }
+
+        const files = job.kind === 'angles360'
+            ? [...(result.images || []).slice(0, 9), result.videoPath].filter(f => f && (f.startsWith('http') || fs.existsSync(f)))
+            : (result.urls?.length ? result.urls : [result.url]).filter(Boolean);
+        await channel.send({ content: `✅ <@${job.user_id}> your queued ${job.kind} job #${job.id} finished after a restart.`, files });
+    });
+    logSuccess('Job queue initialized');
+
+    // Warn every server's mod log when the Spark wallet runs low
+    startBalanceMonitor(async ({ spark }) => {
+        const embed = new EmbedBuilder()
+            .setTitle('💸 Low Spark Balance')
+            .setColor(config.colors.warning)
+            .setDescription(`The Sogni wallet is down to **${spark} Spark**. Generations will start failing once it runs out.
+Use \`/budget\` to tighten allowances.`)
+            .setTimestamp();
+        for (const guild of client.guilds.cache.values()) {
+            await auditManager.log(guild, embed);
+        }
+    });
+
+    // Close finished showcase weeks and announce their winners
+    startShowcaseMonitor((result) => announceShowcaseResults(client, result));
 });
 
 // ── Slash Command Interactions ───────────────────────────────────
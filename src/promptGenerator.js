@@ -1,5 +1,6 @@
 import { config } from './config.js';
 import { geminiFallbackManager } from './utils/geminiFallbackManager.js';
+import { composePrompt, polishPrompt } from '../packages/utils/prompt-composer.js';
 
 const ARCHITECTURAL_DIRECTIVES = `
 ### YOUR ARCHITECTURAL PROCESS:
@@ -16,12 +17,31 @@ const ARCHITECTURAL_DIRECTIVES = `
 - Every single word must contribute to visual excellence.
 `;
 
+/**
+ * The text of a Gemini response, whichever SDK shape it came back in
+ * @param {any} result
+ * @returns {string}
+ */
+function responseText(result) {
+    if (typeof result === 'string') return result;
+    if (result?.text) return result.text;
+    if (result?.response?.text) return result.response.text();
+    return result?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+}
+
+/**
+ * @typedef {Object} FallbackOptions
+ * @property {string} [modelId] — the model the prompt is for; phrases the offline fallback
+ * @property {number} [seed] — seeds the offline fallback; defaults to a hash of the request
+ */
+
 /**
  * Generate AI image prompt using CRISPE framework
  * @param {Object} answers - User's answers from the question flow
+ * @param {FallbackOptions} [options]
  * @returns {Promise<string>} - Generated prompt
  */
-export async function generatePrompt(answers) {
+export async function generatePrompt(answers, options = {}) {
     const { avatarType, visualStyle, mood, extraDetails } = answers;
 
     const instruction = `You are an Elite Aesthetic Architect and Master of Visual Arts. 
@@ -42,41 +62,178 @@ CONSTRUCT ELITE IMAGE PROMPT NOW:`;
         const { result, modelUsed } = await geminiFallbackManager.generateContent(instruction);
         console.log(`[PromptGenerator] Generated using model: ${modelUsed}`);
 
-        let generatedPrompt = '';
-        if (typeof result === 'string') {
-            generatedPrompt = result;
-        } else if (result?.text) {
-            generatedPrompt = result.text;
-        } else if (result?.response?.text) {
-            generatedPrompt = result.response.text();
-        } else if (result?.candidates?.[0]?.content?.parts?.[0]?.text) {
-            generatedPrompt = result.candidates[0].content.parts[0].text;
-        }
+        const generatedPrompt = responseText(result);
 
         return (generatedPrompt || '').trim();
     } catch (error) {
         console.error('Error generating prompt with Gemini:', error);
 
-        // Fallback: Generate a basic prompt without AI
-        return generateFallbackPrompt(answers);
+        // Fallback: Compose the prompt offline
+        return generateFallbackPrompt(answers, options);
     }
 }
 
+/** The wizard's avatar types, as prompt subjects */
+const AVATAR_SUBJECTS = {
+    male: 'a man',
+    female: 'a woman',
+    'ai-entity': 'an AI entity',
+    cyborg: 'a cyborg',
+    'non-human': 'a non-human creature',
+    abstract: 'an abstract figure',
+    'digital-being': 'a digital being',
+};
+
 /**
  * Fallback prompt generator (if Gemini API fails)
+ * @param {Object} answers
+ * @param {FallbackOptions} options
  */
-function generateFallbackPrompt(answers) {
+function generateFallbackPrompt(answers, { modelId, seed }) {
     const { avatarType, visualStyle, mood, extraDetails } = answers;
 
-    return `Professional ${avatarType} portrait, ${visualStyle} aesthetic, ${mood} personality, web3 founder vibe, NFT art style, ultra-detailed 8K resolution, cinematic lighting, neon accents, holographic elements, sharp focus, digital art masterpiece, futuristic background, blockchain-inspired design, metaverse-ready avatar, vibrant colors, high contrast, professional photography quality, no blur, crystal clear details${extraDetails && extraDetails !== 'none' ? `, ${extraDetails}` : ''}, trending on ArtStation, award-winning digital art`;
+    return composePrompt({
+        subject: AVATAR_SUBJECTS[avatarType] || avatarType,
+        style: visualStyle,
+        mood,
+        details: extraDetails !== 'none' ? extraDetails : '',
+        modelId,
+        seed,
+        kind: 'pfp',
+    });
 }
 
+/** Parts of an avatar the wizard can keep, as Gemini is asked to describe them */
+const AVATAR_TRAITS = {
+    subject: 'who or what is shown: species, face, hair, clothing and accessories',
+    pose: 'pose, framing and camera angle',
+    colours: 'colour palette and background colours',
+};
+
 /**
- * Generate minimal prompt for direct user requests (preserves intent)
- * @param {string} userPrompt - Direct user prompt
- * @returns {Promise<string>} - Minimally modified prompt
+ * @typedef {Object} AvatarDescription
+ * @property {string} subject
+ * @property {string} pose
+ * @property {string} colours
  */
-export async function generateDirectPrompt(userPrompt) {
+
+/**
+ * Read Gemini's avatar description: a JSON object with one sentence per
+ * trait, possibly wrapped in a code fence. Anything else is kept whole as
+ * the subject so the text is never lost.
+ * @param {string} text
+ * @returns {AvatarDescription|null}
+ */
+export function parseAvatarDescription(text) {
+    const raw = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    if (!raw) return null;
+    try {
+        const parsed = JSON.parse(raw);
+        const description = {};
+        for (const trait of Object.keys(AVATAR_TRAITS)) {
+            description[trait] = typeof parsed[trait] === 'string' ? parsed[trait].trim() : '';
+        }
+        return Object.values(description).some(Boolean) ? description : null;
+    } catch {
+        return { subject: raw, pose: '', colours: '' };
+    }
+}
+
+/**
+ * Describe a member's current avatar with Gemini vision, trait by trait.
+ * @param {string} imageBase64
+ * @param {string} [imageMimeType]
+ * @returns {Promise<AvatarDescription|null>} — null if Gemini couldn't see it
+ */
+export async function describeAvatar(imageBase64, imageMimeType = 'image/png') {
+    const traits = Object.entries(AVATAR_TRAITS).map(([key, about]) => `- "${key}": ${about}`).join('\n');
+    const instruction = `Describe this profile picture so an artist could remake it. Reply with ONLY a JSON object with these keys, one vivid sentence each:
+${traits}`;
+
+    try {
+        const { result, modelUsed } = await geminiFallbackManager.generateContent(instruction, { imageBase64, imageMimeType });
+        console.log(`[PromptGenerator] Described avatar using model: ${modelUsed}`);
+        return parseAvatarDescription(responseText(result));
+    } catch (error) {
+        console.error('Error describing avatar with Gemini:', error);
+        return null;
+    }
+}
+
+/**
+ * The avatar traits to preserve, as prompt phrases.
+ * @param {AvatarDescription|null} description
+ * @param {string[]} keep — trait keys
+ * @returns {string[]}
+ */
+export function avatarKeepPhrases(description, keep) {
+    return keep
+        .filter(trait => AVATAR_TRAITS[trait])
+        .map(trait => description?.[trait] ? `the same ${trait} (${description[trait]})` : `the same ${trait}`);
+}
+
+/**
+ * Write the image-to-image prompt for a PFP remade from the member's avatar:
+ * the traits they chose to keep stay, everything else moves to the chosen
+ * style and mood.
+ * @param {Object} answers — wizard answers, with `avatar` and a comma-separated `keep`
+ * @param {FallbackOptions} [options]
+ * @returns {Promise<string>}
+ */
+export async function generateAvatarPrompt(answers, options = {}) {
+    const { avatar, visualStyle, mood, extraDetails } = answers;
+    const keep = avatarKeepPhrases(avatar?.description, (answers.keep || '').split(','));
+
+    const instruction = `You are an Elite Aesthetic Architect remaking a member's existing profile picture as a high-end Web3/NFT PFP.
+The original image is supplied to the renderer, so describe the RESULT, not the changes.
+
+### SOURCE PARAMETERS:
+- **Keep From The Original**: ${keep.length ? keep.join('; ') : 'Nothing specific — reinterpret freely'}
+- **Aesthetic Direction**: ${visualStyle}
+- **Emotional Signature**: ${mood}
+- **Custom Directives**: ${extraDetails && extraDetails !== 'none' ? extraDetails : 'Unspecified'}
+
+${ARCHITECTURAL_DIRECTIVES}
+
+CONSTRUCT ELITE IMAGE PROMPT NOW:`;
+
+    try {
+        const { result, modelUsed } = await geminiFallbackManager.generateContent(instruction);
+        console.log(`[PromptGenerator] Generated avatar remake using model: ${modelUsed}`);
+        return responseText(result).trim() || generateFallbackAvatarPrompt(answers, keep, options);
+    } catch (error) {
+        console.error('Error generating avatar prompt with Gemini:', error);
+        return generateFallbackAvatarPrompt(answers, keep, options);
+    }
+}
+
+/**
+ * Fallback avatar remake prompt (if Gemini API fails)
+ * @param {Object} answers
+ * @param {string[]} keep — phrases from avatarKeepPhrases
+ * @param {FallbackOptions} options
+ */
+function generateFallbackAvatarPrompt(answers, keep, { modelId, seed }) {
+    const { visualStyle, mood, extraDetails } = answers;
+
+    return composePrompt({
+        subject: answers.avatar?.description?.subject || 'a profile portrait',
+        style: visualStyle,
+        mood,
+        details: extraDetails !== 'none' ? extraDetails : '',
+        keep,
+        modelId,
+        seed,
+        kind: 'pfp',
+    });
+}
+
+/**
+ * Ask Gemini for the full blueprint rewrite of a prompt.
+ * @param {string} userPrompt
+ * @returns {Promise<string>} — empty if Gemini fails
+ */
+async function architectPrompt(userPrompt) {
     const instruction = `You are an Elite Master Architect and High-End AI Visual Analyst.
 Your mission is to expand the user's raw request into a Masterpiece-Tier technical prompt with extreme visual depth and cinematic density.
 Your prompts must be industry-leading, far exceeding standard AI results, and reaching the elite levels of professionally engineered visuals.
@@ -92,21 +249,75 @@ CONSTRUCT ELITE ARCHITECTURAL PROMPT NOW:`;
         const { result, modelUsed } = await geminiFallbackManager.generateContent(instruction);
         console.log(`[DirectPrompt] Enhanced using model: ${modelUsed}`);
 
-        let enhancedPrompt = '';
-        if (typeof result === 'string') {
-            enhancedPrompt = result;
-        } else if (result?.text) {
-            enhancedPrompt = result.text;
-        } else if (result?.response?.text) {
-            enhancedPrompt = result.response.text();
-        } else if (result?.candidates?.[0]?.content?.parts?.[0]?.text) {
-            enhancedPrompt = result.candidates[0].content.parts[0].text;
-        }
-
-        return (enhancedPrompt || '').trim() || userPrompt; // Fallback to original if enhancement fails
+        return responseText(result).trim();
     } catch (error) {
         console.error('Error enhancing direct prompt:', error);
-        return userPrompt; // Return original prompt on error
+        return '';
+    }
+}
+
+/**
+ * Generate minimal prompt for direct user requests (preserves intent)
+ * @param {string} userPrompt - Direct user prompt
+ * @returns {Promise<string>} - Minimally modified prompt
+ */
+export async function generateDirectPrompt(userPrompt) {
+    return (await architectPrompt(userPrompt)) || userPrompt; // Fallback to original if enhancement fails
+}
+
+/**
+ * Rewrite a prompt with light polish or a guild template's guidelines.
+ * @param {string} userPrompt
+ * @param {string} guidelines
+ * @returns {Promise<string>} — empty if Gemini fails
+ */
+async function rewritePrompt(userPrompt, guidelines) {
+    const instruction = `You refine prompts for an AI image generator.
+
+### SOURCE PROMPT:
+"${userPrompt}"
+
+### GUIDELINES:
+${guidelines}
+
+### OUTPUT RESTRAINTS:
+- Keep the subject and everything the user asked for.
+- provide ONLY the final prompt: NO preambles, NO quotes, NO formatting symbols.
+
+REFINED PROMPT:`;
+
+    try {
+        const { result, modelUsed } = await geminiFallbackManager.generateContent(instruction);
+        console.log(`[EnhancePrompt] Rewritten using model: ${modelUsed}`);
+        return responseText(result).trim();
+    } catch (error) {
+        console.error('Error rewriting prompt:', error);
+        return '';
+    }
+}
+
+const LIGHT_GUIDELINES = `- Keep the user's wording, art style and level of detail: anime stays anime, minimalist stays minimalist.
+- Fix grammar and add at most two or three concrete details that fit that style, such as lighting or framing.
+- Stay under 60 words.`;
+
+/**
+ * Run a prompt through the chosen enhancement. If Gemini fails, `full` is
+ * composed offline and `light` and templates get an offline polish.
+ * @param {string} userPrompt
+ * @param {import('../packages/enhance/index.js').Enhancement} enhancement
+ * @param {FallbackOptions & {style?: string}} [options] — `style` is the /imagine style preset
+ * @returns {Promise<string>} — the prompt as written for `off`
+ */
+export async function enhancePrompt(userPrompt, enhancement, options = {}) {
+    switch (enhancement.mode) {
+        case 'full':
+            return (await architectPrompt(userPrompt)) || composePrompt({ subject: userPrompt, ...options });
+        case 'light':
+            return (await rewritePrompt(userPrompt, LIGHT_GUIDELINES)) || polishPrompt(userPrompt, options);
+        case 'template':
+            return (await rewritePrompt(userPrompt, enhancement.instructions)) || polishPrompt(userPrompt, options);
+        default:
+            return userPrompt;
     }
 }
 
@@ -1,7 +1,15 @@
 /**
  * Question flow configuration for PFP prompt generation
- * Each question defines the options and how to collect user input
+ * Each question defines the options offered by the PFP wizard
  */
+import { BUILTIN_STYLES, listStyles } from '../packages/styles/index.js';
+
+/** Discord embeds list at most this many style options */
+const MAX_STYLE_OPTIONS = 20;
+
+function styleOption(style) {
+    return { emoji: style.emoji, label: style.label, value: style.name };
+}
 
 export const questions = [
     {
@@ -23,17 +31,7 @@ export const questions = [
         id: 'visualStyle',
         question: '🎨 **What visual style do you prefer?**',
         description: 'Select the aesthetic for your PFP',
-        options: [
-            { emoji: '🌃', label: 'Cyberpunk', value: 'cyberpunk' },
-            { emoji: '🔮', label: 'Futuristic Minimal', value: 'futuristic-minimal' },
-            { emoji: '💼', label: 'Web3 Founder Vibe', value: 'web3-founder' },
-            { emoji: '🖼️', label: 'NFT Art', value: 'nft-art' },
-            { emoji: '⚡', label: 'Anime Tech', value: 'anime-tech' },
-            { emoji: '📸', label: 'Hyper-realistic', value: 'hyper-realistic' },
-            { emoji: '🌈', label: 'Abstract Neon', value: 'abstract-neon' },
-            { emoji: '🌊', label: 'Vaporwave', value: 'vaporwave' },
-            { emoji: '📺', label: 'Glitch Art', value: 'glitch-art' },
-        ],
+        options: BUILTIN_STYLES.map(styleOption),
         allowCustom: true,
     },
     {
@@ -65,38 +63,55 @@ export const questions = [
 ];
 
 /**
- * Format options for display in Discord message
+ * The question flow for a guild: the visual style options come from the
+ * guild's style library, so custom /style presets show up here too.
+ * @param {string|null} guildId
  */
-export function formatOptions(question) {
-    return question.options
-        .map((opt, index) => `${opt.emoji} **${index + 1}.** ${opt.label}`)
-        .join('\n');
+export function getQuestions(guildId) {
+    const styles = listStyles(guildId).slice(0, MAX_STYLE_OPTIONS);
+    return questions.map(question => question.id === 'visualStyle'
+        ? { ...question, options: styles.map(styleOption) }
+        : question);
 }
 
 /**
- * Parse user response to get the selected value
+ * Questions that replace the avatar type when the wizard starts from the
+ * member's current avatar: what to keep, and how far the image-to-image
+ * run may move away from it.
  */
-export function parseResponse(question, userInput) {
-    const input = userInput.trim().toLowerCase();
-
-    // Check if it's a number selection
-    const optionIndex = parseInt(input) - 1;
-    if (optionIndex >= 0 && optionIndex < question.options.length) {
-        return question.options[optionIndex].value;
-    }
-
-    // Check if it matches an option label
-    const matchedOption = question.options.find(
-        opt => opt.label.toLowerCase() === input || opt.value.toLowerCase() === input
-    );
-    if (matchedOption) {
-        return matchedOption.value;
-    }
-
-    // If custom input is allowed, return the raw input
-    if (question.allowCustom && input.length > 0) {
-        return userInput.trim();
-    }
+export const avatarQuestions = [
+    {
+        id: 'keep',
+        question: '🖼️ **What should we keep from your avatar?**',
+        description: 'Pick everything that should survive the remake',
+        options: [
+            { emoji: '🧍', label: 'Subject', value: 'subject' },
+            { emoji: '🤸', label: 'Pose & framing', value: 'pose' },
+            { emoji: '🎨', label: 'Colours', value: 'colours' },
+        ],
+        multi: true,
+    },
+    {
+        id: 'strength',
+        question: '🎚️ **How close should it stay to your avatar?**',
+        description: 'Higher keeps more of the original image',
+        options: [
+            { emoji: '🪞', label: 'Very close (0.8)', value: '0.8' },
+            { emoji: '🔒', label: 'Close (0.65)', value: '0.65' },
+            { emoji: '⚖️', label: 'Balanced (0.5)', value: '0.5' },
+            { emoji: '🌀', label: 'Loose (0.35)', value: '0.35' },
+            { emoji: '🚀', label: 'Reimagined (0.2)', value: '0.2' },
+        ],
+    },
+];
 
-    return null;
+/**
+ * The question flow when starting from the member's avatar: what to keep,
+ * then the usual style and mood, the strength, and custom instructions.
+ * @param {string|null} guildId
+ */
+export function getAvatarQuestions(guildId) {
+    const [keep, strength] = avatarQuestions;
+    const shared = Object.fromEntries(getQuestions(guildId).map(question => [question.id, question]));
+    return [keep, shared.visualStyle, shared.mood, strength, shared.extraDetails];
 }
@@ -6,13 +6,17 @@
  *
  * @module src/slashCommands/handler
  */
-import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import {
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder,
+    ModalBuilder, TextInputBuilder, TextInputStyle,
+} from 'discord.js';
 import {
     handleAskCommand,
     handleImagineCommand,
     handleEditCommand,
     handleVideoCommand,
     handleAngles360Command,
+    handleImageActionCommand,
     handleRemindCommand,
     handleMemoryCommand,
     handleBotStatusCommand,
@@ -39,12 +43,32 @@ import {
     handleWarnCommand,
     handleClearCommand,
     handleUnbanCommand,
+    handleCollectionGenerateCommand,
 } from './handlers.js';
 import { moderationManager } from '../utils/moderationManager.js';
 import { handleSafetyCommand } from '../commands/safetyCommands.js';
 import { handleServerCommand } from '../commands/serverCommands.js';
 import { handleLevelCommand } from '../commands/levelCommands.js';
 import { handleLoggingCommand } from '../commands/loggingCommands.js';
+import { handleJobsCommand } from '../commands/jobsCommands.js';
+import { handleBudgetCommand } from '../commands/budgetCommands.js';
+import { handleSeedCommand, handleLineageCommand } from '../commands/seedCommands.js';
+import { handleModelsCommand } from '../commands/modelsCommands.js';
+import { handleStyleCommand, getStyleChoices } from '../commands/styleCommands.js';
+import { handleGalleryCommand, buildGalleryPage, createTemplateModal, templateParams } from '../commands/galleryCommands.js';
+import { handleShowcaseCommand, createShowcasePost, createVoteRow } from '../commands/showcaseCommands.js';
+import { buildWizardMessage, applyWizardAction, createCustomAnswerModal } from '../commands/pfpWizard.js';
+import { runPfpGeneration, startAvatarPfp, renderPfpSize } from '../commands/generatePfp.js';
+import { handleCollectionCommand, getCollectionChoices } from '../commands/collectionCommands.js';
+import { handlePromptCommand, getEnhanceChoices } from '../commands/promptCommands.js';
+import { getHistoryEntry } from '../../packages/history/index.js';
+import {
+    getShowcaseSettings, submitEntry, setEntryMessage, removeEntry, getEntry, toggleVote,
+} from '../../packages/showcase/index.js';
+import { getPfpSession, savePfpSession, deletePfpSession } from '../../packages/pfp/index.js';
+import { imageStateManager } from '../utils/imageStateManager.js';
+import { securityManager } from '../utils/securityManager.js';
+import { getJob, cancelJob } from '../../packages/sogni-wrapper/queue.js';
 import performanceMonitor from '../utils/performanceMonitor.js';
 import { pendingGenManager } from '../utils/pendingGenManager.js';
 import { executeGeneration } from '../chatHandler.js';
@@ -63,6 +87,8 @@ function buildAdapter(interaction) {
         userId: interaction.user.id,
         channelId: interaction.channelId,
         guildId: interaction.guildId || '',
+        roleIds: interaction.member?.roles?.cache ? [...interaction.member.roles.cache.keys()] : [],
+        premiumTier: interaction.guild?.premiumTier ?? 0,
 
         reply: async (msg) => {
             if (interaction.deferred || interaction.replied) {
@@ -79,6 +105,310 @@ function buildAdapter(interaction) {
     };
 }
 
+/** Command handlers a finished job can be re-run through, keyed by job kind */
+const RERUN_HANDLERS = {
+    image: handleImagineCommand,
+    edit: handleEditCommand,
+    video: handleVideoCommand,
+    angles360: handleAngles360Command,
+};
+
+/**
+ * Handle the Cancel / Re-run buttons attached to generation jobs.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {'cancel'|'rerun'} action
+ * @param {number} jobId
+ */
+async function handleJobButton(interaction, action, jobId) {
+    const job = getJob(jobId);
+    if (!job) {
+        return interaction.reply({ content: '❌ This job no longer exists.', ephemeral: true });
+    }
+
+    if (interaction.user.id !== job.user_id) {
+        return interaction.reply({ content: '❌ Only the requester can manage this job.', ephemeral: true });
+    }
+
+    if (action === 'cancel') {
+        const cancelled = cancelJob(jobId);
+        return interaction.reply({
+            content: cancelled ? `🚫 Cancelling job #${jobId}...` : `ℹ️ Job #${jobId} has already finished.`,
+            ephemeral: true,
+        });
+    }
+
+    if (action === 'rerun') {
+        const handler = RERUN_HANDLERS[job.kind];
+        if (!handler || !job.request_json) {
+            return interaction.reply({ content: '❌ This job cannot be re-run.', ephemeral: true });
+        }
+
+        await interaction.deferReply();
+        const adapter = buildAdapter(interaction);
+        await handler(JSON.parse(job.request_json), adapter);
+    }
+}
+
+/**
+ * Handle the /gallery page buttons and "use as template" menu. Galleries
+ * are personal, so only their owner can page them or reuse an entry.
+ * @param {import('discord.js').ButtonInteraction|import('discord.js').StringSelectMenuInteraction} interaction
+ */
+async function handleGalleryComponent(interaction) {
+    const page = interaction.customId.match(/^gallery_page_(\d+)_(\d+)_(.*)$/s);
+    const ownerId = page ? page[1] : interaction.customId.slice('gallery_use_'.length);
+    if (interaction.user.id !== ownerId) {
+        return interaction.reply({ content: '❌ This is someone else\'s gallery — open your own with `/gallery browse`.', ephemeral: true });
+    }
+
+    if (page) {
+        return interaction.update(buildGalleryPage(ownerId, Number(page[2]), page[3]));
+    }
+
+    const entry = getHistoryEntry(Number(interaction.values[0]));
+    if (!entry || entry.userId !== ownerId) {
+        return interaction.reply({ content: '❌ That gallery entry no longer exists.', ephemeral: true });
+    }
+    return interaction.showModal(createTemplateModal(entry));
+}
+
+/**
+ * Run a new generation from a gallery entry with the prompt and seed
+ * from the template modal.
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ * @param {number} entryId
+ */
+async function handleGalleryTemplate(interaction, entryId) {
+    const entry = getHistoryEntry(entryId);
+    if (!entry || entry.userId !== interaction.user.id) {
+        return interaction.reply({ content: '❌ That gallery entry no longer exists.', ephemeral: true });
+    }
+
+    const seedText = interaction.fields.getTextInputValue('seed').trim();
+    const seed = seedText ? Number(seedText) : null;
+    if (seedText && (!Number.isInteger(seed) || seed < 0)) {
+        return interaction.reply({ content: '⚠️ The seed must be a whole number.', ephemeral: true });
+    }
+
+    const { kind, params } = templateParams(entry, { prompt: interaction.fields.getTextInputValue('prompt'), seed });
+    const handler = RERUN_HANDLERS[kind];
+    if (!handler) {
+        return interaction.reply({ content: '❌ This entry cannot be reused.', ephemeral: true });
+    }
+
+    await interaction.deferReply();
+    await handler(params, buildAdapter(interaction));
+}
+
+/**
+ * Handle the showcase buttons: "Submit to Showcase" on a result (its
+ * creator only) and the vote button on a showcase post.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleShowcaseButton(interaction) {
+    const vote = interaction.customId.match(/^showcase_vote_(\d+)$/);
+    if (vote) {
+        const entryId = Number(vote[1]);
+        let result;
+        try {
+            result = toggleVote(entryId, interaction.user.id);
+        } catch (err) {
+            return interaction.reply({ content: `⚠️ ${err.message}`, ephemeral: true });
+        }
+        await interaction.update({ components: [createVoteRow(getEntry(entryId))] });
+        return interaction.followUp({ content: result.voted ? '⭐ Vote counted!' : '↩️ Vote removed.', ephemeral: true });
+    }
+
+    const [, stateId, index] = interaction.customId.match(/^showcase_submit_([^_]+)_(\d+)$/) || [];
+    const state = imageStateManager.getImageStateById(stateId);
+    if (!state) {
+        return interaction.reply({ content: '❌ This image is no longer available.', ephemeral: true });
+    }
+    if (state.userId !== interaction.user.id) {
+        return interaction.reply({ content: '❌ Only the image\'s creator can submit it to the showcase.', ephemeral: true });
+    }
+    const settings = getShowcaseSettings(interaction.guildId);
+    if (!settings?.enabled) {
+        return interaction.reply({ content: '⚠️ This server\'s showcase is not taking submissions right now.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    // Prefer the gallery's own attachment: state URLs may be local files or expired links
+    const source = interaction.message.attachments.size || !state.messageId
+        ? interaction.message
+        : await interaction.channel?.messages.fetch(state.messageId).catch(() => null);
+    const attachment = source?.attachments.find(file => file.name === `image_${index}.png`);
+
+    let entry;
+    try {
+        entry = submitEntry({
+            guildId: interaction.guildId,
+            userId: interaction.user.id,
+            stateId,
+            imageUrl: attachment?.url || state.url,
+            prompt: state.prompt,
+            model: state.modelId,
+            seed: state.seed,
+        });
+    } catch (err) {
+        return interaction.editReply(`⚠️ ${err.message}`);
+    }
+
+    const channel = await interaction.client.channels.fetch(settings.channelId).catch(() => null);
+    const post = channel && await channel.send(createShowcasePost(entry)).catch(err => {
+        console.error('[Showcase] Could not post entry:', err.message);
+        return null;
+    });
+    if (!post) {
+        removeEntry(entry.id);
+        return interaction.editReply('❌ I couldn\'t post in the showcase channel. Ask a manager to check my permissions there.');
+    }
+    setEntryMessage(entry.id, post.id);
+    return interaction.editReply(`🏆 You're in! [Showcase entry #${entry.id}](${post.url}) is open for votes until the end of the week.`);
+}
+
+/**
+ * Send a finished PFP sized for Discord, X or OpenSea, privately to
+ * whoever clicked.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {string} stateId
+ * @param {string} target — a PFP_SIZES key
+ */
+async function handlePfpDownload(interaction, stateId, target) {
+    const state = imageStateManager.getImageStateById(stateId);
+    if (!state) {
+        return interaction.reply({ content: '❌ This image is no longer available.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    // The posted attachment outlives the generator's URL
+    const attachment = interaction.message.attachments.find(file => file.name === 'image_1.png');
+    try {
+        const file = await renderPfpSize(attachment?.url || state.url, target);
+        return interaction.editReply({ content: `⬇️ **${file.name}** — ready to upload.`, files: [file] });
+    } catch (err) {
+        console.error('[PFP] Resize failed:', err.message);
+        return interaction.editReply(`⚠️ ${err.message}`);
+    }
+}
+
+/**
+ * Handle the PFP wizard's select menu and buttons. Each click loads the
+ * stored session, applies the step and saves it back, so the wizard
+ * survives restarts.
+ * @param {import('discord.js').ButtonInteraction|import('discord.js').StringSelectMenuInteraction} interaction
+ */
+async function handlePfpComponent(interaction) {
+    const [, action, ownerId, target] = interaction.customId.split('_');
+    if (action === 'size') return handlePfpDownload(interaction, ownerId, target);
+    if (interaction.user.id !== ownerId) {
+        return interaction.reply({ content: '❌ This wizard belongs to someone else — start your own with `/pfp`.', ephemeral: true });
+    }
+
+    const session = getPfpSession(ownerId);
+    if (!session) {
+        return interaction.update({ content: '⌛ This wizard has expired. Run `/pfp` to start a new one.', embeds: [], components: [] });
+    }
+
+    if (action === 'cancel') {
+        deletePfpSession(ownerId);
+        return interaction.update({ content: '🚫 **PFP wizard cancelled.** Run `/pfp` to start again.', embeds: [], components: [] });
+    }
+
+    if (action === 'custom') {
+        const modal = createCustomAnswerModal(session);
+        return modal ? interaction.showModal(modal) : interaction.deferUpdate();
+    }
+
+    if (action === 'generate') {
+        if (session.generating) {
+            return interaction.reply({ content: '⏳ Your PFP is already being generated.', ephemeral: true });
+        }
+        await interaction.update({ content: '⚙️ **Initializing...**', components: [] });
+        const ok = await runPfpGeneration(session, {
+            status: (text) => interaction.editReply({ content: text }),
+            send: (msg) => interaction.followUp(typeof msg === 'string' ? { content: msg } : msg),
+            userTag: interaction.user.tag,
+            roleIds: interaction.member?.roles?.cache ? [...interaction.member.roles.cache.keys()] : [],
+        });
+        const retry = !ok && getPfpSession(ownerId);
+        if (retry) {
+            await interaction.editReply(buildWizardMessage(retry, { notice: '❌ That didn\'t work — your choices are saved, hit Generate to try again.' })).catch(() => { });
+        }
+        return;
+    }
+
+    if (action === 'avatar') {
+        await interaction.update({ content: '🔍 **Taking a look at your avatar...**', components: [] });
+        // Server profile avatars win over the account-wide one
+        const avatarUrl = (interaction.member?.displayAvatarURL ? interaction.member : interaction.user)
+            .displayAvatarURL({ extension: 'png', size: 1024, forceStatic: true });
+        try {
+            return interaction.editReply(buildWizardMessage(await startAvatarPfp(session, avatarUrl)));
+        } catch (err) {
+            return interaction.editReply(buildWizardMessage(session, { notice: `⚠️ ${err.message}` }));
+        }
+    }
+
+    // Multi-select steps store their picks comma-separated
+    const next = savePfpSession(applyWizardAction(session, action, interaction.values?.join(',')));
+    return interaction.update(buildWizardMessage(next));
+}
+
+/**
+ * Save a custom PFP wizard answer from the "Write my own" modal, after the
+ * same safety check as any other custom text.
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ */
+async function handlePfpAnswer(interaction) {
+    const ownerId = interaction.customId.slice('pfp_answer_'.length);
+    const session = interaction.user.id === ownerId ? getPfpSession(ownerId) : null;
+    if (!session) {
+        return interaction.reply({ content: '⌛ This wizard has expired. Run `/pfp` to start a new one.', ephemeral: true });
+    }
+
+    await interaction.deferUpdate();
+    const answer = interaction.fields.getTextInputValue('answer').trim();
+    const safety = await securityManager.isContentSafe(answer);
+    if (!safety.safe) {
+        return interaction.followUp({
+            content: `⚠️ **Policy Violation:** Your custom input triggered my safety filters: *${safety.reason}*\nPlease try a different description.`,
+            ephemeral: true,
+        });
+    }
+
+    const next = savePfpSession(applyWizardAction(session, 'pick', answer));
+    return interaction.editReply(buildWizardMessage(next));
+}
+
+/**
+ * Handle the Upscale / Vary / Reroll / Use as Reference buttons on generated
+ * images. Use as Reference first asks for a new prompt in a modal.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ * @param {string} action
+ * @param {string} stateId
+ */
+async function handleImageButton(interaction, action, stateId) {
+    if (action === 'ref') {
+        const modal = new ModalBuilder()
+            .setCustomId(`imgref_${stateId}`)
+            .setTitle('Use as Reference')
+            .addComponents(new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId('prompt')
+                    .setLabel('What should the new image show?')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setMaxLength(1000)
+                    .setRequired(true)
+            ));
+        return interaction.showModal(modal);
+    }
+
+    await interaction.deferReply();
+    await handleImageActionCommand({ action, stateId }, buildAdapter(interaction));
+}
+
 /**
  * Handle all slash command interactions.
  * @param {import('discord.js').Interaction} interaction
@@ -87,6 +417,11 @@ function buildAdapter(interaction) {
 export async function handleInteraction(interaction, client) {
     if (interaction.isButton()) {
         const [prefix, action, genId] = interaction.customId.split('_');
+        if (prefix === 'job') return handleJobButton(interaction, action, Number(genId));
+        if (prefix === 'img') return handleImageButton(interaction, action, genId);
+        if (prefix === 'gallery') return handleGalleryComponent(interaction);
+        if (prefix === 'showcase') return handleShowcaseButton(interaction);
+        if (prefix === 'pfp') return handlePfpComponent(interaction);
         if (prefix !== 'gen') return;
 
         const data = pendingGenManager.get(genId);
@@ -111,6 +446,8 @@ export async function handleInteraction(interaction, client) {
                 userId: interaction.user.id,
                 channelId: interaction.channelId,
                 guildId: interaction.guildId || '',
+                roleIds: interaction.member?.roles?.cache ? [...interaction.member.roles.cache.keys()] : [],
+                premiumTier: interaction.guild?.premiumTier ?? 0,
                 reply: async (msg) => interaction.followUp(typeof msg === 'string' ? { content: msg } : msg),
                 editReply: async (msg) => interaction.editReply(typeof msg === 'string' ? { content: msg } : msg),
                 followUp: async (opts) => interaction.followUp(typeof opts === 'string' ? { content: opts } : opts),
@@ -122,6 +459,45 @@ export async function handleInteraction(interaction, client) {
         }
     }
 
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith('gallery_use_')) {
+        return handleGalleryComponent(interaction);
+    }
+
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith('pfp_pick_')) {
+        return handlePfpComponent(interaction);
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('pfp_answer_')) {
+        return handlePfpAnswer(interaction);
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('gallery_template_')) {
+        return handleGalleryTemplate(interaction, Number(interaction.customId.slice('gallery_template_'.length)));
+    }
+
+    if (interaction.isModalSubmit() && interaction.customId.startsWith('imgref_')) {
+        await interaction.deferReply();
+        await handleImageActionCommand({
+            action: 'ref',
+            stateId: interaction.customId.slice('imgref_'.length),
+            prompt: interaction.fields.getTextInputValue('prompt'),
+        }, buildAdapter(interaction));
+        return;
+    }
+
+    // Autocompleted options: style presets, collections and enhancement modes
+    if (interaction.isAutocomplete()) {
+        const focused = interaction.options.getFocused(true);
+        if (focused.name === 'style' || (interaction.commandName === 'style' && focused.name === 'name')) {
+            await interaction.respond(getStyleChoices(interaction.guildId, focused.value)).catch(() => { });
+        } else if (focused.name === 'collection') {
+            await interaction.respond(getCollectionChoices(interaction.guildId, focused.value)).catch(() => { });
+        } else if (focused.name === 'enhance' || (interaction.commandName === 'prompt' && focused.name === 'name')) {
+            await interaction.respond(getEnhanceChoices(interaction.guildId, focused.value, focused.name === 'name')).catch(() => { });
+        }
+        return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
 
     // ── Per-user cooldown ──────────────────────────────────────────
@@ -163,7 +539,17 @@ export async function handleInteraction(interaction, client) {
                         model: interaction.options.getString('model'),
                         width: interaction.options.getInteger('width'),
                         height: interaction.options.getInteger('height'),
+                        aspect: interaction.options.getString('aspect'),
                         count: interaction.options.getInteger('count'),
+                        seed: interaction.options.getInteger('seed'),
+                        combinatorial: interaction.options.getBoolean('combinatorial') || false,
+                        negative: interaction.options.getString('negative'),
+                        steps: interaction.options.getInteger('steps'),
+                        guidance: interaction.options.getNumber('guidance'),
+                        sampler: interaction.options.getString('sampler'),
+                        style: interaction.options.getString('style'),
+                        enhance: interaction.options.getString('enhance'),
+                        preview: interaction.options.getBoolean('preview') || false,
                     },
                     adapter
                 );
@@ -176,6 +562,9 @@ export async function handleInteraction(interaction, client) {
                         prompt: interaction.options.getString('prompt'),
                         imageUrl: attachment?.url,
                         model: interaction.options.getString('model'),
+                        seed: interaction.options.getInteger('seed'),
+                        maskUrl: interaction.options.getAttachment('mask')?.url,
+                        region: interaction.options.getString('region'),
                     },
                     adapter
                 );
@@ -184,13 +573,24 @@ export async function handleInteraction(interaction, client) {
 
             case 'video': {
                 const refImage = interaction.options.getAttachment('ref_image');
+                const audio = interaction.options.getAttachment('audio');
+                const drivingVideo = interaction.options.getAttachment('driving_video');
                 await handleVideoCommand(
                     {
                         prompt: interaction.options.getString('prompt'),
                         workflow: interaction.options.getString('workflow'),
                         refImageUrl: refImage?.url,
+                        audioUrl: audio?.url,
+                        audioContentType: audio?.contentType,
+                        audioName: audio?.name,
+                        audioSize: audio?.size,
+                        drivingVideoUrl: drivingVideo?.url,
+                        drivingVideoContentType: drivingVideo?.contentType,
+                        drivingVideoName: drivingVideo?.name,
+                        drivingVideoSize: drivingVideo?.size,
                         duration: interaction.options.getInteger('duration'),
                         fps: interaction.options.getInteger('fps'),
+                        seed: interaction.options.getInteger('seed'),
                     },
                     adapter
                 );
@@ -204,6 +604,11 @@ export async function handleInteraction(interaction, client) {
                         prompt: interaction.options.getString('prompt'),
                         imageUrl: img?.url,
                         makeVideo: interaction.options.getBoolean('make_video') || false,
+                        output: interaction.options.getString('output') || undefined,
+                        angleCount: interaction.options.getInteger('angles') || undefined,
+                        elevation: interaction.options.getString('elevation') || undefined,
+                        distance: interaction.options.getString('distance') || undefined,
+                        orbit: interaction.options.getBoolean('orbit') || false,
                     },
                     adapter
                 );
@@ -239,7 +644,7 @@ export async function handleInteraction(interaction, client) {
 
             case 'generate-pfp':
             case 'pfp':
-                await handleGeneratePfpCommand({}, adapter);
+                await handleGeneratePfpCommand({ style: interaction.options.getString('style') }, adapter);
                 break;
 
             case 'kill-instances':
@@ -480,6 +885,110 @@ export async function handleInteraction(interaction, client) {
                 }, adapter, interaction.guild);
                 break;
 
+            case 'jobs':
+                await handleJobsCommand({}, adapter);
+                break;
+
+            case 'gallery':
+                await handleGalleryCommand({
+                    subcommand: interaction.options.getSubcommand(),
+                    page: interaction.options.getInteger('page'),
+                    text: interaction.options.getString('text'),
+                }, adapter);
+                break;
+
+            case 'showcase':
+                await handleShowcaseCommand({
+                    subcommand: interaction.options.getSubcommand(),
+                    channel: interaction.options.getChannel('channel'),
+                    role: interaction.options.getRole('role'),
+                    reputation: interaction.options.getInteger('reputation'),
+                    winners: interaction.options.getInteger('winners'),
+                }, adapter, { memberPermissions: interaction.member?.permissions });
+                break;
+
+            case 'collection': {
+                const subcommand = interaction.options.getSubcommand();
+                const params = {
+                    subcommand,
+                    collection: interaction.options.getString('collection'),
+                    name: interaction.options.getString('name'),
+                    type: interaction.options.getString('type'),
+                    style: interaction.options.getString('style'),
+                    mood: interaction.options.getString('mood'),
+                    seedStrategy: interaction.options.getString('seed_strategy'),
+                    seed: interaction.options.getInteger('seed'),
+                    details: interaction.options.getString('details'),
+                    layer: interaction.options.getString('layer'),
+                    value: interaction.options.getString('value'),
+                    weight: interaction.options.getInteger('weight'),
+                    count: interaction.options.getInteger('count'),
+                };
+                const extra = { memberPermissions: interaction.member?.permissions };
+                if (subcommand === 'generate') await handleCollectionGenerateCommand(params, adapter, extra);
+                else await handleCollectionCommand(params, adapter, extra);
+                break;
+            }
+
+            case 'budget':
+                await handleBudgetCommand({
+                    subcommand: interaction.options.getSubcommand(),
+                    amount: interaction.options.getNumber('amount'),
+                    period: interaction.options.getString('period'),
+                    user: interaction.options.getUser('user'),
+                    role: interaction.options.getRole('role'),
+                    onExceed: interaction.options.getString('on_exceed'),
+                    clearSpend: interaction.options.getBoolean('clear_spend') || false,
+                }, adapter, interaction.guild);
+                break;
+
+            case 'seed':
+                await handleSeedCommand({
+                    subcommand: interaction.options.getSubcommand(),
+                    seed: interaction.options.getInteger('seed'),
+                }, adapter);
+                break;
+
+            case 'lineage':
+                await handleLineageCommand({ message: interaction.options.getString('message') }, adapter);
+                break;
+
+            case 'models':
+                await handleModelsCommand({
+                    subcommand: interaction.options.getSubcommand(),
+                    id: interaction.options.getString('id'),
+                    steps: interaction.options.getInteger('steps'),
+                    guidance: interaction.options.getNumber('guidance'),
+                    sampler: interaction.options.getString('sampler'),
+                    negative: interaction.options.getString('negative'),
+                }, adapter, { memberPermissions: interaction.member?.permissions });
+                break;
+
+            case 'style':
+                await handleStyleCommand({
+                    subcommand: interaction.options.getSubcommand(),
+                    name: interaction.options.getString('name'),
+                    prefix: interaction.options.getString('prefix'),
+                    suffix: interaction.options.getString('suffix'),
+                    negative: interaction.options.getString('negative'),
+                    model: interaction.options.getString('model'),
+                    width: interaction.options.getInteger('width'),
+                    height: interaction.options.getInteger('height'),
+                    emoji: interaction.options.getString('emoji'),
+                }, adapter, { memberPermissions: interaction.member?.permissions });
+                break;
+
+            case 'prompt':
+                await handlePromptCommand({
+                    subcommand: interaction.options.getSubcommand(),
+                    prompt: interaction.options.getString('prompt'),
+                    model: interaction.options.getString('model'),
+                    enhance: interaction.options.getString('enhance'),
+                    name: interaction.options.getString('name'),
+                    instructions: interaction.options.getString('instructions'),
+                }, adapter, { memberPermissions: interaction.member?.permissions });
+                break;
+
             default:
                 await adapter.reply(`❓ Unknown command: ${commandName}`);
         }
@@ -6,13 +6,43 @@
  *
  * @module src/slashCommands/handlers
  */
-import { generateImage, editImage, generateVideo, generate360, checkBalance } from '../../packages/sogni-wrapper/index.js';
-import { saveUserMemory, getUserMemory, listUserMemory, deleteUserMemory } from '../../packages/memory/index.js';
+import { checkBalance } from '../../packages/sogni-wrapper/index.js';
+import { getProviderHealth } from '../../packages/sogni-wrapper/providers.js';
+import { createProgressTracker, formatProgress } from '../../packages/sogni-wrapper/progress.js';
+import { estimateCost, checkBudget, enqueueCharged } from '../../packages/budget/index.js';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { createJobActions, createProgressPreview, createImageGallery, createVideoMessage } from '../utils/messageFormatter.js';
+import { imageStateManager } from '../utils/imageStateManager.js';
+import { resolveImageDimensions, resolveModelProfile, MAX_IMAGE_COUNT, MAX_SEED } from '../../packages/config/models.js';
+import { getGuildModelOverrides } from '../../packages/config/model-overrides.js';
+import { getStyle, applyStyle } from '../../packages/styles/index.js';
+import { readImageSize, parseRegion, createRegionMask, validateMask } from '../../packages/utils/image-mask.js';
+import {
+    detectAudioFormat, detectVideoFormat, probeMedia, fitAudioDuration, normalizeVideoClip,
+    getUploadLimit, fitVideoToSize, createVideoPreview, extractPoster,
+} from '../../packages/utils/media.js';
+import { storeMediaFile, createDownloadLink, createViewerLink, pruneMediaStore } from '../../packages/utils/media-store.js';
+import { buildContactSheet, buildTurntableGif, renderSpinViewer } from '../../packages/utils/turntable.js';
+import { planAngleShots, ELEVATION_SWEEP } from '../../packages/utils/multi-angle.js';
+import { normalizeVideoDimensions } from '../utils/sogniUtils.js';
+import { hasDynamicSyntax, expandPrompt, expandAllPrompts } from '../../packages/utils/dynamic-prompts.js';
+import {
+    saveUserMemory, getUserMemory, listUserMemory, deleteUserMemory, getSeedLock, getEnhanceDefault,
+} from '../../packages/memory/index.js';
+import { resolveEnhancement } from '../../packages/enhance/index.js';
 import { createReminder, parseTime } from '../../packages/scheduler/index.js';
+import { recordGeneration } from '../../packages/history/index.js';
+import { isShowcaseEnabled } from '../../packages/showcase/index.js';
+import { createSubmitRow } from '../commands/showcaseCommands.js';
+import {
+    getCollection, listTraits, listTokens, planTokens, tokenPrompt, saveToken, setBasePrompt, collectionDir, writeCollectionFiles,
+} from '../../packages/collections/index.js';
+import { checkCollectionAccess, createRarityEmbed } from '../commands/collectionCommands.js';
+import { lintPrompt, createLintEmbed, createEnhanceComparison } from '../commands/promptCommands.js';
 import { addToContext, getContext } from '../../packages/memory/index.js';
 import { GoogleGenAI } from '@google/genai';
 import { sharedConfig } from '../../packages/config/index.js';
-import { generateDirectPrompt } from '../promptGenerator.js';
+import { enhancePrompt, generatePrompt } from '../promptGenerator.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
@@ -62,6 +92,278 @@ function getExtensionFromMime(mime) {
     return '.png';
 }
 
+/**
+ * A job the requester may run: its Spark estimate, and whether they
+ * confirmed running it over budget.
+ * @typedef {Object} SpendApproval
+ * @property {number} estimate
+ * @property {boolean} confirmed
+ */
+
+/**
+ * The reply for a job that would go over budget.
+ * @param {string} kind
+ * @param {import('../../packages/budget/index.js').BudgetCheck} check
+ * @returns {string}
+ */
+function describeExceeded(kind, check) {
+    const details = check.exceeded
+        .map(e => `• ${e.period} ${e.scope} allowance: ${e.spent} / ${e.limit} Spark used`)
+        .join('\n');
+    return `💸 **Budget exceeded** — this ${kind} job needs ~${check.estimate} Spark.\n${details}`;
+}
+
+/**
+ * Estimate a job's Spark cost and check it against the caller's allowances.
+ * Depending on the guild's policy an over-budget job is refused outright
+ * or the requester is asked to confirm it with a button. Nothing is charged
+ * here: queueGeneration() checks again and charges in one transaction.
+ * @param {'image'|'edit'|'video'|'angles360'} kind
+ * @param {object} estimateParams — see estimateCost()
+ * @param {ResponseAdapter} res
+ * @returns {Promise<SpendApproval|null>} — null if the job may not run
+ */
+export async function authorizeSpend(kind, estimateParams, res) {
+    const estimate = estimateCost(kind, estimateParams);
+    const check = checkBudget({
+        guildId: res.guildId,
+        userId: res.userId,
+        roleIds: res.roleIds || [],
+        estimate,
+    });
+    if (check.allowed) return { estimate, confirmed: false };
+
+    const summary = describeExceeded(kind, check);
+
+    if (check.onExceed !== 'confirm') {
+        await res.editReply(summary);
+        return null;
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('budget_confirm').setLabel('Run anyway').setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId('budget_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+    );
+    const prompt = await res.editReply({ content: `${summary}\n\nRun it anyway?`, components: [row] });
+    if (!prompt?.awaitMessageComponent) return null;
+
+    try {
+        const click = await prompt.awaitMessageComponent({
+            filter: (i) => i.user.id === res.userId && i.customId.startsWith('budget_'),
+            time: 60000,
+        });
+        const confirmed = click.customId === 'budget_confirm';
+        await click.update({
+            content: confirmed ? '💸 **Over-budget run confirmed.**' : '🚫 **Generation cancelled.**',
+            components: [],
+        });
+        return confirmed ? { estimate, confirmed: true } : null;
+    } catch (_) {
+        await res.editReply({ content: '⌛ **Budget confirmation timed out.**', components: [] });
+        return null;
+    }
+}
+
+/**
+ * Show the prompt check before anything is queued or charged, and wait for
+ * the requester to go ahead. With an enhanced prompt, both versions are
+ * shown side by side with a button to generate either. A prompt with a
+ * banned term can only be cancelled.
+ * @param {object} prompts — as they will be sent, style applied
+ * @param {string} prompts.original
+ * @param {string} [prompts.enhanced] — omitted when enhancement is off
+ * @param {string} [prompts.label] — the enhancement used
+ * @param {string} model
+ * @param {ResponseAdapter} res
+ * @returns {Promise<'original'|'enhanced'|null>} — the prompt to generate, null if cancelled
+ */
+async function confirmPromptPreview({ original, enhanced, label }, model, res) {
+    const compare = enhanced && enhanced !== original;
+    let embed;
+    let blocked;
+    let buttons;
+    if (compare) {
+        const comparison = createEnhanceComparison({ original, enhanced, label }, model);
+        embed = comparison.embed;
+        blocked = comparison.original.blocked || comparison.enhanced.blocked;
+        buttons = [
+            new ButtonBuilder().setCustomId('preview_original').setLabel('Generate mine').setEmoji('✏️')
+                .setStyle(ButtonStyle.Secondary).setDisabled(blocked),
+            new ButtonBuilder().setCustomId('preview_enhanced').setLabel('Generate enhanced').setEmoji('✨')
+                .setStyle(ButtonStyle.Primary).setDisabled(blocked),
+        ];
+    } else {
+        const analysis = lintPrompt(original, model);
+        embed = createLintEmbed(original, analysis, model);
+        blocked = analysis.blocked;
+        buttons = [
+            new ButtonBuilder().setCustomId('preview_generate').setLabel('Generate').setEmoji('🖌️')
+                .setStyle(ButtonStyle.Primary).setDisabled(blocked),
+        ];
+    }
+    const row = new ActionRowBuilder().addComponents(
+        ...buttons,
+        new ButtonBuilder().setCustomId('preview_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+    );
+
+    const preview = await res.editReply({
+        content: blocked
+            ? '⛔ **This prompt can\'t be generated** — fix it and try again.'
+            : `🔎 **Preview** — nothing has been charged yet. ${compare ? 'Pick a version to generate' : 'Generate as is'}, or cancel and refine it.`,
+        embeds: [embed],
+        components: [row],
+    });
+    if (!preview?.awaitMessageComponent) return null;
+
+    try {
+        const click = await preview.awaitMessageComponent({
+            filter: (i) => i.user.id === res.userId && i.customId.startsWith('preview_'),
+            time: 120000,
+        });
+        const choice = blocked ? null : { preview_generate: 'original', preview_original: 'original', preview_enhanced: 'enhanced' }[click.customId] || null;
+        await click.update({
+            content: choice ? '🎨 **Architecting Visual Mastery...**' : '🚫 **Generation cancelled.**',
+            embeds: choice ? [] : [embed],
+            components: [],
+        });
+        return choice;
+    } catch (_) {
+        await res.editReply({ content: '⌛ **Preview timed out** — nothing was generated.', components: [] });
+        return null;
+    }
+}
+
+/**
+ * Put a Sogni job in the shared queue on behalf of a response adapter.
+ * While the job waits, the reply shows its position; once a worker
+ * picks it up, the reply switches to `runningText` followed by the job's
+ * progress (percentage, ETA, Sogni queue position, worker and a preview
+ * where the backend sends one), edited at most every QUEUE_PROGRESS_EDIT_MS.
+ * Both states carry a Cancel button, which is removed again once the job settles.
+ * The estimated cost is checked against the budget and charged in one step
+ * before queueing, and refunded if the job fails.
+ * @param {'image'|'edit'|'video'|'angles360'} kind
+ * @param {object} params — wrapper params for the job
+ * @param {ResponseAdapter} res
+ * @param {object} options
+ * @param {string} options.runningText — status shown once the job starts
+ * @param {object} options.request — the command params, kept so `/jobs` can re-run the job
+ * @param {SpendApproval} options.spend — from authorizeSpend(), with this job's share of the estimate
+ * @returns {Promise<object>}
+ * @throws {Error} with code 'BUDGET_EXCEEDED' when other jobs used up the allowance since it was authorized
+ */
+export async function queueGeneration(kind, params, res, { runningText, request, spend }) {
+    let jobId = null;
+    let previewShown = false;
+    let lastEdit = Promise.resolve();
+    const tracker = createProgressTracker((state) => {
+        // Only remote previews can be embedded; local files would need an upload per edit
+        const preview = /^https?:\/\//.test(state.previewUrl || '') ? state.previewUrl : null;
+        previewShown ||= !!preview;
+        const line = formatProgress(state);
+        lastEdit = res.editReply({
+            content: line ? `${runningText}\n${line}` : runningText,
+            embeds: preview ? [createProgressPreview(preview)] : [],
+            components: jobId ? [createJobActions(jobId)] : [],
+        }).catch(() => { });
+    }, { intervalMs: sharedConfig.queue.progressEditMs });
+
+    try {
+        return await enqueueCharged({
+            kind,
+            params,
+            request,
+            userId: res.userId,
+            channelId: res.channelId,
+            guildId: res.guildId,
+        }, {
+            onQueued: (id) => {
+                jobId = id;
+                return res.editReply({ components: [createJobActions(id)] });
+            },
+            onPosition: (position, jobId) => res.editReply({
+                content: `⏳ **Queued** — position #${position} in line. Your job will start shortly.`,
+                components: [createJobActions(jobId)],
+            }),
+            onStart: (jobId) => res.editReply({ content: runningText, components: [createJobActions(jobId)] }),
+            onProgress: (event) => tracker.push(event),
+        }, {
+            estimate: spend.estimate,
+            roleIds: res.roleIds || [],
+            force: spend.confirmed,
+            describeRefusal: (check) => describeExceeded(kind, check),
+        });
+    } finally {
+        tracker.stop();
+        await lastEdit;
+        await res.editReply(previewShown ? { embeds: [], components: [] } : { components: [] }).catch(() => { });
+    }
+}
+
+/**
+ * Turn a queue error into the reply text for a failed or cancelled job.
+ * @param {Error} err
+ * @param {string} failurePrefix — e.g. '❌ Generation failed'
+ * @returns {string}
+ */
+export function describeJobError(err, failurePrefix) {
+    if (err.code === 'CANCELLED') return '🚫 **Generation cancelled.**';
+    if (err.code === 'BUDGET_EXCEEDED') return err.message;
+    return `${failurePrefix}: ${err.message}`;
+}
+
+/**
+ * Pick the seed for a generation: an explicit `seed` option wins, then the
+ * user's seed lock. Null leaves it to the configured seed strategy.
+ * @param {number|null|undefined} seed
+ * @param {string} userId
+ * @returns {number|null}
+ */
+function resolveSeed(seed, userId) {
+    if (seed != null) return seed;
+    return getSeedLock(userId);
+}
+
+/**
+ * Add a finished generation to the user's `/gallery` history. History is
+ * a convenience, so failing to write it never fails the command.
+ * @param {ResponseAdapter} res
+ * @param {Parameters<typeof recordGeneration>[0]} entry — without the user, guild and channel
+ */
+function recordHistory(res, entry) {
+    try {
+        recordGeneration({ userId: res.userId, guildId: res.guildId, channelId: res.channelId, ...entry });
+    } catch (err) {
+        console.error('[Handler] Could not record generation history:', err.message);
+    }
+}
+
+/**
+ * Post generated images as a gallery and remember the message they landed
+ * in, so `/lineage` can be pointed at its link. Servers running a showcase
+ * get a row of submit buttons, sent separately when the gallery's rows are
+ * all taken by image actions.
+ * @param {{url: string, seed?: number, model?: string, stateId?: string}[]} images
+ * @param {ResponseAdapter} res
+ */
+async function sendImageGallery(images, res) {
+    const gallery = createImageGallery(images);
+    const submitRow = isShowcaseEnabled(res.guildId) ? createSubmitRow(images) : null;
+    if (submitRow && gallery.components.length < 5) gallery.components.push(submitRow);
+
+    const message = await res.followUp(gallery);
+    if (message?.id) {
+        imageStateManager.attachMessage(images.map(image => image.stateId).filter(Boolean), {
+            messageId: message.id,
+            channelId: message.channelId || res.channelId,
+            guildId: message.guildId || res.guildId,
+        });
+    }
+    if (submitRow && !gallery.components.includes(submitRow)) {
+        await res.followUp({ components: [submitRow] });
+    }
+}
+
 /**
  * @typedef {Object} ResponseAdapter
  * @property {(msg: string) => Promise<any>} reply — initial reply
@@ -71,6 +373,8 @@ function getExtensionFromMime(mime) {
  * @property {string} userId
  * @property {string} channelId
  * @property {string} guildId
+ * @property {string[]} [roleIds] — the member's role ids, for role budgets
+ * @property {number} [premiumTier] — the guild's boost tier (0–3), for upload limits
  */
 
 // ── /ask handler ─────────────────────────────────────────────────
@@ -120,38 +424,181 @@ export async function handleAskCommand(params, res) {
 
 // ── /imagine handler ─────────────────────────────────────────────
 
+/**
+ * The enhancement an /imagine run uses: the request's `enhance:`, else the
+ * user's saved default, else the bot default. A saved default whose server
+ * template has since been removed falls back quietly.
+ * @param {object} params — /imagine params
+ * @param {ResponseAdapter} res
+ * @returns {import('../../packages/enhance/index.js').Enhancement|null} — null for an unknown `enhance:`
+ */
+function resolveImagineEnhancement(params, res) {
+    if (params.skipEnhance) return resolveEnhancement(res.guildId, 'off');
+    if (params.enhance) return resolveEnhancement(res.guildId, params.enhance);
+
+    const saved = getEnhanceDefault(res.userId);
+    return (saved && resolveEnhancement(res.guildId, saved))
+        || resolveEnhancement(res.guildId, sharedConfig.enhance.defaultMode)
+        || resolveEnhancement(res.guildId, 'full');
+}
+
 /**
  * @param {object} params
  * @param {string} params.prompt
  * @param {string} [params.model]
  * @param {number} [params.width]
  * @param {number} [params.height]
+ * @param {string} [params.aspect] — aspect preset such as '1:1', '3:4', '16:9'
  * @param {number} [params.count]
+ * @param {number} [params.seed]
+ * @param {boolean} [params.skipEnhance] — use the prompt verbatim (rerolls of an earlier blueprint)
+ * @param {string} [params.enhance] — off, light, full or a server template; defaults to the user's choice
+ * @param {boolean} [params.combinatorial] — render every expansion of a dynamic prompt as a batch
+ * @param {string} [params.negative] — negative prompt (replaces the model default)
+ * @param {number} [params.steps]
+ * @param {number} [params.guidance]
+ * @param {string} [params.sampler]
+ * @param {string} [params.style] — style preset; its model, size and negative fill in whatever the request leaves out
+ * @param {boolean} [params.preview] — show the prompt check (and the enhanced version next to it) and wait for Generate before anything is charged
  * @param {ResponseAdapter} res
  */
 export async function handleImagineCommand(params, res) {
     await res.reply('🎨 **Architecting Visual Mastery...**');
 
     try {
-        // Enhance prompt via Gemini
-        let enhancedPrompt;
+        const style = params.style ? getStyle(res.guildId, params.style) : null;
+        if (params.style && !style) {
+            await res.editReply(`⚠️ Unknown style \`${params.style}\` — see \`/style list\`.`);
+            return;
+        }
+
+        const enhancement = resolveImagineEnhancement(params, res);
+        if (!enhancement) {
+            await res.editReply(`⚠️ Unknown enhancement \`${params.enhance}\` — see \`/prompt templates\`.`);
+            return;
+        }
+
+        const model = params.model || style?.model || sharedConfig.sogniGen.defaultImageModel;
+        const count = Math.min(Math.max(params.count || sharedConfig.sogniGen.defaultCount, 1), MAX_IMAGE_COUNT);
+        const sizeGiven = params.width != null || params.height != null || params.aspect;
+
+        let dimensions;
         try {
-            enhancedPrompt = await generateDirectPrompt(params.prompt);
-        } catch (_) {
-            enhancedPrompt = params.prompt; // Fallback to raw prompt
+            dimensions = resolveImageDimensions({
+                modelId: model,
+                width: sizeGiven ? params.width : style?.width || undefined,
+                height: sizeGiven ? params.height : style?.height || undefined,
+                aspect: params.aspect,
+                defaultWidth: sharedConfig.sogniGen.defaultWidth,
+                defaultHeight: sharedConfig.sogniGen.defaultHeight,
+            });
+        } catch (err) {
+            await res.editReply(`⚠️ ${err.message}`);
+            return;
         }
 
-        await res.editReply(`🎨 **Generating:** \`${enhancedPrompt.substring(0, 100)}${enhancedPrompt.length > 100 ? '...' : ''}\`...`);
+        // Guild overrides, then the request's own options, clamped to the model
+        const profile = resolveModelProfile(model, {
+            guild: getGuildModelOverrides(res.guildId, model),
+            options: {
+                steps: params.steps,
+                guidance: params.guidance,
+                sampler: params.sampler,
+                negativePrompt: params.negative ?? (style?.negative || undefined),
+            },
+            prompt: params.prompt,
+        });
+        const profileParams = {
+            steps: profile.steps,
+            guidance: profile.guidance,
+            sampler: profile.sampler,
+            negativePrompt: profile.negativePrompt,
+        };
+
+        // Dynamic prompts expand from the same seed the render uses, so a
+        // seed always explains which options were picked
+        const dynamic = hasDynamicSyntax(params.prompt);
+        let seed = resolveSeed(params.seed, res.userId);
+        if (dynamic && seed == null) seed = Math.floor(Math.random() * (MAX_SEED + 1));
+
+        const expandedPrompt = dynamic ? expandPrompt(params.prompt, { seed }) : params.prompt;
+        const originalPrompt = applyStyle(expandedPrompt, style);
+
+        if (dynamic && params.combinatorial) {
+            if (params.preview && !(await confirmPromptPreview({ original: originalPrompt }, model, res))) return;
+            await runCombinatorialBatch(params, res, { model, dimensions, seed, profileParams, style });
+            return;
+        }
+
+        // A preview shows the rewrite before anything is charged; without one,
+        // check the budget first so a refused run doesn't cost a Gemini call
+        let spend = params.preview ? null : await authorizeSpend('image', { ...dimensions, count }, res);
+        if (!params.preview && !spend) return;
+
+        // Enhance prompt via Gemini, as the request, the user or the bot default asks
+        let enhancedPrompt = applyStyle(await enhancePrompt(expandedPrompt, enhancement, { modelId: model, seed, style: style?.name }), style);
+        if (params.preview) {
+            const choice = await confirmPromptPreview({
+                original: originalPrompt,
+                enhanced: enhancement.mode === 'off' ? undefined : enhancedPrompt,
+                label: enhancement.label,
+            }, model, res);
+            if (!choice) return;
+            if (choice === 'original') enhancedPrompt = originalPrompt;
+        }
+        const enhanced = enhancedPrompt !== originalPrompt;
 
-        const result = await generateImage({
+        spend ??= await authorizeSpend('image', { ...dimensions, count }, res);
+        if (!spend) return;
+
+        const result = await queueGeneration('image', {
             prompt: enhancedPrompt,
-            model: params.model,
-            width: params.width,
-            height: params.height,
-            count: params.count,
+            model,
+            width: dimensions.width,
+            height: dimensions.height,
+            count,
+            seed,
+            ...profileParams,
+        }, res, {
+            runningText: `🎨 **Generating${count > 1 ? ` ${count} images` : ''}:** \`${enhancedPrompt.substring(0, 100)}${enhancedPrompt.length > 100 ? '...' : ''}\`...`,
+            request: params,
+            spend,
         });
 
-        const statusText = `✅ **Generated Mastery**\n🤖 Model: \`${result.model || 'default'}\`\n\n**Blueprint:**\n${enhancedPrompt}`;
+        const usedModel = result.model || model;
+        const urls = result.urls?.length ? result.urls : [result.url || result.output].filter(Boolean);
+        const images = urls.map((url, i) => ({ url, seed: result.seeds?.[i] ?? result.seed, model: usedModel }));
+
+        for (const image of images) {
+            image.stateId = imageStateManager.saveImageState(image.url, {
+                userId: res.userId,
+                seed: image.seed,
+                prompt: enhancedPrompt,
+                template: dynamic ? params.prompt : undefined,
+                enhanced,
+                style: style?.name,
+                modelId: usedModel,
+                width: dimensions.width,
+                height: dimensions.height,
+            });
+        }
+        recordHistory(res, {
+            kind: 'image',
+            prompt: params.prompt,
+            enhancedPrompt,
+            model: usedModel,
+            seed: images[0]?.seed ?? seed,
+            width: dimensions.width,
+            height: dimensions.height,
+            urls,
+            request: params,
+        });
+
+        const styleText = style ? ` · ${style.emoji} ${style.label}` : '';
+        const enhanceText = enhanced ? ` · ✨ ${enhancement.label}` : '';
+        const expansionText = dynamic ? `🎲 Expanded (seed \`${seed}\`): ${expandedPrompt}\n` : '';
+        const adjustedText = profile.adjustments.length > 0 ? `⚠️ Adjusted to fit the model: ${profile.adjustments.join('; ')}\n` : '';
+        const statusText = `✅ **Generated Mastery**\n🤖 Model: \`${usedModel}\` · 📐 ${dimensions.width}×${dimensions.height} · ${profile.steps} steps · CFG ${profile.guidance} · ${profile.sampler}${styleText}${enhanceText}\n${adjustedText}${expansionText}\n**Blueprint:**\n${enhancedPrompt}`;
         const chunks = splitMessage(statusText);
 
         // Send all chunks
@@ -163,29 +610,300 @@ export async function handleImagineCommand(params, res) {
             }
         }
 
-        // Final Image — Separate message without prompt text as requested
-        const imageSource = result.url || result.output;
-        if (imageSource) {
-            await res.followUp({ files: [imageSource] });
+        // Final images — separate gallery message without prompt text
+        if (images.length > 0) {
+            await sendImageGallery(images, res);
         }
     } catch (err) {
         console.error('[Handler:imagine] Error:', err.message);
-        await res.editReply(`❌ Generation failed: ${err.message}`);
+        await res.editReply(describeJobError(err, '❌ Generation failed'));
+    }
+}
+
+/**
+ * Render every expansion of a dynamic prompt, one job per combination.
+ * All combinations share one seed so only the prompt differs between them;
+ * prompts are used verbatim (no Gemini enhancement) to keep the grid
+ * comparable.
+ * @param {object} params — /imagine params
+ * @param {ResponseAdapter} res
+ * @param {object} options
+ * @param {string} options.model
+ * @param {{width: number, height: number}} options.dimensions
+ * @param {number} options.seed
+ * @param {object} options.profileParams — steps, guidance, sampler, negativePrompt
+ * @param {import('../../packages/styles/index.js').StylePreset|null} options.style
+ */
+async function runCombinatorialBatch(params, res, { model, dimensions, seed, profileParams, style }) {
+    const prompts = expandAllPrompts(params.prompt).map(prompt => applyStyle(prompt, style));
+
+    const spend = await authorizeSpend('image', { ...dimensions, count: prompts.length }, res);
+    if (!spend) return;
+    const perJob = { ...spend, estimate: spend.estimate / prompts.length };
+
+    const images = [];
+    const failures = [];
+    for (let i = 0; i < prompts.length; i++) {
+        const prompt = prompts[i];
+        try {
+            const result = await queueGeneration('image', {
+                prompt,
+                model,
+                width: dimensions.width,
+                height: dimensions.height,
+                count: 1,
+                seed,
+                ...profileParams,
+            }, res, {
+                runningText: `🧮 **Combination ${i + 1}/${prompts.length}:** \`${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}\``,
+                request: { ...params, prompt, combinatorial: false, skipEnhance: true, seed },
+                spend: perJob,
+            });
+
+            const url = result.url || result.urls?.[0] || result.output;
+            if (!url) continue;
+            const usedModel = result.model || model;
+            const stateId = imageStateManager.saveImageState(url, {
+                userId: res.userId,
+                seed: result.seed ?? seed,
+                prompt,
+                enhanced: false,
+                style: style?.name,
+                modelId: usedModel,
+                width: dimensions.width,
+                height: dimensions.height,
+            });
+            images.push({ url, seed: result.seed ?? seed, model: usedModel, stateId, prompt });
+            recordHistory(res, {
+                kind: 'image',
+                prompt,
+                model: usedModel,
+                seed: result.seed ?? seed,
+                width: dimensions.width,
+                height: dimensions.height,
+                urls: [url],
+                request: { ...params, prompt, combinatorial: false, skipEnhance: true, seed },
+            });
+        } catch (err) {
+            // The rest would be cancelled or over budget too
+            if (err.code === 'CANCELLED' || err.code === 'BUDGET_EXCEEDED') {
+                failures.push(...prompts.slice(i));
+                break;
+            }
+            console.error('[Handler:imagine] Combination failed:', err.message);
+            failures.push(prompt);
+        }
+    }
+
+    const lines = images.map((image, i) => `**${i + 1}.** ${image.prompt}`);
+    let statusText = `✅ **Combinatorial batch:** ${images.length}/${prompts.length} rendered · 🌱 Seed \`${seed}\`\n${lines.join('\n')}`;
+    if (failures.length > 0) statusText += `\n\n⚠️ Skipped ${failures.length}: ${failures.join(' · ')}`;
+
+    const chunks = splitMessage(statusText);
+    for (let i = 0; i < chunks.length; i++) {
+        if (i === 0) {
+            await res.editReply(chunks[i]);
+        } else {
+            await res.followUp({ content: chunks[i] });
+        }
+    }
+
+    // Five per message so every image keeps its action buttons
+    for (let i = 0; i < images.length; i += 5) {
+        await sendImageGallery(images.slice(i, i + 5), res);
     }
 }
 
+// ── /collection generate handler ─────────────────────────────────
+
+/** Collection tokens are square PFPs */
+const COLLECTION_IMAGE_SIZE = 1024;
+
+/**
+ * Render the next tokens of a collection. The base prompt is written once
+ * from the collection's avatar type, style and mood and shared by every
+ * token; each token adds its drawn traits and the seed from the
+ * collection's seed strategy. Images land in the collection folder, then
+ * the metadata and rarity table are rewritten for the whole set.
+ * @param {object} params
+ * @param {string} params.collection
+ * @param {number} params.count
+ * @param {ResponseAdapter} res
+ * @param {object} extra
+ * @param {import('discord.js').PermissionsBitField} [extra.memberPermissions]
+ */
+export async function handleCollectionGenerateCommand(params, res, extra = {}) {
+    if (!await checkCollectionAccess(res, extra)) return;
+    await res.reply('🧬 **Planning the collection...**');
+
+    const collection = getCollection(res.guildId, params.collection);
+    if (!collection) {
+        await res.editReply(`⚠️ There is no collection called \`${params.collection}\` — see \`/collection list\`.`);
+        return;
+    }
+    const traits = listTraits(collection.id);
+    if (traits.length === 0) {
+        await res.editReply(`⚠️ **${collection.name}** has no traits yet — add some with \`/collection add-trait\`.`);
+        return;
+    }
+    const existing = listTokens(collection.id);
+    const count = Math.min(params.count, sharedConfig.collections.maxPerRun, sharedConfig.collections.maxTokens - existing.length);
+    if (count <= 0) {
+        await res.editReply(`⚠️ **${collection.name}** is full (${sharedConfig.collections.maxTokens} tokens).`);
+        return;
+    }
+
+    const style = getStyle(res.guildId, collection.style);
+    const model = style?.model || sharedConfig.sogniGen.defaultImageModel;
+    const spend = await authorizeSpend('image', { width: COLLECTION_IMAGE_SIZE, height: COLLECTION_IMAGE_SIZE, count }, res);
+    if (!spend) return;
+
+    let basePrompt = collection.basePrompt;
+    if (!basePrompt) {
+        await res.editReply('✍️ **Writing the shared base prompt...**');
+        basePrompt = await generatePrompt({
+            avatarType: collection.avatarType,
+            visualStyle: style ? `${style.label} (${[style.prefix, style.suffix].filter(Boolean).join(' ')})` : collection.style,
+            mood: collection.mood,
+            extraDetails: collection.details || 'none',
+        }, { modelId: model });
+        setBasePrompt(collection.id, basePrompt);
+    }
+
+    const imagesDir = path.join(collectionDir(collection), 'images');
+    fs.mkdirSync(imagesDir, { recursive: true });
+
+    const planned = planTokens(collection, traits, existing, count);
+    const made = [];
+    const failures = [];
+    for (let i = 0; i < planned.length; i++) {
+        const token = planned[i];
+        const prompt = applyStyle(tokenPrompt(basePrompt, token.traits), style);
+        const profile = resolveModelProfile(model, {
+            guild: getGuildModelOverrides(res.guildId, model),
+            options: { negativePrompt: style?.negative || undefined },
+            prompt,
+        });
+        const request = { prompt, model, width: COLLECTION_IMAGE_SIZE, height: COLLECTION_IMAGE_SIZE, seed: token.seed, skipEnhance: true };
+        try {
+            const result = await queueGeneration('image', {
+                ...request,
+                count: 1,
+                steps: profile.steps,
+                guidance: profile.guidance,
+                sampler: profile.sampler,
+                negativePrompt: profile.negativePrompt,
+            }, res, {
+                runningText: `🧬 **${collection.name} #${token.tokenId}** (${i + 1}/${planned.length}) · ${Object.values(token.traits).join(' · ')}`,
+                request,
+                spend: { ...spend, estimate: spend.estimate / planned.length },
+            });
+
+            const source = result.url || result.urls?.[0] || result.output;
+            if (!source) throw new Error('no image returned');
+            const fileName = `${token.tokenId}.png`;
+            const filePath = path.join(imagesDir, fileName);
+            if (/^https?:\/\//.test(source)) {
+                const response = await fetch(source);
+                if (!response.ok) throw new Error(`couldn't download the image (HTTP ${response.status})`);
+                await pipeline(response.body, fs.createWriteStream(filePath));
+            } else {
+                fs.copyFileSync(source, filePath);
+            }
+
+            const saved = { ...token, prompt, model: result.model || model, fileName };
+            saveToken(collection.id, saved);
+            made.push({ ...saved, filePath });
+            recordHistory(res, {
+                kind: 'image',
+                workflow: 'collection',
+                prompt,
+                model: saved.model,
+                seed: result.seed ?? token.seed,
+                width: COLLECTION_IMAGE_SIZE,
+                height: COLLECTION_IMAGE_SIZE,
+                urls: [source],
+                request,
+            });
+        } catch (err) {
+            // The rest would be cancelled or over budget too
+            if (err.code === 'CANCELLED' || err.code === 'BUDGET_EXCEEDED') {
+                failures.push(...planned.slice(i).map(t => t.tokenId));
+                break;
+            }
+            console.error(`[Handler:collection] Token ${token.tokenId} failed:`, err.message);
+            failures.push(token.tokenId);
+        }
+    }
+
+    const { dir, rarity, rarityCsvPath } = writeCollectionFiles(collection, listTokens(collection.id));
+    let summary = `✅ **${collection.name}:** ${made.length}/${planned.length} tokens rendered · ${rarity.ranking.length} in the set\n📁 \`${dir}\``;
+    if (failures.length > 0) summary += `\n⚠️ Not rendered: ${failures.map(id => `#${id}`).join(', ')} — run generate again to retry.`;
+    await res.editReply(summary);
+
+    // Ten attachments per message
+    for (let i = 0; i < made.length; i += 10) {
+        await res.followUp({ files: made.slice(i, i + 10).map(token => ({ attachment: token.filePath, name: token.fileName })) });
+    }
+    await res.followUp({
+        embeds: [createRarityEmbed(collection, rarity)],
+        files: [{ attachment: rarityCsvPath, name: `${collection.name}_rarity.csv` }],
+    });
+}
+
 // ── /edit handler ────────────────────────────────────────────────
 
+/**
+ * Build the inpainting mask for an edit, either from an uploaded mask or a
+ * region spec, and check it against the source image.
+ * @param {object} params — /edit params
+ * @param {string} sourcePath — downloaded source image
+ * @param {string} tmpDir
+ * @returns {Promise<string>} — path of the mask file
+ * @throws {Error} with a user-facing message when the mask doesn't fit the image
+ */
+async function prepareInpaintMask(params, sourcePath, tmpDir) {
+    if (params.maskUrl && params.region) {
+        throw new Error('Pass either a mask image or a region, not both.');
+    }
+
+    const source = readImageSize(fs.readFileSync(sourcePath));
+    let mask;
+    let ext = 'png';
+    if (params.maskUrl) {
+        const response = await fetch(params.maskUrl);
+        if (!response.ok) throw new Error(`Couldn't download the mask (HTTP ${response.status}).`);
+        mask = Buffer.from(await response.arrayBuffer());
+        ext = validateMask(mask, source).format;
+    } else {
+        const { rect, invert } = parseRegion(params.region, source);
+        mask = createRegionMask(source.width, source.height, rect, { invert });
+    }
+
+    const maskPath = path.join(tmpDir, `mask_${Date.now()}.${ext}`);
+    fs.writeFileSync(maskPath, mask);
+    return maskPath;
+}
+
 /**
  * @param {object} params
  * @param {string} params.prompt
  * @param {string} params.imageUrl — URL of the attached image
  * @param {string} [params.model]
+ * @param {number} [params.width]
+ * @param {number} [params.height]
+ * @param {number} [params.seed]
+ * @param {string} [params.maskUrl] — inpainting mask (white = repaint); switches to the inpainting model
+ * @param {string} [params.region] — region spec to build a mask from, e.g. 'left half' or '10%,10%,50%,50%'
+ * @param {string} [params.parentId] — image state id of the source, for lineage
+ * @param {string} [params.sourcePrompt] — blueprint to remember for the result instead of the edit instruction
+ * @param {string} [params.runningText]
  * @param {ResponseAdapter} res
  */
 export async function handleEditCommand(params, res) {
     await res.reply('✏️ **Preparing edit...**');
 
+    const tmpFiles = [];
     try {
         // Download attachment to temp file
         const tmpDir = path.join(os.tmpdir(), 'blockaerie-edit');
@@ -197,51 +915,325 @@ export async function handleEditCommand(params, res) {
 
         const fileStream = fs.createWriteStream(tmpPath);
         await pipeline(response.body, fileStream);
+        tmpFiles.push(tmpPath);
 
-        await res.editReply('✏️ **Applying edit...**');
+        // Masked edits go to the inpainting model; check the mask before spending
+        const inpaint = Boolean(params.maskUrl || params.region);
+        let maskPath = null;
+        if (inpaint) {
+            try {
+                maskPath = await prepareInpaintMask(params, tmpPath, tmpDir);
+                tmpFiles.push(maskPath);
+            } catch (err) {
+                await res.editReply(`⚠️ ${err.message}`);
+                return;
+            }
+        }
+        const model = inpaint ? sharedConfig.sogniGen.inpaintModel : params.model;
+
+        const spend = await authorizeSpend('edit', params, res);
+        if (!spend) return;
 
-        const result = await editImage({
+        const result = await queueGeneration('edit', {
             prompt: params.prompt,
             contextPath: tmpPath,
-            model: params.model,
-        });
+            maskPath,
+            model,
+            width: params.width,
+            height: params.height,
+            seed: resolveSeed(params.seed, res.userId),
+        }, res, { runningText: params.runningText || (inpaint ? '🖌️ **Inpainting...**' : '✏️ **Applying edit...**'), request: params, spend });
 
-        await res.editReply(`✅ **Edit complete:** \`${params.prompt}\``);
+        const regionText = params.region ? ` (${params.region})` : params.maskUrl ? ' (masked)' : '';
+        await res.editReply(`✅ **${inpaint ? 'Inpaint' : 'Edit'} complete${regionText}:** \`${params.prompt}\``);
 
         const imageSource = result.url || result.output;
         if (imageSource) {
-            await res.followUp({ files: [imageSource] });
+            const parent = params.parentId
+                ? imageStateManager.getImageStateById(params.parentId)
+                : imageStateManager.getImageState(params.imageUrl);
+            const stateId = imageStateManager.saveImageState(imageSource, {
+                userId: res.userId,
+                seed: result.seed,
+                prompt: params.sourcePrompt || params.prompt,
+                modelId: result.model || model,
+                width: result.width,
+                height: result.height,
+                parentId: parent?.id,
+                editPrompt: params.prompt,
+            });
+            recordHistory(res, {
+                kind: 'edit',
+                workflow: inpaint ? 'inpaint' : 'edit',
+                prompt: params.prompt,
+                model: result.model || model,
+                seed: result.seed,
+                width: result.width,
+                height: result.height,
+                urls: [imageSource],
+                request: params,
+            });
+            await sendImageGallery([{ url: imageSource, seed: result.seed, model: result.model, stateId }], res);
         }
-
-        // Cleanup temp file
-        fs.unlink(tmpPath, () => { });
     } catch (err) {
         console.error('[Handler:edit] Error:', err.message);
-        await res.editReply(`❌ Edit failed: ${err.message}`);
+        await res.editReply(describeJobError(err, '❌ Edit failed'));
+    } finally {
+        // Cleanup temp files
+        for (const file of tmpFiles) fs.unlink(file, () => { });
     }
 }
 
 // ── /video handler ───────────────────────────────────────────────
 
+/**
+ * Download an s2v audio track, check it and trim or pad it to the video
+ * length.
+ * @param {object} params — /video params
+ * @param {string} tmpDir
+ * @param {string[]} tmpFiles — downloaded and converted files are added here for cleanup
+ * @returns {Promise<{path: string, sourceDuration: number}>}
+ * @throws {Error} with a user-facing message when the audio is unusable
+ */
+async function prepareSoundTrack(params, tmpDir, tmpFiles) {
+    const limits = sharedConfig.media;
+    if (params.audioSize > limits.maxAudioBytes) {
+        throw new Error(`Audio files can be at most ${Math.round(limits.maxAudioBytes / 1024 / 1024)}MB.`);
+    }
+
+    const response = await fetch(params.audioUrl);
+    if (!response.ok) throw new Error(`Couldn't download the audio (HTTP ${response.status}).`);
+    const ext = detectAudioFormat(params.audioContentType || response.headers.get('content-type'), params.audioName || params.audioUrl);
+    if (!ext) {
+        throw new Error('Unsupported audio format — use MP3, WAV, M4A, AAC, OGG or FLAC.');
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > limits.maxAudioBytes) {
+        throw new Error(`Audio files can be at most ${Math.round(limits.maxAudioBytes / 1024 / 1024)}MB.`);
+    }
+    const sourcePath = path.join(tmpDir, `audio_${Date.now()}${ext}`);
+    fs.writeFileSync(sourcePath, buffer);
+    tmpFiles.push(sourcePath);
+
+    const info = await probeMedia(sourcePath);
+    if (!info.hasAudio || info.duration == null) {
+        throw new Error('That file has no readable audio track.');
+    }
+    if (info.duration < limits.minAudioSec) {
+        throw new Error(`The audio is only ${info.duration.toFixed(1)}s — it needs at least ${limits.minAudioSec}s.`);
+    }
+    if (info.duration > limits.maxAudioSec) {
+        throw new Error(`The audio is ${Math.round(info.duration)}s long — the limit is ${limits.maxAudioSec}s. Trim it first.`);
+    }
+
+    const duration = params.duration || sharedConfig.sogniGen.defaultDurationSec;
+    const fittedPath = path.join(tmpDir, `audio_${Date.now()}_fit.m4a`);
+    tmpFiles.push(fittedPath);
+    await fitAudioDuration(sourcePath, fittedPath, duration);
+    return { path: fittedPath, sourceDuration: info.duration };
+}
+
+/**
+ * Download an animate driving clip and re-encode it at the requested frame
+ * rate, capped in length and resized to dimensions Sogni video accepts.
+ * @param {object} params — /video params
+ * @param {string} tmpDir
+ * @param {string[]} tmpFiles — downloaded and converted files are added here for cleanup
+ * @returns {Promise<{path: string, duration: number, width: number, height: number, trimmed: boolean}>}
+ * @throws {Error} with a user-facing message when the clip is unusable
+ */
+async function prepareDrivingClip(params, tmpDir, tmpFiles) {
+    const limits = sharedConfig.media;
+    const tooBig = `Driving clips can be at most ${Math.round(limits.maxVideoBytes / 1024 / 1024)}MB.`;
+    if (params.drivingVideoSize > limits.maxVideoBytes) throw new Error(tooBig);
+
+    const response = await fetch(params.drivingVideoUrl);
+    if (!response.ok) throw new Error(`Couldn't download the driving clip (HTTP ${response.status}).`);
+    const ext = detectVideoFormat(params.drivingVideoContentType || response.headers.get('content-type'), params.drivingVideoName || params.drivingVideoUrl);
+    if (!ext) {
+        throw new Error('Unsupported clip format — use MP4, MOV, WebM, MKV or GIF.');
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > limits.maxVideoBytes) throw new Error(tooBig);
+    const sourcePath = path.join(tmpDir, `driving_${Date.now()}${ext}`);
+    fs.writeFileSync(sourcePath, buffer);
+    tmpFiles.push(sourcePath);
+
+    const info = await probeMedia(sourcePath);
+    if (!info.hasVideo || !info.width || !info.height || info.duration == null) {
+        throw new Error('That file has no readable video track.');
+    }
+    if (info.duration < 1) {
+        throw new Error('The driving clip needs to be at least 1s long.');
+    }
+
+    const duration = Math.min(Math.floor(info.duration), limits.maxDrivingSec);
+    const { width, height } = normalizeVideoDimensions(info.width, info.height);
+    const clipPath = path.join(tmpDir, `driving_${Date.now()}_norm.mp4`);
+    tmpFiles.push(clipPath);
+    await normalizeVideoClip(sourcePath, clipPath, {
+        fps: params.fps || sharedConfig.sogniGen.defaultFps,
+        durationSec: duration,
+        width,
+        height,
+    });
+    return { path: clipPath, duration, width, height, trimmed: info.duration > limits.maxDrivingSec };
+}
+
+/** @param {number} bytes */
+function formatMegabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * Post a generated video within the guild's upload limit. Oversized
+ * results are re-encoded to fit, the untouched original is kept behind a
+ * signed dashboard download link, and a looping preview and poster frame
+ * go in an embed. Everything beyond the plain upload is best-effort.
+ * @param {string} videoSource — URL or local path of the result
+ * @param {ResponseAdapter} res
+ * @param {object} options
+ * @param {string} options.tmpDir
+ * @param {string[]} options.tmpFiles — scratch files are added here for the caller to clean up
+ * @param {string} [options.title]
+ */
+async function deliverVideo(videoSource, res, { tmpDir, tmpFiles, title }) {
+    const stamp = Date.now();
+    let videoPath = videoSource;
+    if (videoSource.startsWith('http')) {
+        videoPath = path.join(tmpDir, `result_${stamp}.mp4`);
+        tmpFiles.push(videoPath);
+        try {
+            const response = await fetch(videoSource);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            await pipeline(response.body, fs.createWriteStream(videoPath));
+        } catch (err) {
+            console.warn('[Handler:video] Could not download the result, posting the URL:', err.message);
+            await res.followUp({ files: [videoSource] });
+            return;
+        }
+    }
+
+    const size = fs.statSync(videoPath).size;
+    const limit = getUploadLimit(res.premiumTier);
+
+    let downloadUrl = null;
+    try {
+        pruneMediaStore();
+        downloadUrl = createDownloadLink(storeMediaFile(videoPath));
+    } catch (err) {
+        console.warn('[Handler:video] Could not store the full-quality file:', err.message);
+    }
+
+    /** Run an optional ffmpeg step, logging instead of failing the delivery */
+    const attempt = async (label, step) => {
+        try {
+            return await step();
+        } catch (err) {
+            console.warn(`[Handler:video] ${label} failed:`, err.message);
+            return null;
+        }
+    };
+
+    let uploadPath = videoPath;
+    let note = null;
+    if (size > limit) {
+        await res.editReply(`🗜️ **Compressing the video** to fit the ${formatMegabytes(limit)} upload limit...`).catch(() => { });
+        const fittedPath = path.join(tmpDir, `fitted_${stamp}.mp4`);
+        tmpFiles.push(fittedPath);
+        const info = await attempt('Probe', () => probeMedia(videoPath));
+        uploadPath = info?.duration
+            ? await attempt('Fitting', () => fitVideoToSize(videoPath, fittedPath, { maxBytes: limit, durationSec: info.duration, hasAudio: info.hasAudio }))
+            : null;
+
+        if (uploadPath) {
+            note = `🗜️ Compressed from ${formatMegabytes(size)} to fit this server's ${formatMegabytes(limit)} upload limit.`;
+        } else {
+            note = `📎 The video is ${formatMegabytes(size)}, over this server's ${formatMegabytes(limit)} upload limit.`
+                + (downloadUrl ? '' : ' No download link is configured, so it can only be fetched by the bot owner.');
+        }
+        if (uploadPath && downloadUrl) note += ' Use the button for the original.';
+    }
+
+    const previewPath = path.join(tmpDir, `preview_${stamp}.${sharedConfig.media.previewFormat === 'webp' ? 'webp' : 'gif'}`);
+    const posterPath = path.join(tmpDir, `poster_${stamp}.jpg`);
+    tmpFiles.push(previewPath, posterPath);
+    const preview = await attempt('Preview', () => createVideoPreview(videoPath, previewPath));
+    const poster = await attempt('Poster', () => extractPoster(videoPath, posterPath));
+
+    await res.followUp(createVideoMessage({ title, videoPath: uploadPath, previewPath: preview, posterPath: poster, downloadUrl, note }));
+}
+
 /**
  * @param {object} params
  * @param {string} params.prompt
  * @param {string} [params.workflow]
  * @param {string} [params.refImageUrl]
+ * @param {string} [params.drivingVideoUrl] — driving clip for animate-move / animate-replace
+ * @param {string} [params.drivingVideoContentType]
+ * @param {string} [params.drivingVideoName]
+ * @param {number} [params.drivingVideoSize] — bytes, as reported by Discord
+ * @param {string} [params.audioUrl] — audio track for s2v
+ * @param {string} [params.audioContentType]
+ * @param {string} [params.audioName]
+ * @param {number} [params.audioSize] — bytes, as reported by Discord
  * @param {number} [params.duration]
  * @param {number} [params.fps]
+ * @param {number} [params.seed]
  * @param {ResponseAdapter} res
  */
 export async function handleVideoCommand(params, res) {
     await res.reply('🎬 **Queued for video generation...**');
 
+    const tmpFiles = [];
     try {
+        // Audio implies s2v and a driving clip implies animate-move; both
+        // also need a subject image
+        const workflow = params.workflow
+            || (params.audioUrl ? 's2v' : params.drivingVideoUrl ? 'animate-move' : undefined);
+        const animate = workflow === 'animate-move' || workflow === 'animate-replace';
+        if (workflow === 's2v' && (!params.audioUrl || !params.refImageUrl)) {
+            await res.editReply('⚠️ Sound-to-video needs both an `audio` file and a `ref_image` to animate.');
+            return;
+        }
+        if (animate && (!params.drivingVideoUrl || !params.refImageUrl)) {
+            await res.editReply('⚠️ Animate needs a `ref_image` of the subject and a `driving_video` with the motion.');
+            return;
+        }
+        if (params.audioUrl && workflow !== 's2v') {
+            await res.editReply(`⚠️ Audio is only used by the s2v workflow, not ${workflow}.`);
+            return;
+        }
+        if (params.drivingVideoUrl && !animate) {
+            await res.editReply(`⚠️ A driving video is only used by the animate workflows, not ${workflow}.`);
+            return;
+        }
+
+        const tmpDir = path.join(os.tmpdir(), 'blockaerie-video');
+        if (!fs.existsSync(tmpDir)) fs.mkdirSync(tmpDir, { recursive: true });
+
+        let soundTrack = null;
+        let drivingClip = null;
+        try {
+            if (params.audioUrl) soundTrack = await prepareSoundTrack(params, tmpDir, tmpFiles);
+            if (params.drivingVideoUrl) {
+                await res.editReply('🎞️ **Preparing driving clip...**');
+                drivingClip = await prepareDrivingClip(params, tmpDir, tmpFiles);
+            }
+        } catch (err) {
+            await res.editReply(`⚠️ ${err.message}`);
+            return;
+        }
+
+        const spend = await authorizeSpend('video', params, res);
+        if (!spend) return;
+
         let refImagePath = null;
 
         // Download ref image if provided
         if (params.refImageUrl) {
-            const tmpDir = path.join(os.tmpdir(), 'blockaerie-video');
-            if (!fs.existsSync(tmpDir)) fs.mkdirSync(tmpDir, { recursive: true });
             const response = await fetch(params.refImageUrl);
             const contentType = response.headers.get('content-type');
             const ext = getExtensionFromMime(contentType);
@@ -249,60 +1241,191 @@ export async function handleVideoCommand(params, res) {
             refImagePath = path.join(tmpDir, `ref_${Date.now()}${ext}`);
             const fileStream = fs.createWriteStream(refImagePath);
             await pipeline(response.body, fileStream);
+            tmpFiles.push(refImagePath);
         }
 
-        await res.editReply('🎬 **Generating video...** This may take a few minutes.');
-
-        const result = await generateVideo({
+        // Animate follows the clip, so its length wins over the requested duration
+        const duration = drivingClip?.duration
+            || params.duration
+            || (soundTrack ? sharedConfig.sogniGen.defaultDurationSec : undefined);
+        const result = await queueGeneration('video', {
             prompt: params.prompt,
-            workflow: params.workflow,
+            workflow,
             refImage: refImagePath,
-            duration: params.duration,
+            refAudio: soundTrack?.path,
+            refVideo: drivingClip?.path,
+            width: drivingClip?.width,
+            height: drivingClip?.height,
+            duration,
             fps: params.fps,
-        });
+            seed: resolveSeed(params.seed, res.userId),
+        }, res, { runningText: '🎬 **Generating video...** This may take a few minutes.', request: params, spend });
 
-        await res.editReply(`✅ **Video generated:** \`${params.prompt}\``);
+        const audioText = soundTrack && Math.abs(soundTrack.sourceDuration - duration) >= 0.1
+            ? ` · 🔊 Audio ${soundTrack.sourceDuration > duration ? 'trimmed' : 'padded'} to ${duration}s`
+            : '';
+        const clipText = drivingClip
+            ? ` · 🕺 Motion from a ${drivingClip.duration}s clip${drivingClip.trimmed ? ` (cut to the ${sharedConfig.media.maxDrivingSec}s limit)` : ''}`
+            : '';
+        await res.editReply(`✅ **Video generated:** \`${params.prompt}\`${result.seed != null ? ` · 🌱 Seed: \`${result.seed}\`` : ''}${audioText}${clipText}`);
 
         const videoSource = result.url || result.output;
         if (videoSource) {
-            // Check file size for Discord limits (25MB for non-Nitro)
-            try {
-                if (videoSource.startsWith('http')) {
-                    await res.followUp({ files: [videoSource] });
-                } else {
-                    const stats = fs.statSync(videoSource);
-                    if (stats.size > 25 * 1024 * 1024) {
-                        await res.followUp({ content: `📎 Video too large for Discord. Download: ${videoSource}` });
-                    } else {
-                        await res.followUp({ files: [videoSource] });
-                    }
-                }
-            } catch (_) {
-                await res.followUp({ files: [videoSource] });
-            }
+            recordHistory(res, {
+                kind: 'video',
+                workflow: workflow || (params.refImageUrl ? 'i2v' : 't2v'),
+                prompt: params.prompt,
+                model: result.model,
+                seed: result.seed,
+                width: result.width,
+                height: result.height,
+                urls: [videoSource],
+                request: params,
+            });
+            await deliverVideo(videoSource, res, { tmpDir, tmpFiles });
         }
-
-        // Cleanup
-        if (refImagePath) fs.unlink(refImagePath, () => { });
     } catch (err) {
         console.error('[Handler:video] Error:', err.message);
-        await res.editReply(`❌ Video generation failed: ${err.message}`);
+        await res.editReply(describeJobError(err, '❌ Video generation failed'));
+    } finally {
+        // Cleanup temp files
+        for (const file of tmpFiles) fs.unlink(file, () => { });
     }
 }
 
 // ── /angles360 handler ───────────────────────────────────────────
 
+/**
+ * Post the contact sheet, looping GIF and/or spin viewer for a finished
+ * 360° run. Each output is independent, so one failing (e.g. no ffmpeg)
+ * doesn't stop the others; a frame that can't be downloaded is left out.
+ * @param {import('../../packages/utils/turntable.js').TurntableFrame[]} allFrames — in turntable order
+ * @param {'sheet'|'gif'|'viewer'|'all'} output
+ * @param {ResponseAdapter} res
+ * @param {object} options
+ * @param {string} options.prompt
+ * @param {number} [options.rings] — elevation rings in a sweep; each becomes a sheet row group and a viewer level
+ * @param {string} options.tmpDir
+ * @param {string[]} options.tmpFiles
+ */
+async function sendTurntableOutputs(allFrames, output, res, { prompt, rings = 1, tmpDir, tmpFiles }) {
+    const wants = (kind) => output === kind || output === 'all';
+    const stamp = Date.now();
+
+    const attempt = async (task, step) => {
+        try {
+            await step();
+        } catch (err) {
+            console.warn(`[Handler:angles360] Couldn't ${task}:`, err.message);
+            await res.followUp(`⚠️ Couldn't ${task}: ${err.message}`);
+        }
+    };
+
+    // The renders need local copies of every frame
+    const frames = [];
+    const framePaths = [];
+    for (const [i, frame] of allFrames.entries()) {
+        await attempt(`download the ${frame.label}`, async () => {
+            let framePath = frame.source;
+            if (frame.source.startsWith('http')) {
+                framePath = path.join(tmpDir, `frame_${stamp}_${i}${path.extname(new URL(frame.source).pathname) || '.png'}`);
+                tmpFiles.push(framePath);
+                const response = await fetch(frame.source);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                await pipeline(response.body, fs.createWriteStream(framePath));
+            }
+            frames.push(frame);
+            framePaths.push(framePath);
+        });
+    }
+    if (!frames.length) return;
+
+    if (wants('sheet')) {
+        await attempt('build the contact sheet', async () => {
+            const sheetPath = path.join(tmpDir, `sheet_${stamp}.jpg`);
+            tmpFiles.push(sheetPath);
+            // 4 across for up to 16 angles, 6 across for 24
+            const perRing = Math.ceil(frames.length / rings);
+            await buildContactSheet(framePaths, sheetPath, { columns: perRing > 16 ? 6 : 4 });
+            await res.followUp({
+                content: `🗂️ **Contact sheet:** ${frames.map(frame => frame.key).join(' → ')}`,
+                files: [{ attachment: sheetPath, name: 'contact-sheet.jpg' }],
+            });
+        });
+    }
+
+    if (wants('gif')) {
+        await attempt('build the GIF', async () => {
+            const gifPath = path.join(tmpDir, `turntable_${stamp}.gif`);
+            tmpFiles.push(gifPath);
+            await buildTurntableGif(framePaths, gifPath);
+            if (fs.statSync(gifPath).size > getUploadLimit(res.premiumTier)) {
+                throw new Error('the GIF is over this server\'s upload limit');
+            }
+            await res.followUp({ content: '🔁 **Turntable GIF:**', files: [{ attachment: gifPath, name: 'turntable.gif' }] });
+        });
+    }
+
+    if (wants('viewer')) {
+        await attempt('build the spin viewer', async () => {
+            const viewerPath = path.join(tmpDir, `spin_${stamp}.html`);
+            tmpFiles.push(viewerPath);
+            fs.writeFileSync(viewerPath, renderSpinViewer(
+                frames.map((frame, i) => ({ key: frame.key, label: frame.label, buffer: fs.readFileSync(framePaths[i]) })),
+                { title: prompt, rings },
+            ));
+
+            // Served by the dashboard when it's reachable, attached otherwise
+            const link = createViewerLink(storeMediaFile(viewerPath));
+            if (link) {
+                const row = new ActionRowBuilder().addComponents(
+                    new ButtonBuilder().setURL(link).setLabel('🔄 Open spin viewer').setStyle(ButtonStyle.Link)
+                );
+                await res.followUp({ content: '🖱️ **Drag to rotate:**', components: [row] });
+            } else {
+                await res.followUp({
+                    content: '🖱️ **Drag to rotate** — open the page in a browser:',
+                    files: [{ attachment: viewerPath, name: 'spin-viewer.html' }],
+                });
+            }
+        });
+    }
+}
+
 /**
  * @param {object} params
  * @param {string} params.prompt
  * @param {string} params.imageUrl
  * @param {boolean} [params.makeVideo]
+ * @param {'images'|'sheet'|'gif'|'viewer'|'all'} [params.output] — how the angles are posted (default 'images')
+ * @param {number} [params.angleCount] — 4, 8, 16 or 24 (default 8)
+ * @param {string} [params.elevation] — elevation key, or 'sweep' for low / eye-level / high rings
+ * @param {string} [params.distance] — 'close-up' | 'medium' | 'wide'
+ * @param {boolean} [params.orbit] — rise and dip the camera along the turn
  * @param {ResponseAdapter} res
  */
 export async function handleAngles360Command(params, res) {
     await res.reply('🔄 **Starting 360° multi-angle generation...**');
 
+    const tmpFiles = [];
     try {
+        let plan;
+        try {
+            plan = planAngleShots({
+                count: params.angleCount || 8,
+                elevation: params.elevation,
+                distance: params.distance,
+                orbit: params.orbit,
+            });
+        } catch (err) {
+            await res.editReply(`⚠️ ${err.message}`);
+            return;
+        }
+        const rings = params.elevation === 'sweep' ? ELEVATION_SWEEP.length : 1;
+
+        const spend = await authorizeSpend('angles360', { ...params, angles: plan.length }, res);
+        if (!spend) return;
+
         // Download subject image
         const tmpDir = path.join(os.tmpdir(), 'blockaerie-360');
         if (!fs.existsSync(tmpDir)) fs.mkdirSync(tmpDir, { recursive: true });
@@ -313,45 +1436,139 @@ export async function handleAngles360Command(params, res) {
         const subjectPath = path.join(tmpDir, `subject_${Date.now()}${ext}`);
         const videoPath = params.makeVideo ? path.join(tmpDir, `360_${Date.now()}.mp4`) : undefined;
 
+        tmpFiles.push(subjectPath);
+        if (videoPath) tmpFiles.push(videoPath);
+
         const fileStream = fs.createWriteStream(subjectPath);
         await pipeline(response.body, fileStream);
 
-        await res.editReply('🔄 **Generating 8 angles...**');
-
-        const result = await generate360({
+        const result = await queueGeneration('angles360', {
             prompt: params.prompt,
             contextPath: subjectPath,
             makeVideo: params.makeVideo || false,
             outputVideoPath: videoPath,
-        });
+            plan,
+        }, res, { runningText: `🔄 **Generating ${plan.length} angles...**`, request: params, spend });
 
         if (result.partial) {
             await res.editReply(`⚠️ **360° Partial Success:** Images generated, but video assembly failed (${result.error}).`);
         } else {
             await res.editReply('✅ **360° generation complete!**');
         }
+        recordHistory(res, {
+            kind: 'angles360',
+            prompt: params.prompt,
+            model: result.model,
+            seed: result.seed,
+            urls: result.images || [],
+            request: params,
+        });
 
         // Send angle images
-        if (result.images && result.images.length > 0) {
-            const files = result.images.slice(0, 10); // Discord max 10 attachments
-            await res.followUp({ content: '📸 **Angle images:**', files });
+        const output = params.output || 'images';
+        if ((output === 'images' || output === 'all') && result.images && result.images.length > 0) {
+            // Discord max 10 attachments per message
+            for (let i = 0; i < result.images.length; i += 10) {
+                const files = result.images.slice(i, i + 10);
+                await res.followUp({ content: i === 0 ? '📸 **Angle images:**' : undefined, files });
+            }
+        }
+
+        if (output !== 'images' && result.angles?.length) {
+            await sendTurntableOutputs(result.angles, output, res, { prompt: params.prompt, rings, tmpDir, tmpFiles });
         }
 
         // Send video if generated
         if (result.videoPath || videoPath) {
             const vPath = result.videoPath || videoPath;
             if (fs.existsSync(vPath)) {
-                await res.followUp({ content: '🎥 **360° Loop:**', files: [vPath] });
+                await deliverVideo(vPath, res, { tmpDir, tmpFiles, title: '🎥 360° Loop' });
             }
         }
-
-        // Cleanup
-        fs.unlink(subjectPath, () => { });
-        if (videoPath && fs.existsSync(videoPath)) fs.unlink(videoPath, () => { });
     } catch (err) {
         console.error('[Handler:angles360] Error:', err.message);
-        await res.editReply(`❌ 360° generation failed: ${err.message}`);
+        await res.editReply(describeJobError(err, '❌ 360° generation failed'));
+    } finally {
+        for (const file of tmpFiles) fs.unlink(file, () => { });
+    }
+}
+
+// ── Image action buttons ─────────────────────────────────────────
+
+/** Edit instructions behind the Upscale / Vary buttons. */
+const IMAGE_ACTION_INSTRUCTIONS = {
+    upscale: 'Upscale this image to a higher resolution. Keep the composition, subject, colours and style exactly the same; only add fine detail and sharpen textures.',
+    varysubtle: 'Create a subtle variation of this image. Keep the subject, composition and palette, with small changes to details, pose and lighting.',
+    varystrong: 'Create a bold variation of this image. Keep the same subject and overall concept but reinterpret the composition, pose, lighting and background.',
+};
+
+const IMAGE_ACTION_LABELS = {
+    upscale: '🔍 **Upscaling...**',
+    varysubtle: '🌱 **Creating a subtle variation...**',
+    varystrong: '🌪️ **Creating a strong variation...**',
+};
+
+/**
+ * Handle the Upscale / Vary / Reroll / Use as Reference buttons on a
+ * generated image. The image is looked up from imageStateManager so the
+ * buttons survive restarts.
+ * @param {object} params
+ * @param {'upscale'|'varysubtle'|'varystrong'|'reroll'|'ref'} params.action
+ * @param {string} params.stateId
+ * @param {string} [params.prompt] — new prompt for 'ref'
+ * @param {ResponseAdapter} res
+ */
+export async function handleImageActionCommand(params, res) {
+    const state = imageStateManager.getImageStateById(params.stateId);
+    if (!state) {
+        await res.reply('⌛ This image has expired — generate a new one with `/imagine`.');
+        return;
+    }
+
+    if (params.action === 'reroll') {
+        // Dynamic prompts re-expand from the new seed; plain ones keep their blueprint
+        await handleImagineCommand({
+            prompt: state.template || state.prompt,
+            model: state.modelId,
+            width: state.width,
+            height: state.height,
+            seed: Math.floor(Math.random() * (MAX_SEED + 1)),
+            skipEnhance: !state.template || state.enhanced === false,
+            // A preset deleted since then just drops out; the blueprint keeps its wording
+            style: state.style && getStyle(res.guildId, state.style) ? state.style : undefined,
+        }, res);
+        return;
+    }
+
+    if (params.action === 'ref') {
+        await handleEditCommand({
+            prompt: params.prompt,
+            imageUrl: state.url,
+            parentId: state.id,
+            runningText: '🖼️ **Generating from reference...**',
+        }, res);
+        return;
     }
+
+    const instruction = IMAGE_ACTION_INSTRUCTIONS[params.action];
+    if (!instruction) {
+        await res.reply('❌ Unknown image action.');
+        return;
+    }
+
+    const width = state.width || sharedConfig.sogniGen.defaultWidth;
+    const height = state.height || sharedConfig.sogniGen.defaultHeight;
+    const scale = params.action === 'upscale' ? Math.min(2, 2048 / Math.max(width, height)) : 1;
+
+    await handleEditCommand({
+        prompt: instruction,
+        imageUrl: state.url,
+        width: Math.round(width * scale),
+        height: Math.round(height * scale),
+        parentId: state.id,
+        sourcePrompt: state.prompt,
+        runningText: IMAGE_ACTION_LABELS[params.action],
+    }, res);
 }
 
 // ── /remind handler ──────────────────────────────────────────────
@@ -471,6 +1688,9 @@ export async function handleBotStatusCommand(_params, res, extra = {}) {
         }
 
         const guilds = extra.client ? extra.client.guilds.cache.size : '?';
+        const providers = getProviderHealth()
+            .map(p => `${p.healthy ? '🟢' : '🔴'} ${p.name}${p.consecutiveFailures ? ` (${p.consecutiveFailures} failing)` : ''}`)
+            .join(' · ');
 
         await res.reply(
             `📊 **Bot Status**\n` +
@@ -479,7 +1699,8 @@ export async function handleBotStatusCommand(_params, res, extra = {}) {
             `🖥️ **Memory:** ${memMB} MB\n` +
             `🌐 **Servers:** ${guilds}\n` +
             `🤖 **AI Model:** \`${sharedConfig.gemini.model}\`\n` +
-            `🎨 **Image Model:** \`${sharedConfig.sogniGen.defaultImageModel}\`` +
+            `🎨 **Image Model:** \`${sharedConfig.sogniGen.defaultImageModel}\`\n` +
+            `🔌 **Backends:** ${providers}` +
             balanceInfo
         );
     } catch (err) {
@@ -490,13 +1711,15 @@ export async function handleBotStatusCommand(_params, res, extra = {}) {
 // ── /generate-pfp handler ───────────────────────────────────────
 
 /**
- * @param {object} _params
+ * @param {object} params
+ * @param {string} [params.style] — style preset to preselect
  * @param {ResponseAdapter} res
  */
-export async function handleGeneratePfpCommand(_params, res) {
+export async function handleGeneratePfpCommand(params, res) {
     // Create a mock message object for compatibility
     const mockMessage = {
         author: { id: res.userId },
+        guild: res.guildId ? { id: res.guildId } : null,
         channel: {
             id: res.channelId,
             send: (opts) => res.sendInChannel(opts)
@@ -505,7 +1728,7 @@ export async function handleGeneratePfpCommand(_params, res) {
         member: { permissions: { has: () => true } } // Permissions checked at interaction level
     };
 
-    await handleGeneratePfp(mockMessage);
+    await handleGeneratePfp(mockMessage, { style: params.style });
 }
 
 // ── /kill-instances handler ──────────────────────────────────────
@@ -55,6 +55,8 @@ function buildMessageAdapter(message) {
         userId: message.author.id,
         channelId: message.channel.id,
         guildId: message.guild?.id || '',
+        roleIds: message.member ? [...message.member.roles.cache.keys()] : [],
+        premiumTier: message.guild?.premiumTier ?? 0,
 
         reply: async (msg) => {
             statusMsg = await message.reply(typeof msg === 'string' ? { content: msg } : msg);
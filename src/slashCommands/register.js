@@ -4,13 +4,23 @@
  * Registers all slash commands with Discord API.
  * Pulls choices from the centralized model library.
  */
-import { REST, Routes, SlashCommandBuilder } from 'discord.js';
+import { REST, Routes, SlashCommandBuilder, InteractionContextType } from 'discord.js';
 import dotenv from 'dotenv';
-import { SOGNI_MODELS } from '../../packages/config/models.js';
+import { SOGNI_MODELS, ASPECT_PRESETS, MAX_IMAGE_COUNT, MAX_SEED, SAMPLERS } from '../../packages/config/models.js';
+import { ANGLE_COUNTS, MULTI_ANGLE_ELEVATIONS, MULTI_ANGLE_DISTANCES } from '../../packages/utils/multi-angle.js';
 import { safetyCommandDefinition } from '../commands/safetyCommands.js';
 import { serverCommandDefinition } from '../commands/serverCommands.js';
 import { rankCommandDefinition, leaderboardCommandDefinition } from '../commands/levelCommands.js';
 import { loggingCommandDefinition } from '../commands/loggingCommands.js';
+import { jobsCommandDefinition } from '../commands/jobsCommands.js';
+import { galleryCommandDefinition } from '../commands/galleryCommands.js';
+import { budgetCommandDefinition } from '../commands/budgetCommands.js';
+import { showcaseCommandDefinition } from '../commands/showcaseCommands.js';
+import { collectionCommandDefinition } from '../commands/collectionCommands.js';
+import { seedCommandDefinition, lineageCommandDefinition } from '../commands/seedCommands.js';
+import { modelsCommandDefinition } from '../commands/modelsCommands.js';
+import { styleCommandDefinition } from '../commands/styleCommands.js';
+import { promptCommandDefinition } from '../commands/promptCommands.js';
 
 dotenv.config();
 
@@ -42,14 +52,55 @@ const commands = [
                 .setRequired(false)
                 .addChoices(...toChoices(SOGNI_MODELS.IMAGE))
         )
+        .addStringOption(opt =>
+            opt.setName('aspect').setDescription('Aspect ratio preset (overrides the missing side)')
+                .setRequired(false)
+                .addChoices(...Object.keys(ASPECT_PRESETS).map(key => ({ name: key, value: key })))
+        )
         .addIntegerOption(opt =>
             opt.setName('width').setDescription('Width (default: 768)').setRequired(false)
+                .setMinValue(256).setMaxValue(2048)
         )
         .addIntegerOption(opt =>
             opt.setName('height').setDescription('Height (default: 768)').setRequired(false)
+                .setMinValue(256).setMaxValue(2048)
+        )
+        .addIntegerOption(opt =>
+            opt.setName('count').setDescription(`Number of images (default: 1, max: ${MAX_IMAGE_COUNT})`).setRequired(false)
+                .setMinValue(1).setMaxValue(MAX_IMAGE_COUNT)
+        )
+        .addIntegerOption(opt =>
+            opt.setName('seed').setDescription('Seed for reproducible results (overrides your seed lock)').setRequired(false)
+                .setMinValue(0).setMaxValue(MAX_SEED)
+        )
+        .addStringOption(opt =>
+            opt.setName('negative').setDescription('Negative prompt — what to keep out of the image').setRequired(false)
+                .setMaxLength(1000)
         )
         .addIntegerOption(opt =>
-            opt.setName('count').setDescription('Number of images (default: 1)').setRequired(false)
+            opt.setName('steps').setDescription('Sampling steps (clamped to the model range, see /models info)').setRequired(false)
+                .setMinValue(1).setMaxValue(100)
+        )
+        .addNumberOption(opt =>
+            opt.setName('guidance').setDescription('Guidance / CFG scale (clamped to the model range)').setRequired(false)
+                .setMinValue(0).setMaxValue(20)
+        )
+        .addStringOption(opt =>
+            opt.setName('sampler').setDescription('Sampler (falls back to the model default if unsupported)').setRequired(false)
+                .addChoices(...SAMPLERS.map(s => ({ name: s, value: s })))
+        )
+        .addBooleanOption(opt =>
+            opt.setName('combinatorial').setDescription('Render every combination of {a|b} choices and __wildcards__ as a batch').setRequired(false)
+        )
+        .addStringOption(opt =>
+            opt.setName('style').setDescription('Style preset (see /style list)').setRequired(false).setAutocomplete(true)
+        )
+        .addStringOption(opt =>
+            opt.setName('enhance').setDescription('How to enhance the prompt: off, light, full or a server template (default: yours)')
+                .setRequired(false).setAutocomplete(true)
+        )
+        .addBooleanOption(opt =>
+            opt.setName('preview').setDescription('Check the prompt and compare it with the enhanced one before any Spark is spent').setRequired(false)
         ),
 
     // /edit
@@ -66,6 +117,17 @@ const commands = [
             opt.setName('model').setDescription('Select an edit model')
                 .setRequired(false)
                 .addChoices(...toChoices(SOGNI_MODELS.EDIT))
+        )
+        .addIntegerOption(opt =>
+            opt.setName('seed').setDescription('Seed for reproducible results (overrides your seed lock)').setRequired(false)
+                .setMinValue(0).setMaxValue(MAX_SEED)
+        )
+        .addAttachmentOption(opt =>
+            opt.setName('mask').setDescription('Inpainting mask, same size as the image (white = repaint)').setRequired(false)
+        )
+        .addStringOption(opt =>
+            opt.setName('region').setDescription('Area to repaint: left half, top right, center, background… or x,y,w,h (px or %)')
+                .setRequired(false).setMaxLength(64)
         ),
 
     // /video
@@ -76,7 +138,7 @@ const commands = [
             opt.setName('prompt').setDescription('Video description').setRequired(true)
         )
         .addAttachmentOption(opt =>
-            opt.setName('ref_image').setDescription('Reference image for i2v').setRequired(false)
+            opt.setName('ref_image').setDescription('Reference or subject image (i2v, s2v, animate)').setRequired(false)
         )
         .addStringOption(opt =>
             opt.setName('model').setDescription('Select a video model')
@@ -99,6 +161,16 @@ const commands = [
         )
         .addIntegerOption(opt =>
             opt.setName('fps').setDescription('FPS (default: 16)').setRequired(false)
+        )
+        .addIntegerOption(opt =>
+            opt.setName('seed').setDescription('Seed for reproducible results (overrides your seed lock)').setRequired(false)
+                .setMinValue(0).setMaxValue(MAX_SEED)
+        )
+        .addAttachmentOption(opt =>
+            opt.setName('audio').setDescription('Audio for s2v (MP3/WAV/M4A/OGG/FLAC) — trimmed or padded to the duration').setRequired(false)
+        )
+        .addAttachmentOption(opt =>
+            opt.setName('driving_video').setDescription('Motion clip for animate-move / animate-replace (cut to 10s)').setRequired(false)
         ),
 
     // /angles360
@@ -113,17 +185,57 @@ const commands = [
         )
         .addBooleanOption(opt =>
             opt.setName('make_video').setDescription('Assemble a looping MP4?').setRequired(false)
+        )
+        .addStringOption(opt =>
+            opt.setName('output').setDescription('How to post the angles (default: individual images)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Individual images', value: 'images' },
+                    { name: 'Contact sheet (4×2)', value: 'sheet' },
+                    { name: 'Looping GIF', value: 'gif' },
+                    { name: 'Drag-to-rotate viewer', value: 'viewer' },
+                    { name: 'Everything', value: 'all' },
+                )
+        )
+        .addIntegerOption(opt =>
+            opt.setName('angles').setDescription('How many angles around the subject (default 8)')
+                .setRequired(false)
+                .addChoices(...ANGLE_COUNTS.map(n => ({ name: `${n} angles`, value: n })))
+        )
+        .addStringOption(opt =>
+            opt.setName('elevation').setDescription('Camera height, or sweep for low / eye-level / high rings')
+                .setRequired(false)
+                .addChoices(
+                    ...MULTI_ANGLE_ELEVATIONS.map(e => ({ name: e.prompt, value: e.key })),
+                    { name: 'Sweep (low, eye-level, high)', value: 'sweep' },
+                )
+        )
+        .addStringOption(opt =>
+            opt.setName('distance').setDescription('Camera distance')
+                .setRequired(false)
+                .addChoices(...MULTI_ANGLE_DISTANCES.map(d => ({ name: d.prompt, value: d.key })))
+        )
+        .addBooleanOption(opt =>
+            opt.setName('orbit').setDescription('Rise and dip the camera as it circles the subject').setRequired(false)
         ),
 
     // /generate-pfp
     new SlashCommandBuilder()
         .setName('generate-pfp')
-        .setDescription('Start the profile picture generation wizard'),
+        .setDescription('Start the profile picture generation wizard')
+        .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+        .addStringOption(opt =>
+            opt.setName('style').setDescription('Style preset (skips the style question)').setRequired(false).setAutocomplete(true)
+        ),
 
     // /pfp
     new SlashCommandBuilder()
         .setName('pfp')
-        .setDescription('Alias for /generate-pfp'),
+        .setDescription('Alias for /generate-pfp')
+        .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+        .addStringOption(opt =>
+            opt.setName('style').setDescription('Style preset (skips the style question)').setRequired(false).setAutocomplete(true)
+        ),
 
     // /kill-instances
     new SlashCommandBuilder()
@@ -418,6 +530,36 @@ const commands = [
 
     // /logging
     loggingCommandDefinition,
+
+    // /jobs
+    jobsCommandDefinition,
+
+    // /gallery
+    galleryCommandDefinition,
+
+    // /showcase
+    showcaseCommandDefinition,
+
+    // /collection
+    collectionCommandDefinition,
+
+    // /budget
+    budgetCommandDefinition,
+
+    // /seed
+    seedCommandDefinition,
+
+    // /lineage
+    lineageCommandDefinition,
+
+    // /models
+    modelsCommandDefinition,
+
+    // /style
+    styleCommandDefinition,
+
+    // /prompt
+    promptCommandDefinition,
 ];
 
 export const registerCommands = async (token, clientId, guildId = null) => {
@@ -9,6 +9,8 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { EventEmitter } from 'events';
 import dotenv from 'dotenv';
+import { resolveDownloadToken, MEDIA_TOKEN_AUDIENCE } from '../../packages/utils/media-store.js';
+import { listHistory } from '../../packages/history/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -154,6 +156,25 @@ class DashboardServer extends EventEmitter {
             res.json({ success: true });
         });
 
+        // Signed download links for full-quality generations; the token is
+        // the credential, so this sits outside the /api auth
+        this.app.get('/media/:token', (req, res) => {
+            const filePath = resolveDownloadToken(req.params.token);
+            if (!filePath) {
+                return res.status(404).send('This download link is invalid or has expired.');
+            }
+            res.download(filePath);
+        });
+
+        // 360° spin viewers from /angles360, shown inline
+        this.app.get('/spin/:token', (req, res) => {
+            const filePath = resolveDownloadToken(req.params.token);
+            if (!filePath || !filePath.endsWith('.html')) {
+                return res.status(404).send('This viewer link is invalid or has expired.');
+            }
+            res.type('html').sendFile(filePath);
+        });
+
         this.app.get('/api/health', (req, res) => {
             res.json({
                 status: 'healthy',
@@ -211,6 +232,22 @@ class DashboardServer extends EventEmitter {
             res.json(this.getRoleData(req.params.guildId));
         });
 
+        // Generation history, the dashboard side of /gallery
+        this.app.get('/api/gallery', (req, res) => {
+            const { userId, guildId, search, page, pageSize } = req.query;
+            try {
+                res.json(listHistory({
+                    userId: userId || undefined,
+                    guildId: guildId || undefined,
+                    query: search || undefined,
+                    page: parseInt(page) || 1,
+                    pageSize: Math.min(parseInt(pageSize) || 24, 100),
+                }));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch generation history' });
+            }
+        });
+
         this.app.get('/api/logs', (req, res) => {
             const { level, search, limit } = req.query;
             let filtered = [...this.logs];
@@ -501,17 +538,16 @@ class DashboardServer extends EventEmitter {
     }
 
     validateToken(token) {
-        try {
-            jwt.verify(token, process.env.JWT_SECRET || 'dashboard-secret-key');
-            return true;
-        } catch {
-            return false;
-        }
+        return this.getUserFromToken(token) !== null;
     }
 
     getUserFromToken(token) {
         try {
-            return jwt.verify(token, process.env.JWT_SECRET || 'dashboard-secret-key');
+            const payload = jwt.verify(token, process.env.JWT_SECRET || 'dashboard-secret-key');
+            // Media download tokens are never logins, whatever key signed them
+            const audience = [].concat(payload.aud || []);
+            if (payload.typ === MEDIA_TOKEN_AUDIENCE || audience.includes(MEDIA_TOKEN_AUDIENCE)) return null;
+            return payload;
         } catch {
             return null;
         }
@@ -870,6 +906,10 @@ class DashboardServer extends EventEmitter {
         .alert-error { background: rgba(247, 118, 142, 0.15); border: 1px solid var(--error); }
         .alert-success { background: rgba(158, 206, 106, 0.15); border: 1px solid var(--success); }
         
+        .gallery-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+        .gallery-card { background: var(--bg-tertiary); border-radius: 8px; padding: 12px; overflow-wrap: anywhere; }
+        .gallery-thumb { width: 100%; aspect-ratio: 1; object-fit: cover; border-radius: 6px; background: var(--bg-primary); display: block; }
+
         .tabs { display: flex; gap: 4px; margin-bottom: 16px; border-bottom: 1px solid var(--border); }
         .tab { padding: 12px 20px; cursor: pointer; border-bottom: 2px solid transparent; margin-bottom: -1px; }
         .tab.active { border-bottom-color: var(--accent); color: var(--accent); }
@@ -913,6 +953,7 @@ class DashboardServer extends EventEmitter {
                 <div class="nav-item" data-section="reputation">⭐ Reputation</div>
                 <div class="nav-item" data-section="channels">📁 Channels</div>
                 <div class="nav-item" data-section="roles">🏷️ Roles</div>
+                <div class="nav-item" data-section="gallery">🖼️ Gallery</div>
                 <div class="nav-item" data-section="logs">📋 Logs</div>
                 <div class="nav-item" data-section="settings">⚙️ Settings</div>
             </nav>
@@ -1079,6 +1120,25 @@ class DashboardServer extends EventEmitter {
                         </div>
                     </div>
                 \`,
+                gallery: \`
+                    <div class="widget">
+                        <div class="widget-header">
+                            <span class="widget-title">Generation Gallery</span>
+                            <div style="display: flex; gap: 8px;">
+                                <input type="text" class="input" style="width: 160px;" id="galleryUser" placeholder="User ID" onchange="loadGallery(1)">
+                                <input type="text" class="input" style="width: 200px;" id="gallerySearch" placeholder="Search prompts..." onchange="loadGallery(1)">
+                            </div>
+                        </div>
+                        <div class="widget-content">
+                            <div id="galleryGrid" class="gallery-grid"></div>
+                            <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 16px;">
+                                <button class="btn btn-primary" id="galleryPrev" onclick="loadGallery(galleryPage - 1)">◀ Prev</button>
+                                <span id="galleryPageInfo"></span>
+                                <button class="btn btn-primary" id="galleryNext" onclick="loadGallery(galleryPage + 1)">Next ▶</button>
+                            </div>
+                        </div>
+                    </div>
+                \`,
                 logs: \`
                     <div class="widget">
                         <div class="widget-header">
@@ -1132,6 +1192,8 @@ class DashboardServer extends EventEmitter {
                     <tr><td>\${a.user}</td><td><span class="badge badge-\${a.action === 'ban' ? 'error' : 'warning'}">\${a.action}</span></td>
                     <td>\${a.moderator}</td><td>\${a.reason || '-'}</td><td>\${new Date(a.timestamp).toLocaleString()}</td></tr>
                 \`).join('') || '<tr><td colspan="5">No moderation actions</td></tr>';
+            } else if (section === 'gallery') {
+                loadGallery(1);
             } else if (section === 'logs') {
                 const logs = await fetch('/api/logs').then(r => r.json());
                 document.getElementById('logList').innerHTML = logs.map(l => \`
@@ -1144,6 +1206,43 @@ class DashboardServer extends EventEmitter {
             }
         }
         
+        let galleryPage = 1;
+
+        function escapeHtml(text) {
+            return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        }
+
+        async function loadGallery(page) {
+            const params = new URLSearchParams({
+                page,
+                userId: document.getElementById('galleryUser').value.trim(),
+                search: document.getElementById('gallerySearch').value.trim()
+            });
+            const data = await fetch('/api/gallery?' + params).then(r => r.json());
+            galleryPage = data.page || 1;
+
+            document.getElementById('galleryGrid').innerHTML = (data.entries || []).map(e => {
+                const url = (e.urls || []).find(u => /^https?:\\/\\//.test(u));
+                const media = !url ? '<div class="gallery-thumb"></div>'
+                    : e.kind === 'video' ? \`<video class="gallery-thumb" src="\${escapeHtml(url)}" muted loop></video>\`
+                    : \`<a href="\${escapeHtml(url)}" target="_blank"><img class="gallery-thumb" src="\${escapeHtml(url)}" loading="lazy"></a>\`;
+                return \`
+                    <div class="gallery-card">
+                        \${media}
+                        <div style="font-size: 13px; margin: 8px 0;">\${escapeHtml(e.prompt)}</div>
+                        <div style="font-size: 12px; color: var(--text-secondary);">
+                            #\${e.id} · \${escapeHtml(e.workflow)} · \${escapeHtml(e.model || 'default')}\${e.seed != null ? ' · seed ' + e.seed : ''}<br>
+                            \${e.width && e.height ? e.width + '×' + e.height + ' · ' : ''}user \${escapeHtml(e.userId)} · \${new Date(e.createdAt.replace(' ', 'T') + 'Z').toLocaleString()}
+                        </div>
+                    </div>
+                \`;
+            }).join('') || '<div>No generations yet</div>';
+
+            document.getElementById('galleryPageInfo').textContent = \`Page \${galleryPage} of \${data.pages || 1} · \${data.total || 0} generations\`;
+            document.getElementById('galleryPrev').disabled = galleryPage <= 1;
+            document.getElementById('galleryNext').disabled = galleryPage >= (data.pages || 1);
+        }
+
         async function loadAlerts() {
             const alerts = await fetch('/api/metrics').then(r => r.json()).then(m => m.alerts || {});
             document.getElementById('alertsList').innerHTML = alerts.critical > 0 ? 
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 
 const MEMORY_DIR = path.join(process.cwd(), 'memory');
 const IMAGE_STATE_FILE = path.join(MEMORY_DIR, 'image-states.json');
@@ -7,23 +8,28 @@ const IMAGE_STATE_FILE = path.join(MEMORY_DIR, 'image-states.json');
 /**
  * Manages the state (seed, prompt) of bot-generated images.
  */
-class ImageStateManager {
-    constructor() {
+export class ImageStateManager {
+    /**
+     * @param {string} [file] — where states are persisted
+     */
+    constructor(file = IMAGE_STATE_FILE) {
+        this.file = file;
         this.states = new Map();
         this.ensureMemoryDir();
         this.loadStates();
     }
 
     ensureMemoryDir() {
-        if (!fs.existsSync(MEMORY_DIR)) {
-            fs.mkdirSync(MEMORY_DIR, { recursive: true });
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
         }
     }
 
     loadStates() {
         try {
-            if (fs.existsSync(IMAGE_STATE_FILE)) {
-                const data = JSON.parse(fs.readFileSync(IMAGE_STATE_FILE, 'utf8'));
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
                 // Limit to last 500 images to prevent bloat
                 const entries = Object.entries(data).slice(-500);
                 this.states = new Map(entries);
@@ -37,23 +43,36 @@ class ImageStateManager {
     saveStates() {
         try {
             const data = Object.fromEntries(this.states);
-            fs.writeFileSync(IMAGE_STATE_FILE, JSON.stringify(data, null, 2));
+            fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
         } catch (error) {
             console.error('[ImageState] Failed to save states:', error.message);
         }
     }
 
+    /**
+     * Short, stable id for an image URL — small enough for button custom ids
+     */
+    getStateId(url) {
+        const cleanUrl = url.split('?')[0];
+        return crypto.createHash('sha1').update(cleanUrl).digest('hex').substring(0, 12);
+    }
+
     /**
      * Save state for a generated image URL
+     * @returns {string|null} the state id (see getImageStateById)
      */
     saveImageState(url, state) {
-        if (!url) return;
+        if (!url) return null;
 
         // Clean proxy URL if applicable (Discord adds proxy/params)
         const cleanUrl = url.split('?')[0];
+        const id = this.getStateId(cleanUrl);
 
+        // Keyed without the query, but keep the full URL: presigned links need their signature
         this.states.set(cleanUrl, {
             ...state,
+            url,
+            id,
             timestamp: Date.now()
         });
 
@@ -64,6 +83,80 @@ class ImageStateManager {
         }
 
         this.saveStates();
+        return id;
+    }
+
+    /**
+     * Get state (plus its URL) by the id returned from saveImageState.
+     * Reads from the persisted store, so ids survive restarts. The URL is
+     * the one the image was saved with, query string and all.
+     */
+    getImageStateById(id) {
+        if (!id) return null;
+        for (const [url, state] of this.states) {
+            if (state.id === id || (!state.id && this.getStateId(url) === id)) {
+                return { url, ...state };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Remember which Discord message an image was posted in, so /lineage
+     * can start from a message link.
+     * @param {string[]} ids — state ids shown in the message
+     * @param {{messageId: string, channelId: string, guildId?: string}} message
+     */
+    attachMessage(ids, message) {
+        if (!message?.messageId) return;
+        let changed = false;
+        for (const [url, state] of this.states) {
+            if (ids.includes(state.id)) {
+                this.states.set(url, { ...state, ...message });
+                changed = true;
+            }
+        }
+        if (changed) this.saveStates();
+    }
+
+    /**
+     * Get every image state posted in a Discord message.
+     */
+    getStatesByMessageId(messageId) {
+        const found = [];
+        for (const [url, state] of this.states) {
+            if (state.messageId === messageId) found.push({ url, ...state });
+        }
+        return found;
+    }
+
+    /**
+     * Walk the lineage graph around an image.
+     * States link to their parent via `parentId`; `editPrompt` records the
+     * instruction that produced the child.
+     * @returns {{ancestors: object[], children: object[]}|null} ancestors run root-first and end with the image itself
+     */
+    getLineage(id) {
+        const self = this.getImageStateById(id);
+        if (!self) return null;
+
+        const ancestors = [self];
+        const seen = new Set([self.id]);
+        let current = self;
+        while (current.parentId && !seen.has(current.parentId)) {
+            const parent = this.getImageStateById(current.parentId);
+            if (!parent) break;
+            ancestors.unshift(parent);
+            seen.add(parent.id);
+            current = parent;
+        }
+
+        const children = [];
+        for (const [url, state] of this.states) {
+            if (state.parentId === self.id) children.push({ url, ...state });
+        }
+
+        return { ancestors, children };
     }
 
     /**
@@ -80,9 +173,9 @@ class ImageStateManager {
      */
     clearAllStates() {
         this.states.clear();
-        if (fs.existsSync(IMAGE_STATE_FILE)) {
+        if (fs.existsSync(this.file)) {
             try {
-                fs.unlinkSync(IMAGE_STATE_FILE);
+                fs.unlinkSync(this.file);
             } catch (e) {
                 // Fallback to empty file if delete fails
                 this.saveStates();
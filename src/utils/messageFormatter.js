@@ -1,20 +1,6 @@
-import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } from 'discord.js';
 import { config } from '../config.js';
 
-/**
- * Create an embed for asking a question
- */
-export function createQuestionEmbed(question, questionNumber, totalQuestions) {
-    const embed = new EmbedBuilder()
-        .setColor(config.colors.primary)
-        .setTitle(`Question ${questionNumber}/${totalQuestions}`)
-        .setDescription(`${question.question}\n\n${question.description}`)
-        .setFooter({ text: 'Type the number or name of your choice, or type your own custom answer' })
-        .setTimestamp();
-
-    return embed;
-}
-
 /**
  * Create an embed for the final generated prompt
  */
@@ -89,29 +75,6 @@ export function createInfoEmbed(title, description) {
     return embed;
 }
 
-/**
- * Create a welcome embed for the generate-pfp command
- */
-export function createWelcomeEmbed() {
-    const embed = new EmbedBuilder()
-        .setColor(config.colors.primary)
-        .setTitle('🦅 BlockAerie Sketch: Web3 PFP Architect')
-        .setDescription(
-            'Welcome! I\'ll help you create an amazing AI image prompt for your web3/NFT profile picture.\n\n' +
-            'I\'ll ask you **4 quick questions** about your preferences, then generate a detailed prompt optimized for AI image generators.\n\n' +
-            '**Let\'s get started!**'
-        )
-        .addFields(
-            { name: '⏱️ Time Limit', value: 'You have 1 minute to answer each question', inline: true },
-            { name: '🎯 Style', value: 'Web3 / NFT / Futuristic', inline: true }
-        )
-        .setFooter({ text: 'Type "cancel" at any time to stop' })
-        .setTimestamp();
-
-    return embed;
-}
-
-
 /**
  * Create an embed for chat responses (Neutral / Premium Style)
  */
@@ -151,6 +114,144 @@ export function createChatActions() {
     return row;
 }
 
+/**
+ * Create the Upscale / Vary / Reroll / Use as Reference row for a generated
+ * image. The id is an imageStateManager state id, so the buttons keep
+ * working after a restart.
+ * @param {string} stateId
+ * @param {number} [index] — 1-based image number, shown when a gallery has several images
+ */
+export function createImageActions(stateId, index) {
+    const suffix = index ? ` #${index}` : '';
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`img_upscale_${stateId}`)
+                .setLabel(`🔍 Upscale${suffix}`)
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(`img_varysubtle_${stateId}`)
+                .setLabel(`🌱 Vary (Subtle)${suffix}`)
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`img_varystrong_${stateId}`)
+                .setLabel(`🌪️ Vary (Strong)${suffix}`)
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`img_reroll_${stateId}`)
+                .setLabel(`🎲 Reroll${suffix}`)
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`img_ref_${stateId}`)
+                .setLabel(`🖼️ Use as Reference${suffix}`)
+                .setStyle(ButtonStyle.Success)
+        );
+
+    return row;
+}
+
+/**
+ * Build a gallery message for a batch of generated images: one attachment
+ * plus one embed per image, each labelled with its seed and model. Images
+ * carrying a `stateId` also get a row of action buttons (up to five).
+ * @param {{url: string, seed?: number, model?: string, stateId?: string}[]} images
+ * @returns {{embeds: EmbedBuilder[], files: AttachmentBuilder[], components: ActionRowBuilder[]}}
+ */
+export function createImageGallery(images) {
+    const files = [];
+    const embeds = [];
+    const components = images
+        .slice(0, 5)
+        .map((image, i) => image.stateId ? createImageActions(image.stateId, images.length > 1 ? i + 1 : undefined) : null)
+        .filter(Boolean);
+
+    images.slice(0, 10).forEach((image, i) => {
+        const name = `image_${i + 1}.png`;
+        files.push(new AttachmentBuilder(image.url, { name }));
+        embeds.push(new EmbedBuilder()
+            .setColor(config.colors.primary)
+            .setTitle(images.length > 1 ? `Image ${i + 1} of ${images.length}` : null)
+            .setImage(`attachment://${name}`)
+            .setFooter({ text: `Seed: ${image.seed ?? 'random'} • Model: ${image.model || 'default'}` }));
+    });
+
+    return { embeds, files, components };
+}
+
+/**
+ * Build the message for a finished video: the upload itself (when it fits),
+ * an embed showing the looping preview with the poster frame as thumbnail,
+ * and a link button to the full-quality download.
+ * @param {object} video
+ * @param {string} [video.title]
+ * @param {string|null} video.videoPath — file to attach, null if it couldn't be made to fit
+ * @param {string|null} [video.previewPath] — .gif or .webp
+ * @param {string|null} [video.posterPath] — .jpg
+ * @param {string|null} [video.downloadUrl]
+ * @param {string|null} [video.note] — e.g. how the file was compressed
+ * @returns {{content?: string, embeds: EmbedBuilder[], files: AttachmentBuilder[], components: ActionRowBuilder[]}}
+ */
+export function createVideoMessage({ title, videoPath, previewPath, posterPath, downloadUrl, note }) {
+    const files = [];
+    if (videoPath) files.push(new AttachmentBuilder(videoPath, { name: 'video.mp4' }));
+
+    const embeds = [];
+    if (previewPath || posterPath || note) {
+        const embed = new EmbedBuilder()
+            .setColor(config.colors.primary)
+            .setTitle(title || '🎬 Video');
+        if (note) embed.setDescription(note);
+        if (previewPath) {
+            const name = `preview${previewPath.slice(previewPath.lastIndexOf('.'))}`;
+            files.push(new AttachmentBuilder(previewPath, { name }));
+            embed.setImage(`attachment://${name}`);
+        }
+        if (posterPath) {
+            files.push(new AttachmentBuilder(posterPath, { name: 'poster.jpg' }));
+            embed.setThumbnail('attachment://poster.jpg');
+        }
+        embeds.push(embed);
+    }
+
+    const components = downloadUrl
+        ? [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setURL(downloadUrl)
+                .setLabel('⬇️ Full quality')
+                .setStyle(ButtonStyle.Link)
+        )]
+        : [];
+
+    return { content: embeds.length ? undefined : title, embeds, files, components };
+}
+
+/**
+ * Create the Cancel button shown while a generation job is queued or running
+ * @param {number} jobId
+ */
+export function createJobActions(jobId) {
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`job_cancel_${jobId}`)
+                .setLabel('✖ Cancel')
+                .setStyle(ButtonStyle.Danger)
+        );
+
+    return row;
+}
+
+/**
+ * Create the embed showing a running job's low-resolution preview
+ * @param {string} url
+ */
+export function createProgressPreview(url) {
+    return new EmbedBuilder()
+        .setColor(config.colors.primary)
+        .setImage(url)
+        .setFooter({ text: 'Preview — final render in progress' });
+}
+
 /**
  * Create an embed for pairing requests
  */
@@ -12,6 +12,8 @@ export function buildPrefixAdapter(message) {
         userId: message.author.id,
         channelId: message.channelId,
         guildId: message.guildId || '',
+        roleIds: message.member ? [...message.member.roles.cache.keys()] : [],
+        premiumTier: message.guild?.premiumTier ?? 0,
 
         /**
          * Standard reply - matches Slash Command response behavior
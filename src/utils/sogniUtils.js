@@ -1,5 +1,6 @@
 import { createHash } from 'crypto';
 import { config } from '../config.js';
+import { expandPrompt } from '../../packages/utils/dynamic-prompts.js';
 
 /**
  * Normalizes dimensions for video generation based on Sogni API constraints.
@@ -59,38 +60,22 @@ export function computePromptHashSeed(opts) {
 }
 
 /**
- * Multi-Angle helpers
+ * Multi-Angle helpers — the camera vocabulary and shot planner live in
+ * packages/utils/multi-angle.js so the sogni-gen worker path can share them.
  */
-export const MULTI_ANGLE_AZIMUTHS = [
-    { key: 'front', prompt: 'front view' },
-    { key: 'front-right', prompt: 'front-right quarter view' },
-    { key: 'right', prompt: 'right side view' },
-    { key: 'back-right', prompt: 'back-right quarter view' },
-    { key: 'back', prompt: 'back view' },
-    { key: 'back-left', prompt: 'back-left quarter view' },
-    { key: 'left', prompt: 'left side view' },
-    { key: 'front-left', prompt: 'front-left quarter view' }
-];
+export { MULTI_ANGLE_AZIMUTHS } from '../../packages/utils/multi-angle.js';
 
 /**
- * Parses dynamic prompt syntax like {option1|option2} and emphasis patterns.
- * Designed to mirror sogni-gen / moltbot behavior.
+ * Parses dynamic prompt syntax — `{a|b}`, nesting, `{2$$a|b|c}` multi-pick,
+ * `{0.7::a|0.3::b}` weights and `__wildcard__` files — see
+ * packages/utils/dynamic-prompts.js. Pass a seed to make the expansion
+ * reproducible. Designed to mirror sogni-gen / moltbot behavior.
+ * @param {string} prompt
+ * @param {number} [seed]
  */
-export function parseDynamicPrompt(prompt) {
+export function parseDynamicPrompt(prompt, seed) {
     if (!prompt) return prompt;
-
-    // 1. Handle curly brace randomization: {choice 1|choice 2|choice 3}
-    let processed = prompt.replace(/{([^{}]+)}/g, (match, contents) => {
-        const choices = contents.split('|').map(c => c.trim());
-        if (choices.length === 0) return '';
-        return choices[Math.floor(Math.random() * choices.length)];
-    });
-
-    // 2. Handle simple emphasis normalization if needed
-    // (word:weight) or (word) -> usually passed directly to stable diffusion models
-    // but we can normalize spacing if requested. 
-
-    return processed;
+    return expandPrompt(prompt, { seed });
 }
 
 export function buildMultiAnglePrompt(basePrompt, azimuth, elevation, distance) {
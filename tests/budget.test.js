@@ -0,0 +1,74 @@
+/**
+ * Tests for Spark budgets — which allowance governs a member, and the
+ * check-and-charge that stops concurrent jobs overspending.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-'));
+Object.assign(process.env, {
+    // The budget package reads the Sogni balance through the CLI wrapper,
+    // which pulls in the legacy config
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    BUDGET_DB_PATH: path.join(dataDir, 'budget.sqlite'),
+});
+
+const {
+    resolveMemberBudget, setBudget, reserveSpend, refundSpend, getSpent,
+} = await import('../packages/budget/index.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const budgets = [
+    { scope: 'role', scope_id: 'artist', period: 'daily', limit_spark: 20 },
+    { scope: 'role', scope_id: 'member', period: 'daily', limit_spark: 5 },
+    { scope: 'user', scope_id: 'u1', period: 'daily', limit_spark: 2 },
+    { scope: 'guild', scope_id: 'g', period: 'monthly', limit_spark: 1000 },
+];
+
+describe('Budget - resolveMemberBudget', () => {
+    test('user allowance overrides role allowances', () => {
+        expect(resolveMemberBudget(budgets, 'u1', ['artist'], 'daily').limit_spark).toBe(2);
+    });
+
+    test('most generous role wins', () => {
+        expect(resolveMemberBudget(budgets, 'u2', ['member', 'artist'], 'daily').limit_spark).toBe(20);
+    });
+
+    test('returns null when nothing applies to the member', () => {
+        expect(resolveMemberBudget(budgets, 'u2', [], 'daily')).toBeNull();
+    });
+
+    test('only considers the requested period', () => {
+        expect(resolveMemberBudget(budgets, 'u1', ['artist'], 'monthly')).toBeNull();
+    });
+});
+
+describe('Budget - reserveSpend', () => {
+    test('jobs are charged until the allowance runs out, then refused', () => {
+        setBudget({ guildId: 'g1', scope: 'user', scopeId: 'u1', period: 'daily', limit: 5 });
+        const job = { guildId: 'g1', userId: 'u1', kind: 'image', estimate: 2 };
+
+        const first = reserveSpend(job);
+        const second = reserveSpend(job);
+        const third = reserveSpend(job);
+        expect([first.allowed, second.allowed, third.allowed]).toEqual([true, true, false]);
+        expect(third).toMatchObject({ chargeId: null, exceeded: [{ scope: 'user', period: 'daily', limit: 5, spent: 4 }] });
+        expect(getSpent('g1', 'daily', 'u1')).toBe(4);
+
+        refundSpend(second.chargeId);
+        expect(reserveSpend(job).allowed).toBe(true);
+    });
+
+    test('a confirmed over-budget run is charged anyway', () => {
+        setBudget({ guildId: 'g2', scope: 'guild', scopeId: 'g2', period: 'daily', limit: 1 });
+        const forced = reserveSpend({ guildId: 'g2', userId: 'u1', kind: 'video', estimate: 3, force: true });
+        expect(forced.allowed).toBe(false);
+        expect(forced.chargeId).toEqual(expect.any(Number));
+        expect(getSpent('g2', 'daily')).toBe(3);
+    });
+});
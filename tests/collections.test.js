@@ -0,0 +1,264 @@
+/**
+ * Tests for PFP collections — traits and weights, seeded token plans,
+ * ERC-721 metadata and the rarity table, and rendering a set end to end
+ * against the mock Sogni backend.
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    SOGNI_MOCK: 'true',
+    SOGNI_MOCK_STEP_MS: '1',
+    SOGNI_MOCK_DIR: path.join(dataDir, 'media'),
+    COLLECTIONS_DB_PATH: path.join(dataDir, 'collections.sqlite'),
+    COLLECTIONS_DIR: path.join(dataDir, 'out'),
+    COLLECTIONS_IMAGE_BASE_URI: 'ipfs://CID/',
+    QUEUE_DB_PATH: path.join(dataDir, 'jobs.sqlite'),
+    BUDGET_DB_PATH: path.join(dataDir, 'budget.sqlite'),
+    MEMORY_DB_PATH: path.join(dataDir, 'memory.sqlite'),
+    STYLES_DB_PATH: path.join(dataDir, 'styles.sqlite'),
+    HISTORY_DB_PATH: path.join(dataDir, 'history.sqlite'),
+    SHOWCASE_DB_PATH: path.join(dataDir, 'showcase.sqlite'),
+    MODEL_OVERRIDES_PATH: path.join(dataDir, 'model-overrides.json'),
+});
+
+// Image states are kept in ./memory; keep the test out of it
+jest.unstable_mockModule('../src/utils/imageStateManager.js', () => ({
+    imageStateManager: {
+        saveImageState: jest.fn(() => 'state-1'),
+        attachMessage: jest.fn(),
+        getImageState: jest.fn(() => null),
+    },
+}));
+
+const {
+    createCollection, getCollection, deleteCollection, setTrait, removeTrait, listTraits, listTokens, saveToken,
+    planTokens, tokenPrompt, buildTokenMetadata, buildRarityTable, formatRarityCsv, writeCollectionFiles,
+} = await import('../packages/collections/index.js');
+const { handleCollectionGenerateCommand } = await import('../src/slashCommands/handlers.js');
+const { handleCollectionCommand } = await import('../src/commands/collectionCommands.js');
+const { geminiFallbackManager } = await import('../src/utils/geminiFallbackManager.js');
+const { readImageSize } = await import('../packages/utils/image-mask.js');
+
+const realGenerateContent = geminiFallbackManager.generateContent;
+afterAll(() => {
+    geminiFallbackManager.generateContent = realGenerateContent;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const manager = { memberPermissions: { has: () => true } };
+
+/** ResponseAdapter that records every message */
+function fakeAdapter(guildId = 'g1') {
+    const res = {
+        userId: 'u1',
+        channelId: 'c1',
+        guildId,
+        roleIds: [],
+        replies: [],
+        followUps: [],
+        reply: jest.fn(async (msg) => { res.replies.push(msg); }),
+        editReply: jest.fn(async (msg) => { res.replies.push(msg); }),
+        followUp: jest.fn(async (msg) => { res.followUps.push(msg); return { id: `m${res.followUps.length}` }; }),
+        sendInChannel: jest.fn(),
+    };
+    return res;
+}
+
+/** A collection with two backgrounds (one rare) and two expressions */
+function setUpCollection(guildId, name, options = {}) {
+    const collection = createCollection(guildId, { name, avatarType: 'cyborg', style: 'anime-tech', mood: 'calm', baseSeed: 1000, ...options }, 'u1');
+    setTrait(collection.id, 'background', 'neon city', 90);
+    setTrait(collection.id, 'background', 'golden vault', 10);
+    setTrait(collection.id, 'expression', 'smirking', 50);
+    setTrait(collection.id, 'expression', 'stoic', 50);
+    return collection;
+}
+
+describe('Collections - setup', () => {
+    test('names are slugs, unique per server', () => {
+        const collection = createCollection('g0', { name: 'Team Hawks!', avatarType: 'male', style: 'anime-tech', mood: 'calm', baseSeed: 5 }, 'u1');
+        expect(collection).toMatchObject({ name: 'team-hawks', seedStrategy: 'fixed', baseSeed: 5, basePrompt: null });
+        expect(getCollection('g0', 'Team Hawks')).toMatchObject({ id: collection.id });
+        expect(() => createCollection('g0', { name: 'team hawks', avatarType: 'male', style: 'x', mood: 'calm' }, 'u1')).toThrow('already has');
+        expect(() => createCollection('g0', { name: 'x', avatarType: 'male', style: 'x', mood: 'calm', seedStrategy: 'lucky' }, 'u1')).toThrow('seed strategy');
+    });
+
+    test('traits upsert their weight and list in layer order', () => {
+        const collection = createCollection('g0', { name: 'traits', avatarType: 'male', style: 'anime-tech', mood: 'calm' }, 'u1');
+        setTrait(collection.id, 'expression', 'grinning', 5);
+        setTrait(collection.id, 'background', 'desert', 5);
+        setTrait(collection.id, 'background', 'desert', 40);
+        expect(listTraits(collection.id)).toEqual([
+            { layer: 'background', value: 'desert', weight: 40 },
+            { layer: 'expression', value: 'grinning', weight: 5 },
+        ]);
+
+        expect(() => setTrait(collection.id, 'hat', 'cap', 5)).toThrow('Unknown trait layer');
+        expect(() => setTrait(collection.id, 'outfit', 'cape', 0)).toThrow('1 to 1000');
+        expect(removeTrait(collection.id, 'background', 'desert')).toBe(true);
+        expect(removeTrait(collection.id, 'background', 'desert')).toBe(false);
+
+        expect(deleteCollection('g0', 'traits')).toBe(true);
+        expect(listTraits(collection.id)).toEqual([]);
+    });
+});
+
+describe('Collections - planning tokens', () => {
+    const traits = [
+        { layer: 'background', value: 'neon city', weight: 90 },
+        { layer: 'background', value: 'golden vault', weight: 10 },
+        { layer: 'expression', value: 'smirking', weight: 50 },
+        { layer: 'expression', value: 'stoic', weight: 50 },
+    ];
+    const base = { baseSeed: 1000, seedStrategy: 'fixed' };
+
+    test('plans are deterministic and avoid repeating a combination while they can', () => {
+        const plan = planTokens(base, traits, [], 4);
+        expect(planTokens(base, traits, [], 4)).toEqual(plan);
+        expect(plan.map(t => t.tokenId)).toEqual([1, 2, 3, 4]);
+        expect(new Set(plan.map(t => `${t.traits.background}|${t.traits.expression}`)).size).toBe(4);
+    });
+
+    test('weights shape the odds', () => {
+        const plan = planTokens({ ...base, baseSeed: 7 }, traits.filter(t => t.layer === 'background'), [], 200);
+        const rare = plan.filter(t => t.traits.background === 'golden vault').length;
+        // Only two combinations exist, so after those draws follow the weights
+        expect(rare).toBeGreaterThan(5);
+        expect(rare).toBeLessThan(40);
+    });
+
+    test('seed strategies', () => {
+        expect(planTokens(base, traits, [], 3).map(t => t.seed)).toEqual([1000, 1000, 1000]);
+        expect(planTokens({ ...base, seedStrategy: 'sequential' }, traits, [], 3).map(t => t.seed)).toEqual([1000, 1001, 1002]);
+        const random = planTokens({ ...base, seedStrategy: 'random' }, traits, [], 3).map(t => t.seed);
+        expect(new Set(random).size).toBe(3);
+    });
+
+    test('token ids continue after, and fill gaps in, what exists', () => {
+        const existing = [{ tokenId: 1, traits: {} }, { tokenId: 3, traits: {} }];
+        expect(planTokens(base, traits, existing, 2).map(t => t.tokenId)).toEqual([2, 4]);
+    });
+
+    test('token prompts add the traits to the shared base', () => {
+        expect(tokenPrompt('A cyborg portrait, ultra detailed.', { background: 'neon city', outfit: 'a chrome jacket', accessory: 'a visor', expression: 'stoic' }))
+            .toBe('A cyborg portrait, ultra detailed, neon city background, wearing a chrome jacket, with a visor, stoic expression');
+    });
+});
+
+describe('Collections - metadata and rarity', () => {
+    const collection = { name: 'hawks', style: 'anime-tech', avatarType: 'cyborg', mood: 'calm' };
+    const tokens = [
+        { tokenId: 1, seed: 10, traits: { background: 'neon city', expression: 'stoic' } },
+        { tokenId: 2, seed: 10, traits: { background: 'neon city', expression: 'smirking' } },
+        { tokenId: 3, seed: 10, traits: { background: 'neon city', expression: 'stoic' } },
+        { tokenId: 4, seed: 10, traits: { background: 'golden vault' } },
+    ];
+
+    test('token metadata follows the ERC-721 metadata shape', () => {
+        expect(buildTokenMetadata(collection, { ...tokens[0], fileName: '1.png' }, 'ipfs://CID/')).toEqual({
+            name: 'hawks #1',
+            description: 'Token 1 of hawks, a PFP collection (cyborg, anime-tech, calm).',
+            image: 'ipfs://CID/1.png',
+            attributes: [
+                { trait_type: 'Background', value: 'neon city' },
+                { trait_type: 'Expression', value: 'stoic' },
+                { trait_type: 'Seed', value: 10 },
+            ],
+        });
+    });
+
+    test('the rarity table counts traits and ranks tokens by score', () => {
+        const rarity = buildRarityTable(tokens);
+        expect(rarity.traits).toEqual([
+            { layer: 'background', value: 'golden vault', count: 1, percent: 25 },
+            { layer: 'background', value: 'neon city', count: 3, percent: 75 },
+            { layer: 'expression', value: 'None', count: 1, percent: 25 },
+            { layer: 'expression', value: 'smirking', count: 1, percent: 25 },
+            { layer: 'expression', value: 'stoic', count: 2, percent: 50 },
+        ]);
+        // golden vault + no expression: 4/1 + 4/1; smirking: 4/3 + 4/1; stoic: 4/3 + 4/2
+        expect(rarity.ranking).toEqual([
+            { tokenId: 4, score: 8, rank: 1 },
+            { tokenId: 2, score: 5.33, rank: 2 },
+            { tokenId: 1, score: 3.33, rank: 3 },
+            { tokenId: 3, score: 3.33, rank: 4 },
+        ]);
+
+        expect(formatRarityCsv({ traits: [{ layer: 'outfit', value: 'cape, red', count: 1, percent: 100 }], ranking: [{ rank: 1, tokenId: 1, score: 1 }] }))
+            .toBe('layer,value,count,percent\noutfit,"cape, red",1,100\n\nrank,token,score\n1,1,1\n');
+    });
+
+    test('exports write one metadata file per token and the rarity tables', () => {
+        const stored = setUpCollection('g-export', 'export-me');
+        for (const token of tokens) saveToken(stored.id, { ...token, fileName: `${token.tokenId}.png` });
+
+        const { dir } = writeCollectionFiles(stored, listTokens(stored.id));
+        expect(fs.readdirSync(path.join(dir, 'metadata')).sort()).toEqual(['1.json', '2.json', '3.json', '4.json']);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'metadata', '4.json'), 'utf8')).image).toBe('ipfs://CID/4.png');
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'rarity.json'), 'utf8')).ranking[0].tokenId).toBe(4);
+        expect(fs.readFileSync(path.join(dir, 'rarity.csv'), 'utf8')).toContain('background,golden vault,1,25');
+    });
+});
+
+describe('Collections - commands', () => {
+    test('only managers change collections; anyone can look', async () => {
+        const res = fakeAdapter('g-cmd');
+        await handleCollectionCommand({ subcommand: 'create', name: 'crew', type: 'male', style: 'anime-tech', mood: 'calm' }, res, { memberPermissions: { has: () => false } });
+        expect(res.replies[0].embeds[0].toJSON().title).toBe('Managers Only');
+
+        await handleCollectionCommand({ subcommand: 'create', name: 'crew', type: 'male', style: 'anime-tech', mood: 'calm', seed: 9 }, res, manager);
+        await handleCollectionCommand({ subcommand: 'add-trait', collection: 'crew', layer: 'outfit', value: 'bomber jacket', weight: 3 }, res, manager);
+        await handleCollectionCommand({ subcommand: 'add-trait', collection: 'crew', layer: 'outfit', value: 'hoodie' }, res, manager);
+        await handleCollectionCommand({ subcommand: 'show', collection: 'crew' }, res, { memberPermissions: { has: () => false } });
+
+        const show = res.replies.at(-1).embeds[0].toJSON();
+        expect(show.title).toBe('🧬 crew');
+        expect(show.fields.find(f => f.name === 'outfit').value).toBe('hoodie · 10 (76.9%)\nbomber jacket · 3 (23.1%)');
+    });
+
+    test('collections need a server', async () => {
+        const res = fakeAdapter('');
+        await handleCollectionCommand({ subcommand: 'list' }, res, manager);
+        expect(res.replies[0].embeds[0].toJSON().title).toBe('Server Only');
+    });
+});
+
+describe('Collections - generating (mock Sogni)', () => {
+    beforeAll(() => {
+        geminiFallbackManager.generateContent = async () => ({ result: { text: 'A calm cyborg portrait, studio lighting.' }, modelUsed: 'test-model' });
+    });
+
+    test('renders tokens with the shared base prompt and writes the set', async () => {
+        const collection = setUpCollection('g-gen', 'hawks', { seedStrategy: 'sequential' });
+        const res = fakeAdapter('g-gen');
+        await handleCollectionGenerateCommand({ collection: 'hawks', count: 2 }, res, manager);
+
+        const tokens = listTokens(collection.id);
+        expect(tokens.map(t => [t.tokenId, t.seed, t.fileName])).toEqual([[1, 1000, '1.png'], [2, 1001, '2.png']]);
+        expect(tokens[0].prompt).toMatch(/^anime style, A calm cyborg portrait, studio lighting, .+ background, .+ expression, high-tech gear/);
+        expect(getCollection('g-gen', 'hawks').basePrompt).toBe('A calm cyborg portrait, studio lighting.');
+
+        const dir = path.join(dataDir, 'out', 'g-gen', 'hawks');
+        expect(readImageSize(fs.readFileSync(path.join(dir, 'images', '1.png')))).toMatchObject({ width: 1024, height: 1024 });
+        expect(fs.existsSync(path.join(dir, 'metadata', '2.json'))).toBe(true);
+
+        expect(res.replies.at(-1)).toMatch(/^✅ \*\*hawks:\*\* 2\/2 tokens rendered · 2 in the set/);
+        expect(res.followUps[0].files.map(f => f.name)).toEqual(['1.png', '2.png']);
+        expect(res.followUps[1].files[0].name).toBe('hawks_rarity.csv');
+    }, 60000);
+
+    test('collections without traits are refused', async () => {
+        createCollection('g-gen', { name: 'empty', avatarType: 'male', style: 'anime-tech', mood: 'calm' }, 'u1');
+        const res = fakeAdapter('g-gen');
+        await handleCollectionGenerateCommand({ collection: 'empty', count: 2 }, res, manager);
+        expect(res.replies.at(-1)).toContain('has no traits yet');
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for the dynamic prompt engine — variants, weights, multi-pick,
+ * wildcards and combinatorial expansion.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expandPrompt, expandAllPrompts, hasDynamicSyntax } from '../packages/utils/dynamic-prompts.js';
+
+const wildcardsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wildcards-'));
+fs.mkdirSync(path.join(wildcardsDir, 'styles'));
+fs.writeFileSync(path.join(wildcardsDir, 'animals.txt'), '# comment\ncat\n\ndog\n{red|blue} fox\n');
+fs.writeFileSync(path.join(wildcardsDir, 'styles', 'anime.txt'), 'cel shaded\n');
+
+afterAll(() => fs.rmSync(wildcardsDir, { recursive: true, force: true }));
+
+describe('Dynamic prompts - expandPrompt', () => {
+    test('same seed gives the same expansion', () => {
+        const prompt = '{a|b|c|d} {e|f|g|h} {i|j|k|l}';
+        expect(expandPrompt(prompt, { seed: 1234 })).toBe(expandPrompt(prompt, { seed: 1234 }));
+    });
+
+    test('different seeds cover different options', () => {
+        const results = new Set();
+        for (let seed = 0; seed < 50; seed++) results.add(expandPrompt('{a|b|c}', { seed }));
+        expect([...results].sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    test('nested braces expand from the inside out', () => {
+        expect(expandPrompt('{{x|x}|{x|x}}', { seed: 1 })).toBe('x');
+    });
+
+    test('multi-pick returns distinct options in order', () => {
+        expect(expandPrompt('{3$$a|b|c}', { seed: 9 })).toBe('a, b, c');
+        expect(expandPrompt('{2$$ and $$a|a2}', { seed: 9 })).toBe('a and a2');
+    });
+
+    test('weights bias the pick', () => {
+        let heavy = 0;
+        for (let seed = 0; seed < 200; seed++) {
+            if (expandPrompt('{0.9::heavy|0.1::light}', { seed }) === 'heavy') heavy++;
+        }
+        expect(heavy).toBeGreaterThan(150);
+    });
+
+    test('wildcards read lines, skip comments and expand nested syntax', () => {
+        const results = new Set();
+        for (let seed = 0; seed < 60; seed++) results.add(expandPrompt('__animals__', { seed, wildcardsDir }));
+        expect([...results].sort()).toEqual(['blue fox', 'cat', 'dog', 'red fox']);
+    });
+
+    test('wildcards in subfolders resolve', () => {
+        expect(expandPrompt('__styles/anime__ art', { seed: 1, wildcardsDir })).toBe('cel shaded art');
+    });
+
+    test('unknown wildcards and unmatched braces stay literal', () => {
+        expect(expandPrompt('__nope__ {open', { seed: 1, wildcardsDir })).toBe('__nope__ {open');
+    });
+
+    test('escaped characters are literal', () => {
+        expect(expandPrompt('\\{a\\|b\\}', { seed: 1 })).toBe('{a|b}');
+    });
+});
+
+describe('Dynamic prompts - expandAllPrompts', () => {
+    test('enumerates the cartesian product', () => {
+        expect(expandAllPrompts('{a|b} {c|{d|e}}', { limit: 50 })).toEqual(['a c', 'a d', 'a e', 'b c', 'b d', 'b e']);
+    });
+
+    test('multi-pick enumerates combinations', () => {
+        expect(expandAllPrompts('{2$$a|b|c}', { limit: 50 })).toEqual(['a, b', 'a, c', 'b, c']);
+    });
+
+    test('wildcards enumerate every line', () => {
+        expect(expandAllPrompts('a __animals__', { limit: 50, wildcardsDir }))
+            .toEqual(['a cat', 'a dog', 'a red fox', 'a blue fox']);
+    });
+
+    test('respects the limit', () => {
+        expect(expandAllPrompts('{a|b|c|d} {e|f|g|h}', { limit: 5 })).toHaveLength(5);
+    });
+
+    test('a huge multi-pick stops at the limit instead of building every subset', () => {
+        const letters = 'abcdefghijklmnopqrstuvwxyz'.split('');
+        // C(26, 13) is about 10.4 million subsets
+        expect(expandAllPrompts(`cat {13$$${letters.join('|')}}`, { limit: 3 })).toEqual([
+            `cat ${letters.slice(0, 13).join(', ')}`,
+            `cat ${[...letters.slice(0, 12), 'n'].join(', ')}`,
+            `cat ${[...letters.slice(0, 12), 'o'].join(', ')}`,
+        ]);
+    });
+});
+
+describe('Dynamic prompts - hasDynamicSyntax', () => {
+    test('ignores plain prompts and emphasis', () => {
+        expect(hasDynamicSyntax('a (glowing:1.2) castle')).toBe(false);
+    });
+
+    test('detects variants and wildcards', () => {
+        expect(hasDynamicSyntax('{a|b}')).toBe(true);
+        expect(hasDynamicSyntax('__colors__')).toBe(true);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for prompt enhancement — the built-in modes, guild templates, each
+ * user's default and the /prompt commands that manage them.
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PermissionsBitField, PermissionFlagsBits } from 'discord.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enhance-'));
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    ENHANCE_DB_PATH: path.join(dataDir, 'enhance.sqlite'),
+    MEMORY_DB_PATH: path.join(dataDir, 'memory.sqlite'),
+    ENHANCE_MAX_TEMPLATES: '2',
+});
+
+const {
+    saveEnhanceTemplate, listEnhanceTemplates, deleteEnhanceTemplate, resolveEnhancement,
+} = await import('../packages/enhance/index.js');
+const { getEnhanceDefault } = await import('../packages/memory/index.js');
+const { enhancePrompt } = await import('../src/promptGenerator.js');
+const { handlePromptCommand, getEnhanceChoices } = await import('../src/commands/promptCommands.js');
+const { geminiFallbackManager } = await import('../src/utils/geminiFallbackManager.js');
+
+// User defaults are mirrored to memory/user_<id>.md
+const memoryFile = path.join(process.cwd(), 'memory', 'user_enhance-u1.md');
+afterAll(() => {
+    fs.rmSync(memoryFile, { force: true });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/** Adapter that records replies */
+const fakeAdapter = (guildId = 'g1') => {
+    const res = { userId: 'enhance-u1', guildId, replies: [], reply: async (msg) => { res.replies.push(msg); } };
+    return res;
+};
+const manager = { memberPermissions: new PermissionsBitField(PermissionFlagsBits.ManageGuild) };
+const embedOf = (res) => res.replies[res.replies.length - 1].embeds[0].toJSON();
+
+describe('Enhance - modes and templates', () => {
+    test('built-in modes and guild templates resolve by name', () => {
+        saveEnhanceTemplate('g1', 'Story Book', 'cozy storybook watercolour, under 40 words', 'u1');
+
+        expect(resolveEnhancement('g1', 'light')).toEqual({ mode: 'light', name: 'light', label: '🪶 Light' });
+        expect(resolveEnhancement('g1', 'story-book')).toEqual({
+            mode: 'template', name: 'story-book', label: '📝 story-book', instructions: 'cozy storybook watercolour, under 40 words',
+        });
+        expect(resolveEnhancement('g2', 'story-book')).toBeNull();
+        expect(resolveEnhancement('g1', 'nope')).toBeNull();
+    });
+
+    test('templates can\'t shadow a mode and are capped per server', () => {
+        expect(() => saveEnhanceTemplate('g3', 'Full', 'anything')).toThrow('built-in mode');
+        expect(() => saveEnhanceTemplate('g3', 'empty', '  ')).toThrow('need some instructions');
+        saveEnhanceTemplate('g3', 'one', 'a');
+        saveEnhanceTemplate('g3', 'two', 'b');
+        expect(() => saveEnhanceTemplate('g3', 'three', 'c')).toThrow('already has 2 templates');
+        expect(saveEnhanceTemplate('g3', 'two', 'b, revised').instructions).toBe('b, revised');
+
+        expect(deleteEnhanceTemplate('g3', 'one')).toBe(true);
+        expect(listEnhanceTemplates('g3').map(t => t.name)).toEqual(['two']);
+    });
+
+    test('autocomplete offers the modes, then the server\'s templates', () => {
+        expect(getEnhanceChoices('g1').map(c => c.value)).toEqual(['off', 'light', 'full', 'story-book']);
+        expect(getEnhanceChoices('g1', 'water').map(c => c.value)).toEqual(['story-book']);
+        expect(getEnhanceChoices('g1', '', true).map(c => c.value)).toEqual(['story-book']);
+    });
+
+    test('each mode rewrites the prompt its own way', async () => {
+        const instructions = [];
+        const generateContent = jest.spyOn(geminiFallbackManager, 'generateContent').mockImplementation(async (instruction) => {
+            instructions.push(instruction);
+            return { result: { text: 'rewritten' }, modelUsed: 'test-model' };
+        });
+
+        expect(await enhancePrompt('a cat', resolveEnhancement('g1', 'off'))).toBe('a cat');
+        expect(instructions).toHaveLength(0);
+
+        expect(await enhancePrompt('a cat', resolveEnhancement('g1', 'light'))).toBe('rewritten');
+        expect(instructions[0]).toContain('anime stays anime');
+        expect(await enhancePrompt('a cat', resolveEnhancement('g1', 'story-book'))).toBe('rewritten');
+        expect(instructions[1]).toContain('cozy storybook watercolour');
+        expect(await enhancePrompt('a cat', resolveEnhancement('g1', 'full'))).toBe('rewritten');
+        expect(instructions[2]).toContain('ARCHITECTURAL PROCESS');
+
+        // Gemini down: light is polished offline instead of passed through
+        generateContent.mockRejectedValue(new Error('quota'));
+        expect(await enhancePrompt('a cat', resolveEnhancement('g1', 'light'))).toBe('a cat, cinematic light, medium shot');
+        generateContent.mockRestore();
+    });
+});
+
+describe('Enhance - /prompt', () => {
+    test('users save a default and can read it back', async () => {
+        const res = fakeAdapter();
+        await handlePromptCommand({ subcommand: 'default' }, res);
+        expect(res.replies[0]).toBe('✨ No default set — /imagine uses **🏛️ Full** enhancement.');
+
+        await handlePromptCommand({ subcommand: 'default', enhance: 'Story Book' }, res);
+        expect(embedOf(res).title).toBe('✨ Default Saved');
+        expect(getEnhanceDefault('enhance-u1')).toBe('story-book');
+
+        await handlePromptCommand({ subcommand: 'default' }, res);
+        expect(res.replies[2]).toContain('**📝 story-book**');
+
+        await handlePromptCommand({ subcommand: 'default', enhance: 'bogus' }, res);
+        expect(embedOf(res).title).toBe('Unknown Enhancement');
+    });
+
+    test('only managers change templates, and only in a server', async () => {
+        const res = fakeAdapter();
+        await handlePromptCommand({ subcommand: 'add-template', name: 'noir', instructions: 'film noir' }, res, {});
+        expect(embedOf(res).title).toBe('Managers Only');
+
+        await handlePromptCommand({ subcommand: 'add-template', name: 'noir', instructions: 'film noir' }, fakeAdapter(''), manager);
+        expect(listEnhanceTemplates('g1').map(t => t.name)).toEqual(['story-book']);
+
+        await handlePromptCommand({ subcommand: 'add-template', name: 'noir', instructions: 'film noir' }, res, manager);
+        expect(embedOf(res).title).toBe('📝 Template Saved');
+        await handlePromptCommand({ subcommand: 'templates' }, res);
+        expect(embedOf(res).fields[1].value).toBe('📝 **noir** — film noir\n📝 **story-book** — cozy storybook watercolour, under 40 words');
+
+        await handlePromptCommand({ subcommand: 'remove-template', name: 'noir' }, res, manager);
+        expect(embedOf(res).title).toBe('🗑️ Template Removed');
+        await handlePromptCommand({ subcommand: 'remove-template', name: 'noir' }, res, manager);
+        expect(embedOf(res).title).toBe('Unknown Template');
+    });
+});
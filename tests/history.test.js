@@ -0,0 +1,131 @@
+/**
+ * Tests for generation history — recording, paging and searching it, and
+ * the /gallery pages and templates built on top.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    HISTORY_DB_PATH: path.join(dataDir, 'history.sqlite'),
+    HISTORY_MAX_PER_USER: '12',
+});
+
+const { recordGeneration, getHistoryEntry, listHistory } = await import('../packages/history/index.js');
+const { buildGalleryPage, templateParams } = await import('../src/commands/galleryCommands.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/** Record `count` image generations for a user, oldest first */
+function seedHistory(userId, prompts) {
+    return prompts.map((prompt, i) => recordGeneration({
+        userId,
+        guildId: 'g1',
+        kind: 'image',
+        prompt,
+        enhancedPrompt: `${prompt}, cinematic lighting`,
+        model: 'flux1-schnell-fp8',
+        seed: 100 + i,
+        width: 1024,
+        height: 1024,
+        urls: [`https://cdn.example/${userId}/${i}.png`],
+        request: { prompt, model: 'flux1-schnell-fp8' },
+    }));
+}
+
+describe('History - recording', () => {
+    test('round-trips an entry', () => {
+        const [id] = seedHistory('alice', ['a lighthouse at dusk']);
+        expect(getHistoryEntry(id)).toMatchObject({
+            userId: 'alice',
+            kind: 'image',
+            workflow: 'image',
+            prompt: 'a lighthouse at dusk',
+            enhancedPrompt: 'a lighthouse at dusk, cinematic lighting',
+            seed: 100,
+            urls: ['https://cdn.example/alice/0.png'],
+            request: { prompt: 'a lighthouse at dusk', model: 'flux1-schnell-fp8' },
+        });
+    });
+
+    test('drops an enhanced prompt identical to the original', () => {
+        const id = recordGeneration({ userId: 'carol', kind: 'edit', prompt: 'make it blue', enhancedPrompt: 'make it blue' });
+        expect(getHistoryEntry(id).enhancedPrompt).toBeNull();
+    });
+
+    test('keeps only the newest entries per user', () => {
+        seedHistory('dave', Array.from({ length: 15 }, (_, i) => `prompt ${i}`));
+        const { total, entries } = listHistory({ userId: 'dave', pageSize: 1 });
+        expect(total).toBe(12);
+        expect(entries[0].prompt).toBe('prompt 14');
+    });
+});
+
+describe('History - listing', () => {
+    beforeAll(() => seedHistory('bob', ['red fox', 'blue whale', 'red panda', '100% cotton_shirt', 'green frog']));
+
+    test('pages newest first', () => {
+        const first = listHistory({ userId: 'bob', pageSize: 2 });
+        expect(first).toMatchObject({ total: 5, page: 1, pages: 3 });
+        expect(first.entries.map(e => e.prompt)).toEqual(['green frog', '100% cotton_shirt']);
+        expect(listHistory({ userId: 'bob', pageSize: 2, page: 3 }).entries.map(e => e.prompt)).toEqual(['red fox']);
+    });
+
+    test('clamps out-of-range pages', () => {
+        expect(listHistory({ userId: 'bob', pageSize: 2, page: 99 }).page).toBe(3);
+        expect(listHistory({ userId: 'bob', pageSize: 2, page: 0 }).page).toBe(1);
+    });
+
+    test('searches typed and enhanced prompts, case-insensitively', () => {
+        expect(listHistory({ userId: 'bob', query: 'RED' }).entries.map(e => e.prompt)).toEqual(['red panda', 'red fox']);
+        expect(listHistory({ userId: 'bob', query: 'cinematic' }).total).toBe(5);
+    });
+
+    test('treats LIKE wildcards literally', () => {
+        expect(listHistory({ userId: 'bob', query: '100%' }).total).toBe(1);
+        expect(listHistory({ userId: 'bob', query: 'd_f' }).total).toBe(0);
+    });
+
+    test('lists every user without a user filter', () => {
+        expect(listHistory({ guildId: 'g1', query: 'red' }).total).toBe(2);
+    });
+});
+
+describe('Gallery - pages and templates', () => {
+    test('an empty gallery says so', () => {
+        expect(buildGalleryPage('nobody').content).toMatch(/gallery is empty/);
+        expect(buildGalleryPage('bob', 1, 'zebra').content).toMatch(/Nothing in your history matches `zebra`/);
+    });
+
+    test('pages carry owner, page and search in their buttons', () => {
+        const page = buildGalleryPage('bob', 1, 'red');
+        const [prev, next] = page.components[0].components.map(button => button.data);
+        expect(prev).toMatchObject({ custom_id: 'gallery_page_bob_0_red', disabled: true });
+        expect(next).toMatchObject({ custom_id: 'gallery_page_bob_2_red', disabled: true });
+        expect(page.components[1].components[0].options.map(option => option.data.label)).toEqual([
+            expect.stringMatching(/^#\d+ · red panda$/),
+            expect.stringMatching(/^#\d+ · red fox$/),
+        ]);
+    });
+
+    test('templates keep the request and swap prompt and seed', () => {
+        const entry = getHistoryEntry(listHistory({ userId: 'bob', query: 'whale' }).entries[0].id);
+        expect(templateParams(entry, { prompt: 'a grey whale', seed: 7 })).toEqual({
+            kind: 'image',
+            params: { prompt: 'a grey whale', model: 'flux1-schnell-fp8', seed: 7 },
+        });
+    });
+
+    test('entries without a request become an /imagine of their settings', () => {
+        const entry = getHistoryEntry(recordGeneration({ userId: 'erin', kind: 'image', workflow: 'i2i', prompt: 'a castle', model: 'm1', width: 512, height: 768 }));
+        expect(templateParams(entry, { prompt: 'a castle at night' })).toEqual({
+            kind: 'image',
+            params: { prompt: 'a castle at night', model: 'm1', width: 512, height: 768, seed: null, skipEnhance: true },
+        });
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for per-model image dimension validation and aspect presets.
+ */
+import { resolveImageDimensions } from '../packages/config/models.js';
+
+describe('resolveImageDimensions', () => {
+    test('uses defaults when nothing is given', () => {
+        expect(resolveImageDimensions({ modelId: 'flux1-schnell-fp8', defaultWidth: 768, defaultHeight: 768 }))
+            .toEqual({ width: 768, height: 768 });
+    });
+
+    test('16:9 preset uses the native long side', () => {
+        expect(resolveImageDimensions({ modelId: 'flux1-schnell-fp8', aspect: '16:9' }))
+            .toEqual({ width: 1024, height: 576 });
+    });
+
+    test('3:4 preset on an SDXL model snaps to multiples of 64', () => {
+        expect(resolveImageDimensions({ modelId: 'pony-diffusion-v6-xl', aspect: '3:4' }))
+            .toEqual({ width: 768, height: 1024 });
+    });
+
+    test('aspect preset derives the missing side', () => {
+        expect(resolveImageDimensions({ modelId: 'flux2_dev_fp8', width: 1280, aspect: '1:1' }))
+            .toEqual({ width: 1280, height: 1280 });
+    });
+
+    test('rejects sizes outside the model range', () => {
+        expect(() => resolveImageDimensions({ modelId: 'pony-diffusion-v6-xl', width: 2048 }))
+            .toThrow('between 512 and 1536');
+    });
+
+    test('rejects unknown aspect presets', () => {
+        expect(() => resolveImageDimensions({ modelId: 'flux1-schnell-fp8', aspect: '5:7' }))
+            .toThrow('Unknown aspect ratio');
+    });
+
+    test('rejects aspect combined with both sides', () => {
+        expect(() => resolveImageDimensions({ modelId: 'flux1-schnell-fp8', width: 512, height: 512, aspect: '1:1' }))
+            .toThrow();
+    });
+});
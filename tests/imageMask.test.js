@@ -0,0 +1,90 @@
+/**
+ * Tests for inpainting masks — header sizes, region specs and mask PNGs.
+ */
+import zlib from 'zlib';
+import { readImageSize, parseRegion, createRegionMask, validateMask } from '../packages/utils/image-mask.js';
+
+/** Decode the pixels of an unfiltered grayscale PNG produced by createRegionMask */
+function maskPixels(png) {
+    const { width, height } = readImageSize(png);
+    const idat = png.indexOf('IDAT');
+    const length = png.readUInt32BE(idat - 4);
+    const raw = zlib.inflateSync(png.subarray(idat + 4, idat + 4 + length));
+    return Array.from({ length: height }, (_, y) => [...raw.subarray(y * (width + 1) + 1, (y + 1) * (width + 1))]);
+}
+
+function jpegHeader(width, height) {
+    const buffer = Buffer.alloc(32);
+    buffer.set([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00, 0xFF, 0xC0, 0x00, 0x11, 0x08]);
+    buffer.writeUInt16BE(height, 13);
+    buffer.writeUInt16BE(width, 15);
+    return buffer;
+}
+
+describe('Image mask - readImageSize', () => {
+    test('reads PNG dimensions', () => {
+        expect(readImageSize(createRegionMask(40, 30, { x: 0, y: 0, width: 1, height: 1 }))).toEqual({ width: 40, height: 30, format: 'png' });
+    });
+
+    test('reads JPEG dimensions from the frame header', () => {
+        expect(readImageSize(jpegHeader(1024, 768))).toEqual({ width: 1024, height: 768, format: 'jpeg' });
+    });
+
+    test('rejects unknown formats', () => {
+        expect(() => readImageSize(Buffer.from('not an image at all, honestly'))).toThrow(/Unsupported image format/);
+    });
+});
+
+describe('Image mask - parseRegion', () => {
+    const size = { width: 1000, height: 800 };
+
+    test('named regions scale to the image', () => {
+        expect(parseRegion('left half', size)).toEqual({ rect: { x: 0, y: 0, width: 500, height: 800 }, invert: false });
+        expect(parseRegion('Bottom-Right', size).rect).toEqual({ x: 500, y: 400, width: 500, height: 400 });
+    });
+
+    test('background repaints everything but the center', () => {
+        expect(parseRegion('background', size)).toEqual({ rect: { x: 250, y: 200, width: 500, height: 400 }, invert: true });
+    });
+
+    test('bounding boxes in pixels and percentages', () => {
+        expect(parseRegion('10,20,300,400', size).rect).toEqual({ x: 10, y: 20, width: 300, height: 400 });
+        expect(parseRegion('10%, 10%, 50%, 25%', size).rect).toEqual({ x: 100, y: 80, width: 500, height: 200 });
+    });
+
+    test('boxes must fit inside the image', () => {
+        expect(() => parseRegion('900,0,200,100', size)).toThrow(/outside the 1000×800 image/);
+    });
+
+    test('unknown specs list the options', () => {
+        expect(() => parseRegion('the sky', size)).toThrow(/left half/);
+    });
+});
+
+describe('Image mask - createRegionMask', () => {
+    test('paints the region white and the rest black', () => {
+        const pixels = maskPixels(createRegionMask(4, 2, { x: 1, y: 0, width: 2, height: 1 }));
+        expect(pixels).toEqual([[0, 255, 255, 0], [0, 0, 0, 0]]);
+    });
+
+    test('inverted masks keep the region', () => {
+        const pixels = maskPixels(createRegionMask(3, 1, { x: 1, y: 0, width: 1, height: 1 }, { invert: true }));
+        expect(pixels).toEqual([[255, 0, 255]]);
+    });
+});
+
+describe('Image mask - validateMask', () => {
+    test('accepts a PNG of the same size', () => {
+        const mask = createRegionMask(64, 48, { x: 0, y: 0, width: 8, height: 8 });
+        expect(validateMask(mask, { width: 64, height: 48 }).format).toBe('png');
+    });
+
+    test('rejects a size mismatch', () => {
+        const mask = createRegionMask(64, 64, { x: 0, y: 0, width: 8, height: 8 });
+        expect(() => validateMask(mask, { width: 64, height: 48 })).toThrow(/64×64 but the image is 64×48/);
+    });
+
+    test('rejects JPEG masks', () => {
+        expect(() => validateMask(jpegHeader(64, 48), { width: 64, height: 48 })).toThrow(/PNG or WebP/);
+    });
+});
@@ -0,0 +1,352 @@
+/**
+ * End-to-end /imagine (and the PFP wizard) against the mock Sogni backend:
+ * the handler, budget check, job queue, provider failover and the sogni-gen
+ * child process all run for real; only Sogni itself is replaced (SOGNI_MOCK=true).
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imagine-e2e-'));
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    SOGNI_MOCK: 'true',
+    SOGNI_MOCK_STEP_MS: '1',
+    SOGNI_MOCK_DIR: path.join(dataDir, 'media'),
+    QUEUE_DB_PATH: path.join(dataDir, 'jobs.sqlite'),
+    BUDGET_DB_PATH: path.join(dataDir, 'budget.sqlite'),
+    MEMORY_DB_PATH: path.join(dataDir, 'memory.sqlite'),
+    STYLES_DB_PATH: path.join(dataDir, 'styles.sqlite'),
+    HISTORY_DB_PATH: path.join(dataDir, 'history.sqlite'),
+    ENHANCE_DB_PATH: path.join(dataDir, 'enhance.sqlite'),
+    SHOWCASE_DB_PATH: path.join(dataDir, 'showcase.sqlite'),
+    PFP_DB_PATH: path.join(dataDir, 'pfp.sqlite'),
+    MODEL_OVERRIDES_PATH: path.join(dataDir, 'model-overrides.json'),
+});
+
+// Image states are kept in ./memory; keep the test out of it
+jest.unstable_mockModule('../src/utils/imageStateManager.js', () => ({
+    imageStateManager: {
+        saveImageState: jest.fn(() => 'state-1'),
+        attachMessage: jest.fn(),
+        getImageState: jest.fn(() => null),
+        getImageStateById: jest.fn(() => null),
+    },
+}));
+
+const { sharedConfig } = await import('../packages/config/index.js');
+const { resetProviderHealth } = await import('../packages/sogni-wrapper/providers.js');
+const { handleImagineCommand, handleImageActionCommand } = await import('../src/slashCommands/handlers.js');
+const { imageStateManager } = await import('../src/utils/imageStateManager.js');
+const { readImageSize } = await import('../packages/utils/image-mask.js');
+const { listHistory } = await import('../packages/history/index.js');
+const { securityManager } = await import('../src/utils/securityManager.js');
+const { geminiFallbackManager } = await import('../src/utils/geminiFallbackManager.js');
+const { setBudget, estimateCost, getSpent } = await import('../packages/budget/index.js');
+const { cancelJob, getJob, listUserJobs } = await import('../packages/sogni-wrapper/queue.js');
+const { runPfpGeneration } = await import('../src/commands/generatePfp.js');
+
+/** ResponseAdapter that records every message */
+function fakeAdapter() {
+    const res = {
+        userId: 'u1',
+        channelId: 'c1',
+        guildId: 'g1',
+        roleIds: [],
+        replies: [],
+        followUps: [],
+        reply: jest.fn(async (msg) => { res.replies.push(msg); }),
+        editReply: jest.fn(async (msg) => { res.replies.push(msg); }),
+        followUp: jest.fn(async (msg) => { res.followUps.push(msg); return { id: `m${res.followUps.length}` }; }),
+        sendInChannel: jest.fn(),
+    };
+    return res;
+}
+
+/** Last plain-text (or content) reply */
+const lastText = (res) => res.replies
+    .map(msg => (typeof msg === 'string' ? msg : msg.content))
+    .filter(Boolean)
+    .pop();
+
+/** Local files attached to the gallery message */
+const galleryFiles = (res) => res.followUps.flatMap(msg => msg.files || []).map(file => file.attachment);
+
+const defaults = {
+    mock: { ...sharedConfig.mock },
+    providers: { ...sharedConfig.providers },
+    timeout: sharedConfig.sogniGen.defaultImageTimeoutSec,
+    progressEditMs: sharedConfig.queue.progressEditMs,
+};
+
+beforeEach(() => {
+    Object.assign(sharedConfig.mock, defaults.mock);
+    Object.assign(sharedConfig.providers, defaults.providers);
+    sharedConfig.sogniGen.defaultImageTimeoutSec = defaults.timeout;
+    sharedConfig.queue.progressEditMs = defaults.progressEditMs;
+    resetProviderHealth();
+});
+
+describe('/imagine end to end (mock Sogni)', () => {
+    test('renders through the queue and posts the image gallery', async () => {
+        const res = fakeAdapter();
+        await handleImagineCommand({ prompt: 'a lighthouse at dusk', width: 512, height: 512, seed: 1234, skipEnhance: true }, res);
+
+        expect(lastText(res)).toMatch(/^✅ \*\*Generated Mastery\*\*/);
+        const [file] = galleryFiles(res);
+        expect(readImageSize(fs.readFileSync(file))).toMatchObject({ width: 512, height: 512, format: 'png' });
+        expect(res.followUps[0].embeds[0].data.footer.text).toContain('Seed: 1234');
+
+        const [entry] = listHistory({ userId: 'u1', query: 'lighthouse at dusk' }).entries;
+        expect(entry).toMatchObject({ kind: 'image', seed: 1234, width: 512, height: 512, urls: [file] });
+    });
+
+    test('progress from the worker is shown while the job runs', async () => {
+        sharedConfig.queue.progressEditMs = 1;
+        const res = fakeAdapter();
+        await handleImagineCommand({ prompt: 'a lighthouse at dusk', width: 512, height: 512, seed: 4321, skipEnhance: true }, res);
+
+        const progress = res.replies.map(msg => msg.content).filter(text => text?.includes('%'));
+        expect(progress.length).toBeGreaterThan(0);
+        expect(progress.at(-1)).toMatch(/▰+▱* \d+% .*🖥️ mock-worker/);
+    });
+
+    test('the same seed renders the same image', async () => {
+        const first = fakeAdapter();
+        const second = fakeAdapter();
+        await handleImagineCommand({ prompt: 'a red kite', width: 512, height: 512, seed: 77, skipEnhance: true }, first);
+        const firstBytes = fs.readFileSync(galleryFiles(first)[0]);
+        await handleImagineCommand({ prompt: 'a red kite', width: 512, height: 512, seed: 77, skipEnhance: true }, second);
+
+        expect(fs.readFileSync(galleryFiles(second)[0]).equals(firstBytes)).toBe(true);
+    });
+
+    test('a failing backend surfaces as a failed generation', async () => {
+        sharedConfig.mock.scenario = 'fail';
+        const res = fakeAdapter();
+        await handleImagineCommand({ prompt: 'a lighthouse', seed: 1, skipEnhance: true }, res);
+
+        expect(lastText(res)).toBe('❌ Generation failed: Mock Sogni: simulated worker failure');
+        expect(res.followUps).toHaveLength(0);
+    });
+
+    test('a stalled worker is killed at the timeout', async () => {
+        sharedConfig.providers.failover = false;
+        sharedConfig.sogniGen.defaultImageTimeoutSec = 1;
+        const res = fakeAdapter();
+        await handleImagineCommand({ prompt: 'a lighthouse [mock:timeout]', seed: 1, skipEnhance: true }, res);
+
+        expect(lastText(res)).toBe('❌ Generation failed: Generation timed out (1s). Sogni may be unreachable.');
+    });
+});
+
+describe('/imagine preview', () => {
+    /** Adapter whose replies can be clicked, answering with `customId` */
+    function clickingAdapter(userId, customId) {
+        const res = fakeAdapter();
+        res.userId = userId;
+        res.click = { customId, update: jest.fn() };
+        res.editReply = jest.fn(async (msg) => {
+            res.replies.push(msg);
+            return { awaitMessageComponent: async () => res.click };
+        });
+        return res;
+    }
+
+    test('shows the prompt check and generates once confirmed', async () => {
+        const res = clickingAdapter('p1', 'preview_generate');
+        await handleImagineCommand({ prompt: 'a lighthouse at dusk, wide shot', width: 512, height: 512, seed: 5, skipEnhance: true, preview: true }, res);
+
+        const preview = res.replies.find(msg => msg.embeds);
+        expect(preview.content).toMatch(/nothing has been charged yet/);
+        expect(preview.embeds[0].toJSON().title).toMatch(/^🔎 Prompt Check · 🟢 \d+\/100$/);
+        expect(res.click.update).toHaveBeenCalledWith(expect.objectContaining({ components: [] }));
+        expect(lastText(res)).toMatch(/^✅ \*\*Generated Mastery\*\*/);
+        expect(listHistory({ userId: 'p1' }).entries).toHaveLength(1);
+    });
+
+    test('cancelling stops before anything is queued', async () => {
+        const res = clickingAdapter('p2', 'preview_cancel');
+        await handleImagineCommand({ prompt: 'photorealistic anime', seed: 5, skipEnhance: true, preview: true }, res);
+
+        const fields = res.replies.find(msg => msg.embeds).embeds[0].toJSON().fields;
+        expect(fields.find(f => f.name === 'Suggestions').value).toContain('Keep one of "photorealistic" or "anime".');
+        expect(res.click.update).toHaveBeenCalledWith(expect.objectContaining({ content: '🚫 **Generation cancelled.**' }));
+        expect(listHistory({ userId: 'p2' }).entries).toHaveLength(0);
+    });
+
+    test('enhanced prompts are shown next to the original, and either can be generated', async () => {
+        const generateContent = jest.spyOn(geminiFallbackManager, 'generateContent')
+            .mockResolvedValue({ result: { text: 'a lighthouse at dusk, soft rim light, wide shot' }, modelUsed: 'test-model' });
+        const res = clickingAdapter('p4', 'preview_original');
+        await handleImagineCommand({ prompt: 'a lighthouse at dusk', width: 512, height: 512, seed: 5, enhance: 'light', preview: true }, res);
+        generateContent.mockRestore();
+
+        const preview = res.replies.find(msg => msg.embeds);
+        expect(preview.embeds[0].toJSON().fields.slice(0, 2).map(f => [f.name.split(' · ')[0], f.value])).toEqual([
+            ['✏️ Your prompt', 'a lighthouse at dusk'],
+            ['✨ Enhanced (🪶 Light)', 'a lighthouse at dusk, soft rim light, wide shot'],
+        ]);
+        expect(preview.components[0].toJSON().components.map(c => c.custom_id)).toEqual(['preview_original', 'preview_enhanced', 'preview_cancel']);
+
+        const [entry] = listHistory({ userId: 'p4' }).entries;
+        expect(entry).toMatchObject({ prompt: 'a lighthouse at dusk', enhancedPrompt: null });
+        expect(lastText(res)).not.toContain('✨');
+    });
+
+    test('unknown enhancements are refused', async () => {
+        const res = fakeAdapter();
+        await handleImagineCommand({ prompt: 'a lighthouse', enhance: 'no-such-template' }, res);
+        expect(lastText(res)).toBe('⚠️ Unknown enhancement `no-such-template` — see `/prompt templates`.');
+    });
+
+    test('banned terms disable Generate', async () => {
+        const slurs = jest.spyOn(securityManager, 'listSlurs').mockReturnValue(['badword']);
+        const res = clickingAdapter('p3', 'preview_generate');
+        await handleImagineCommand({ prompt: 'a badword on a wall', seed: 5, skipEnhance: true, preview: true }, res);
+        slurs.mockRestore();
+
+        const preview = res.replies.find(msg => msg.embeds);
+        expect(preview.content).toMatch(/can't be generated/);
+        expect(preview.components[0].toJSON().components[0].disabled).toBe(true);
+        expect(listHistory({ userId: 'p3' }).entries).toHaveLength(0);
+    });
+});
+
+describe('/imagine budget (mock Sogni)', () => {
+    test('concurrent requests can\'t overspend an allowance together', async () => {
+        setBudget({ guildId: 'gb', scope: 'user', scopeId: 'b1', period: 'daily', limit: estimateCost('image', { width: 512, height: 512 }) });
+        const [first, second] = [fakeAdapter(), fakeAdapter()];
+        for (const res of [first, second]) Object.assign(res, { userId: 'b1', guildId: 'gb' });
+
+        await Promise.all([first, second].map((res, i) => handleImagineCommand({
+            prompt: `a lighthouse ${i}`, width: 512, height: 512, seed: 9, skipEnhance: true,
+        }, res)));
+
+        const outcomes = [first, second].map(res => lastText(res).split('\n')[0]);
+        expect(outcomes.filter(text => text.startsWith('✅'))).toHaveLength(1);
+        expect(outcomes.filter(text => text.startsWith('💸 **Budget exceeded**'))).toHaveLength(1);
+        expect(getSpent('gb', 'daily', 'b1')).toBe(estimateCost('image', { width: 512, height: 512 }));
+    });
+
+    test('an over-budget request is refused before its prompt is enhanced', async () => {
+        setBudget({ guildId: 'gb', scope: 'user', scopeId: 'b2', period: 'daily', limit: estimateCost('image', { width: 512, height: 512 }) / 2 });
+        const generateContent = jest.spyOn(geminiFallbackManager, 'generateContent');
+        const res = fakeAdapter();
+        Object.assign(res, { userId: 'b2', guildId: 'gb' });
+        await handleImagineCommand({ prompt: 'a lighthouse', width: 512, height: 512, enhance: 'full' }, res);
+        const calls = generateContent.mock.calls.length;
+        generateContent.mockRestore();
+
+        expect(lastText(res)).toMatch(/^💸 \*\*Budget exceeded\*\*/);
+        expect(calls).toBe(0);
+    });
+});
+
+describe('/jobs cancel and re-run (mock Sogni)', () => {
+    test('a job cancelled while queued never runs and is refunded', async () => {
+        const res = fakeAdapter();
+        res.userId = 'j1';
+        let jobId = null;
+        let chargedWhileQueued = 0;
+        // Click Cancel as soon as the job's buttons appear, before a worker takes it
+        res.editReply = jest.fn(async (msg) => {
+            res.replies.push(msg);
+            const button = msg.components?.[0]?.toJSON().components[0].custom_id;
+            if (!jobId && button?.startsWith('job_cancel_')) {
+                jobId = Number(button.split('_')[2]);
+                chargedWhileQueued = getSpent('g1', 'daily', 'j1');
+                cancelJob(jobId);
+            }
+        });
+        await handleImagineCommand({ prompt: 'a lighthouse at dusk', width: 512, height: 512, seed: 3, skipEnhance: true }, res);
+
+        expect(lastText(res)).toBe('🚫 **Generation cancelled.**');
+        expect(getJob(jobId)).toMatchObject({ status: 'cancelled', started_at: null, result_json: null });
+        expect(res.followUps).toHaveLength(0);
+        expect(chargedWhileQueued).toBe(estimateCost('image', { width: 512, height: 512 }));
+        expect(getSpent('g1', 'daily', 'j1')).toBe(0);
+    });
+
+    test('re-running a job queues the request it was stored with', async () => {
+        const request = { prompt: 'a red kite', width: 512, height: 512, seed: 21, skipEnhance: true };
+        const first = fakeAdapter();
+        first.userId = 'j2';
+        await handleImagineCommand(request, first);
+        const [original] = listUserJobs('j2');
+
+        // What the Re-run button does with the stored job
+        const rerun = fakeAdapter();
+        rerun.userId = 'j2';
+        await handleImagineCommand(JSON.parse(original.request_json), rerun);
+
+        const [again] = listUserJobs('j2');
+        expect(again.id).toBeGreaterThan(original.id);
+        expect(JSON.parse(again.request_json)).toEqual(request);
+        expect(again.params_json).toBe(original.params_json);
+        expect(fs.readFileSync(galleryFiles(rerun)[0]).equals(fs.readFileSync(galleryFiles(first)[0]))).toBe(true);
+    });
+});
+
+describe('image buttons (mock Sogni)', () => {
+    test('Upscale fetches the source with its presigned signature', async () => {
+        const first = fakeAdapter();
+        await handleImagineCommand({ prompt: 'a red kite', width: 512, height: 512, seed: 8, skipEnhance: true }, first);
+
+        // As saved by imageStateManager: keyed without the query, returned with it
+        const signed = 'https://media.example/out/kite.png?X-Amz-Signature=deadbeef';
+        imageStateManager.getImageStateById.mockReturnValueOnce({ id: 'state-1', url: signed, prompt: 'a red kite', width: 512, height: 512 });
+        const download = jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(fs.readFileSync(galleryFiles(first)[0])));
+        const res = fakeAdapter();
+        await handleImageActionCommand({ action: 'upscale', stateId: 'state-1' }, res);
+        const fetched = download.mock.calls.map(([url]) => url);
+        download.mockRestore();
+
+        expect(fetched).toEqual([signed]);
+        expect(readImageSize(fs.readFileSync(galleryFiles(res)[0]))).toMatchObject({ width: 1024, height: 1024 });
+    });
+});
+
+describe('PFP wizard (mock Sogni)', () => {
+    const answers = { avatarType: 'cyborg', visualStyle: 'cyberpunk', mood: 'dominant', extraDetails: 'none' };
+    const session = (userId) => ({ userId, guildId: 'gf', channelId: 'c1', step: 4, answers, generating: false });
+
+    /** Wizard output that records every message */
+    function pfpOutput() {
+        const output = { statuses: [], sent: [], userTag: 'tester#0001', roleIds: [] };
+        output.status = jest.fn(async (text) => { output.statuses.push(text); });
+        output.send = jest.fn(async (msg) => { output.sent.push(msg); });
+        return output;
+    }
+
+    beforeEach(() => {
+        // Prompts come from the offline composer
+        jest.spyOn(geminiFallbackManager, 'generateContent').mockRejectedValue(new Error('quota'));
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    test('renders through the job queue and is charged to the budget', async () => {
+        const output = pfpOutput();
+        expect(await runPfpGeneration(session('f1'), output)).toBe(true);
+
+        expect(output.sent.at(-1)).toMatchObject({ content: '✨ **Final Web3 PFP:**' });
+        expect(listUserJobs('f1')).toEqual([expect.objectContaining({ kind: 'image', status: 'completed', guild_id: 'gf' })]);
+        expect(getSpent('gf', 'daily', 'f1')).toBe(estimateCost('image'));
+    });
+
+    test('over budget, nothing is queued and the prompt is still delivered', async () => {
+        setBudget({ guildId: 'gf', scope: 'user', scopeId: 'f2', period: 'daily', limit: estimateCost('image') / 2 });
+        const output = pfpOutput();
+        await runPfpGeneration(session('f2'), output);
+
+        expect(output.sent[0].embeds).toHaveLength(1);
+        expect(output.sent.at(-1)).toBe('💸 **Notice:** Your Spark budget is used up. You can still use the prompt above manually.');
+        expect(listUserJobs('f2')).toEqual([]);
+        expect(getSpent('gf', 'daily', 'f2')).toBe(0);
+    });
+});
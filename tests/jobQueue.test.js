@@ -0,0 +1,183 @@
+/**
+ * Tests for the generation job queue — concurrency cap scheduling, and the
+ * SQLite-backed queue itself (enqueue, cancel, caps and restart recovery).
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-')), 'jobs.sqlite');
+Object.assign(process.env, {
+    // The queue runs jobs through the providers, which pull in the legacy config
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    QUEUE_DB_PATH: dbPath,
+});
+
+const { sharedConfig } = await import('../packages/config/index.js');
+const { registerProvider } = await import('../packages/sogni-wrapper/providers.js');
+const {
+    selectRunnableJobs, enqueueGeneration, getJob, cancelJob, getQueueStats, startJobQueue,
+} = await import('../packages/sogni-wrapper/queue.js');
+
+/** Renders the fake backend has started and not yet finished, oldest first */
+const renders = [];
+
+// Stands in for the SDK: every render waits until the test finishes it
+registerProvider({
+    name: 'sdk',
+    unsupported: () => null,
+    generateImage: (params) => new Promise((resolve) => {
+        renders.push({ params, finish: () => resolve({ success: true, url: `https://cdn.example/${params.prompt}.png` }) });
+    }),
+});
+
+/** Finish the oldest running render and wait for its job to settle */
+async function finishRender(job) {
+    renders.shift().finish();
+    await job;
+}
+
+/** Queue an image for `guildId`, tagged with `prompt` so renders can be told apart */
+function enqueue(prompt, guildId = 'g1', hooks = {}) {
+    return enqueueGeneration({ kind: 'image', params: { prompt }, userId: 'u1', channelId: 'c1', guildId }, hooks);
+}
+
+beforeEach(() => {
+    Object.assign(sharedConfig.providers, { image: 'sdk', failover: false });
+    Object.assign(sharedConfig.queue, { maxConcurrent: 4, maxPerGuild: 2 });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const limits = { maxConcurrent: 4, maxPerGuild: 2 };
+
+describe('JobQueue - selectRunnableJobs', () => {
+    test('starts jobs in FIFO order up to the global cap', () => {
+        const queued = [1, 2, 3, 4, 5].map(id => ({ id, guild_id: `g${id}` }));
+        const picked = selectRunnableJobs(queued, [], limits);
+        expect(picked.map(j => j.id)).toEqual([1, 2, 3, 4]);
+    });
+
+    test('respects the per-guild cap', () => {
+        const queued = [1, 2, 3].map(id => ({ id, guild_id: 'busy' }));
+        const picked = selectRunnableJobs(queued, [], limits);
+        expect(picked.map(j => j.id)).toEqual([1, 2]);
+    });
+
+    test('a saturated guild does not block other guilds', () => {
+        const queued = [
+            { id: 1, guild_id: 'busy' },
+            { id: 2, guild_id: 'quiet' },
+        ];
+        const active = [{ guild_id: 'busy' }, { guild_id: 'busy' }];
+        const picked = selectRunnableJobs(queued, active, limits);
+        expect(picked.map(j => j.id)).toEqual([2]);
+    });
+
+    test('counts already-running jobs against the global cap', () => {
+        const queued = [{ id: 9, guild_id: 'x' }];
+        const active = [{ guild_id: 'a' }, { guild_id: 'b' }, { guild_id: 'c' }, { guild_id: 'd' }];
+        expect(selectRunnableJobs(queued, active, limits)).toEqual([]);
+    });
+
+    test('returns nothing for an empty queue', () => {
+        expect(selectRunnableJobs([], [], limits)).toEqual([]);
+    });
+});
+
+describe('JobQueue - persistent queue', () => {
+    test('enqueueing stores the job and its request, then runs it', async () => {
+        let jobId = null;
+        const job = enqueueGeneration({
+            kind: 'image', params: { prompt: 'a fox', model: 'flux1-schnell-fp8' },
+            userId: 'u1', channelId: 'c1', guildId: 'g1', request: { prompt: 'a fox', count: 1 },
+        }, { onQueued: (id) => { jobId = id; } });
+
+        expect(getJob(jobId)).toMatchObject({
+            kind: 'image', user_id: 'u1', channel_id: 'c1', guild_id: 'g1', status: 'running', model: 'flux1-schnell-fp8',
+        });
+        expect(JSON.parse(getJob(jobId).params_json)).toEqual({ prompt: 'a fox', model: 'flux1-schnell-fp8' });
+        expect(JSON.parse(getJob(jobId).request_json)).toEqual({ prompt: 'a fox', count: 1 });
+
+        await finishRender(job);
+        expect(await job).toMatchObject({ url: 'https://cdn.example/a fox.png', provider: 'sdk' });
+        expect(getJob(jobId).status).toBe('completed');
+    });
+
+    test('a queued job can be cancelled and never runs', async () => {
+        sharedConfig.queue.maxConcurrent = 1;
+        const first = enqueue('first');
+        let waitingId = null;
+        const waiting = enqueue('waiting', 'g2', { onQueued: (id) => { waitingId = id; } });
+
+        expect(getJob(waitingId).status).toBe('queued');
+        expect(cancelJob(waitingId)).toBe(true);
+        await expect(waiting).rejects.toMatchObject({ code: 'CANCELLED' });
+        expect(getJob(waitingId).status).toBe('cancelled');
+        expect(cancelJob(waitingId)).toBe(false);
+
+        await finishRender(first);
+        expect(renders).toHaveLength(0);
+    });
+
+    test('pump holds jobs past the per-guild and global caps', async () => {
+        sharedConfig.queue.maxConcurrent = 3;
+        const positions = [];
+        const jobs = [
+            enqueue('busy-1', 'busy'),
+            enqueue('busy-2', 'busy'),
+            enqueue('busy-3', 'busy', { onPosition: (position) => positions.push(position) }),
+            enqueue('quiet-1', 'quiet'),
+            enqueue('other-1', 'other'),
+        ];
+
+        // busy-3 waits on its guild, other-1 on the global cap
+        expect(renders.map(r => r.params.prompt)).toEqual(['busy-1', 'busy-2', 'quiet-1']);
+        expect(getQueueStats()).toEqual({ queued: 2, running: 3 });
+        expect(positions).toEqual([1]);
+
+        // A free busy slot lets busy-3 in ahead of other-1
+        await finishRender(jobs[0]);
+        expect(renders.map(r => r.params.prompt)).toEqual(['busy-2', 'quiet-1', 'busy-3']);
+
+        await finishRender(jobs[1]);
+        expect(renders.map(r => r.params.prompt)).toEqual(['quiet-1', 'busy-3', 'other-1']);
+
+        for (const job of [jobs[3], jobs[2], jobs[4]]) await finishRender(job);
+        expect(getQueueStats()).toEqual({ queued: 0, running: 0 });
+    });
+
+    test('jobs running when the bot stopped are queued again on start', async () => {
+        // What a previous process left behind mid-render
+        getQueueStats();
+        const previous = new Database(dbPath);
+        const { lastInsertRowid } = previous.prepare(`
+        INSERT INTO generation_jobs (kind, user_id, channel_id, guild_id, params_json, status, started_at)
+        VALUES ('image', 'u1', 'c1', 'g1', ?, 'running', datetime('now'))
+      `).run(JSON.stringify({ prompt: 'resumed' }));
+        previous.close();
+        const id = Number(lastInsertRowid);
+
+        let delivered;
+        const delivery = new Promise((resolve) => { delivered = resolve; });
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        startJobQueue(async (job, result, error) => delivered({ job, result, error }));
+
+        expect(renders.map(r => r.params.prompt)).toEqual(['resumed']);
+        expect(getJob(id).status).toBe('running');
+
+        renders.shift().finish();
+        const { job, result, error } = await delivery;
+        expect(job.id).toBe(id);
+        expect(result.url).toBe('https://cdn.example/resumed.png');
+        expect(error).toBeNull();
+        expect(getJob(id).status).toBe('completed');
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for image states and lineage — keeping signed source URLs, walking
+ * parent links and parsing message links.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+});
+
+const { ImageStateManager } = await import('../src/utils/imageStateManager.js');
+const { parseMessageReference } = await import('../src/commands/seedCommands.js');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lineage-'));
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const manager = new ImageStateManager(path.join(dataDir, 'image-states.json'));
+const save = (name, state = {}) => manager.saveImageState(`https://cdn.example/${name}.png`, state);
+const idOf = (name) => manager.getStateId(`https://cdn.example/${name}.png`);
+const lineage = (name) => manager.getLineage(idOf(name));
+const names = (states) => states.map(s => s.url.match(/\/(\w+)\.png$/)[1]);
+
+save('root', { prompt: 'a fox' });
+save('hat', { parentId: idOf('root'), editPrompt: 'add a hat' });
+save('blue', { parentId: idOf('hat'), editPrompt: 'make it blue' });
+save('night', { parentId: idOf('hat'), editPrompt: 'night scene' });
+
+describe('Image states - source URLs', () => {
+    const signed = 'https://media.example/out/abc.png?X-Amz-Signature=deadbeef&X-Amz-Expires=3600';
+
+    test('the state a button looks up keeps the presigned URL\'s signature', () => {
+        const id = manager.saveImageState(signed, { prompt: 'a fox' });
+        expect(manager.getImageStateById(id)).toMatchObject({ id, url: signed, prompt: 'a fox' });
+    });
+
+    test('the image is still recognised without its query string', () => {
+        manager.saveImageState(signed, { prompt: 'a fox' });
+        expect(manager.isBotGenerated('https://media.example/out/abc.png')).toBe(true);
+        expect(manager.getImageState('https://media.example/out/abc.png?X-Amz-Signature=other').url).toBe(signed);
+    });
+
+    test('survives a restart', () => {
+        const id = manager.saveImageState(signed, { prompt: 'a fox' });
+        const reloaded = new ImageStateManager(manager.file);
+        expect(reloaded.getImageStateById(id).url).toBe(signed);
+    });
+});
+
+describe('Lineage - getLineage', () => {
+    test('ancestors run root-first and end with the image', () => {
+        expect(names(lineage('blue').ancestors)).toEqual(['root', 'hat', 'blue']);
+    });
+
+    test('lists every child edit as a branch', () => {
+        expect(names(lineage('hat').children)).toEqual(['blue', 'night']);
+    });
+
+    test('stops at a missing parent', () => {
+        save('orphan', { parentId: 'expired' });
+        expect(names(lineage('orphan').ancestors)).toEqual(['orphan']);
+    });
+
+    test('does not loop on a cycle', () => {
+        save('a', { parentId: idOf('b') });
+        save('b', { parentId: idOf('a') });
+        expect(names(lineage('a').ancestors)).toEqual(['b', 'a']);
+    });
+});
+
+describe('Lineage - parseMessageReference', () => {
+    test('reads the message id from a guild link', () => {
+        expect(parseMessageReference('https://discord.com/channels/111111111111111111/222222222222222222/333333333333333333'))
+            .toBe('333333333333333333');
+    });
+
+    test('reads DM links', () => {
+        expect(parseMessageReference('https://discord.com/channels/@me/222222222222222222/444444444444444444'))
+            .toBe('444444444444444444');
+    });
+
+    test('accepts a bare message id', () => {
+        expect(parseMessageReference('555555555555555555')).toBe('555555555555555555');
+    });
+
+    test('rejects anything else', () => {
+        expect(parseMessageReference('not a link')).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for media helpers — attachment format detection, parsing the
+ * stream summary ffmpeg prints, and planning uploads under Discord limits.
+ */
+import {
+    detectAudioFormat, detectVideoFormat, parseMediaInfo, getUploadLimit, planVideoFit,
+} from '../packages/utils/media.js';
+
+describe('Media - detectAudioFormat', () => {
+    test('uses the content type first', () => {
+        expect(detectAudioFormat('audio/mpeg', 'voice.bin')).toBe('.mp3');
+        expect(detectAudioFormat('audio/x-wav; charset=binary')).toBe('.wav');
+    });
+
+    test('falls back to the file name', () => {
+        expect(detectAudioFormat('application/octet-stream', 'take2.M4A')).toBe('.m4a');
+        expect(detectAudioFormat(null, 'https://cdn.example/beat.ogg?ex=123')).toBe('.ogg');
+    });
+
+    test('rejects non-audio files', () => {
+        expect(detectAudioFormat('video/mp4', 'clip.mp4')).toBeNull();
+        expect(detectAudioFormat('image/png', 'cover.png')).toBeNull();
+    });
+});
+
+describe('Media - detectVideoFormat', () => {
+    test('accepts common clip formats', () => {
+        expect(detectVideoFormat('video/quicktime', 'dance.mov')).toBe('.mov');
+        expect(detectVideoFormat(null, 'dance.webm')).toBe('.webm');
+    });
+
+    test('rejects audio and stills', () => {
+        expect(detectVideoFormat('audio/mpeg', 'song.mp3')).toBeNull();
+        expect(detectVideoFormat('image/png', 'frame.png')).toBeNull();
+    });
+});
+
+describe('Media - parseMediaInfo', () => {
+    test('reads duration and audio stream', () => {
+        const stderr = `Input #0, mp3, from 'voice.mp3':
+  Duration: 00:01:02.50, start: 0.025057, bitrate: 128 kb/s
+  Stream #0:0: Audio: mp3, 44100 Hz, stereo, fltp, 128 kb/s
+At least one output file must be specified`;
+        expect(parseMediaInfo(stderr)).toEqual({
+            duration: 62.5, hasAudio: true, hasVideo: false, width: null, height: null, fps: null,
+        });
+    });
+
+    test('reads video size and frame rate', () => {
+        const stderr = `Input #0, mov,mp4,m4a,3gp,3g2,mj2, from 'clip.mp4':
+  Duration: 00:00:04.04, start: 0.000000, bitrate: 1550 kb/s
+  Stream #0:0[0x1](und): Video: h264 (High) (avc1 / 0x31637661), yuv420p(progressive), 1280x720 [SAR 1:1 DAR 16:9], 1419 kb/s, 29.97 fps, 29.97 tbr, 30k tbn (default)
+  Stream #0:1[0x2](und): Audio: aac (LC) (mp4a / 0x6134706D), 48000 Hz, stereo, fltp, 128 kb/s (default)`;
+        expect(parseMediaInfo(stderr)).toEqual({
+            duration: 4.04, hasAudio: true, hasVideo: true, width: 1280, height: 720, fps: 29.97,
+        });
+    });
+
+    test('missing duration comes back as null', () => {
+        expect(parseMediaInfo('garbage').duration).toBeNull();
+    });
+});
+
+describe('Media - getUploadLimit', () => {
+    test('grows with the boost tier', () => {
+        expect(getUploadLimit(0)).toBe(10 * 1024 * 1024);
+        expect(getUploadLimit(2)).toBe(50 * 1024 * 1024);
+        expect(getUploadLimit(3)).toBe(100 * 1024 * 1024);
+    });
+
+    test('unknown tiers fall back to the base limit', () => {
+        expect(getUploadLimit(undefined)).toBe(10 * 1024 * 1024);
+        expect(getUploadLimit(7)).toBe(10 * 1024 * 1024);
+    });
+});
+
+describe('Media - planVideoFit', () => {
+    test('splits the budget between video and audio', () => {
+        // 10MB over 10s at 92% headroom ≈ 7717 kbps in total
+        expect(planVideoFit(10 * 1024 * 1024, 10, { hasAudio: true })).toEqual({ videoKbps: 7621, audioKbps: 96, maxWidth: null });
+    });
+
+    test('silent clips spend everything on video', () => {
+        expect(planVideoFit(10 * 1024 * 1024, 10).audioKbps).toBe(0);
+    });
+
+    test('low bitrates shrink the frame', () => {
+        expect(planVideoFit(10 * 1024 * 1024, 60).maxWidth).toBe(720);
+        expect(planVideoFit(10 * 1024 * 1024, 200).maxWidth).toBe(480);
+    });
+
+    test('gives up when the clip is far too long', () => {
+        expect(planVideoFit(10 * 1024 * 1024, 1200)).toBeNull();
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the media store — signed download links and pruning.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-store-'));
+process.env.MEDIA_STORE_DIR = path.join(dataDir, 'store');
+process.env.DASHBOARD_PUBLIC_URL = 'https://dash.example.com/';
+process.env.MEDIA_DOWNLOAD_SECRET = 'test-secret';
+
+const { storeMediaFile, createDownloadLink, resolveDownloadToken, pruneMediaStore, MEDIA_TOKEN_AUDIENCE } =
+    await import('../packages/utils/media-store.js');
+const { sharedConfig } = await import('../packages/config/index.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function writeSource(name, content = 'video bytes') {
+    const filePath = path.join(dataDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+describe('Media store - download links', () => {
+    test('a link resolves back to the stored copy', () => {
+        const fileName = storeMediaFile(writeSource('clip.MP4'));
+        expect(fileName).toMatch(/\.mp4$/);
+
+        const link = createDownloadLink(fileName);
+        expect(link.startsWith('https://dash.example.com/media/')).toBe(true);
+
+        const filePath = resolveDownloadToken(link.split('/media/')[1]);
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('video bytes');
+    });
+
+    test('tokens signed with another key are rejected', () => {
+        const fileName = storeMediaFile(writeSource('other.mp4'));
+        expect(resolveDownloadToken(jwt.sign({ file: fileName }, 'wrong-secret'))).toBeNull();
+    });
+
+    test('expired tokens are rejected', () => {
+        const fileName = storeMediaFile(writeSource('old.mp4'));
+        const token = jwt.sign({ file: fileName, exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+        expect(resolveDownloadToken(token)).toBeNull();
+    });
+
+    test('tokens cannot point outside the store', () => {
+        const token = jwt.sign({ file: '../clip.MP4', typ: MEDIA_TOKEN_AUDIENCE }, 'test-secret', { audience: MEDIA_TOKEN_AUDIENCE });
+        expect(resolveDownloadToken(token)).toBeNull();
+    });
+
+    test('tokens without the download audience are rejected', () => {
+        const fileName = storeMediaFile(writeSource('login.mp4'));
+        expect(resolveDownloadToken(jwt.sign({ file: fileName }, 'test-secret'))).toBeNull();
+    });
+
+    test('no download secret means no link, and no token resolves', () => {
+        const link = createDownloadLink(storeMediaFile(writeSource('secret.mp4')));
+        const { downloadSecret } = sharedConfig.media;
+        sharedConfig.media.downloadSecret = null;
+        expect(createDownloadLink('anything.mp4')).toBeNull();
+        expect(resolveDownloadToken(link.split('/media/')[1])).toBeNull();
+        sharedConfig.media.downloadSecret = downloadSecret;
+    });
+
+    test('the dashboard refuses download tokens as API logins', async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        const { DashboardServer } = await import('../src/utils/dashboard.js');
+        const token = createDownloadLink(storeMediaFile(writeSource('api.mp4'))).split('/media/')[1];
+        const dashboard = Object.create(DashboardServer.prototype);
+
+        expect(dashboard.validateToken(token)).toBe(false);
+        expect(dashboard.validateToken(jwt.sign({ username: 'admin', role: 'admin' }, 'test-secret'))).toBe(true);
+        delete process.env.JWT_SECRET;
+    });
+
+    test('no public URL means no link', () => {
+        const { publicUrl } = sharedConfig.media;
+        sharedConfig.media.publicUrl = null;
+        expect(createDownloadLink('anything.mp4')).toBeNull();
+        sharedConfig.media.publicUrl = publicUrl;
+    });
+});
+
+describe('Media store - pruneMediaStore', () => {
+    test('removes files past the retention period', () => {
+        const fileName = storeMediaFile(writeSource('fresh.mp4'));
+        const later = Date.now() + (sharedConfig.media.retentionHours + 1) * 3600 * 1000;
+
+        expect(pruneMediaStore(Date.now())).toBe(0);
+        expect(pruneMediaStore(later)).toBeGreaterThan(0);
+        expect(fs.existsSync(path.join(process.env.MEDIA_STORE_DIR, fileName))).toBe(false);
+    });
+});
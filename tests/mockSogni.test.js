@@ -0,0 +1,133 @@
+/**
+ * Tests for the mock Sogni backend — outcomes, placeholder images and the
+ * mock SDK client's progress reporting.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.SOGNI_MOCK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sogni-mock-test-'));
+// The SDK image generator pulls in the legacy config, which needs these to load
+process.env.DISCORD_TOKEN ||= 'test-token';
+process.env.GEMINI_API_KEY ||= 'test-key';
+process.env.SOGNI_USERNAME ||= 'test-user';
+process.env.SOGNI_PASSWORD ||= 'test-pass';
+
+const { sharedConfig } = await import('../packages/config/index.js');
+const {
+    mockSeed, resolveMockOutcome, renderPlaceholderPng, renderMockImages, renderMockAngles, simulateProgress,
+    MOCK_FAILURE_MESSAGE,
+} = await import('../packages/sogni-wrapper/mock-backend.js');
+const { SogniClientWrapper, ClientEvent } = await import('../packages/sogni-wrapper/mock-client.js');
+const { readImageSize } = await import('../packages/utils/image-mask.js');
+
+beforeEach(() => {
+    Object.assign(sharedConfig.mock, { scenario: 'ok', progressSteps: 4, stepMs: 1 });
+});
+
+describe('MockSogni - resolveMockOutcome', () => {
+    test('prompt directives beat the scenario', () => {
+        expect(resolveMockOutcome('a cat [mock:fail]', 2, 'ok')).toBe('fail');
+        expect(resolveMockOutcome('a cat [MOCK:TIMEOUT]', 2, 'fail')).toBe('timeout');
+    });
+
+    test('flaky fails odd seeds only', () => {
+        expect(resolveMockOutcome('a cat', 3, 'flaky')).toBe('fail');
+        expect(resolveMockOutcome('a cat', 4, 'flaky')).toBe('ok');
+    });
+
+    test('unseeded jobs get a seed from the prompt', () => {
+        expect(mockSeed('a cat', null)).toBe(mockSeed('a cat', undefined));
+        expect(mockSeed('a cat', null)).not.toBe(mockSeed('a dog', null));
+        expect(mockSeed('a cat', 12)).toBe(12);
+    });
+});
+
+describe('MockSogni - placeholder images', () => {
+    test('PNG has the requested size', () => {
+        const png = renderPlaceholderPng({ prompt: 'a cat', seed: 1, width: 96, height: 64 });
+        expect(readImageSize(png)).toEqual({ width: 96, height: 64, format: 'png' });
+    });
+
+    test('same prompt and seed give the same bytes', () => {
+        const a = renderPlaceholderPng({ prompt: 'a cat', seed: 1, width: 32, height: 32 });
+        const b = renderPlaceholderPng({ prompt: 'a cat', seed: 1, width: 32, height: 32 });
+        const c = renderPlaceholderPng({ prompt: 'a cat', seed: 2, width: 32, height: 32 });
+        expect(a.equals(b)).toBe(true);
+        expect(a.equals(c)).toBe(false);
+    });
+
+    test('batches count seeds up from the first', () => {
+        const { paths, seeds } = renderMockImages({ prompt: 'a cat', seed: 40, width: 32, height: 32, count: 3 });
+        expect(seeds).toEqual([40, 41, 42]);
+        expect(paths.every(p => fs.existsSync(p))).toBe(true);
+    });
+
+    test('angles come back in sogni-gen\'s per-angle shape', () => {
+        const angles = renderMockAngles({ prompt: 'a vase', seed: 5, shots: [{ key: 'front' }, { key: 'back', index: 1, degrees: 180 }] });
+        expect(angles.map(a => [a.azimuth, a.index, a.degrees])).toEqual([['front', 0, 0], ['back', 1, 180]]);
+        expect(angles[1].localPaths).toEqual(angles[1].urls);
+    });
+
+    test('progress stops where asked', async () => {
+        const seen = [];
+        await simulateProgress(percent => seen.push(percent), 50);
+        expect(seen).toEqual([25, 50]);
+    });
+});
+
+describe('MockSogni - client', () => {
+    test('image projects report progress, then finish with files', async () => {
+        const client = new SogniClientWrapper({});
+        await client.connect();
+        const events = [];
+        client.on(ClientEvent.PROJECT_PROGRESS, data => events.push(data.percentage));
+
+        const project = await client.createProject({ type: 'image', positivePrompt: 'a cat', seed: 9, width: 32, height: 32, numberOfImages: 2 });
+        expect(client.isConnected()).toBe(true);
+        expect(events).toEqual([25, 50, 75, 100]);
+        expect(project.imageUrls).toHaveLength(2);
+        expect(project.jobs.map(j => j.seed)).toEqual([9, 10]);
+    });
+
+    test('projects announce their queue position and worker', async () => {
+        const client = new SogniClientWrapper({});
+        const events = [];
+        client.on(ClientEvent.PROJECT_EVENT, data => events.push(data.type));
+        client.on(ClientEvent.JOB_EVENT, data => events.push(`${data.type}:${data.workerName}`));
+
+        await client.createProject({ type: 'image', positivePrompt: 'a cat', width: 32, height: 32 });
+        expect(events).toEqual(['queued', 'started:mock-worker']);
+    });
+
+    test('failures reject the project', async () => {
+        sharedConfig.mock.scenario = 'fail';
+        const client = new SogniClientWrapper({});
+        await expect(client.createImageEditProject({ type: 'image', positivePrompt: 'a cat' })).rejects.toThrow(MOCK_FAILURE_MESSAGE);
+    });
+
+    test('timeouts leave the project unfinished', async () => {
+        const client = new SogniClientWrapper({});
+        const project = await client.createProject({ type: 'image', positivePrompt: 'a cat [mock:timeout]' });
+        expect(project.imageUrls).toBeNull();
+        expect(project.progress).toBe(50);
+    });
+});
+
+describe('MockSogni - SDK image generator', () => {
+    test('parallel renders each hear only their own progress', async () => {
+        sharedConfig.mock.enabled = true;
+        const { imageGenerator } = await import('../src/imageGenerator.js');
+        const render = (prompt, seed, seen) => imageGenerator.generateImage(prompt, () => { }, null, seed, true, null, {
+            modelId: 'flux1-schnell-fp8', width: 256, height: 256, onProgress: event => seen.push(event),
+        });
+
+        const cat = [];
+        const dog = [];
+        await Promise.all([render('a cat', 1, cat), render('a dog', 2, dog)]);
+        const percents = seen => seen.filter(e => e.percent != null).map(e => e.percent);
+        expect(percents(cat)).toEqual([25, 50, 75, 100]);
+        expect(percents(dog)).toEqual([25, 50, 75, 100]);
+        expect(imageGenerator.projectHooks.size).toBe(0);
+    });
+});
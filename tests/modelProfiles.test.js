@@ -0,0 +1,57 @@
+/**
+ * Tests for model profiles — layering guild overrides and request options,
+ * clamping to model ranges and family fallbacks.
+ */
+import { resolveModelProfile, MODEL_PROFILES, SOGNI_MODELS } from '../packages/config/models.js';
+
+describe('resolveModelProfile', () => {
+    test('returns the built-in defaults', () => {
+        const profile = resolveModelProfile('flux2_dev_fp8');
+        expect(profile).toMatchObject({ steps: 25, guidance: 3.5, sampler: 'euler', fallback: null, adjustments: [] });
+    });
+
+    test('request options win over guild overrides', () => {
+        const profile = resolveModelProfile('flux2_dev_fp8', {
+            guild: { steps: 30, guidance: 4 },
+            options: { steps: 40 },
+        });
+        expect(profile.steps).toBe(40);
+        expect(profile.guidance).toBe(4);
+        expect(profile.sources).toMatchObject({ steps: 'request', guidance: 'guild', sampler: 'model' });
+    });
+
+    test('clamps steps and guidance to the model range and reports it', () => {
+        const profile = resolveModelProfile('sdxl-lightning-4step', { options: { steps: 50, guidance: 9 } });
+        expect(profile.steps).toBe(8);
+        expect(profile.guidance).toBe(2.5);
+        expect(profile.adjustments).toHaveLength(2);
+    });
+
+    test('unsupported samplers fall back to the model default', () => {
+        const profile = resolveModelProfile('flux1-schnell-fp8', { options: { sampler: 'dpm_pp_2m' } });
+        expect(profile.sampler).toBe('euler');
+        expect(profile.adjustments[0]).toContain('sampler');
+    });
+
+    test('a custom negative prompt replaces the default', () => {
+        expect(resolveModelProfile('pony-diffusion-v6-xl', { options: { negativePrompt: 'hats' } }).negativePrompt).toBe('hats');
+    });
+
+    test('realism keywords raise steps without reporting an adjustment', () => {
+        const profile = resolveModelProfile('z_image_turbo_bf16', { prompt: 'realistic portrait' });
+        expect(profile.steps).toBe(6);
+        expect(profile.adjustments).toEqual([]);
+    });
+
+    test('unknown models borrow a profile from their family', () => {
+        expect(resolveModelProfile('flux3_pro').fallback).toBe('flux2_dev_fp8');
+        expect(resolveModelProfile('my-sdxl-finetune').fallback).toBe('coreml-juggernautXL_juggXIByRundiffusion');
+        expect(resolveModelProfile('mystery').fallback).toBe('z_image_turbo_bf16');
+    });
+
+    test('every image model has its own profile', () => {
+        for (const model of SOGNI_MODELS.IMAGE) {
+            expect(MODEL_PROFILES[model.id]).toBeDefined();
+        }
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for the multi-angle shot planner — angle counts, in-between
+ * azimuth phrasing, elevation sweeps and orbit mode.
+ */
+import { planAngleShots, describeAzimuth, orbitElevation, MULTI_ANGLE_AZIMUTHS } from '../packages/utils/multi-angle.js';
+
+describe('Multi-angle - describeAzimuth', () => {
+    test('uses the LoRA view on the eight azimuths', () => {
+        expect(describeAzimuth(90)).toEqual({ azimuth: 'right', prompt: 'right side view', exact: true });
+    });
+
+    test('nudges in-between angles toward the neighbouring view', () => {
+        expect(describeAzimuth(15).prompt).toBe('front view turned 15° toward the front-right quarter view');
+        expect(describeAzimuth(337.5)).toMatchObject({ azimuth: 'front', prompt: 'front view turned 22.5° toward the front-left quarter view' });
+    });
+});
+
+describe('Multi-angle - orbitElevation', () => {
+    test('rises on the right and dips on the left', () => {
+        expect([0, 90, 180, 270].map(orbitElevation)).toEqual(['eye-level', 'high-angle', 'eye-level', 'low-angle']);
+    });
+});
+
+describe('Multi-angle - planAngleShots', () => {
+    test('the default plan is the classic eight azimuths', () => {
+        const shots = planAngleShots();
+        expect(shots.map(s => s.key)).toEqual(MULTI_ANGLE_AZIMUTHS.map(a => a.key));
+        expect(shots[2]).toMatchObject({ index: 2, degrees: 90, elevation: null, label: 'right side view' });
+    });
+
+    test('counts space the angles evenly', () => {
+        expect(planAngleShots({ count: 4 }).map(s => s.key)).toEqual(['front', 'right', 'back', 'left']);
+        expect(planAngleShots({ count: 24 })[1]).toMatchObject({ key: '15deg', azimuth: 'front' });
+    });
+
+    test('distance and elevation apply to every shot', () => {
+        const shots = planAngleShots({ count: 4, elevation: 'high-angle', distance: 'close-up' });
+        expect(shots.every(s => s.elevation === 'high-angle' && s.distance === 'close-up')).toBe(true);
+        expect(shots[0].label).toBe('front view, high-angle shot, close-up');
+    });
+
+    test('a sweep renders one ring per height, bottom up', () => {
+        const shots = planAngleShots({ count: 4, elevation: 'sweep' });
+        expect(shots).toHaveLength(12);
+        expect(shots.map(s => s.key).slice(0, 5))
+            .toEqual(['front@low-angle', 'right@low-angle', 'back@low-angle', 'left@low-angle', 'front@eye-level']);
+        expect(shots.at(-1).index).toBe(11);
+    });
+
+    test('orbit varies the elevation along the turn', () => {
+        expect(planAngleShots({ count: 8, orbit: true }).map(s => s.elevation)).toEqual([
+            'eye-level', 'elevated', 'high-angle', 'elevated', 'eye-level', 'low-angle', 'low-angle', 'low-angle',
+        ]);
+    });
+
+    test('rejects unsupported options', () => {
+        expect(() => planAngleShots({ count: 12 })).toThrow(/4, 8, 16, 24/);
+        expect(() => planAngleShots({ orbit: true, elevation: 'low-angle' })).toThrow(/Orbit mode/);
+        expect(() => planAngleShots({ count: 24, elevation: 'sweep' })).toThrow(/at most 48/);
+        expect(() => planAngleShots({ distance: 'far' })).toThrow(/close-up, medium, wide/);
+    });
+});
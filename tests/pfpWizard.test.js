@@ -0,0 +1,232 @@
+/**
+ * Tests for the PFP wizard — persisted sessions, step transitions, the
+ * wizard message, starting or resuming it from the command, and starting
+ * from the member's avatar.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfp-'));
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    PFP_DB_PATH: path.join(dataDir, 'pfp.sqlite'),
+    STYLES_DB_PATH: path.join(dataDir, 'styles.sqlite'),
+    PFP_SESSION_TTL_HOURS: '1',
+});
+
+const { getPfpSession, savePfpSession, deletePfpSession } = await import('../packages/pfp/index.js');
+const {
+    applyWizardAction, buildWizardMessage, nextOpenStep, summarizeAnswers, wizardQuestions, createCustomAnswerModal,
+    applyAvatarStart, createDownloadRow,
+} = await import('../src/commands/pfpWizard.js');
+const { handleGeneratePfp, startAvatarPfp } = await import('../src/commands/generatePfp.js');
+const { parseAvatarDescription, avatarKeepPhrases } = await import('../src/promptGenerator.js');
+const { geminiFallbackManager } = await import('../src/utils/geminiFallbackManager.js');
+
+const realFetch = global.fetch;
+const realGenerateContent = geminiFallbackManager.generateContent;
+afterAll(() => {
+    global.fetch = realFetch;
+    geminiFallbackManager.generateContent = realGenerateContent;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const newSession = (overrides = {}) => ({ userId: 'u1', guildId: null, channelId: 'dm1', step: 0, answers: {}, generating: false, ...overrides });
+
+/** Custom ids of every component in a wizard message */
+const componentIds = (message) => message.components.flatMap(row => row.toJSON().components.map(c => c.custom_id));
+
+describe('PFP wizard - sessions', () => {
+    test('sessions persist and expire', () => {
+        const now = Date.now();
+        savePfpSession(newSession({ userId: 'p1', step: 2, answers: { avatarType: 'cyborg' } }), now);
+        expect(getPfpSession('p1', now + 1000)).toMatchObject({ step: 2, answers: { avatarType: 'cyborg' }, guildId: null, generating: false });
+        expect(getPfpSession('p1', now + 2 * 60 * 60 * 1000)).toBeNull();
+        expect(getPfpSession('p1', now)).toBeNull();
+    });
+
+    test('deleting ends the session', () => {
+        savePfpSession(newSession({ userId: 'p2' }));
+        expect(deletePfpSession('p2')).toBe(true);
+        expect(deletePfpSession('p2')).toBe(false);
+    });
+});
+
+describe('PFP wizard - steps', () => {
+    const questions = wizardQuestions(newSession());
+
+    test('picks move on to the next unanswered question', () => {
+        let session = applyWizardAction(newSession(), 'pick', 'cyborg');
+        expect(session).toMatchObject({ step: 1, answers: { avatarType: 'cyborg' } });
+        session = applyWizardAction({ ...session, step: 0 }, 'pick', 'male');
+        expect(session.step).toBe(1);
+
+        // A preselected style is skipped
+        expect(nextOpenStep(questions, { avatarType: 'male', visualStyle: 'anime' }, 1)).toBe(2);
+        // Going back and changing an answer returns to the first open question
+        expect(nextOpenStep(questions, { avatarType: 'male', visualStyle: 'anime', extraDetails: 'none' }, 1)).toBe(2);
+        expect(nextOpenStep(questions, { avatarType: 'male', visualStyle: 'anime', mood: 'calm', extraDetails: 'none' }, 1)).toBe(questions.length);
+    });
+
+    test('only optional questions can be skipped', () => {
+        expect(applyWizardAction(newSession(), 'skip')).toMatchObject({ step: 0, answers: {} });
+        const last = newSession({ step: 3, answers: { avatarType: 'male', visualStyle: 'anime', mood: 'calm' } });
+        expect(applyWizardAction(last, 'skip')).toMatchObject({ step: 4, answers: { extraDetails: 'none' } });
+    });
+
+    test('back steps from review to the last question; restart clears everything', () => {
+        const review = newSession({ step: 4, answers: { avatarType: 'male', visualStyle: 'anime', mood: 'calm', extraDetails: 'none' } });
+        expect(applyWizardAction(review, 'back').step).toBe(3);
+        expect(applyWizardAction(newSession(), 'back').step).toBe(0);
+        expect(applyWizardAction(review, 'restart')).toMatchObject({ step: 0, answers: {} });
+    });
+});
+
+describe('PFP wizard - message', () => {
+    test('questions show a menu and the buttons that apply', () => {
+        const message = buildWizardMessage(newSession());
+        expect(componentIds(message)).toEqual(['pfp_pick_u1', 'pfp_back_u1', 'pfp_custom_u1', 'pfp_avatar_u1', 'pfp_restart_u1', 'pfp_cancel_u1']);
+        expect(message.components[1].toJSON().components[0].disabled).toBe(true);
+
+        const optional = buildWizardMessage(newSession({ step: 3 }));
+        expect(componentIds(optional)).toContain('pfp_skip_u1');
+    });
+
+    test('the summary shows choices so far and the current step', () => {
+        const session = newSession({ step: 2, answers: { avatarType: 'cyborg', visualStyle: 'a chrome dream' } });
+        expect(summarizeAnswers(wizardQuestions(session), session).split('\n')).toEqual([
+            '✅ **What type of avatar do you want:** 🦾 Cyborg',
+            '✅ **What visual style do you prefer:** ✏️ "a chrome dream"',
+            '▶ **What mood and personality should it convey:** —',
+            '▫️ **Custom Instructions or Steps:** —',
+        ]);
+    });
+
+    test('the review step offers Generate', () => {
+        const message = buildWizardMessage(newSession({ step: 4, answers: { avatarType: 'male', visualStyle: 'anime', mood: 'calm', extraDetails: 'none' } }));
+        expect(componentIds(message)).toEqual(['pfp_generate_u1', 'pfp_back_u1', 'pfp_restart_u1', 'pfp_cancel_u1']);
+        expect(message.embeds[0].toJSON().title).toBe('🦅 PFP Wizard · Review');
+        expect(createCustomAnswerModal(newSession({ step: 4 }))).toBeNull();
+    });
+});
+
+describe('PFP wizard - command', () => {
+    /** Fake message the command replies to */
+    const fakeMessage = (userId, guildId = null) => {
+        const message = {
+            author: { id: userId },
+            guild: guildId ? { id: guildId } : null,
+            channel: { id: 'dm-channel' },
+            replies: [],
+            reply: async (msg) => { message.replies.push(msg); },
+        };
+        return message;
+    };
+
+    test('starts a wizard in DMs, with a preselected style skipped', async () => {
+        const message = fakeMessage('c1');
+        await handleGeneratePfp(message, { style: 'anime-tech' });
+
+        expect(getPfpSession('c1')).toMatchObject({ guildId: null, step: 0, answers: { visualStyle: 'anime-tech' } });
+        expect(message.replies[0].embeds[0].toJSON().title).toBe('🦅 PFP Wizard · Step 1/4');
+    });
+
+    test('running it again resumes the unfinished wizard', async () => {
+        savePfpSession(newSession({ userId: 'c2', step: 2, answers: { avatarType: 'cyborg', visualStyle: 'anime' }, generating: true }));
+        const message = fakeMessage('c2', 'g1');
+        await handleGeneratePfp(message);
+
+        expect(message.replies[0].content).toContain('Welcome back');
+        expect(message.replies[0].embeds[0].toJSON().title).toBe('🦅 PFP Wizard · Step 3/4');
+        expect(getPfpSession('c2')).toMatchObject({ guildId: null, step: 2, generating: false });
+    });
+
+    test('unknown styles are refused', async () => {
+        const message = fakeMessage('c3');
+        await handleGeneratePfp(message, { style: 'no-such-style' });
+        expect(message.replies[0].embeds[0].toJSON().title).toBe('Unknown Style');
+        expect(getPfpSession('c3')).toBeNull();
+    });
+});
+
+describe('PFP wizard - from your avatar', () => {
+    const avatar = {
+        url: 'https://cdn.example/avatars/u1.png',
+        description: { subject: 'a grey cat in a hoodie', pose: 'head tilted, facing left', colours: 'teal and orange' },
+    };
+
+    test('Gemini descriptions are read trait by trait', () => {
+        expect(parseAvatarDescription('```json\n{"subject": "a cat", "pose": "side view", "colours": "blue", "extra": 1}\n```'))
+            .toEqual({ subject: 'a cat', pose: 'side view', colours: 'blue' });
+        expect(parseAvatarDescription('Just a cat.')).toEqual({ subject: 'Just a cat.', pose: '', colours: '' });
+        expect(parseAvatarDescription('{}')).toBeNull();
+        expect(parseAvatarDescription('')).toBeNull();
+    });
+
+    test('kept traits become prompt phrases', () => {
+        expect(avatarKeepPhrases(avatar.description, ['pose', 'colours', 'bogus'])).toEqual([
+            'the same pose (head tilted, facing left)',
+            'the same colours (teal and orange)',
+        ]);
+        expect(avatarKeepPhrases(null, ['subject'])).toEqual(['the same subject']);
+    });
+
+    test('starting from the avatar swaps the type question for keep and strength', () => {
+        const session = applyAvatarStart(newSession({ answers: { avatarType: 'male', visualStyle: 'anime-tech' } }), avatar);
+        expect(session.answers).toEqual({ visualStyle: 'anime-tech', avatar });
+        expect(wizardQuestions(session).map(q => q.id)).toEqual(['keep', 'visualStyle', 'mood', 'strength', 'extraDetails']);
+        expect(session.step).toBe(0);
+
+        // Restart goes back to the regular wizard
+        expect(wizardQuestions(applyWizardAction(session, 'restart'))[0].id).toBe('avatarType');
+    });
+
+    test('the keep step is a multi-select and reads back every pick', () => {
+        const session = applyWizardAction(applyAvatarStart(newSession(), avatar), 'pick', 'subject,colours');
+        expect(session.answers.keep).toBe('subject,colours');
+
+        const message = buildWizardMessage({ ...session, step: 0 });
+        const menu = message.components[0].toJSON().components[0];
+        expect(menu).toMatchObject({ min_values: 1, max_values: 3 });
+        expect(menu.options.filter(opt => opt.default).map(opt => opt.value)).toEqual(['subject', 'colours']);
+        expect(componentIds(message)).not.toContain('pfp_avatar_u1');
+
+        const embed = message.embeds[0].toJSON();
+        expect(embed.thumbnail.url).toBe(avatar.url);
+        expect(embed.fields[0].value.split('\n')[0]).toBe('▶ **What should we keep from your avatar:** 🧍 Subject, 🎨 Colours');
+        expect(embed.fields[1].value).toContain('**🤸 Pose:** head tilted, facing left');
+    });
+
+    test('the avatar is described through Gemini vision and saved with the session', async () => {
+        let request;
+        global.fetch = async () => new Response(Buffer.from('png-bytes'), { headers: { 'content-type': 'image/png' } });
+        geminiFallbackManager.generateContent = async (prompt, options) => {
+            request = options;
+            return { result: { text: JSON.stringify(avatar.description) }, modelUsed: 'test-model' };
+        };
+
+        const session = await startAvatarPfp(newSession({ userId: 'a1', answers: { mood: 'calm' } }), avatar.url);
+        expect(request).toEqual({ imageBase64: Buffer.from('png-bytes').toString('base64'), imageMimeType: 'image/png' });
+        expect(getPfpSession('a1')).toMatchObject({ step: 0, answers: { mood: 'calm', avatar } });
+        expect(session.answers.avatar).toEqual(avatar);
+    });
+
+    test('an avatar Discord will not serve is reported', async () => {
+        global.fetch = async () => new Response('gone', { status: 404 });
+        await expect(startAvatarPfp(newSession({ userId: 'a2' }), avatar.url)).rejects.toThrow('couldn\'t load your avatar');
+        expect(getPfpSession('a2')).toBeNull();
+    });
+
+    test('finished PFPs offer downloads for each platform', () => {
+        const row = createDownloadRow('abc123').toJSON();
+        expect(row.components.map(c => [c.custom_id, c.label])).toEqual([
+            ['pfp_size_abc123_discord', '⬇️ Discord · 1024px'],
+            ['pfp_size_abc123_x', '⬇️ X · 400px'],
+            ['pfp_size_abc123_opensea', '⬇️ OpenSea · 350px'],
+        ]);
+    });
+});
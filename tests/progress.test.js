@@ -0,0 +1,101 @@
+/**
+ * Tests for structured generation progress — parsing both backends'
+ * events, formatting them for Discord and throttling reply edits.
+ */
+import { jest } from '@jest/globals';
+import {
+    parseProgressLine, progressFromClientEvent, estimateEta, formatProgress, createProgressTracker,
+} from '../packages/sogni-wrapper/progress.js';
+
+describe('Progress - parseProgressLine', () => {
+    test('reads structured lines', () => {
+        expect(parseProgressLine('[PROGRESS] {"percent":40,"worker":"w-7","completed":1,"total":4}'))
+            .toEqual({ percent: 40, worker: 'w-7', completed: 1, total: 4 });
+    });
+
+    test('falls back to free text with a percentage', () => {
+        expect(parseProgressLine('[PROGRESS] Generating front: Progress: 45%')).toEqual({ stage: 'Generating front: Progress: 45%', percent: 45 });
+        expect(parseProgressLine('[PROGRESS] Uploading reference')).toEqual({ stage: 'Uploading reference' });
+    });
+
+    test('ignores other lines', () => {
+        expect(parseProgressLine('Connected.')).toBeNull();
+        expect(parseProgressLine('[PROGRESS]')).toBeNull();
+    });
+});
+
+describe('Progress - progressFromClientEvent', () => {
+    test('maps SDK events', () => {
+        expect(progressFromClientEvent('progress', { percentage: 33.4 })).toEqual({ percent: 33 });
+        expect(progressFromClientEvent('project', { type: 'queued', queuePosition: 5 })).toEqual({ queuePosition: 5 });
+        expect(progressFromClientEvent('job', { type: 'started', workerName: 'w-2' })).toEqual({ worker: 'w-2' });
+        expect(progressFromClientEvent('job', { type: 'preview', url: 'https://x/p.jpg' })).toEqual({ previewUrl: 'https://x/p.jpg' });
+        expect(progressFromClientEvent('job', { type: 'jobETA', etaSeconds: 11.6 })).toEqual({ etaSec: 12 });
+    });
+
+    test('drops events with nothing to show', () => {
+        expect(progressFromClientEvent('project', { type: 'completed' })).toBeNull();
+        expect(progressFromClientEvent('job', { type: 'started' })).toBeNull();
+        expect(progressFromClientEvent('progress', null)).toBeNull();
+    });
+});
+
+describe('Progress - formatting', () => {
+    test('estimates the time left from the pace so far', () => {
+        expect(estimateEta(25, 10000)).toBe(30);
+        expect(estimateEta(0, 10000)).toBeNull();
+        expect(estimateEta(100, 10000)).toBeNull();
+    });
+
+    test('shows every known field', () => {
+        expect(formatProgress({ percent: 30, etaSec: 12, worker: 'w-7', completed: 1, total: 4 }))
+            .toBe('▰▰▰▱▱▱▱▱▱▱ 30% · ~12s left · 🖥️ w-7 · 1/4 done');
+        expect(formatProgress({ etaSec: 150 })).toBe('~3m left');
+    });
+
+    test('queue position only shows before rendering starts', () => {
+        expect(formatProgress({ queuePosition: 3 })).toBe('#3 in Sogni queue');
+        expect(formatProgress({ queuePosition: 3, percent: 10 })).not.toContain('queue');
+    });
+});
+
+describe('Progress - createProgressTracker', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('renders at most once per interval, then the latest state', () => {
+        let clock = 0;
+        const render = jest.fn();
+        const tracker = createProgressTracker(render, { intervalMs: 1000, now: () => clock });
+
+        tracker.push({ percent: 10 });
+        tracker.push({ percent: 20 });
+        tracker.push({ worker: 'w-1' });
+        expect(render).toHaveBeenCalledTimes(1);
+
+        clock = 1000;
+        jest.advanceTimersByTime(1000);
+        expect(render).toHaveBeenCalledTimes(2);
+        expect(render.mock.calls[1][0]).toMatchObject({ percent: 20, worker: 'w-1' });
+    });
+
+    test('derives an ETA when the backend sends none', () => {
+        let clock = 0;
+        const render = jest.fn();
+        const tracker = createProgressTracker(render, { now: () => clock });
+        clock = 5000;
+        tracker.push({ percent: 50 });
+        expect(render.mock.calls[0][0].etaSec).toBe(5);
+    });
+
+    test('stopping drops the pending render', () => {
+        const render = jest.fn();
+        const tracker = createProgressTracker(render, { intervalMs: 1000, now: () => 0 });
+        tracker.push({ percent: 10 });
+        tracker.push({ percent: 20 });
+        tracker.stop();
+        jest.advanceTimersByTime(5000);
+        tracker.push({ percent: 30 });
+        expect(render).toHaveBeenCalledTimes(1);
+    });
+});
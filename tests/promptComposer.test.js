@@ -0,0 +1,130 @@
+/**
+ * Tests for the offline prompt composer — per-style banks, seeded draws,
+ * Flux/SDXL/Pony phrasing — and the Gemini fallbacks built on it.
+ */
+import { jest } from '@jest/globals';
+import {
+    composePrompt, polishPrompt, detectStyle, promptFamily, hashSeed,
+} from '../packages/utils/prompt-composer.js';
+import { estimateTokens } from '../packages/utils/prompt-lint.js';
+
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+});
+
+const { generatePrompt, generateAvatarPrompt, enhancePrompt, validatePrompt } = await import('../src/promptGenerator.js');
+const { geminiFallbackManager } = await import('../src/utils/geminiFallbackManager.js');
+
+const FLUX = 'flux1-schnell-fp8';
+const SDXL = 'coreml-juggernautXL_juggXIByRundiffusion';
+const PONY = 'pony-diffusion-v6-xl';
+
+const cyborg = { subject: 'a cyborg', style: 'cyberpunk', mood: 'dominant', seed: 42, kind: 'pfp' };
+
+describe('Prompt composer', () => {
+    test('Flux gets sentences', () => {
+        expect(composePrompt({ ...cyborg, modelId: FLUX })).toBe(
+            'A cyberpunk concept art of a cyborg with a commanding stare, a techwear jacket and holographic accents. '
+            + 'Set in a neon-lit rainy megacity, lit by rain-slick neon reflections, with electric magenta and teal tones. '
+            + 'Close-up portrait, framed as a Web3 NFT profile picture, sharp focus, fine detail.',
+        );
+    });
+
+    test('SDXL gets quality-first tags', () => {
+        expect(composePrompt({ ...cyborg, modelId: SDXL })).toBe(
+            'masterpiece, best quality, cyberpunk concept art, a cyborg, a commanding stare, a techwear jacket, holographic accents, '
+            + 'a neon-lit rainy megacity, rain-slick neon reflections, electric magenta and teal tones, close-up portrait, nft pfp',
+        );
+    });
+
+    test('Pony gets score, source and rating tags, trimmed to what CLIP reads', () => {
+        const prompt = composePrompt({ ...cyborg, modelId: PONY });
+        expect(prompt).toBe(
+            'score_9, score_8_up, score_7_up, source_anime, rating_safe, cyberpunk concept art, a cyborg, a commanding stare, '
+            + 'a techwear jacket, holographic accents, a neon-lit rainy megacity, rain-slick neon reflections, close-up portrait, nft pfp',
+        );
+        expect(estimateTokens(prompt)).toBeLessThanOrEqual(77);
+    });
+
+    test('without a seed the request seeds itself, so it always composes the same prompt', () => {
+        const request = { subject: 'a lighthouse on a cliff', modelId: FLUX };
+        expect(composePrompt(request)).toBe(composePrompt(request));
+        expect(composePrompt({ ...request, seed: 1 })).not.toBe(composePrompt({ ...request, seed: 2 }));
+    });
+
+    test('kept traits and the user\'s own details always survive trimming', () => {
+        const prompt = composePrompt({
+            subject: 'a fox', style: 'Anime Tech (anime style, high-tech gear)', mood: 'calm', details: 'red scarf',
+            keep: ['the same pose'], modelId: PONY, seed: 7, kind: 'pfp',
+        });
+        expect(prompt).toBe(
+            'score_9, score_8_up, score_7_up, source_anime, rating_safe, anime illustration, a fox, the same pose, a serene expression, '
+            + 'red scarf, mechanical armor plating, a high-tech hangar, dynamic rim light, centered head-and-shoulders portrait, nft pfp',
+        );
+    });
+
+    test('styles are found by name, description or the subject\'s own words', () => {
+        expect(detectStyle('glitch-art')).toBe('glitch-art');
+        expect(detectStyle('Vaporwave (vaporwave aesthetic, pastel pink and teal)')).toBe('vaporwave');
+        expect(detectStyle(undefined, 'a photorealistic portrait of an astronaut')).toBe('hyper-realistic');
+        expect(detectStyle('storybook', 'a cat')).toBeNull();
+    });
+
+    test('seeds hash with FNV-1a', () => {
+        expect(hashSeed('')).toBe(0x811c9dc5);
+        expect(hashSeed('a')).toBe(0xe40c292c);
+    });
+
+    test('model families', () => {
+        expect(promptFamily(FLUX)).toBe('flux');
+        expect(promptFamily('qwen_image_edit_2511_fp8')).toBe('flux');
+        expect(promptFamily(SDXL)).toBe('sdxl');
+        expect(promptFamily(PONY)).toBe('pony');
+    });
+
+    test('polish only adds the cues a prompt is missing', () => {
+        expect(polishPrompt('a cat')).toBe('a cat, cinematic light, medium shot');
+        expect(polishPrompt('a cat at sunset, wide shot.')).toBe('a cat at sunset, wide shot');
+        expect(polishPrompt('an anime girl, close-up', { modelId: PONY, seed: 3 }))
+            .toBe('score_9, score_8_up, score_7_up, an anime girl, close-up, dynamic rim light');
+    });
+});
+
+describe('Prompt composer - Gemini outages', () => {
+    let generateContent;
+    beforeEach(() => {
+        generateContent = jest.spyOn(geminiFallbackManager, 'generateContent').mockRejectedValue(new Error('quota'));
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    const answers = { avatarType: 'cyborg', visualStyle: 'cyberpunk', mood: 'dominant', extraDetails: 'none' };
+
+    test('the PFP wizard still gets a styled prompt for its model', async () => {
+        const prompt = await generatePrompt(answers, { modelId: FLUX, seed: 42 });
+        expect(prompt).toBe(composePrompt({ ...cyborg, modelId: FLUX }));
+        expect(validatePrompt(prompt)).toBe(true);
+        expect(await generatePrompt(answers, { modelId: SDXL })).toBe(await generatePrompt(answers, { modelId: SDXL }));
+    });
+
+    test('avatar remakes keep the described subject and the chosen traits', async () => {
+        const prompt = await generateAvatarPrompt({
+            ...answers,
+            avatar: { description: { subject: 'a woman with silver hair', pose: 'looking left', colours: '' } },
+            keep: 'pose',
+        }, { modelId: FLUX, seed: 42 });
+        expect(prompt).toMatch(/^A .+ of a woman with silver hair with .+\. It keeps the same pose \(looking left\)\. /);
+    });
+
+    test('/imagine enhancement falls back to composing or polishing offline', async () => {
+        expect(await enhancePrompt('a cat', { mode: 'full' }, { modelId: FLUX, seed: 5 }))
+            .toBe(composePrompt({ subject: 'a cat', modelId: FLUX, seed: 5 }));
+        expect(await enhancePrompt('a cat', { mode: 'template', instructions: 'storybook' }, { modelId: FLUX }))
+            .toBe('a cat, cinematic light, medium shot');
+        expect(await enhancePrompt('a cat', { mode: 'off' })).toBe('a cat');
+        expect(generateContent).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for the prompt linter — banned terms, style conflicts, encoder
+ * length limits, missing cues, the score — and the /prompt lint command.
+ */
+import { jest } from '@jest/globals';
+import { analyzePrompt, estimateTokens } from '../packages/utils/prompt-lint.js';
+import { getPromptTokenLimit } from '../packages/config/models.js';
+
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+});
+
+const { handlePromptCommand } = await import('../src/commands/promptCommands.js');
+const { securityManager } = await import('../src/utils/securityManager.js');
+
+const codes = (analysis) => analysis.issues.map(issue => issue.code);
+
+describe('Prompt lint - analyzePrompt', () => {
+    test('a complete prompt scores 100', () => {
+        const analysis = analyzePrompt('a red fox curled up in the snow, golden hour, close-up portrait', { modelId: 'flux1-schnell-fp8' });
+        expect(analysis).toMatchObject({ score: 100, blocked: false, issues: [] });
+    });
+
+    test('contradictory styles are flagged with the terms to choose between', () => {
+        const analysis = analyzePrompt('photorealistic anime knight, minimalist and intricate armour, rim light, full body');
+        expect(analysis.issues.map(issue => issue.fix)).toEqual([
+            'Keep one of "photorealistic" or "anime".',
+            'Keep one of "minimalist" or "intricate".',
+        ]);
+        expect(analysis.score).toBe(70);
+    });
+
+    test('negated terms don\'t count', () => {
+        expect(codes(analyzePrompt('a photorealistic knight, no anime, rim light, full body'))).toEqual([]);
+    });
+
+    test('prompts longer than the text encoder reads are flagged per model', () => {
+        const prompt = Array(30).fill('glowing crystal dragon').join(', ');
+        expect(codes(analyzePrompt(prompt, { modelId: 'pony-diffusion-v6-xl' }))).toContain('length');
+        expect(codes(analyzePrompt(prompt, { modelId: 'flux2_dev_fp8' }))).not.toContain('length');
+        expect(analyzePrompt(prompt, { modelId: 'pony-diffusion-v6-xl' }).issues[0].message)
+            .toBe('About 179 tokens, but CLIP only reads the first 77 — the rest is ignored.');
+    });
+
+    test('style-only prompts have no subject; missing cues are tips', () => {
+        const analysis = analyzePrompt('masterpiece, best quality, 8k, cinematic');
+        expect(analysis.issues.map(issue => [issue.code, issue.severity])).toEqual([
+            ['subject', 'warning'],
+            ['lighting', 'tip'],
+            ['composition', 'tip'],
+        ]);
+        expect(analysis.score).toBe(50);
+        expect(codes(analyzePrompt('a cat, 85mm, soft light'))).toEqual([]);
+    });
+
+    test('banned terms block the prompt and are masked in the report', () => {
+        const analysis = analyzePrompt('a poster with no badword on it', { bannedTerms: ['badword', 'other'] });
+        expect(analysis).toMatchObject({ score: 0, blocked: true });
+        expect(analysis.issues[0]).toMatchObject({ code: 'banned', severity: 'error', message: 'Contains the banned term "b******".' });
+        expect(analyzePrompt('badwords', { bannedTerms: ['badword'] }).blocked).toBe(false);
+    });
+
+    test('token estimates and encoder limits', () => {
+        expect(estimateTokens('photorealistic, a cat')).toBe(6);
+        expect(estimateTokens('')).toBe(0);
+        expect(getPromptTokenLimit('coreml-juggernautXL_juggXIByRundiffusion')).toEqual({ encoder: 'CLIP', tokens: 77 });
+        expect(getPromptTokenLimit('flux1-schnell-fp8')).toEqual({ encoder: 'T5', tokens: 512 });
+        expect(getPromptTokenLimit('unknown-model')).toEqual({ encoder: 'CLIP', tokens: 77 });
+    });
+});
+
+describe('Prompt lint - /prompt lint', () => {
+    /** Adapter that records replies */
+    const fakeAdapter = () => {
+        const res = { userId: 'u1', guildId: 'g1', replies: [], reply: async (msg) => { res.replies.push(msg); } };
+        return res;
+    };
+
+    test('replies with the score, length and suggestions', async () => {
+        const slurs = jest.spyOn(securityManager, 'listSlurs').mockReturnValue([]);
+        const res = fakeAdapter();
+        await handlePromptCommand({ subcommand: 'lint', prompt: 'photorealistic anime cat', model: 'sdxl-lightning-4step' }, res);
+        slurs.mockRestore();
+
+        const embed = res.replies[0].embeds[0].toJSON();
+        expect(embed.title).toBe('🔎 Prompt Check · 🟡 65/100');
+        expect(embed.fields.map(f => [f.name, f.value.split('\n')[0]])).toEqual([
+            ['Model', 'SDXL Lightning'],
+            ['Length', '~5 / 77 tokens (CLIP)'],
+            ['Suggestions', '⚠️ "photorealistic" and "anime" pull the style in opposite directions.'],
+        ]);
+    });
+
+    test('dynamic prompts are checked through one expansion', async () => {
+        const res = fakeAdapter();
+        await handlePromptCommand({ subcommand: 'lint', prompt: '{a cat|a dog} at sunset, wide shot' }, res);
+
+        const embed = res.replies[0].embeds[0].toJSON();
+        expect(embed.description).toMatch(/^\*\*Prompt:\*\* a (cat|dog) at sunset, wide shot$/);
+        expect(embed.footer.text).toBe('Dynamic prompt — checked one sample expansion');
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for generation providers — per-workflow selection, failover
+ * between backends and health benching.
+ */
+import { jest } from '@jest/globals';
+
+// The CLI wrapper pulls in the legacy config, which needs these to load
+process.env.DISCORD_TOKEN ||= 'test-token';
+process.env.GEMINI_API_KEY ||= 'test-key';
+process.env.SOGNI_USERNAME ||= 'test-user';
+process.env.SOGNI_PASSWORD ||= 'test-pass';
+
+const { sharedConfig } = await import('../packages/config/index.js');
+const {
+    registerProvider, runGeneration, resolveProviderOrder, getProviderHealth,
+    resetProviderHealth, isFailoverError,
+} = await import('../packages/sogni-wrapper/providers.js');
+
+/** A provider whose every method resolves or rejects via `behaviour` */
+function fakeProvider(name, behaviour, unsupported = () => null) {
+    const run = jest.fn((params) => behaviour(params));
+    return {
+        name,
+        unsupported,
+        run,
+        generateImage: run,
+        editImage: run,
+        generateVideo: run,
+        generate360: run,
+    };
+}
+
+const ok = (name) => () => Promise.resolve({ success: true, url: `https://cdn.example/${name}.png` });
+const fail = (message, code) => () => Promise.reject(Object.assign(new Error(message), { code }));
+
+const defaults = { ...sharedConfig.providers };
+
+beforeEach(() => {
+    Object.assign(sharedConfig.providers, defaults, { failureThreshold: 2, cooldownSec: 60 });
+    resetProviderHealth();
+    jest.spyOn(console, 'warn').mockImplementation(() => { });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Runs first, while the real SDK provider is still registered
+describe('Providers - sdk backend', () => {
+    test('videos render with the seed they report', async () => {
+        const { imageGenerator } = await import('../src/imageGenerator.js');
+        const generateVideo = jest.spyOn(imageGenerator, 'generateVideo').mockResolvedValue('https://cdn.example/v.mp4');
+        sharedConfig.providers.video = 'sdk';
+
+        const seeded = await runGeneration('video', { prompt: 'waves', seed: 77 });
+        expect(generateVideo.mock.calls[0][0].seed).toBe(77);
+        expect(seeded).toMatchObject({ url: 'https://cdn.example/v.mp4', seed: 77, provider: 'sdk' });
+
+        const unseeded = await runGeneration('video', { prompt: 'waves' });
+        expect(unseeded.seed).toEqual(expect.any(Number));
+        expect(generateVideo.mock.calls[1][0].seed).toBe(unseeded.seed);
+    });
+});
+
+describe('Providers - runGeneration', () => {
+    test('uses the provider configured for the workflow', async () => {
+        const cli = fakeProvider('cli', ok('cli'));
+        const sdk = fakeProvider('sdk', ok('sdk'));
+        registerProvider(cli);
+        registerProvider(sdk);
+        sharedConfig.providers.image = 'sdk';
+
+        const result = await runGeneration('image', { prompt: 'a fox' });
+        expect(result).toEqual({ success: true, url: 'https://cdn.example/sdk.png', provider: 'sdk' });
+        expect(cli.run).not.toHaveBeenCalled();
+    });
+
+    test('fails over to the other backend when one can\'t be reached', async () => {
+        registerProvider(fakeProvider('cli', fail('Failed to spawn sogni-gen: ENOENT')));
+        registerProvider(fakeProvider('sdk', ok('sdk')));
+
+        const result = await runGeneration('edit', { prompt: 'hat', contextPath: '/tmp/a.png' });
+        expect(result.provider).toBe('sdk');
+        expect(getProviderHealth().find(p => p.name === 'cli')).toMatchObject({
+            failures: 1, consecutiveFailures: 1, lastError: 'Failed to spawn sogni-gen: ENOENT', healthy: true,
+        });
+    });
+
+    test('does not retry cancelled jobs', async () => {
+        registerProvider(fakeProvider('cli', fail('Generation cancelled', 'CANCELLED')));
+        const sdk = fakeProvider('sdk', ok('sdk'));
+        registerProvider(sdk);
+
+        await expect(runGeneration('video', { prompt: 'waves' })).rejects.toMatchObject({ code: 'CANCELLED' });
+        expect(sdk.run).not.toHaveBeenCalled();
+        expect(getProviderHealth().find(p => p.name === 'cli').failures).toBe(0);
+    });
+
+    test('does not re-run timeouts or rejected jobs on the other backend', async () => {
+        const sdk = fakeProvider('sdk', ok('sdk'));
+        registerProvider(sdk);
+
+        registerProvider(fakeProvider('cli', fail('Generation timed out (300s). Sogni may be unreachable.')));
+        await expect(runGeneration('image', { prompt: 'a fox' })).rejects.toThrow('timed out');
+        registerProvider(fakeProvider('cli', fail('Invalid width: must be a multiple of 16')));
+        await expect(runGeneration('image', { prompt: 'a fox' })).rejects.toThrow('Invalid width');
+
+        expect(sdk.run).not.toHaveBeenCalled();
+        expect(getProviderHealth().find(p => p.name === 'cli').failures).toBe(0);
+    });
+
+    test('stays on the preferred backend with failover off', async () => {
+        registerProvider(fakeProvider('cli', fail('connect ECONNREFUSED 127.0.0.1:443')));
+        const sdk = fakeProvider('sdk', ok('sdk'));
+        registerProvider(sdk);
+        sharedConfig.providers.failover = false;
+
+        await expect(runGeneration('image', { prompt: 'a fox' })).rejects.toThrow('ECONNREFUSED');
+        expect(sdk.run).not.toHaveBeenCalled();
+    });
+
+    test('throws the last error when every backend fails', async () => {
+        registerProvider(fakeProvider('cli', fail('Failed to spawn sogni-gen: ENOENT')));
+        registerProvider(fakeProvider('sdk', fail('WebSocket connection closed')));
+
+        await expect(runGeneration('image', { prompt: 'a fox' })).rejects.toThrow('WebSocket connection closed');
+    });
+});
+
+describe('Providers - resolveProviderOrder', () => {
+    test('benches a backend after repeated failures, then lets it back', async () => {
+        registerProvider(fakeProvider('cli', fail('socket hang up')));
+        registerProvider(fakeProvider('sdk', ok('sdk')));
+
+        await runGeneration('image', { prompt: 'one' });
+        await runGeneration('image', { prompt: 'two' });
+
+        const now = Date.now();
+        expect(resolveProviderOrder('image', {}, now).map(p => p.name)).toEqual(['sdk', 'cli']);
+        expect(resolveProviderOrder('image', {}, now + 61000).map(p => p.name)).toEqual(['cli', 'sdk']);
+    });
+
+    test('skips providers that cannot run the job', () => {
+        registerProvider(fakeProvider('cli', ok('cli')));
+        registerProvider(fakeProvider('sdk', ok('sdk'), (kind, params) => (params.maskPath ? 'no masks' : null)));
+        sharedConfig.providers.edit = 'sdk';
+
+        expect(resolveProviderOrder('edit', { maskPath: '/tmp/m.png' }).map(p => p.name)).toEqual(['cli']);
+    });
+
+    test('explains when nothing can run the job', () => {
+        registerProvider(fakeProvider('cli', ok('cli')));
+        registerProvider(fakeProvider('sdk', ok('sdk'), () => 'turntable videos need sogni-gen'));
+        sharedConfig.providers.angles360 = 'sdk';
+        sharedConfig.providers.failover = false;
+
+        expect(() => resolveProviderOrder('angles360', { makeVideo: true }))
+            .toThrow('Cannot run this angles360 job: turntable videos need sogni-gen.');
+    });
+});
+
+describe('Providers - isFailoverError', () => {
+    test('an empty balance fails on every backend', () => {
+        expect(isFailoverError(new Error('Insufficient Sogni credits (Normal Sparks) 💎. Please top up at sogni.ai'))).toBe(false);
+        expect(isFailoverError(new Error('Insufficient funds'))).toBe(false);
+    });
+
+    test('only transport failures are worth another backend', () => {
+        expect(isFailoverError(new Error('Failed to spawn sogni-gen: ENOENT'))).toBe(true);
+        expect(isFailoverError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }))).toBe(true);
+        expect(isFailoverError(Object.assign(new Error('unavailable'), { code: 'PROVIDER_UNAVAILABLE' }))).toBe(true);
+
+        expect(isFailoverError(new Error('Project timed out after 180 seconds without returning results.'))).toBe(false);
+        expect(isFailoverError(new Error('Invalid model: flux-nope'))).toBe(false);
+        expect(isFailoverError(new Error('Video project failed: Unknown server error'))).toBe(false);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for the weekly showcase — settings, submissions, votes, closing a
+ * week, and the posts and announcement built from them.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'showcase-'));
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GEMINI_API_KEY: 'test-key',
+    SOGNI_USERNAME: 'test-user',
+    SOGNI_PASSWORD: 'test-pass',
+    SHOWCASE_DB_PATH: path.join(dataDir, 'showcase.sqlite'),
+    SHOWCASE_MAX_ENTRIES: '2',
+});
+
+const {
+    weekKey, setShowcaseSettings, isShowcaseEnabled, disableShowcase, submitEntry, toggleVote,
+    listWeekEntries, closeWeek, getDueWeeks, getEntry,
+} = await import('../packages/showcase/index.js');
+const { createSubmitRow, createShowcasePost, createWinnersAnnouncement } = await import('../src/commands/showcaseCommands.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const LAST_WEEK = new Date('2026-10-07T12:00:00Z');
+
+/** Submit an image to a guild's showcase */
+let nextState = 0;
+function submit(guildId, userId, prompt, now = LAST_WEEK) {
+    nextState++;
+    return submitEntry({ guildId, userId, stateId: `state${nextState}`, imageUrl: `https://cdn.example/${nextState}.png`, prompt, model: 'flux1-schnell-fp8', seed: nextState, now });
+}
+
+describe('Showcase - weeks', () => {
+    test('weeks follow ISO-8601 numbering', () => {
+        expect(weekKey(new Date('2026-10-19T00:00:00Z'))).toBe('2026-W43');
+        expect(weekKey(new Date('2026-10-18T23:59:59Z'))).toBe('2026-W42');
+        // 1 January 2027 is a Friday, so it still belongs to 2026's last week
+        expect(weekKey(new Date('2027-01-01T12:00:00Z'))).toBe('2026-W53');
+    });
+});
+
+describe('Showcase - submissions and votes', () => {
+    beforeAll(() => {
+        setShowcaseSettings('g1', { channelId: 'c-show', roleId: 'r-win', reputation: 9, winners: 2 });
+    });
+
+    test('settings clamp reputation to what one change may award', () => {
+        expect(setShowcaseSettings('g1', { channelId: 'c-show', roleId: 'r-win', reputation: 9, winners: 2 }))
+            .toMatchObject({ channelId: 'c-show', roleId: 'r-win', reputation: 5, winners: 2, enabled: true });
+    });
+
+    test('guilds without a showcase refuse entries', () => {
+        expect(() => submit('g-none', 'u1', 'a cat')).toThrow('no showcase');
+    });
+
+    test('an image can only be entered once, and only so many per week', () => {
+        const entry = submit('g1', 'u1', 'a lighthouse at dusk');
+        expect(entry).toMatchObject({ week: '2026-W41', status: 'open', votes: 0, prompt: 'a lighthouse at dusk' });
+        expect(() => submitEntry({ guildId: 'g1', userId: 'u1', stateId: entry.stateId, imageUrl: 'x', now: LAST_WEEK }))
+            .toThrow('already in the showcase');
+
+        submit('g1', 'u1', 'a red kite');
+        expect(() => submit('g1', 'u1', 'a third one')).toThrow('2 images a week');
+    });
+
+    test('votes toggle, and nobody votes for themselves', () => {
+        const entry = submit('g1', 'u2', 'a neon fox');
+        expect(() => toggleVote(entry.id, 'u2')).toThrow('your own entry');
+
+        expect(toggleVote(entry.id, 'u3')).toEqual({ voted: true, votes: 1 });
+        expect(toggleVote(entry.id, 'u4')).toEqual({ voted: true, votes: 2 });
+        expect(toggleVote(entry.id, 'u3')).toEqual({ voted: false, votes: 1 });
+    });
+
+    test('disabling stops new entries', () => {
+        setShowcaseSettings('g2', { channelId: 'c2' });
+        expect(disableShowcase('g2')).toBe(true);
+        expect(isShowcaseEnabled('g2')).toBe(false);
+        expect(() => submit('g2', 'u1', 'a cat')).toThrow('no showcase');
+    });
+});
+
+describe('Showcase - closing a week', () => {
+    test('finished weeks come due, and the top voted entries win', () => {
+        const [lighthouse, kite, fox] = listWeekEntries('g1', '2026-W41').sort((a, b) => a.id - b.id);
+        toggleVote(kite.id, 'u3');
+        toggleVote(kite.id, 'u4');
+        toggleVote(kite.id, 'u5');
+
+        expect(getDueWeeks(new Date('2026-10-19T00:00:00Z'))).toEqual([{ guildId: 'g1', week: '2026-W41' }]);
+        const result = closeWeek('g1', '2026-W41');
+
+        // The lighthouse has no votes, so only two of the three places go out
+        expect(result.entries).toBe(3);
+        expect(result.winners.map(w => [w.id, w.place, w.votes])).toEqual([[kite.id, 1, 3], [fox.id, 2, 1]]);
+        expect(getEntry(lighthouse.id)).toMatchObject({ status: 'closed', place: null });
+        expect(getDueWeeks(new Date('2026-10-19T00:00:00Z'))).toEqual([]);
+        expect(() => toggleVote(fox.id, 'u6')).toThrow('closed');
+    });
+});
+
+describe('Showcase - messages', () => {
+    test('submit buttons carry the state id and the image position', () => {
+        const row = createSubmitRow([{ stateId: 'aaa' }, {}, { stateId: 'ccc' }]).toJSON();
+        expect(row.components.map(c => c.custom_id)).toEqual(['showcase_submit_aaa_1', 'showcase_submit_ccc_3']);
+        expect(createSubmitRow([{}])).toBeNull();
+    });
+
+    test('posts hide the prompt; the announcement reveals it', () => {
+        const entry = { id: 7, guildId: 'g1', userId: 'u1', week: '2026-W41', imageUrl: 'https://cdn.example/7.png', prompt: 'secret recipe prompt', model: 'flux', seed: 3, messageId: 'm7', status: 'open', votes: 4 };
+        const post = createShowcasePost(entry);
+        expect(JSON.stringify(post.embeds[0].toJSON())).not.toContain('secret recipe prompt');
+        expect(post.components[0].toJSON().components[0]).toMatchObject({ custom_id: 'showcase_vote_7', label: '⭐ Vote · 4' });
+
+        const announcement = createWinnersAnnouncement({ week: '2026-W41', entries: 5, winners: [{ ...entry, place: 1 }] }, 'c-show', { roleId: 'r-win', reputation: 3 });
+        const embed = announcement.embeds[0].toJSON();
+        expect(embed.title).toBe('🥇 Place 1 · 4 votes');
+        expect(embed.description).toContain('secret recipe prompt');
+        expect(embed.description).toContain('https://discord.com/channels/g1/c-show/m7');
+        expect(announcement.content).toContain('<@&r-win> and +3 reputation');
+        expect(announcement.allowedMentions).toEqual({ users: ['u1'] });
+    });
+
+    test('a week without votes closes without winners', () => {
+        expect(createWinnersAnnouncement({ week: '2026-W41', entries: 2, winners: [] }, 'c').content).toContain('no winners');
+    });
+});
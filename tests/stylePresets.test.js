@@ -0,0 +1,65 @@
+/**
+ * Tests for style presets — applying prefix/suffix and how guild presets
+ * layer over the built-ins.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'styles-'));
+process.env.STYLES_DB_PATH = path.join(dataDir, 'styles.sqlite');
+
+const { applyStyle, listStyles, getStyle, saveStyle, deleteStyle, normalizeStyleName, BUILTIN_STYLES } =
+    await import('../packages/styles/index.js');
+
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('Style presets - applyStyle', () => {
+    const style = { prefix: 'anime style,', suffix: 'cel shading' };
+
+    test('wraps the prompt in prefix and suffix', () => {
+        expect(applyStyle('a fox', style)).toBe('anime style, a fox, cel shading');
+    });
+
+    test('is a no-op without a style', () => {
+        expect(applyStyle('a fox', null)).toBe('a fox');
+    });
+
+    test('does not double-apply to an already styled prompt', () => {
+        const once = applyStyle('a fox', style);
+        expect(applyStyle(once, style)).toBe(once);
+    });
+
+    test('skips empty parts', () => {
+        expect(applyStyle('a fox', { prefix: '', suffix: 'watercolor' })).toBe('a fox, watercolor');
+    });
+});
+
+describe('Style presets - library', () => {
+    test('names are slugged', () => {
+        expect(normalizeStyleName('  Dark Fantasy!! ')).toBe('dark-fantasy');
+    });
+
+    test('every guild starts with the built-ins', () => {
+        expect(listStyles('g1').map(s => s.name)).toEqual(BUILTIN_STYLES.map(s => s.name));
+    });
+
+    test('guild presets are listed after the built-ins and stay in their guild', () => {
+        saveStyle('g1', { name: 'Dark Fantasy', prefix: 'dark fantasy art,', width: 832, height: 1216 });
+        expect(listStyles('g1').at(-1)).toMatchObject({ name: 'dark-fantasy', label: 'Dark Fantasy', width: 832, builtin: false });
+        expect(getStyle('g2', 'dark-fantasy')).toBeNull();
+    });
+
+    test('editing a built-in shadows it until the copy is deleted', () => {
+        saveStyle('g1', { ...getStyle('g1', 'vaporwave'), suffix: 'synthwave sunset' });
+        expect(getStyle('g1', 'vaporwave')).toMatchObject({ suffix: 'synthwave sunset', builtin: false });
+        expect(listStyles('g1').filter(s => s.name === 'vaporwave')).toHaveLength(1);
+
+        expect(deleteStyle('g1', 'vaporwave')).toBe(true);
+        expect(getStyle('g1', 'vaporwave').builtin).toBe(true);
+    });
+
+    test('built-ins themselves cannot be deleted', () => {
+        expect(deleteStyle('g1', 'cyberpunk')).toBe(false);
+    });
+});
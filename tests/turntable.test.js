@@ -0,0 +1,67 @@
+/**
+ * Tests for 360° turntable outputs — frame order, contact sheet layout,
+ * GIF frame lists and the spin viewer page.
+ */
+import { createRegionMask } from '../packages/utils/image-mask.js';
+import { orderAngleFrames, contactSheetLayout, buildConcatList, renderSpinViewer } from '../packages/utils/turntable.js';
+
+describe('Turntable - orderAngleFrames', () => {
+    test('sorts angles into azimuth order', () => {
+        const frames = orderAngleFrames([
+            { azimuth: 'back', urls: ['https://cdn/back.png'] },
+            { azimuth: 'front', urls: ['https://cdn/front.png'] },
+            { azimuth: 'front-right', urls: ['https://cdn/fr.png'] },
+        ]);
+        expect(frames.map(f => f.key)).toEqual(['front', 'front-right', 'back']);
+        expect(frames[1]).toEqual({ key: 'front-right', label: 'front-right quarter view', source: 'https://cdn/fr.png' });
+    });
+
+    test('prefers downloaded copies and drops empty angles', () => {
+        const frames = orderAngleFrames([
+            { azimuth: 'left', urls: ['https://cdn/left.png'], localPaths: ['/tmp/left.jpg'] },
+            { azimuth: 'right', urls: [] },
+        ]);
+        expect(frames).toEqual([{ key: 'left', label: 'left side view', source: '/tmp/left.jpg' }]);
+    });
+
+    test('planned shots keep their plan order', () => {
+        const frames = orderAngleFrames([
+            { azimuth: 'front@high-angle', index: 1, label: 'front view, high-angle shot', urls: ['https://cdn/2.png'] },
+            { azimuth: 'front@low-angle', index: 0, label: 'front view, low-angle shot', urls: ['https://cdn/1.png'] },
+        ]);
+        expect(frames.map(f => f.label)).toEqual(['front view, low-angle shot', 'front view, high-angle shot']);
+    });
+});
+
+describe('Turntable - contactSheetLayout', () => {
+    test('eight tiles make a 4×2 grid', () => {
+        expect(contactSheetLayout(8, 4, 100, 100))
+            .toBe('0_0|100_0|200_0|300_0|0_100|100_100|200_100|300_100');
+    });
+});
+
+describe('Turntable - buildConcatList', () => {
+    test('repeats the last frame and escapes quotes', () => {
+        expect(buildConcatList(['/tmp/a.png', "/tmp/it's.png"], 0.25)).toBe(
+            "ffconcat version 1.0\nfile '/tmp/a.png'\nduration 0.25\nfile '/tmp/it'\\''s.png'\nduration 0.25\nfile '/tmp/it'\\''s.png'\n");
+    });
+});
+
+describe('Turntable - renderSpinViewer', () => {
+    const buffer = createRegionMask(2, 2, { x: 0, y: 0, width: 1, height: 1 });
+
+    test('inlines every frame in order', () => {
+        const html = renderSpinViewer([
+            { key: 'front', label: 'front view', buffer },
+            { key: 'back', label: 'back view', buffer },
+        ]);
+        expect(html.match(/data:image\/png;base64,/g)).toHaveLength(2);
+        expect(html.indexOf('front view')).toBeLessThan(html.indexOf('back view'));
+    });
+
+    test('escapes the title', () => {
+        const html = renderSpinViewer([{ key: 'front', label: 'front view', buffer }], { title: '<b>fox</b>' });
+        expect(html).toContain('<title>&lt;b&gt;fox&lt;/b&gt;</title>');
+        expect(html).not.toContain('<b>fox</b>');
+    });
+});